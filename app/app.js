@@ -3,10 +3,11 @@
  * Manages services, routing, authentication, and application lifecycle
  */
 
-import { AuthService, NotificationService, ReminderService } from '../core/services/index.js';
+import { AuthService, NotificationService, ReminderService, CommandHistory, AuditLog } from '../core/services/index.js';
 import { StorageFactory } from '../core/storage/index.js';
+import { SyncEngine } from '../core/sync/index.js';
 import { Environment } from '../config/environment.js';
-import { showError, showSuccess } from '../components/ui/Notification.js';
+import { showError, showSuccess, showInfo } from '../components/ui/Notification.js';
 import { EventEmitter } from '../utils/helpers.js';
 import { Router } from './routes.js';
 
@@ -17,6 +18,7 @@ export class App extends EventEmitter {
     #router = null;
     #storageService = null;
     #environment = null;
+    #detachSync = null;
 
     constructor() {
         super();
@@ -90,7 +92,7 @@ export class App extends EventEmitter {
             console.log('⚙️ Initializing core services...');
 
             // Authentication service
-            const authService = new AuthService();
+            const authService = new AuthService(this.#storageService);
             this.#services.set('auth', authService);
 
             // Notification service
@@ -99,9 +101,15 @@ export class App extends EventEmitter {
             this.#services.set('notifications', notificationService);
 
             // Reminder service with dependencies
-            const reminderService = new ReminderService(this.#storageService, notificationService);
+            const reminderService = new ReminderService(this.#storageService, notificationService, authService);
             this.#services.set('reminders', reminderService);
 
+            // Audit log of reminder and account activity, kept for every user
+            const auditLog = new AuditLog(this.#storageService);
+            auditLog.attach(reminderService);
+            auditLog.attachAuth(authService);
+            this.#services.set('audit', auditLog);
+
             // Setup service event handlers
             this.#setupServiceEventHandlers();
 
@@ -146,6 +154,11 @@ export class App extends EventEmitter {
                 showError(`Reminder operation failed: ${data.error.message}`);
             });
         }
+
+        const notificationService = this.#services.get('notifications');
+        notificationService?.on('quiet-hours-ended', ({ alerts }) => {
+            showInfo(`🌅 ${NotificationService.formatHeldAlerts(alerts)}`);
+        });
     }
 
     /**
@@ -182,11 +195,26 @@ export class App extends EventEmitter {
      * Authentication event handlers
      */
     #handleAuthentication(session) {
+        this.#startSync(session.username).catch(error => {
+            console.warn('⚠️ Sync unavailable, continuing offline:', error);
+        });
+        this.#startHistory(session.username).catch(error => {
+            console.warn('⚠️ Undo history unavailable:', error);
+        });
+        this.#startAlerts(session.username).catch(error => {
+            console.warn('⚠️ Quiet hours and channels unavailable:', error);
+        });
+        this.#services.get('notifications')?.processBackgroundActions();
         this.emit('user:authenticated', session);
         this.navigateTo('/dashboard');
     }
 
     #handleLogout() {
+        this.#stopSync();
+        this.#stopHistory();
+        this.#stopAlerts();
+        this.#services.get('notifications')?.clearBackgroundAlerts();
+
         const authService = this.#services.get('auth');
         if (authService) {
             authService.logout();
@@ -201,6 +229,72 @@ export class App extends EventEmitter {
         this.navigateTo('/login');
     }
 
+    /**
+     * Replicate the user's reminders when data sync is enabled
+     */
+    async #startSync(userId) {
+        const reminderService = this.#services.get('reminders');
+        if (!Environment.getFeatureFlags().enableDataSync || !reminderService) return;
+
+        this.#stopSync();
+
+        const syncEngine = new SyncEngine({
+            storage: this.#storageService,
+            transport: SyncEngine.createTransport(),
+            userId
+        });
+        await syncEngine.initialize();
+
+        this.#detachSync = syncEngine.attach(reminderService);
+        syncEngine.start();
+        this.#services.set('sync', syncEngine);
+    }
+
+    #stopSync() {
+        this.#detachSync?.();
+        this.#detachSync = null;
+
+        this.#services.get('sync')?.stop();
+        this.#services.delete('sync');
+    }
+
+    /**
+     * Make the user's reminder changes undoable, picking up the history saved before the last reload
+     */
+    async #startHistory(userId) {
+        const reminderService = this.#services.get('reminders');
+        if (!reminderService) return;
+
+        const history = new CommandHistory(this.#storageService, userId);
+        await history.load();
+
+        reminderService.setHistory(history);
+        this.#services.set('history', history);
+    }
+
+    #stopHistory() {
+        this.#services.get('reminders')?.setHistory(null);
+        this.#services.delete('history');
+    }
+
+    /**
+     * Hold the user's alerts during their quiet hours and send them to the user's channels.
+     * The alert queue and digest belong to the dashboard, so each user has one of each
+     */
+    async #startAlerts(userId) {
+        const notificationService = this.#services.get('notifications');
+        if (!notificationService) return;
+
+        notificationService.setQuietHours(await this.#storageService.getQuietHours(userId));
+        notificationService.setChannels(await this.#storageService.getNotificationChannels(userId));
+    }
+
+    #stopAlerts() {
+        const notificationService = this.#services.get('notifications');
+        notificationService?.setQuietHours(null);
+        notificationService?.setChannels(null);
+    }
+
     #handleSessionExpired() {
         showError('Your session has expired. Please login again.');
         this.#handleLogout();
@@ -379,6 +473,9 @@ export class App extends EventEmitter {
             }
 
             // Cleanup services
+            this.#stopSync();
+            this.#stopHistory();
+            this.#stopAlerts();
             this.#services.forEach((service, name) => {
                 try {
                     if (service.cleanup) {
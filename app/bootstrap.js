@@ -3,6 +3,8 @@
  */
 
 import { Environment } from '../config/environment.js';
+import { ServiceWorkerBridge } from '../core/services/ServiceWorkerBridge.js';
+import { getRouteModuleUrls } from './routes.js';
 
 // Global application instance
 let appInstance = null;
@@ -35,6 +37,11 @@ export async function bootstrap() {
       throw new Error('Application initialization failed');
     }
 
+    // Offline shell and background alerts; registration finishes in the background
+    if (Environment.getFeatureFlags().enableServiceWorker) {
+      ServiceWorkerBridge.register({ precache: getRouteModuleUrls() });
+    }
+
     // Setup hot reload for development
     if (envConfig.environment.isDevelopment) {
       setupHotReload();
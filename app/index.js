@@ -1,3 +1,3 @@
 export { App } from './App.js';
 export { bootstrap } from './bootstrap.js';
-export { routes, Router, createRouter } from './routes.js';
\ No newline at end of file
+export { routes, Router, createRouter, getRouteModuleUrls } from './routes.js';
\ No newline at end of file
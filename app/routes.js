@@ -3,6 +3,13 @@
  * Simplified, reliable route handling with proper error management
  */
 
+import { PERMISSIONS, hasPermission } from '../types/interfaces.js';
+
+/**
+ * Lazy page loader; `url` lets the service worker precache the module so the route works offline
+ */
+const lazyPage = (path) => Object.assign(() => import(path), { url: new URL(path, import.meta.url).href });
+
 /**
  * Route configuration with lazy loading
  */
@@ -14,7 +21,7 @@ export const routes = new Map([
 
     ['/login', {
         handler: 'page',
-        component: () => import('../pages/LoginPage.js'),
+        component: lazyPage('../pages/LoginPage.js'),
         meta: {
             title: 'Login - Reminders Vault',
             requiresAuth: false
@@ -23,10 +30,11 @@ export const routes = new Map([
 
     ['/dashboard', {
         handler: 'page',
-        component: () => import('../pages/DashboardPage.js'),
+        component: lazyPage('../pages/DashboardPage.js'),
         meta: {
             title: 'Dashboard - Reminders Vault',
-            requiresAuth: true
+            requiresAuth: true,
+            permission: PERMISSIONS.REMINDERS_READ
         }
     }],
 
@@ -94,6 +102,19 @@ export class Router {
             return this.navigate('/login', { replace: true });
         }
 
+        // Check the role's permission if the route declares one
+        if (!this.#checkPermission(route.meta?.permission)) {
+            console.warn(`Permission "${route.meta.permission}" required for ${path}`);
+            this.#app.emit('route:forbidden', { path, permission: route.meta.permission });
+
+            // Stay on the current page; with nowhere to stay, signing out is the only safe destination
+            if (this.#currentRoute) {
+                history.replaceState(null, '', this.#currentRoute);
+                return;
+            }
+            return this.navigate('/logout', { replace: true });
+        }
+
         // Redirect authenticated users away from login
         if (path === '/login' && this.#checkAuth()) {
             return this.navigate('/dashboard', { replace: true });
@@ -182,7 +203,7 @@ export class Router {
      * Load component with caching
      */
     async #loadComponentWithCache(componentLoader) {
-        const cacheKey = componentLoader.toString();
+        const cacheKey = componentLoader.url || componentLoader.toString();
 
         if (this.#loadingCache.has(cacheKey)) {
             return this.#loadingCache.get(cacheKey);
@@ -299,6 +320,16 @@ export class Router {
         return authService ? authService.isAuthenticated() : false;
     }
 
+    /**
+     * Check the current user's role against a route permission
+     */
+    #checkPermission(permission) {
+        if (!permission) return true;
+
+        const authService = this.#app.getService('auth');
+        return hasPermission(authService?.getCurrentUser(), permission);
+    }
+
     /**
      * Utility methods
      */
@@ -331,11 +362,11 @@ export class Router {
         if (!route) return false;
 
         // Check authentication requirements
-        if (route.meta?.requiresAuth) {
-            return this.#checkAuth();
+        if (route.meta?.requiresAuth && !this.#checkAuth()) {
+            return false;
         }
 
-        return true;
+        return this.#checkPermission(route.meta?.permission);
     }
 
     /**
@@ -390,6 +421,13 @@ export const RouteUtils = {
     }
 };
 
+/**
+ * Module URLs of every lazily loaded page, for offline precaching
+ */
+export const getRouteModuleUrls = () => Array.from(routes.values())
+    .map(route => route.component?.url)
+    .filter(Boolean);
+
 /**
  * Factory function for router creation
  */
@@ -399,5 +437,6 @@ export default {
     routes,
     Router,
     RouteUtils,
+    getRouteModuleUrls,
     createRouter
 };
\ No newline at end of file
@@ -14,10 +14,90 @@ export const APP_CONFIG = Object.freeze({
             USER_PREFERENCES: 'user_preferences',
             THEME: 'app_theme'
         },
-        dbName: 'RemindersVaultDB',
-        dbVersion: 1,
+        dbName: 'RemindersVaultDB', // Schema version comes from the registry in core/storage/SchemaMigrations.js
         maxStorageSize: 5 * 1024 * 1024, // 5MB
-        backupInterval: 24 * 60 * 60 * 1000 // 24 hours
+        backupInterval: 24 * 60 * 60 * 1000, // 24 hours
+        encryption: {
+            enabled: true, // Wrap storage so reminder text is encrypted with the user's passphrase
+            keyringPrefix: 'encryption:' // Metadata key prefix for each user's wrapped data keys
+        },
+        trash: {
+            retentionDays: 30 // Deleted reminders are purged by storage maintenance after this long; 0 keeps them
+        }
+    },
+
+    auth: {
+        userStoreKey: 'users', // Storage metadata key holding registered accounts
+        defaultRole: 'user'
+    },
+
+    crossTab: {
+        channelName: 'reminders-vault-changes', // BroadcastChannel carrying storage change notices
+        leaderLockName: 'reminders-vault-alerts' // Web Lock held by the tab that owns alert scheduling
+    },
+
+    sync: {
+        endpoint: '/api', // Base URL for the REST transport
+        transport: 'rest', // 'rest' or 'mock' (in-memory server for development and tests)
+        interval: 60 * 1000, // Background sync while online
+        debounce: 2000, // Wait after a local change before pushing it
+        batchSize: 50, // Operations per push request
+        timeout: 15000,
+        metadataPrefix: 'sync:' // Metadata key prefix for operation logs and sync cursors
+    },
+
+    serviceWorker: {
+        scriptUrl: '/sw.js', // Served from the site root so its scope covers every page
+        scope: '/',
+        periodicSyncTag: 'check-due-reminders',
+        periodicSyncInterval: 15 * 60 * 1000, // Browsers treat this as a minimum and may check less often
+        snoozeMinutes: 10 // Snooze length for the notification's Snooze button
+    },
+
+    history: {
+        limit: 50, // Undoable commands kept per user
+        metadataPrefix: 'history:' // Metadata key prefix for undo/redo stacks
+    },
+
+    alerts: {
+        window: 24 * 60 * 60 * 1000, // Timers are set for alerts due within this window, which rolls forward every half window
+        metadataPrefix: 'alerts:', // Metadata key prefix for each user's persisted alert queue
+        retentionDays: 7, // Fired and missed alerts are remembered this long
+        missedAlerts: {
+            summary: true, // Report alerts that came due while the app was closed; false only records them
+            maxAgeDays: 7, // Missed alerts older than this aren't reported
+            maxListed: 5 // Reminders named in the summary before "and N more"
+        },
+        // Alert popups that time out unanswered, by reminder priority (1-4): shown again every repeatMinutes,
+        // louder by volumeStep each time, and reported missed after maxAttempts. Other priorities alert once
+        escalation: {
+            4: { repeatMinutes: 5, maxAttempts: 4, volumeStep: 0.2 }, // Urgent
+            3: { repeatMinutes: 15, maxAttempts: 2, volumeStep: 0.1 } // High
+        },
+        acknowledgementHistory: 200, // Complete/snooze/dismiss responses kept for latency statistics
+        acknowledgementPrefix: 'alert-acknowledgements:', // Metadata key prefix for each user's saved responses
+        channels: {
+            timeout: 10000, // Webhook requests are abandoned after this many ms
+            retry: {
+                attempts: 4, // Deliveries per alert, counting the first
+                baseDelay: 5000, // Wait before the first retry; doubled for each one after
+                maxDelay: 60000
+            }
+        }
+    },
+
+    digest: {
+        metadataPrefix: 'digest:', // Metadata key prefix for when each user's digest was last delivered
+        catchUpHours: 12, // A digest missed while the app was closed (or held by quiet hours) still goes out this late
+        recheckInterval: 60 * 60 * 1000 // Longest timer set while waiting for the next digest, so sleep and clock changes can't delay it
+    },
+
+    audit: {
+        maxEntries: 2000, // Oldest audit entries beyond this are pruned
+        localStorageMaxEntries: 300, // Tighter cap for the localStorage fallback, which shares a ~5MB quota with reminders
+        maxAgeDays: 180, // Audit entries older than this are pruned; 0 keeps them by age
+        pruneEvery: 50, // Appends between prune passes
+        pageSize: 200 // Entries shown in the admin audit panel
     },
 
     ui: {
@@ -58,6 +138,7 @@ export const REMINDER_CONFIG = Object.freeze({
         URGENT: { value: 4, label: 'Urgent', icon: '🔴', color: '#e74c3c' }
     },
 
+    // Built-in category ids only; labels, icons, colors and default alerts are per user (see DEFAULT_CATEGORIES)
     categories: {
         PERSONAL: 'personal',
         WORK: 'work',
@@ -98,9 +179,9 @@ export const VALIDATION_RULES = Object.freeze({
             required: true,
             allowedValues: Object.values(REMINDER_CONFIG.priority).map(p => p.value)
         },
+        // Allowed values are the owner's category definitions, so they're checked against those at validation time
         category: {
-            required: true,
-            allowedValues: Object.values(REMINDER_CONFIG.categories)
+            required: true
         }
     },
 
@@ -142,7 +142,7 @@ export class Environment {
       // Experimental features
       enableAdvancedSearch: true,
       enableBulkOperations: true,
-      enableDataSync: false, // Future feature
+      enableDataSync: false, // Offline-first sync through core/sync; needs a backend at APP_CONFIG.sync.endpoint
 
       // Platform features
       enablePWA: env.isProduction,
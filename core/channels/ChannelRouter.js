@@ -0,0 +1,161 @@
+/**
+ * Channel Router - Sends each alert to the channels whose routing rules match it
+ * A channel's rules name the reminder categories it takes (none means all). Failed deliveries are retried
+ * with exponential backoff (APP_CONFIG.alerts.channels.retry); one channel failing never holds up another,
+ * and failures are reported as 'delivery-failed' rather than thrown.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { EventEmitter } from '../../utils/helpers.js';
+
+const toRules = (rules = {}) => ({
+  enabled: rules.enabled !== false,
+  categories: Array.isArray(rules.categories) ? [...rules.categories] : []
+});
+
+export class ChannelRouter extends EventEmitter {
+  #channels = new Map(); // id -> { channel, rules, retry, delivered, failed, lastError }
+  #retry = null;
+  #waits = new Set(); // Backoff timers, so cancelRetries() can end them early
+
+  /**
+   * @param {Object} options - { retry: overrides for APP_CONFIG.alerts.channels.retry }
+   */
+  constructor(options = {}) {
+    super();
+    this.#retry = { ...APP_CONFIG.alerts.channels.retry, ...options.retry };
+  }
+
+  // 1st retry after baseDelay, doubling each time up to maxDelay
+  static backoffDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  }
+
+  /**
+   * Add a channel, or replace the one with the same id
+   * @param {NotificationChannel} channel
+   * @param {Object} rules - { enabled, categories }
+   * @param {Object} options - { retry: false delivers once, for channels where trying again can't help }
+   */
+  register(channel, rules = {}, { retry = true } = {}) {
+    this.#channels.set(channel.id, {
+      channel,
+      rules: toRules(rules),
+      retry,
+      delivered: 0,
+      failed: 0,
+      lastError: null
+    });
+    return channel;
+  }
+
+  unregister(id) {
+    return this.#channels.delete(id);
+  }
+
+  has(id) {
+    return this.#channels.has(id);
+  }
+
+  get(id) {
+    return this.#channels.get(id)?.channel ?? null;
+  }
+
+  setRules(id, rules) {
+    const entry = this.#channels.get(id);
+    if (!entry) return false;
+
+    entry.rules = toRules(rules);
+    return true;
+  }
+
+  /**
+   * Would this channel get the alert?
+   * @param {string} id
+   * @param {Object} alert - Needs `reminder.category`
+   */
+  routes(id, alert) {
+    const entry = this.#channels.get(id);
+    if (!entry?.rules.enabled) return false;
+
+    const { categories } = entry.rules;
+    return categories.length === 0 || categories.includes(alert.reminder?.category);
+  }
+
+  /**
+   * Deliver an alert to every matching channel at once
+   * @param {Object} alert
+   * @param {Object} options - { except: channel ids to leave out }
+   * @returns {Promise<Object[]>} One { id, delivered, attempts, error } per matching channel, once all are settled
+   */
+  dispatch(alert, { except = [] } = {}) {
+    const targets = Array.from(this.#channels.entries())
+        .filter(([id]) => !except.includes(id) && this.routes(id, alert))
+        .map(([id, entry]) => this.#deliver(id, entry, alert));
+
+    return Promise.all(targets);
+  }
+
+  // Stop waiting to retry; those deliveries are given up without a 'delivery-failed'
+  cancelRetries() {
+    this.#waits.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+    this.#waits.clear();
+  }
+
+  getStats() {
+    return Array.from(this.#channels.entries()).map(([id, { rules, delivered, failed, lastError }]) => ({
+      id,
+      ...rules,
+      delivered,
+      failed,
+      lastError
+    }));
+  }
+
+  async #deliver(id, entry, alert) {
+    const maxAttempts = entry.retry ? this.#retry.attempts : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await entry.channel.deliver(alert);
+        entry.delivered++;
+        return { id, delivered: true, attempts: attempt, error: null };
+      } catch (error) {
+        const retryable = error?.details?.retryable !== false;
+
+        if (attempt >= maxAttempts || !retryable) {
+          entry.failed++;
+          entry.lastError = error?.message || String(error);
+          console.warn(`Channel "${id}" failed to deliver an alert after ${attempt} attempt(s):`, error);
+          this.emit('delivery-failed', { channelId: id, alert, error, attempts: attempt });
+          return { id, delivered: false, attempts: attempt, error };
+        }
+
+        const delay = ChannelRouter.backoffDelay(attempt, this.#retry);
+        this.emit('delivery-retry', { channelId: id, alert, error, attempt, delay });
+
+        // Cancelled, or the channel was removed or replaced while waiting
+        const waited = await this.#wait(delay);
+        if (!waited || this.#channels.get(id) !== entry) {
+          return { id, delivered: false, attempts: attempt, error };
+        }
+      }
+    }
+  }
+
+  #wait(delay) {
+    return new Promise(resolve => {
+      const wait = { resolve, timer: null };
+      wait.timer = setTimeout(() => {
+        this.#waits.delete(wait);
+        resolve(true);
+      }, delay);
+      this.#waits.add(wait);
+    });
+  }
+}
+
+export default ChannelRouter;
@@ -0,0 +1,44 @@
+/**
+ * Notification Channel - Abstract destination for reminder alerts
+ * The router decides which alerts a channel gets and retries failed deliveries; channels only deliver
+ */
+
+export class NotificationChannel {
+  #id = null;
+
+  constructor(id) {
+    if (!id) {
+      throw new Error('NotificationChannel requires an id');
+    }
+    this.#id = id;
+  }
+
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Deliver one alert
+   * @param {Object} alert - { reminder, minutesBefore, isOverdue, alertType, attempt, volume }
+   * @returns {Promise<void>} Rejects with a ChannelError when delivery failed; details.retryable = false stops retries
+   */
+  async deliver(alert) {
+    throw new Error('deliver method must be implemented');
+  }
+}
+
+// Wraps a function; NotificationService delivers its popup, browser notification and sound this way
+export class CallbackChannel extends NotificationChannel {
+  #deliver = null;
+
+  constructor(id, deliver) {
+    super(id);
+    this.#deliver = deliver;
+  }
+
+  async deliver(alert) {
+    await this.#deliver(alert);
+  }
+}
+
+export default NotificationChannel;
@@ -0,0 +1,100 @@
+/**
+ * Webhook Channel - POSTs each alert as JSON to a user-configured URL
+ * {
+ *   event: 'reminder.alert', sentAt,
+ *   reminder: { id, title, datetime, priority, category, tags, status },
+ *   minutesBefore, isOverdue, attempt
+ * }
+ * Descriptions are left out. The request comes from the page, so the endpoint must allow it through CORS.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { ChannelError, ERROR_CODES } from '../../types/interfaces.js';
+import { NotificationChannel } from './NotificationChannel.js';
+
+// Worth trying again: the request may succeed once the server recovers or stops throttling
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+export class WebhookChannel extends NotificationChannel {
+  #url = null;
+  #headers = {};
+  #timeout = 0;
+  #fetch = null;
+
+  /**
+   * @param {Object} options - { id, url, headers, timeout, fetch }
+   */
+  constructor(options = {}) {
+    super(options.id || 'webhook');
+
+    if (!options.url) {
+      throw new Error('WebhookChannel requires a url');
+    }
+
+    this.#url = options.url;
+    this.#headers = options.headers || {};
+    this.#timeout = options.timeout || APP_CONFIG.alerts.channels.timeout;
+    this.#fetch = options.fetch || globalThis.fetch?.bind(globalThis);
+  }
+
+  get url() {
+    return this.#url;
+  }
+
+  static toPayload({ reminder, minutesBefore, isOverdue, attempt = 1 }) {
+    return {
+      event: 'reminder.alert',
+      sentAt: new Date().toISOString(),
+      reminder: {
+        id: reminder.id,
+        title: reminder.title,
+        datetime: reminder.datetime,
+        priority: reminder.priority ?? null,
+        category: reminder.category ?? null,
+        tags: reminder.tags || [],
+        status: reminder.status ?? null
+      },
+      minutesBefore,
+      isOverdue: Boolean(isOverdue),
+      attempt
+    };
+  }
+
+  async deliver(alert) {
+    if (!this.#fetch) {
+      throw new ChannelError('fetch is not available in this environment', ERROR_CODES.NETWORK_ERROR, { retryable: false });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.#timeout);
+
+    try {
+      const response = await this.#fetch(this.#url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.#headers },
+        body: JSON.stringify(WebhookChannel.toPayload(alert)),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new ChannelError(
+            `Webhook request failed: ${response.status} ${response.statusText}`,
+            ERROR_CODES.NETWORK_ERROR,
+            { status: response.status, retryable: response.status >= 500 || RETRYABLE_STATUSES.includes(response.status) }
+        );
+      }
+    } catch (error) {
+      if (error instanceof ChannelError) throw error;
+
+      if (error.name === 'AbortError') {
+        throw new ChannelError(`Webhook request timed out after ${this.#timeout}ms`, ERROR_CODES.TIMEOUT, { retryable: true });
+      }
+
+      throw new ChannelError(`Webhook request failed: ${error.message}`, ERROR_CODES.NETWORK_ERROR, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default WebhookChannel;
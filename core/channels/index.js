@@ -0,0 +1,3 @@
+export { NotificationChannel, CallbackChannel } from './NotificationChannel.js';
+export { WebhookChannel } from './WebhookChannel.js';
+export { ChannelRouter } from './ChannelRouter.js';
\ No newline at end of file
@@ -1,3 +1,5 @@
 // src/core/index.js - Core module barrel exports
 export * from './services/index.js';
-export * from './storage/index.js';
\ No newline at end of file
+export * from './storage/index.js';
+export * from './sync/index.js';
+export * from './channels/index.js';
\ No newline at end of file
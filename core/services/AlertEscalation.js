@@ -0,0 +1,126 @@
+/**
+ * Alert Escalation - Repeats of unanswered alert popups, and how quickly alerts get answered
+ * Popups of priorities listed in APP_CONFIG.alerts.escalation are shown again every repeatMinutes when
+ * they time out, and reported missed after maxAttempts; other priorities alert once. Responses are kept
+ * for latency statistics. Holds no timers: NotificationService waits out the delays returned here.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+
+const SINGLE_ATTEMPT = Object.freeze({ repeatMinutes: 0, maxAttempts: 1, volumeStep: 0 });
+
+export class AlertEscalation {
+  #policies = null;
+  #historyLimit = 0;
+  #active = new Map(); // alertKey -> { reminder, minutesBefore, isOverdue, attempt, firstShownAt }
+  #acknowledgements = []; // { reminderId, action, attempts, latencyMs, at }, oldest first
+  #missedCount = 0; // Alerts that ran out of attempts without a response
+
+  /**
+   * @param {Object} options - { policies, historyLimit }: overrides for APP_CONFIG.alerts.escalation
+   *   and APP_CONFIG.alerts.acknowledgementHistory
+   */
+  constructor(options = {}) {
+    this.#policies = options.policies ?? APP_CONFIG.alerts.escalation;
+    this.#historyLimit = options.historyLimit ?? APP_CONFIG.alerts.acknowledgementHistory;
+  }
+
+  getPolicy(reminder) {
+    return this.#policies[reminder?.priority] || SINGLE_ATTEMPT;
+  }
+
+  get size() {
+    return this.#active.size;
+  }
+
+  // Keys of the alerts still escalating, for one reminder or all of them
+  getKeys(reminderId = null) {
+    return Array.from(this.#active.entries())
+        .filter(([, escalation]) => reminderId === null || escalation.reminder.id === reminderId)
+        .map(([alertKey]) => alertKey);
+  }
+
+  /**
+   * Count another showing of an alert; latency is measured from the first
+   * @returns {Object} { reminder, minutesBefore, isOverdue, attempt, firstShownAt }
+   */
+  start(alertKey, { reminder, minutesBefore, isOverdue = false }, now = Date.now()) {
+    const escalation = this.#active.get(alertKey) || { minutesBefore, isOverdue, attempt: 0, firstShownAt: now };
+
+    escalation.reminder = reminder;
+    escalation.attempt++;
+    this.#active.set(alertKey, escalation);
+    return { ...escalation };
+  }
+
+  /**
+   * The alert's popup closed unanswered
+   * @returns {Object|null} The escalation with `missed` set once it ran out of attempts, or with the `delayMs`
+   *   to wait before showing it again; null when the alert isn't escalating
+   */
+  timedOut(alertKey) {
+    const escalation = this.#active.get(alertKey);
+    if (!escalation) return null;
+
+    const policy = this.getPolicy(escalation.reminder);
+    if (escalation.attempt >= policy.maxAttempts) {
+      this.#active.delete(alertKey);
+      this.#missedCount++;
+      return { ...escalation, missed: true };
+    }
+
+    return { ...escalation, missed: false, delayMs: policy.repeatMinutes * 60 * 1000 };
+  }
+
+  /**
+   * Complete, snooze, reschedule or dismiss ends the escalation
+   * @returns {Object|null} The acknowledgement kept for statistics, or null when the alert wasn't escalating
+   */
+  acknowledge(alertKey, action, now = Date.now()) {
+    const escalation = this.#active.get(alertKey);
+    if (!escalation) return null;
+
+    this.#active.delete(alertKey);
+
+    const acknowledgement = {
+      reminderId: escalation.reminder.id,
+      action,
+      attempts: escalation.attempt,
+      latencyMs: now - escalation.firstShownAt,
+      at: new Date(now).toISOString()
+    };
+    this.#acknowledgements = [...this.#acknowledgements, acknowledgement].slice(-this.#historyLimit);
+    return acknowledgement;
+  }
+
+  // Stop without a response, e.g. the reminder was cancelled or quiet time began
+  cancel(alertKey) {
+    return this.#active.delete(alertKey);
+  }
+
+  getAcknowledgements() {
+    return [...this.#acknowledgements];
+  }
+
+  // Replace the kept responses, e.g. with the signed-in user's saved ones
+  setAcknowledgements(acknowledgements = []) {
+    this.#acknowledgements = acknowledgements.slice(-this.#historyLimit);
+  }
+
+  getStats() {
+    const latencies = this.#acknowledgements.map(({ latencyMs }) => latencyMs).sort((a, b) => a - b);
+
+    return {
+      escalatingAlerts: this.#active.size,
+      missedAlerts: this.#missedCount,
+      acknowledgements: {
+        count: latencies.length,
+        byAction: this.#acknowledgements.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] || 0) + 1 }), {}),
+        averageLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        medianLatencyMs: latencies.length ? latencies[Math.floor(latencies.length / 2)] : null
+      }
+    };
+  }
+}
+
+export default AlertEscalation;
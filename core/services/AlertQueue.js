@@ -0,0 +1,178 @@
+/**
+ * Alert Queue - Persisted list of the alerts a user's reminders will raise
+ * NotificationService only keeps timers for alerts inside a rolling window; the queue remembers
+ * the rest, and which ones already fired, so a reload can re-arm them and report any that came due
+ * while the app was closed. Responses to alerts are kept alongside for latency statistics. Entries hold
+ * ids and times only, so nothing bypasses the encryption layer.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+
+export const ALERT_STATES = Object.freeze({
+  PENDING: 'pending',
+  FIRED: 'fired',
+  HELD: 'held', // Came due during quiet hours; delivered in the summary when they end
+  MISSED: 'missed'
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (value) => new Date(value).getTime();
+
+export class AlertQueue {
+  #storage = null;
+  #userId = null;
+  #options = null;
+  #entries = [];
+  #writeQueue = Promise.resolve();
+
+  /**
+   * @param {StorageInterface} storage
+   * @param {string} userId
+   * @param {Object} options - Overrides for APP_CONFIG.alerts
+   */
+  constructor(storage, userId, options = {}) {
+    if (!storage || !userId) {
+      throw new Error('AlertQueue requires storage and userId');
+    }
+
+    this.#storage = storage;
+    this.#userId = userId;
+    this.#options = { ...APP_CONFIG.alerts, ...options };
+  }
+
+  // The same alert always gets the same id, so re-queueing a reminder keeps what's known about it
+  static entryId(reminderId, timing, fireAt) {
+    return `${reminderId}:${timing}@${toTime(fireAt)}`;
+  }
+
+  get userId() {
+    return this.#userId;
+  }
+
+  get #metadataKey() {
+    return `${this.#options.metadataPrefix}${this.#userId}`;
+  }
+
+  get #acknowledgementKey() {
+    return `${this.#options.acknowledgementPrefix}${this.#userId}`;
+  }
+
+  async load() {
+    this.#entries = (await this.#storage.getMetadata(this.#metadataKey)) || [];
+    return this.getEntries();
+  }
+
+  // Soonest first
+  getEntries(state = null) {
+    return this.#entries
+        .filter(entry => !state || entry.state === state)
+        .sort((a, b) => toTime(a.fireAt) - toTime(b.fireAt));
+  }
+
+  /**
+   * Set a reminder's upcoming alerts. Entries already due are left alone, so they can still be
+   * reported as missed if they never fired.
+   * @param {string} reminderId
+   * @param {Object[]} alerts - { timing, fireAt }: minutes before the reminder, and when to alert
+   */
+  async replace(reminderId, alerts, now = Date.now()) {
+    await this.#mutate(entries => {
+      const kept = entries.filter(entry => entry.reminderId !== reminderId || toTime(entry.fireAt) <= now);
+      const known = new Set(kept.map(entry => entry.id));
+
+      const upcoming = alerts
+          .filter(alert => toTime(alert.fireAt) > now)
+          .map(alert => ({
+            id: AlertQueue.entryId(reminderId, alert.timing, alert.fireAt),
+            reminderId,
+            fireAt: new Date(alert.fireAt).toISOString(),
+            timing: alert.timing,
+            state: ALERT_STATES.PENDING
+          }))
+          .filter(entry => !known.has(entry.id));
+
+      return [...kept, ...upcoming];
+    });
+  }
+
+  async remove(reminderId) {
+    await this.#mutate(entries => entries.filter(entry => entry.reminderId !== reminderId));
+  }
+
+  async markFired(id) {
+    await this.#mutate(entries => entries.map(entry => (
+      entry.id === id ? { ...entry, state: ALERT_STATES.FIRED, firedAt: new Date().toISOString() } : entry
+    )));
+  }
+
+  async markHeld(id) {
+    await this.#mutate(entries => entries.map(entry => (entry.id === id ? { ...entry, state: ALERT_STATES.HELD } : entry)));
+  }
+
+  /**
+   * Mark pending alerts whose time has passed as missed, and prune settled ones past retention
+   * Alerts older than missedAlerts.maxAgeDays are marked without being reported
+   * @param {string[]} delivered - Ids of entries the service worker showed while no tab was open; these are marked fired
+   * @returns {Promise<Object[]>} The newly missed entries worth reporting, oldest first
+   */
+  async collectMissed(delivered = [], now = Date.now()) {
+    const { retentionDays, missedAlerts } = this.#options;
+    const deliveredIds = new Set(delivered);
+    let missed = [];
+
+    await this.#mutate(entries => {
+      const overdue = entries.filter(entry => entry.state === ALERT_STATES.PENDING && toTime(entry.fireAt) <= now);
+      const overdueIds = new Set(overdue.map(entry => entry.id));
+      missed = overdue.filter(entry => !deliveredIds.has(entry.id) && now - toTime(entry.fireAt) <= missedAlerts.maxAgeDays * DAY_MS);
+
+      return entries
+          .map(entry => {
+            if (!overdueIds.has(entry.id)) return entry;
+            return deliveredIds.has(entry.id)
+              ? { ...entry, state: ALERT_STATES.FIRED, firedAt: new Date(now).toISOString() }
+              : { ...entry, state: ALERT_STATES.MISSED };
+          })
+          .filter(entry => entry.state === ALERT_STATES.PENDING || now - toTime(entry.fireAt) <= retentionDays * DAY_MS);
+    });
+
+    return missed
+        .map(entry => ({ ...entry, state: ALERT_STATES.MISSED }))
+        .sort((a, b) => toTime(a.fireAt) - toTime(b.fireAt));
+  }
+
+  async clear() {
+    await this.#mutate(() => []);
+  }
+
+  // { reminderId, action, attempts, latencyMs, at } responses, oldest first
+  async getAcknowledgements() {
+    return (await this.#storage.getMetadata(this.#acknowledgementKey)) || [];
+  }
+
+  // Keeps the latest acknowledgementHistory responses
+  async recordAcknowledgement(acknowledgement) {
+    await this.#enqueue(async () => {
+      const stored = await this.getAcknowledgements();
+      const kept = [...stored, acknowledgement].slice(-this.#options.acknowledgementHistory);
+      await this.#storage.saveMetadata(this.#acknowledgementKey, kept);
+    });
+  }
+
+  // Re-read before every write so another tab's changes aren't overwritten
+  #mutate(update) {
+    return this.#enqueue(async () => {
+      const stored = (await this.#storage.getMetadata(this.#metadataKey)) || [];
+      this.#entries = update(stored);
+      await this.#storage.saveMetadata(this.#metadataKey, this.#entries);
+    });
+  }
+
+  #enqueue(task) {
+    const write = this.#writeQueue.then(task);
+    this.#writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+export default AlertQueue;
@@ -0,0 +1,233 @@
+/**
+ * Audit Log - Who did what to which reminder or account, and when
+ * Entries go to the storage layer's append-only audit store, which prunes them by age and count
+ * (APP_CONFIG.audit). Recording never throws, so a failed write can't block the action it describes.
+ */
+
+import { APP_CONFIG, REMINDER_CONFIG } from '../../config/constants.js';
+import { PERMISSIONS, assertPermission } from '../../types/interfaces.js';
+import { diffFields, SYSTEM_FIELDS } from '../sync/merge.js';
+
+export const AUDIT_ACTIONS = Object.freeze({
+  REMINDER_CREATED: 'reminder.created',
+  REMINDER_UPDATED: 'reminder.updated',
+  REMINDER_COMPLETED: 'reminder.completed',
+  REMINDER_SNOOZED: 'reminder.snoozed',
+  REMINDER_DELETED: 'reminder.deleted',
+  REMINDER_RESTORED: 'reminder.restored',
+  REMINDER_PURGED: 'reminder.purged',
+  TRASH_EMPTIED: 'trash.emptied',
+  TAG_UPDATED: 'tag.updated',
+  TAG_RENAMED: 'tag.renamed',
+  TAG_MERGED: 'tag.merged',
+  TAG_DELETED: 'tag.deleted',
+  CATEGORY_UPDATED: 'category.updated',
+  CATEGORY_DELETED: 'category.deleted',
+  DATA_IMPORTED: 'data.imported',
+  DATA_EXPORTED: 'data.exported',
+  DATA_CLEARED: 'data.cleared',
+  ACCOUNT_REGISTERED: 'account.registered',
+  ACCOUNT_LOGIN: 'account.login',
+  ACCOUNT_LOGIN_FAILED: 'account.login-failed',
+  ACCOUNT_LOGOUT: 'account.logout',
+  ACCOUNT_PASSWORD_CHANGED: 'account.password-changed',
+  ACCOUNT_DELETED: 'account.deleted'
+});
+
+// ReminderService 'tags-changed' actions
+const TAG_ACTIONS = Object.freeze({
+  saved: AUDIT_ACTIONS.TAG_UPDATED,
+  renamed: AUDIT_ACTIONS.TAG_RENAMED,
+  merged: AUDIT_ACTIONS.TAG_MERGED,
+  deleted: AUDIT_ACTIONS.TAG_DELETED
+});
+
+// ReminderService 'categories-changed' actions
+const CATEGORY_ACTIONS = Object.freeze({
+  saved: AUDIT_ACTIONS.CATEGORY_UPDATED,
+  deleted: AUDIT_ACTIONS.CATEGORY_DELETED
+});
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source?.[field] ?? null]));
+
+const snapshot = (reminder) => Object.fromEntries(
+    Object.entries(reminder).filter(([field]) => !SYSTEM_FIELDS.includes(field))
+);
+
+export class AuditLog {
+  #storage = null;
+  #options = null;
+  #appendsSincePrune = 0;
+  #auth = null; // From attachAuth; querying then needs PERMISSIONS.AUDIT_READ
+
+  /**
+   * @param {StorageInterface} storage - The app's storage service (encryption seals diffs)
+   * @param {Object} options - { maxEntries, maxAgeDays, pruneEvery }
+   */
+  constructor(storage, options = {}) {
+    if (!storage) {
+      throw new Error('AuditLog requires storage');
+    }
+
+    this.#storage = storage;
+    this.#options = { ...APP_CONFIG.audit, ...options };
+    this.#appendsSincePrune = this.#options.pruneEvery; // Prune on the first append of a session
+  }
+
+  /**
+   * Before/after values of what changed: the full reminder for creates and deletes, changed fields for updates
+   * @param {Object|null} before
+   * @param {Object|null} after
+   * @param {string[]} fields - Changed fields when `before` isn't known
+   */
+  static diff(before, after, fields = null) {
+    if (before && after) {
+      const changed = diffFields(before, after);
+      return changed.length ? { before: pick(before, changed), after: pick(after, changed) } : null;
+    }
+    if (after) {
+      return { before: null, after: fields ? pick(after, fields) : snapshot(after) };
+    }
+    return before ? { before: snapshot(before), after: null } : null;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} event - { action, userId, reminder, previous, fields, details }
+   *   userId is who acted; reminder/previous are the states after and before the action
+   * @returns {Promise<Object|null>} The stored entry, or null if it couldn't be written
+   */
+  async record({ action, userId = null, reminder = null, previous = null, fields = null, details = null }) {
+    const subject = reminder || previous;
+    const entry = {
+      action,
+      userId,
+      reminderId: subject?.id ?? null,
+      ownerId: subject?.userId ?? userId,
+      diff: AuditLog.diff(previous, reminder, fields),
+      details
+    };
+
+    try {
+      const stored = await this.#storage.appendAuditEntry(entry);
+      await this.#pruneIfDue();
+      return stored;
+    } catch (error) {
+      console.warn(`Failed to record audit entry "${action}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} filters - { userId, action, reminderId, from, to, limit }
+   * @returns {Promise<Object[]>} Newest first
+   * @throws {PermissionError} When an attached AuthService's user isn't allowed to read the log
+   */
+  async query(filters = {}) {
+    if (this.#auth) {
+      assertPermission(this.#auth.getCurrentUser(), PERMISSIONS.AUDIT_READ);
+    }
+    return this.#storage.queryAuditLog(filters);
+  }
+
+  async prune() {
+    const { maxEntries, maxAgeDays } = this.#options;
+    this.#appendsSincePrune = 0;
+    return this.#storage.pruneAuditLog({ maxEntries, maxAgeDays });
+  }
+
+  /**
+   * Record reminder mutations made through a ReminderService
+   * @returns {Function} Detaches the listeners
+   */
+  attach(reminderService) {
+    const on = (event, handler) => reminderService.on(event, data => handler(data || {}));
+    const unsubscribers = [
+      on('reminder-created', ({ reminder, userId }) =>
+        this.record({ action: AUDIT_ACTIONS.REMINDER_CREATED, userId, reminder })),
+      // Undo and redo don't know the previous state, only which fields they wrote
+      on('reminder-updated', ({ reminder, previous, changes, userId }) =>
+        this.record({
+          action: this.#updateAction(changes),
+          userId,
+          reminder,
+          previous,
+          fields: previous ? null : Object.keys(changes || {})
+        })),
+      on('reminder-deleted', ({ reminder, userId }) =>
+        this.record({ action: AUDIT_ACTIONS.REMINDER_DELETED, userId, previous: reminder })),
+      on('reminder-restored', ({ reminder, userId }) =>
+        this.record({ action: AUDIT_ACTIONS.REMINDER_RESTORED, userId, reminder, fields: ['deletedAt'] })),
+      on('reminder-purged', ({ reminder, userId }) =>
+        this.record({ action: AUDIT_ACTIONS.REMINDER_PURGED, userId, previous: reminder })),
+      on('trash-emptied', ({ purged, userId }) =>
+        this.record({ action: AUDIT_ACTIONS.TRASH_EMPTIED, userId, details: { purged } })),
+      // One entry per tag change rather than one per retagged reminder
+      on('tags-changed', ({ action, names, target, color, reminders = [], userId }) =>
+        this.record({
+          action: TAG_ACTIONS[action],
+          userId,
+          details: { names, target: target ?? null, color: color ?? null, reminders: reminders.length }
+        })),
+      on('categories-changed', ({ action, category, replacement, reminders = [], userId }) =>
+        this.record({
+          action: CATEGORY_ACTIONS[action],
+          userId,
+          details: { category: category ?? null, replacement: replacement ?? null, reminders: reminders.length }
+        }))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Record sign-ins, sign-outs and account changes from an AuthService, and limit query() to its
+   * signed-in user's permissions
+   * @returns {Function} Detaches the listeners
+   */
+  attachAuth(authService) {
+    this.#auth = authService;
+    const unsubscribers = [
+      authService.on('registered', user =>
+        this.record({ action: AUDIT_ACTIONS.ACCOUNT_REGISTERED, userId: user?.username })),
+      authService.on('authenticated', session =>
+        this.record({ action: AUDIT_ACTIONS.ACCOUNT_LOGIN, userId: session?.username })),
+      authService.on('authentication-failed', (error, attempt) =>
+        this.record({
+          action: AUDIT_ACTIONS.ACCOUNT_LOGIN_FAILED,
+          userId: attempt?.username || null,
+          details: { reason: error?.message || 'Unknown error' }
+        })),
+      authService.on('logout', user => {
+        if (user?.username) this.record({ action: AUDIT_ACTIONS.ACCOUNT_LOGOUT, userId: user.username });
+      }),
+      authService.on('password-changed', user =>
+        this.record({ action: AUDIT_ACTIONS.ACCOUNT_PASSWORD_CHANGED, userId: user?.username })),
+      authService.on('account-deleted', user =>
+        this.record({ action: AUDIT_ACTIONS.ACCOUNT_DELETED, userId: user?.username }))
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      if (this.#auth === authService) this.#auth = null;
+    };
+  }
+
+  // Completing and snoozing are updates underneath; name them after what the user did
+  #updateAction(changes = {}) {
+    if (changes.status === REMINDER_CONFIG.status.COMPLETED || changes.lastCompletedAt) {
+      return AUDIT_ACTIONS.REMINDER_COMPLETED;
+    }
+    if (changes.snoozedAt) {
+      return AUDIT_ACTIONS.REMINDER_SNOOZED;
+    }
+    return AUDIT_ACTIONS.REMINDER_UPDATED;
+  }
+
+  async #pruneIfDue() {
+    if (++this.#appendsSincePrune < this.#options.pruneEvery) return;
+    await this.prune();
+  }
+}
+
+export default AuditLog;
@@ -1,21 +1,93 @@
 /**
- * Authentication Service - Handles user authentication and session management
+ * Authentication Service - Handles user accounts, authentication and session management
+ * Accounts are kept in the storage layer's metadata with PBKDF2-hashed passwords
  */
 
 import { EventEmitter } from '../../utils/helpers.js';
 import { LocalStorage } from '../../utils/storage.js';
-import { APP_CONFIG, DEMO_USERS } from '../../config/constants.js';
-import { ValidationError, createUserSession } from '../../types/interfaces.js';
+import { CryptoUtils } from '../../utils/crypto.js';
+import { StorageFactory } from '../storage/StorageFactory.js';
+import { APP_CONFIG, DEMO_USERS, VALIDATION_RULES } from '../../config/constants.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  ERROR_CODES,
+  createUserSession,
+  generateId
+} from '../../types/interfaces.js';
+
+const USER_STORE_VERSION = 1;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PATTERN_MESSAGES = Object.freeze({
+  username: 'Username can only contain letters, numbers, underscores, and hyphens'
+});
+
+// Usernames are unique regardless of case
+const userKey = (username) => String(username || '').trim().toLowerCase();
 
 export class AuthService extends EventEmitter {
   #currentUser = null;
   #sessionCheckInterval = null;
+  #storageService = null;
+  #userStore = null;
+  #userStoreLoading = null;
+  #writeQueue = Promise.resolve();
 
-  constructor() {
+  constructor(storageService = null) {
     super();
+    this.#storageService = storageService;
     this.#setupSessionMonitoring();
   }
 
+  /**
+   * Create a new account
+   * @param {Object} details - { username, password, confirmPassword, profile }
+   * @returns {Promise<Object>} The new user without credentials
+   */
+  async register(details) {
+    const { password, confirmPassword, profile = {} } = details;
+    const username = details.username?.trim();
+
+    try {
+      this.#validateRegistration({ username, password, confirmPassword, profile });
+
+      const now = new Date().toISOString();
+      const user = await this.#updateUserStore(async (store) => {
+        if (store.users[userKey(username)]) {
+          throw new ValidationError('username', 'Username is already taken', ERROR_CODES.DUPLICATE_ENTRY);
+        }
+
+        const record = {
+          id: generateId(),
+          username,
+          role: APP_CONFIG.auth.defaultRole,
+          profile: {
+            firstName: profile.firstName?.trim() || username,
+            lastName: profile.lastName?.trim() || '',
+            email: profile.email?.trim() || '',
+            avatar: profile.avatar || '👤'
+          },
+          credential: await CryptoUtils.hashPassword(password),
+          createdAt: now,
+          updatedAt: now,
+          passwordChangedAt: now
+        };
+
+        store.users[userKey(username)] = record;
+        return record;
+      });
+
+      const publicUser = this.#toPublicUser(user);
+      this.emit('registered', publicUser);
+
+      return publicUser;
+    } catch (error) {
+      this.emit('registration-failed', error);
+      throw error;
+    }
+  }
+
   // Authenticate user with credentials
   async authenticate(credentials) {
     const { username, password, rememberMe = false } = credentials;
@@ -24,14 +96,17 @@ export class AuthService extends EventEmitter {
       // Validate credentials format
       this.#validateCredentials(username, password);
 
-      // Find user in demo users
-      const user = this.#findUser(username, password);
+      const user = await this.#verifyCredentials(username, password);
       if (!user) {
         throw new ValidationError('credentials', 'Invalid username or password');
       }
 
+      // The login password is also the passphrase for encrypted storage
+      const storage = await this.#getStorage();
+      await storage.unlock?.(user.username, password);
+
       // Create session
-      const session = createUserSession(user, rememberMe);
+      const session = createUserSession(this.#toPublicUser(user), rememberMe);
 
       // Store session
       LocalStorage.set(APP_CONFIG.storage.keys.USER_SESSION, session, {
@@ -45,11 +120,81 @@ export class AuthService extends EventEmitter {
 
       return session;
     } catch (error) {
-      this.emit('authentication-failed', error);
+      this.emit('authentication-failed', error, { username });
       throw error;
     }
   }
 
+  // Change the signed-in user's password after confirming the current one
+  async changePassword(currentPassword, newPassword) {
+    const session = this.#requireSession();
+
+    const user = await this.#verifyCredentials(session.username, currentPassword);
+    if (!user) {
+      throw new ValidationError('currentPassword', 'Current password is incorrect');
+    }
+
+    this.#checkRule('password', newPassword, 'newPassword', 'New password');
+    if (newPassword === currentPassword) {
+      throw new ValidationError('newPassword', 'New password must be different from the current password');
+    }
+
+    // Re-wrap the encryption keys first so the stored data always matches the password
+    const storage = await this.#getStorage();
+    await storage.changePassphrase?.(user.username, currentPassword, newPassword);
+
+    let updated;
+    try {
+      const credential = await CryptoUtils.hashPassword(newPassword);
+      updated = await this.#updateUserStore((store) => {
+        const record = store.users[userKey(session.username)];
+        if (!record) {
+          throw new AuthenticationError('Account no longer exists');
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(record, { credential, updatedAt: now, passwordChangedAt: now });
+        return record;
+      });
+    } catch (error) {
+      await storage.changePassphrase?.(user.username, newPassword, currentPassword);
+      throw error;
+    }
+
+    this.emit('password-changed', this.#toPublicUser(updated));
+    return true;
+  }
+
+  // Permanently delete the signed-in account along with all of its reminders and preferences
+  async deleteAccount(password) {
+    const session = this.#requireSession();
+
+    const user = await this.#verifyCredentials(session.username, password);
+    if (!user) {
+      throw new ValidationError('password', 'Password is incorrect');
+    }
+
+    // Data goes first so a failure leaves the account in place to retry
+    const storage = await this.#getStorage();
+    const remindersDeleted = await storage.clearUserData(user.username);
+
+    await this.#updateUserStore((store) => {
+      delete store.users[userKey(user.username)];
+    });
+
+    const publicUser = this.#toPublicUser(user);
+    this.emit('account-deleted', publicUser);
+    this.logout();
+
+    return { username: publicUser.username, remindersDeleted };
+  }
+
+  // Whether a username is already registered
+  async userExists(username) {
+    const store = await this.#loadUserStore();
+    return Boolean(store.users[userKey(username)]);
+  }
+
   // Check if user is currently authenticated
   isAuthenticated() {
     if (this.#currentUser) return true;
@@ -77,6 +222,10 @@ export class AuthService extends EventEmitter {
     this.#currentUser = null;
     LocalStorage.remove(APP_CONFIG.storage.keys.USER_SESSION);
 
+    if (user?.username) {
+      this.#storageService?.lock?.(user.username);
+    }
+
     this.emit('logout', user);
   }
 
@@ -123,10 +272,151 @@ export class AuthService extends EventEmitter {
     }
   }
 
-  // Find user in demo users database
-  #findUser(username, password) {
-    const user = DEMO_USERS[username];
-    return user?.password === password ? user : null;
+  // Look up an account and check its password; returns the stored record or null
+  async #verifyCredentials(username, password) {
+    const store = await this.#loadUserStore();
+    const user = store.users[userKey(username)];
+
+    if (!user) {
+      // Spend the same hashing time so unknown usernames can't be told apart by latency
+      await CryptoUtils.hashPassword(password);
+      return null;
+    }
+
+    if (!await CryptoUtils.verifyPassword(password, user.credential)) {
+      return null;
+    }
+
+    if (CryptoUtils.needsRehash(user.credential)) {
+      const credential = await CryptoUtils.hashPassword(password);
+      await this.#updateUserStore((current) => {
+        const record = current.users[userKey(username)];
+        if (record) record.credential = credential;
+      });
+    }
+
+    return user;
+  }
+
+  #requireSession() {
+    const session = this.getCurrentUser();
+    if (!session) {
+      throw new AuthenticationError('You must be signed in to manage your account');
+    }
+    return session;
+  }
+
+  // Enforce VALIDATION_RULES.user for a new account
+  #validateRegistration({ username, password, confirmPassword, profile }) {
+    this.#checkRule('username', username, 'username', 'Username');
+    this.#checkRule('password', password, 'password', 'Password');
+
+    if (confirmPassword !== undefined && confirmPassword !== password) {
+      throw new ValidationError('confirmPassword', 'Passwords do not match');
+    }
+
+    if (profile.email && !EMAIL_PATTERN.test(profile.email.trim())) {
+      throw new ValidationError('email', 'Must be a valid email address');
+    }
+  }
+
+  #checkRule(ruleName, value, field, label) {
+    const rules = VALIDATION_RULES.user[ruleName];
+    const text = value == null ? '' : String(value);
+
+    if (rules.required && text.trim() === '') {
+      throw new ValidationError(field, `${label} is required`);
+    }
+
+    if (rules.minLength && text.length < rules.minLength) {
+      throw new ValidationError(field, `${label} must be at least ${rules.minLength} characters`);
+    }
+
+    if (rules.maxLength && text.length > rules.maxLength) {
+      throw new ValidationError(field, `${label} must be ${rules.maxLength} characters or less`);
+    }
+
+    if (rules.pattern && !rules.pattern.test(text)) {
+      throw new ValidationError(field, PATTERN_MESSAGES[ruleName] || `${label} contains invalid characters`);
+    }
+  }
+
+  // Strip the credential before a user leaves the service
+  #toPublicUser(user) {
+    const { credential, ...publicUser } = user;
+    return { ...publicUser, profile: { ...publicUser.profile } };
+  }
+
+  async #getStorage() {
+    if (!this.#storageService) {
+      this.#storageService = await StorageFactory.getInstance('default-user');
+    }
+    return this.#storageService;
+  }
+
+  async #loadUserStore() {
+    if (this.#userStore) return this.#userStore;
+
+    if (!this.#userStoreLoading) {
+      this.#userStoreLoading = (async () => {
+        const storage = await this.#getStorage();
+        let store = await storage.getMetadata(APP_CONFIG.auth.userStoreKey);
+
+        if (!store?.users) {
+          store = await this.#createSeededStore();
+          await storage.saveMetadata(APP_CONFIG.auth.userStoreKey, store);
+        }
+
+        this.#userStore = store;
+        return store;
+      })().finally(() => {
+        this.#userStoreLoading = null;
+      });
+    }
+
+    return this.#userStoreLoading;
+  }
+
+  // First run: the demo accounts become ordinary hashed accounts
+  async #createSeededStore() {
+    const now = new Date().toISOString();
+    const users = {};
+
+    for (const demoUser of Object.values(DEMO_USERS)) {
+      const { password, ...rest } = demoUser;
+      users[userKey(demoUser.username)] = {
+        ...rest,
+        profile: { ...rest.profile },
+        credential: await CryptoUtils.hashPassword(password),
+        createdAt: now,
+        updatedAt: now,
+        passwordChangedAt: now
+      };
+    }
+
+    return { version: USER_STORE_VERSION, users };
+  }
+
+  // Writes are serialized so concurrent registrations can't overwrite each other
+  #updateUserStore(mutator) {
+    const run = async () => {
+      const store = await this.#loadUserStore();
+
+      try {
+        const result = await mutator(store);
+        const storage = await this.#getStorage();
+        await storage.saveMetadata(APP_CONFIG.auth.userStoreKey, store);
+        return result;
+      } catch (error) {
+        // Drop the cached copy so a half-applied change isn't kept in memory
+        this.#userStore = null;
+        throw error;
+      }
+    };
+
+    const pending = this.#writeQueue.then(run, run);
+    this.#writeQueue = pending.catch(() => {});
+    return pending;
   }
 
   // Setup automatic session monitoring
@@ -0,0 +1,298 @@
+/**
+ * Command History - Bounded undo/redo stacks of reminder mutations for one user
+ * Each command keeps the before/after state of every reminder it touched, so undo and redo
+ * are plain storage writes. Stacks are saved in storage metadata and survive page reloads;
+ * tabs keep their own stacks, and the one saved last is what a reload picks up.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { generateId, ERROR_CODES } from '../../types/interfaces.js';
+import { EventEmitter } from '../../utils/helpers.js';
+import { diffFields } from '../sync/merge.js';
+
+const HISTORY_VERSION = 1;
+
+export const COMMAND_TYPES = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  COMPLETE: 'complete',
+  SNOOZE: 'snooze',
+  RESTORE: 'restore'
+});
+
+// What undoing or redoing did to each reminder
+export const CHANGE_KINDS = Object.freeze({
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted'
+});
+
+const LABELS = {
+  [COMMAND_TYPES.CREATE]: ['Create reminder', 'Create {n} reminders'],
+  [COMMAND_TYPES.UPDATE]: ['Edit reminder', 'Edit {n} reminders'],
+  [COMMAND_TYPES.DELETE]: ['Delete reminder', 'Delete {n} reminders'],
+  [COMMAND_TYPES.COMPLETE]: ['Complete reminder', 'Complete {n} reminders'],
+  [COMMAND_TYPES.SNOOZE]: ['Snooze reminder', 'Snooze {n} reminders'],
+  [COMMAND_TYPES.RESTORE]: ['Restore reminder', 'Restore {n} reminders']
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source?.[field] ?? null]));
+
+export class CommandHistory extends EventEmitter {
+  #storage = null;
+  #userId = null;
+  #limit = 0;
+  #undoStack = [];
+  #redoStack = [];
+  #sealed = new Map(); // command id -> command as saved, so unchanged entries aren't encrypted again
+  #queue = Promise.resolve(); // record/undo/redo run one at a time so a double Ctrl+Z can't replay a command
+
+  /**
+   * @param {StorageInterface} storage - The app's storage service; snapshots go through its seal/open hooks
+   * @param {string} userId
+   * @param {Object} options - { limit }
+   */
+  constructor(storage, userId, options = {}) {
+    super();
+
+    if (!storage || !userId) {
+      throw new Error('CommandHistory requires storage and userId');
+    }
+
+    this.#storage = storage;
+    this.#userId = userId;
+    this.#limit = options.limit ?? APP_CONFIG.history.limit;
+  }
+
+  // === Change builders for record() ===
+
+  static created(reminder) {
+    return { reminderId: reminder.id, before: null, after: { ...reminder } };
+  }
+
+  static deleted(reminder) {
+    return { reminderId: reminder.id, before: { ...reminder }, after: null };
+  }
+
+  // Only the fields that differ are kept; null when nothing did
+  static updated(before, after) {
+    const fields = diffFields(before, after);
+    if (fields.length === 0) return null;
+
+    return { reminderId: after.id, before: pick(before, fields), after: pick(after, fields) };
+  }
+
+  get userId() {
+    return this.#userId;
+  }
+
+  get #metadataKey() {
+    return `${APP_CONFIG.history.metadataPrefix}${this.#userId}`;
+  }
+
+  // Entries that can no longer be opened (e.g. sealed with a rotated-out key) are dropped;
+  // locked storage is an error instead, so the next save can't throw the whole history away
+  async load() {
+    const saved = await this.#storage.getMetadata(this.#metadataKey);
+
+    this.#sealed.clear();
+    this.#undoStack = await this.#openAll(saved?.undo);
+    this.#redoStack = await this.#openAll(saved?.redo);
+
+    this.#emitChanged();
+    return this.getState();
+  }
+
+  /**
+   * Push a command onto the undo stack and forget everything that could be redone
+   * @param {string} type - One of COMMAND_TYPES
+   * @param {Object[]} changes - From CommandHistory.created/deleted/updated; nulls are ignored
+   * @returns {Promise<Object|null>} The command, or null when nothing changed
+   */
+  async record(type, changes) {
+    if (!Object.values(COMMAND_TYPES).includes(type)) {
+      throw new Error(`Unknown command type: ${type}`);
+    }
+
+    const recorded = changes.filter(Boolean);
+    if (recorded.length === 0) return null;
+
+    const command = {
+      id: generateId(),
+      type,
+      label: this.#label(type, recorded.length),
+      changes: recorded,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.#enqueue(async () => {
+      this.#undoStack = [...this.#undoStack, command].slice(-this.#limit);
+      this.#redoStack = [];
+
+      await this.#save();
+      return command;
+    });
+  }
+
+  /**
+   * Revert the latest command
+   * @returns {Promise<Object|null>} { command, changes: [{ kind, reminderId, reminder, fields }] }, or null if there's nothing to undo
+   */
+  async undo() {
+    return this.#enqueue(() => this.#step(this.#undoStack, this.#redoStack, 'before', 'after'));
+  }
+
+  async redo() {
+    return this.#enqueue(() => this.#step(this.#redoStack, this.#undoStack, 'after', 'before'));
+  }
+
+  canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  async clear() {
+    return this.#enqueue(async () => {
+      this.#undoStack = [];
+      this.#redoStack = [];
+      await this.#save();
+    });
+  }
+
+  getState() {
+    const latest = (stack) => stack[stack.length - 1] || null;
+
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: latest(this.#undoStack)?.label || null,
+      redoLabel: latest(this.#redoStack)?.label || null,
+      undoCount: this.#undoStack.length,
+      redoCount: this.#redoStack.length
+    };
+  }
+
+  // Move the top command from one stack to the other, writing its `target` side to storage
+  async #step(from, to, target, source) {
+    const command = from[from.length - 1];
+    if (!command) return null;
+
+    // Later changes may build on earlier ones, so undo walks them backwards
+    const changes = target === 'before' ? [...command.changes].reverse() : command.changes;
+    const applied = [];
+
+    for (const change of changes) {
+      const result = await this.#apply(change, change[target], change[source]);
+      if (result) applied.push(result);
+    }
+
+    from.pop();
+    to.push(command);
+    await this.#save();
+
+    return { command, changes: applied };
+  }
+
+  async #apply({ reminderId }, state, otherState) {
+    if (!state) {
+      const existing = await this.#storage.getReminderById(reminderId);
+      if (!existing) return null;
+
+      await this.#storage.deleteReminder(reminderId);
+      return { kind: CHANGE_KINDS.DELETED, reminderId, reminder: existing, fields: null };
+    }
+
+    if (!otherState) {
+      const reminder = await this.#storage.saveReminder({ ...state });
+      return { kind: CHANGE_KINDS.CREATED, reminderId, reminder, fields: null };
+    }
+
+    // Deleted since the command ran (another tab or device): nothing left to restore
+    if (!await this.#storage.getReminderById(reminderId)) return null;
+
+    const { userId, ...updates } = state;
+    const reminder = await this.#storage.updateReminder(reminderId, updates);
+    return { kind: CHANGE_KINDS.UPDATED, reminderId, reminder, fields: Object.keys(updates) };
+  }
+
+  #label(type, count) {
+    const [one, many] = LABELS[type];
+    return count === 1 ? one : many.replace('{n}', count);
+  }
+
+  #enqueue(task) {
+    const run = this.#queue.then(task);
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  async #save() {
+    const [undo, redo] = await Promise.all([this.#sealAll(this.#undoStack), this.#sealAll(this.#redoStack)]);
+
+    const live = new Set([...undo, ...redo].map(command => command.id));
+    Array.from(this.#sealed.keys()).filter(id => !live.has(id)).forEach(id => this.#sealed.delete(id));
+
+    await this.#storage.saveMetadata(this.#metadataKey, { version: HISTORY_VERSION, undo, redo });
+    this.#emitChanged();
+  }
+
+  // Snapshots hold reminder content, so they go through the same protection as reminders at rest
+  async #sealAll(commands) {
+    return Promise.all(commands.map(async (command) => {
+      if (!this.#sealed.has(command.id)) {
+        const changes = await Promise.all(command.changes.map(async change => ({
+          reminderId: change.reminderId,
+          before: await this.#sealSnapshot(change.before),
+          after: await this.#sealSnapshot(change.after)
+        })));
+        this.#sealed.set(command.id, { ...command, changes });
+      }
+      return this.#sealed.get(command.id);
+    }));
+  }
+
+  async #openAll(commands = []) {
+    const opened = [];
+
+    for (const command of commands || []) {
+      try {
+        const changes = await Promise.all(command.changes.map(async change => ({
+          reminderId: change.reminderId,
+          before: await this.#openSnapshot(change.before),
+          after: await this.#openSnapshot(change.after)
+        })));
+
+        this.#sealed.set(command.id, command);
+        opened.push({ ...command, changes });
+      } catch (error) {
+        if (error.code === ERROR_CODES.STORAGE_LOCKED) throw error;
+        console.warn(`Dropping undo history entry ${command?.id}:`, error.message);
+      }
+    }
+
+    return opened.slice(-this.#limit);
+  }
+
+  // userId rides along so the storage layer knows whose key to use
+  async #sealSnapshot(snapshot) {
+    if (!snapshot) return null;
+
+    const data = { ...snapshot, userId: snapshot.userId ?? this.#userId };
+    return this.#storage.sealReminderFields ? this.#storage.sealReminderFields(data.userId, data) : data;
+  }
+
+  async #openSnapshot(snapshot) {
+    if (!snapshot) return null;
+    return this.#storage.openReminderFields ? this.#storage.openReminderFields(snapshot) : snapshot;
+  }
+
+  #emitChanged() {
+    this.emit('changed', this.getState());
+  }
+}
+
+export default CommandHistory;
@@ -0,0 +1,148 @@
+/**
+ * Digest Service - Delivers a user's reminder digest on their schedule
+ * Reminders come from ReminderService.getReminders. NotificationService shows the digest as a summary popup
+ * and browser notification in the tab that raises alerts. When it was last delivered is kept in metadata
+ * rather than preferences, so delivering doesn't reload other tabs. A digest missed while the app was closed
+ * or held by quiet hours arrives late, once, within APP_CONFIG.digest.catchUpHours.
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { createDigestSchedule } from '../../types/interfaces.js';
+import { EventEmitter } from '../../utils/helpers.js';
+import { DigestUtils } from '../../utils/digest.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class DigestService extends EventEmitter {
+  #reminderService = null;
+  #notificationService = null;
+  #storage = null;
+  #userId = null;
+  #schedule = createDigestSchedule();
+  #timer = null;
+  #generation = 0; // Bumped whenever the timer is replaced, so a wake that overlapped doesn't re-arm it
+
+  /**
+   * @param {Object} options
+   * @param {ReminderService} options.reminderService - Source of the user's reminders
+   * @param {NotificationService} options.notificationService
+   * @param {StorageInterface} options.storage - Holds the schedule (preferences) and delivery state (metadata)
+   * @param {string} options.userId
+   */
+  constructor({ reminderService, notificationService, storage, userId } = {}) {
+    super();
+
+    if (!reminderService || !notificationService || !storage || !userId) {
+      throw new Error('DigestService requires reminderService, notificationService, storage and userId');
+    }
+
+    this.#reminderService = reminderService;
+    this.#notificationService = notificationService;
+    this.#storage = storage;
+    this.#userId = userId;
+  }
+
+  get schedule() {
+    return { ...this.#schedule };
+  }
+
+  get #metadataKey() {
+    return `${APP_CONFIG.digest.metadataPrefix}${this.#userId}`;
+  }
+
+  // Load the saved schedule, deliver a digest missed while the app was closed, and wait for the next one
+  async start() {
+    this.#schedule = await this.#storage.getDigestSchedule(this.#userId);
+    await this.#catchUp();
+    this.#arm();
+    return this;
+  }
+
+  stop() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#generation++;
+  }
+
+  /**
+   * Follow a changed schedule (after saving it, or when another tab did)
+   * Runs the new schedule would have had before now don't count as missed
+   */
+  async setSchedule(schedule) {
+    const next = createDigestSchedule(schedule || {});
+    const changed = JSON.stringify(next) !== JSON.stringify(this.#schedule);
+    this.#schedule = next;
+
+    if (changed) await this.#saveState({ since: new Date().toISOString() });
+    this.#arm();
+  }
+
+  // The digest as of `now`, whether or not one is scheduled
+  async generate(now = new Date()) {
+    const [{ reminders }, categories] = await Promise.all([
+      // All on one page; an Infinity limit would make the page offset NaN
+      this.#reminderService.getReminders(this.#userId, { limit: Number.MAX_SAFE_INTEGER, useCache: false }),
+      this.#storage.getCategories(this.#userId)
+    ]);
+
+    return DigestUtils.build(reminders, { now, frequency: this.#schedule.frequency, categories });
+  }
+
+  /**
+   * @param {string} format - 'markdown' or 'html'
+   * @returns {Promise<string>}
+   */
+  async export(format = 'markdown', now = new Date()) {
+    const digest = await this.generate(now);
+    return format === 'html' ? DigestUtils.toHtml(digest) : DigestUtils.toMarkdown(digest);
+  }
+
+  /**
+   * Generate the digest and show it, unless another tab raises alerts or it's quiet time
+   * @returns {Promise<Object|null>} The digest, or null when it wasn't shown here
+   */
+  async deliver(now = new Date()) {
+    const digest = await this.generate(now);
+    if (!this.#notificationService.showDigest(digest)) return null;
+
+    await this.#saveState({ lastSentAt: now.toISOString() });
+    this.emit('digest-delivered', { digest });
+    return digest;
+  }
+
+  async #catchUp(now = new Date()) {
+    if (!this.#schedule.enabled) return;
+
+    const due = DigestUtils.getPreviousRun(this.#schedule, now);
+    const { lastSentAt = null, since = null } = (await this.#storage.getMetadata(this.#metadataKey)) || {};
+    const handled = [lastSentAt, since].some(time => time && new Date(time) >= due);
+    if (handled || now - due > APP_CONFIG.digest.catchUpHours * HOUR_MS) return;
+
+    try {
+      await this.deliver(now);
+    } catch (error) {
+      console.error('Failed to deliver digest:', error);
+    }
+  }
+
+  // Wakes at the next run, or sooner to check again; each wake delivers whatever is due
+  #arm() {
+    this.stop();
+    if (!this.#schedule.enabled) return;
+
+    const generation = this.#generation;
+    const delay = DigestUtils.getNextRun(this.#schedule).getTime() - Date.now();
+    this.#timer = setTimeout(async () => {
+      this.#timer = null;
+      await this.#catchUp();
+      if (generation === this.#generation) this.#arm();
+    }, Math.max(Math.min(delay, APP_CONFIG.digest.recheckInterval), 0));
+  }
+
+  async #saveState(changes) {
+    const state = (await this.#storage.getMetadata(this.#metadataKey)) || {};
+    await this.#storage.saveMetadata(this.#metadataKey, { ...state, ...changes });
+  }
+}
+
+export default DigestService;
@@ -0,0 +1,76 @@
+/**
+ * Leader Election - Picks one tab to own work that must not run once per tab
+ * Uses a Web Lock: the holder is leader until it releases or the tab closes, then the next waiting tab takes over
+ */
+
+import { EventEmitter } from '../../utils/helpers.js';
+
+export class LeaderElection extends EventEmitter {
+  #lockName = null;
+  #isLeader = false;
+  #releaseLock = null;
+  #abortController = null;
+
+  constructor(lockName) {
+    super();
+    this.#lockName = lockName;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.locks?.request);
+  }
+
+  get isLeader() {
+    return this.#isLeader;
+  }
+
+  /**
+   * Queue for leadership without waiting for it; listen for leadership-changed
+   * Without Web Locks every tab leads, which matches the behaviour before election existed
+   */
+  start() {
+    if (this.#abortController || this.#isLeader) return;
+
+    if (!LeaderElection.isSupported()) {
+      console.warn('Web Locks unavailable - this tab will act as leader');
+      this.#setLeader(true);
+      return;
+    }
+
+    this.#abortController = new AbortController();
+
+    navigator.locks.request(this.#lockName, { signal: this.#abortController.signal }, () => {
+      this.#setLeader(true);
+      return new Promise(resolve => {
+        this.#releaseLock = resolve;
+      });
+    }).catch(error => {
+      if (error.name !== 'AbortError') {
+        console.error('Leader election failed:', error);
+      }
+    });
+  }
+
+  // Give up leadership (or stop waiting for it) so another tab can take over
+  stop() {
+    this.#abortController?.abort();
+    this.#abortController = null;
+
+    if (this.#releaseLock) {
+      this.#releaseLock();
+      this.#releaseLock = null;
+    }
+
+    this.#setLeader(false);
+  }
+
+  #setLeader(isLeader) {
+    if (this.#isLeader === isLeader) return;
+
+    this.#isLeader = isLeader;
+    console.log(isLeader ? '👑 This tab is now the leader' : '👋 This tab gave up leadership');
+    this.emit('leadership-changed', isLeader);
+  }
+}
+
+export default LeaderElection;
@@ -4,7 +4,36 @@
  * Fixed imports and added missing utility methods
  */
 
-import { EventEmitter } from '../../utils/helpers.js';
+import { EventEmitter, BrowserUtils } from '../../utils/helpers.js';
+import { RecurrenceUtils } from '../../utils/recurrence.js';
+import { QuietHoursUtils } from '../../utils/quietHours.js';
+import { DigestUtils } from '../../utils/digest.js';
+import { LeaderElection } from './LeaderElection.js';
+import { ServiceWorkerBridge } from './ServiceWorkerBridge.js';
+import { AlertQueue, ALERT_STATES } from './AlertQueue.js';
+import { AlertEscalation } from './AlertEscalation.js';
+import { ChannelRouter, CallbackChannel, WebhookChannel } from '../channels/index.js';
+import { APP_CONFIG } from '../../config/constants.js';
+import { CHANNEL_TYPES, DEFAULT_CHANNELS } from '../../types/interfaces.js';
+
+const NOTIFICATION_ICON = new URL('../../assets/icons/icon.svg', import.meta.url).href;
+
+// Buttons on notifications shown through the service worker; clicks come back as 'notification-action'
+const NOTIFICATION_ACTIONS = [
+    { action: 'complete', title: '✅ Complete' },
+    { action: 'snooze', title: '😴 Snooze' }
+];
+
+// "3 alerts <happened>: A, B and 1 more", naming up to missedAlerts.maxListed reminders
+const summarizeAlerts = (alerts, happened) => {
+    const titles = [...new Set(alerts.map(alert => alert.reminder?.title).filter(Boolean))];
+    const listed = titles.slice(0, APP_CONFIG.alerts.missedAlerts.maxListed);
+    const more = titles.length - listed.length;
+    const count = `${alerts.length} alert${alerts.length === 1 ? '' : 's'} ${happened}`;
+
+    if (listed.length === 0) return count;
+    return `${count}: ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`;
+};
 
 export class NotificationService extends EventEmitter {
     #scheduledNotifications = new Map(); // reminderId -> Set of timeoutIds
@@ -13,6 +42,20 @@ export class NotificationService extends EventEmitter {
     #checkInterval = null;
     #audioContext = null;
     #alertHistory = new Map(); // Track sent alerts to avoid duplicates
+    #scheduleRequests = new Map(); // reminderId -> { reminder, alertTimings }, kept in every tab for failover
+    #leaderElection = null;
+    #isLeader = true; // Standalone until initialize() joins the election
+    #acceptingActions = false; // Set once the owner can act on notification button clicks
+    #unsubscribeWorker = null;
+    #blockedReminders = new Set(); // Reminders waiting on others; their alerts stay off until released
+    #alertQueue = null; // Persisted copy of every upcoming alert, so reloads can catch up on missed ones
+    #windowInterval = null;
+    #quietHours = null; // The user's quiet hours and do not disturb settings
+    #heldAlerts = new Map(); // alertKey -> { reminder, minutesBefore, isOverdue, entryId }, held during quiet time
+    #releaseTimer = null;
+    #escalation = new AlertEscalation(); // Repeats of unanswered popups, and response latency
+    #escalationTimers = new Map(); // alertKey -> timeout before the popup is shown again
+    #channels = new ChannelRouter(); // Where alerts go: popup, browser notification, sound, webhooks
 
     // Pre-defined alert timing options (in minutes before due time)
     static ALERT_TIMINGS = {
@@ -29,6 +72,7 @@ export class NotificationService extends EventEmitter {
         super();
         this.#initializeAudioContext();
         this.#addNotificationStyles();
+        this.#registerBuiltInChannels();
     }
 
     /**
@@ -38,8 +82,11 @@ export class NotificationService extends EventEmitter {
         console.log('🔔 Initializing enhanced notification system...');
 
         await this.#requestPermission();
+        this.#startLeaderElection();
         this.#startNotificationChecker();
+        this.#startAlertWindow();
         this.#setupEventListeners();
+        this.#unsubscribeWorker = ServiceWorkerBridge.onMessage('actions-queued', () => this.#drainBackgroundActions());
 
         console.log('✅ Enhanced notification system ready');
         return this;
@@ -47,73 +94,159 @@ export class NotificationService extends EventEmitter {
 
     /**
      * Schedule notifications for a reminder with user-selected alert timings
+     * Recurring reminders also get alerts for their next occurrence
+     * Only the leader tab sets timers; other tabs keep the request in case they take over
      * @param {Object} reminder - The reminder object
      * @param {Array} alertTimings - Array of timing values in minutes (e.g., [5, 15, 60, 1440])
      */
     scheduleNotification(reminder, alertTimings = [5, 15]) {
-        const reminderTime = new Date(reminder.datetime);
-        const now = new Date();
-        const maxAdvanceTime = 3 * 24 * 60 * 60 * 1000; // 3 days max advance scheduling
-
-        // Clear any existing notifications for this reminder
-        this.cancelNotification(reminder.id);
+        // Clear any existing notifications for this reminder; its queued alerts are replaced when armed
+        this.#scheduleRequests.delete(reminder.id);
+        this.#disarmAlerts(reminder.id);
 
-        const timeoutIds = new Set();
-        let scheduledCount = 0;
+        this.#scheduleRequests.set(reminder.id, { reminder, alertTimings });
+        if (!this.#isLeader || this.#blockedReminders.has(reminder.id)) return 0;
 
-        alertTimings.forEach(minutesBefore => {
-            const alertTime = new Date(reminderTime.getTime() - (minutesBefore * 60 * 1000));
-            const delay = alertTime.getTime() - now.getTime();
+        return this.#armAlerts(reminder, alertTimings);
+    }
 
-            // Only schedule future notifications within reasonable timeframe
-            if (delay > 0 && delay <= maxAdvanceTime) {
-                const timeoutId = setTimeout(() => {
-                    this.#triggerNotification(reminder, minutesBefore);
-                }, delay);
+    /**
+     * Cancel all scheduled notifications for a reminder
+     */
+    cancelNotification(reminderId) {
+        const hadRequest = this.#scheduleRequests.delete(reminderId);
+        const cancelledCount = this.#disarmAlerts(reminderId);
+        this.#stopEscalations(reminderId);
+        this.#updateAlertQueue(queue => queue.remove(reminderId));
+        if (cancelledCount === null) return hadRequest;
 
-                timeoutIds.add(timeoutId);
-                scheduledCount++;
+        console.log(`🚫 Cancelled ${cancelledCount} alerts for reminder #${reminderId}`);
+        return true;
+    }
 
-                console.log(`⏰ Scheduled alert for "${reminder.title}" ${minutesBefore} minutes before (${this.#formatDelay(delay)})`);
-            }
-        });
+    /**
+     * Hold back or release the alerts of a reminder that is blocked by others
+     * The schedule request is kept while blocked, so releasing arms the alerts again
+     */
+    setBlocked(reminderId, blocked) {
+        if (blocked === this.#blockedReminders.has(reminderId)) return;
+
+        if (blocked) {
+            this.#blockedReminders.add(reminderId);
+            this.#disarmAlerts(reminderId);
+            this.#stopEscalations(reminderId);
+            this.#updateAlertQueue(queue => queue.remove(reminderId));
+            return;
+        }
 
-        if (scheduledCount > 0) {
-            this.#scheduledNotifications.set(reminder.id, timeoutIds);
-            console.log(`📅 Scheduled ${scheduledCount} alerts for reminder #${reminder.id}`);
+        this.#blockedReminders.delete(reminderId);
+        const request = this.#scheduleRequests.get(reminderId);
+        if (request && this.#isLeader) {
+            this.#armAlerts(request.reminder, request.alertTimings);
         }
+    }
 
-        return scheduledCount;
+    isBlocked(reminderId) {
+        return this.#blockedReminders.has(reminderId);
     }
 
     /**
-     * Cancel all scheduled notifications for a reminder
+     * Hold back alerts during the user's quiet hours and do not disturb (null turns both off)
+     * Held alerts are delivered as one summary when the quiet time ends, as 'quiet-hours-ended'
+     * @param {Object|null} settings - See DEFAULT_QUIET_HOURS
      */
-    cancelNotification(reminderId) {
-        const timeoutIds = this.#scheduledNotifications.get(reminderId);
-        if (!timeoutIds) return false;
+    setQuietHours(settings) {
+        this.#quietHours = settings;
+        if (!this.#isLeader) return;
+
+        // The service worker's copy leaves out alerts that now fall in quiet time
+        this.#rearmAll();
+        this.#scheduleRelease();
+    }
+
+    isQuietTime(date = new Date()) {
+        return QuietHoursUtils.isQuiet(this.#quietHours, date);
+    }
 
-        let cancelledCount = 0;
-        timeoutIds.forEach(timeoutId => {
-            clearTimeout(timeoutId);
-            cancelledCount++;
+    /**
+     * Apply the user's channel settings (null restores the defaults)
+     * Built-in channels take the new routing rules; webhooks are created, updated or removed to match.
+     * Channels added with registerChannel() are left alone.
+     * @param {Array|null} configs - See DEFAULT_CHANNELS and createNotificationChannel
+     */
+    setChannels(configs) {
+        const settings = configs || DEFAULT_CHANNELS;
+
+        DEFAULT_CHANNELS.forEach(channel => {
+            this.#channels.setRules(channel.id, settings.find(({ id }) => id === channel.id) || channel);
         });
 
-        this.#scheduledNotifications.delete(reminderId);
-        this.#alertHistory.delete(reminderId);
+        const webhooks = settings.filter(({ type }) => type === CHANNEL_TYPES.WEBHOOK);
+        this.#channels.getStats().forEach(({ id }) => {
+            if (this.#channels.get(id) instanceof WebhookChannel && !webhooks.some(webhook => webhook.id === id)) {
+                this.#channels.unregister(id);
+            }
+        });
 
-        console.log(`🚫 Cancelled ${cancelledCount} alerts for reminder #${reminderId}`);
-        return true;
+        // Keep a webhook whose URL didn't change, along with its delivery counts
+        webhooks.forEach(webhook => {
+            if (this.#channels.get(webhook.id)?.url === webhook.url) {
+                this.#channels.setRules(webhook.id, webhook);
+            } else {
+                this.#channels.register(new WebhookChannel({ id: webhook.id, url: webhook.url }), webhook);
+            }
+        });
+    }
+
+    /**
+     * Send alerts to a channel of your own as well, e.g. an email relay
+     * @param {NotificationChannel} channel
+     * @param {Object} rules - { enabled, categories }; no categories means every alert
+     * @returns {Function} Removes the channel
+     */
+    registerChannel(channel, rules = {}) {
+        this.#channels.register(channel, rules);
+        return () => {
+            if (this.#channels.get(channel.id) === channel) this.#channels.unregister(channel.id);
+        };
+    }
+
+    /**
+     * Keep upcoming alerts in a user's persisted queue (null on logout)
+     * Alerts that came due while no tab had them armed are reported once as 'missed-alerts';
+     * requests made before the queue was set are queued now
+     * @param {AlertQueue|null} queue
+     */
+    async setAlertQueue(queue) {
+        this.#alertQueue = queue;
+        if (!queue) {
+            this.#escalation.setAcknowledgements([]);
+            return;
+        }
+
+        await queue.load();
+        this.#escalation.setAcknowledgements(await queue.getAcknowledgements());
+        if (!this.#isLeader) return;
+
+        this.#restoreHeldAlerts(queue.getEntries(ALERT_STATES.HELD));
+        await this.#catchUpMissedAlerts();
+        this.#scheduleRequests.forEach(({ reminder, alertTimings }) => {
+            if (this.#blockedReminders.has(reminder.id)) return;
+            this.#updateAlertQueue(alertQueue => alertQueue.replace(reminder.id, this.#collectAlerts(reminder, alertTimings)));
+        });
     }
 
     /**
      * Check for due reminders and trigger immediate notifications
      */
     checkDueReminders(reminders) {
+        if (!this.#isLeader) return;
+
         const now = new Date();
 
         reminders.forEach(reminder => {
             if (reminder.status !== 'active' || !reminder.notification) return;
+            if (this.#blockedReminders.has(reminder.id)) return;
 
             const reminderTime = new Date(reminder.datetime);
             const timeDiff = reminderTime - now;
@@ -128,14 +261,14 @@ export class NotificationService extends EventEmitter {
                     timeDiff > (alertThreshold - 60000) && // 1-minute window
                     !this.#alertHistory.has(alertKey)) {
 
-                    this.#triggerNotification(reminder, timing.value);
+                    this.#deliverAlert(reminder, timing.value);
                     this.#alertHistory.set(alertKey, now);
                 }
             });
 
             // Special handling for overdue reminders
             if (timeDiff <= 0 && timeDiff > -60000 && !this.#alertHistory.has(`${reminder.id}-overdue`)) {
-                this.#triggerNotification(reminder, 0, true);
+                this.#deliverAlert(reminder, 0, true);
                 this.#alertHistory.set(`${reminder.id}-overdue`, now);
             }
         });
@@ -154,6 +287,41 @@ export class NotificationService extends EventEmitter {
         }));
     }
 
+    /**
+     * One-line summary of a 'missed-alerts' event
+     * @param {Array} alerts - Missed queue entries, with `reminder` where it is still scheduled
+     */
+    static formatMissedAlerts(alerts) {
+        return summarizeAlerts(alerts, 'came due while the app was closed');
+    }
+
+    // One-line summary of a 'quiet-hours-ended' event
+    static formatHeldAlerts(alerts) {
+        return summarizeAlerts(alerts, 'held during quiet hours');
+    }
+
+    /**
+     * Show a digest (see DigestUtils.build) as a summary popup and browser notification
+     * Scheduled digests only show in the tab that raises alerts, and not during quiet time
+     * @param {Object} digest
+     * @param {Object} options - { preview: true shows it here and now regardless }
+     * @returns {boolean} Whether it was shown
+     */
+    showDigest(digest, { preview = false } = {}) {
+        if (!preview && (!this.#isLeader || this.isQuietTime())) return false;
+
+        const title = `📋 ${DigestUtils.getTitle(digest)}`;
+        this.#showDigestPopup(digest, title);
+        if (this.#permissionState === 'granted') {
+            this.#showSummaryNotification(title, DigestUtils.summarize(digest), 'reminder-digest').catch(error => {
+                console.warn('Failed to show browser notification:', error);
+            });
+        }
+
+        this.emit('digest-shown', { digest, preview });
+        return true;
+    }
+
     /**
      * Test notification system with sample alert
      */
@@ -167,7 +335,23 @@ export class NotificationService extends EventEmitter {
             category: 'personal'
         };
 
-        this.#triggerNotification(testReminder, 5, false);
+        this.#triggerNotification(testReminder, 5, false, false);
+    }
+
+    /**
+     * Start handling Complete/Snooze clicks from service worker notifications, including any queued
+     * while no tab was open. Call once reminders are loaded; handlers listen for 'notification-action'.
+     */
+    processBackgroundActions() {
+        this.#acceptingActions = true;
+        return this.#drainBackgroundActions();
+    }
+
+    /**
+     * Forget alerts the service worker would show while no tab is open (e.g. on logout)
+     */
+    clearBackgroundAlerts() {
+        ServiceWorkerBridge.post({ type: 'clear-alerts' });
     }
 
     /**
@@ -181,7 +365,13 @@ export class NotificationService extends EventEmitter {
             totalScheduled,
             activeReminders: this.#scheduledNotifications.size,
             alertHistory: this.#alertHistory.size,
-            permissionState: this.#permissionState
+            blockedReminders: this.#blockedReminders.size,
+            heldAlerts: this.#heldAlerts.size,
+            quietTime: this.isQuietTime(),
+            channels: this.#channels.getStats(),
+            ...this.#escalation.getStats(),
+            permissionState: this.#permissionState,
+            isLeader: this.#isLeader
         };
     }
 
@@ -189,16 +379,31 @@ export class NotificationService extends EventEmitter {
      * Cleanup notification system
      */
     cleanup() {
+        // Release the lock so another tab can lead; the next initialize() joins the election again
+        this.#leaderElection?.stop();
+        this.#leaderElection = null;
+        this.#isLeader = true;
+
         if (this.#checkInterval) {
             clearInterval(this.#checkInterval);
             this.#checkInterval = null;
         }
-
-        // Clear all scheduled notifications
-        this.#scheduledNotifications.forEach((timeoutIds) => {
-            timeoutIds.forEach(timeoutId => clearTimeout(timeoutId));
-        });
-        this.#scheduledNotifications.clear();
+        clearInterval(this.#windowInterval);
+        this.#windowInterval = null;
+        clearTimeout(this.#releaseTimer);
+        this.#releaseTimer = null;
+        this.#heldAlerts.clear();
+        this.#stopEscalations();
+        this.#channels.cancelRetries();
+
+        // Clear all scheduled notifications; the service worker keeps its copy for when no tab is open
+        this.#clearTimers();
+        this.#scheduleRequests.clear();
+        this.#blockedReminders.clear();
+
+        this.#unsubscribeWorker?.();
+        this.#unsubscribeWorker = null;
+        this.#acceptingActions = false;
 
         // Close active popups
         this.#activePopups.forEach(reminderId => {
@@ -211,6 +416,276 @@ export class NotificationService extends EventEmitter {
 
     // === PRIVATE METHODS ===
 
+    #startLeaderElection() {
+        if (this.#leaderElection) return;
+
+        this.#leaderElection = new LeaderElection(APP_CONFIG.crossTab.leaderLockName);
+        this.#leaderElection.on('leadership-changed', (isLeader) => this.#setLeader(isLeader));
+
+        this.#setLeader(false);
+        this.#leaderElection.start();
+    }
+
+    // A new leader arms every request the page has made so far; a tab stepping down drops its timers
+    #setLeader(isLeader) {
+        if (this.#isLeader === isLeader) return;
+
+        this.#isLeader = isLeader;
+        if (isLeader) {
+            ServiceWorkerBridge.post({ type: 'claim-alerts' });
+            this.#scheduleRequests.forEach(({ reminder, alertTimings }) => {
+                if (!this.#blockedReminders.has(reminder.id)) this.#armAlerts(reminder, alertTimings);
+            });
+            this.#reloadHeldAlerts();
+            this.#catchUpMissedAlerts();
+            this.#drainBackgroundActions();
+        } else {
+            // The new leader takes over held alerts from the queue
+            this.#clearTimers();
+            clearTimeout(this.#releaseTimer);
+            this.#heldAlerts.clear();
+            this.#stopEscalations();
+        }
+
+        this.#emitEvent('leadership-changed', { isLeader });
+    }
+
+    // Stop a reminder's timers and its service worker copy; null when no timers were set
+    #disarmAlerts(reminderId) {
+        if (this.#isLeader) {
+            ServiceWorkerBridge.post({ type: 'cancel-alerts', reminderId });
+        }
+
+        const timeoutIds = this.#scheduledNotifications.get(reminderId);
+        if (!timeoutIds) return null;
+
+        timeoutIds.forEach(timeoutId => clearTimeout(timeoutId));
+        this.#scheduledNotifications.delete(reminderId);
+        this.#alertHistory.delete(reminderId);
+
+        return timeoutIds.size;
+    }
+
+    #clearTimers() {
+        this.#scheduledNotifications.forEach((timeoutIds) => {
+            timeoutIds.forEach(timeoutId => clearTimeout(timeoutId));
+        });
+        this.#scheduledNotifications.clear();
+    }
+
+    // Set the timers for one reminder's alerts due within the window (and its next occurrence when recurring),
+    // queue all of them, and hand the service worker a copy of the armed ones to show if this tab closes first
+    #armAlerts(reminder, alertTimings) {
+        const alerts = this.#collectAlerts(reminder, alertTimings);
+        const timeoutIds = new Set();
+        const backgroundAlerts = [];
+        const now = Date.now();
+
+        alerts.forEach(alert => {
+            const delay = alert.fireAt - now;
+            if (delay > APP_CONFIG.alerts.window) return;
+
+            const entryId = AlertQueue.entryId(reminder.id, alert.timing, alert.fireAt);
+            const timeoutId = setTimeout(() => this.#deliverAlert(alert.reminder, alert.timing, false, entryId), delay);
+            timeoutIds.add(timeoutId);
+            console.log(`⏰ Scheduled alert for "${reminder.title}" ${alert.timing} minutes before (${this.#formatDelay(delay)})`);
+
+            // The worker can't hold alerts, so those due in quiet time are left to the queue,
+            // which reports them as missed if no tab was open to hold them
+            if (QuietHoursUtils.isHeld(this.#quietHours, alert.reminder, new Date(alert.fireAt))) return;
+
+            const { title, options } = this.#getBackgroundNotificationContent(alert.reminder, alert.timing);
+            backgroundAlerts.push({ id: `${options.tag}@${alert.fireAt}`, queueId: entryId, fireAt: alert.fireAt, title, options });
+        });
+
+        this.#updateAlertQueue(queue => queue.replace(reminder.id, alerts));
+
+        if (timeoutIds.size > 0) {
+            this.#scheduledNotifications.set(reminder.id, timeoutIds);
+            ServiceWorkerBridge.post({ type: 'schedule-alerts', reminderId: reminder.id, alerts: backgroundAlerts });
+            console.log(`📅 Scheduled ${timeoutIds.size} of ${alerts.length} alerts for reminder #${reminder.id}`);
+        }
+
+        return alerts.length;
+    }
+
+    // Every future alert of a reminder and, when recurring, of its next occurrence
+    #collectAlerts(reminder, alertTimings) {
+        const occurrences = [reminder];
+        if (reminder.recurrence) {
+            const nextOccurrence = RecurrenceUtils.getNextOccurrence(reminder.recurrence, reminder.datetime);
+            if (nextOccurrence) occurrences.push({ ...reminder, datetime: nextOccurrence.toISOString() });
+        }
+
+        const now = Date.now();
+        return occurrences.flatMap(occurrence => alertTimings.map(minutesBefore => ({
+            reminder: occurrence,
+            timing: minutesBefore,
+            fireAt: new Date(occurrence.datetime).getTime() - (minutesBefore * 60 * 1000)
+        }))).filter(alert => alert.fireAt > now);
+    }
+
+    // Alerts further out than the window have no timer yet; every half window the leader re-arms
+    // all requests so those coming into range get one
+    #startAlertWindow() {
+        if (this.#windowInterval) return;
+
+        this.#windowInterval = setInterval(() => {
+            if (this.#isLeader) this.#rearmAll();
+        }, APP_CONFIG.alerts.window / 2);
+    }
+
+    #rearmAll() {
+        this.#scheduleRequests.forEach(({ reminder, alertTimings }) => {
+            if (this.#blockedReminders.has(reminder.id)) return;
+            this.#disarmAlerts(reminder.id);
+            this.#armAlerts(reminder, alertTimings);
+        });
+    }
+
+    // Raise an alert now, or hold it until quiet time is over
+    #deliverAlert(reminder, minutesBefore, isOverdue = false, entryId = null) {
+        if (!QuietHoursUtils.isHeld(this.#quietHours, reminder)) {
+            this.#triggerNotification(reminder, minutesBefore, isOverdue);
+            if (entryId) this.#updateAlertQueue(queue => queue.markFired(entryId));
+            return;
+        }
+
+        // The timer and the due-reminder check can both catch the same alert
+        const alertKey = `${reminder.id}-${minutesBefore || 'overdue'}`;
+        const held = this.#heldAlerts.get(alertKey);
+        this.#heldAlerts.set(alertKey, { reminder, minutesBefore, isOverdue, entryId: entryId || held?.entryId || null });
+        if (entryId) this.#updateAlertQueue(queue => queue.markHeld(entryId));
+
+        console.log(`🌙 Holding alert for "${reminder.title}" until quiet time ends`);
+        this.#emitEvent('notification-held', { reminder, minutesBefore, isOverdue });
+        this.#scheduleRelease();
+    }
+
+    // Held queue entries from before a reload, or from the tab that led before this one
+    #restoreHeldAlerts(entries) {
+        entries.forEach(entry => {
+            const reminder = this.#scheduleRequests.get(entry.reminderId)?.reminder;
+            if (!reminder) return;
+
+            this.#heldAlerts.set(`${reminder.id}-${entry.timing}`, {
+                reminder,
+                minutesBefore: entry.timing,
+                isOverdue: false,
+                entryId: entry.id
+            });
+        });
+        this.#scheduleRelease();
+    }
+
+    async #reloadHeldAlerts() {
+        if (!this.#alertQueue) return;
+
+        try {
+            this.#restoreHeldAlerts((await this.#alertQueue.load()).filter(entry => entry.state === ALERT_STATES.HELD));
+        } catch (error) {
+            console.warn('Failed to load held alerts:', error);
+        }
+    }
+
+    // Wake up when quiet time ends; long do not disturb periods are checked again each window
+    #scheduleRelease() {
+        clearTimeout(this.#releaseTimer);
+        this.#releaseTimer = null;
+        if (this.#heldAlerts.size === 0 || !this.#isLeader) return;
+
+        const quietEnd = QuietHoursUtils.getQuietEnd(this.#quietHours);
+        const delay = quietEnd ? Math.min(quietEnd.getTime() - Date.now(), APP_CONFIG.alerts.window) : 0;
+        this.#releaseTimer = setTimeout(() => this.#releaseHeldAlerts(), Math.max(delay, 0));
+    }
+
+    #releaseHeldAlerts() {
+        this.#releaseTimer = null;
+        if (QuietHoursUtils.isQuiet(this.#quietHours)) {
+            this.#scheduleRelease();
+            return;
+        }
+
+        const alerts = Array.from(this.#heldAlerts.values());
+        this.#heldAlerts.clear();
+        if (alerts.length === 0) return;
+
+        alerts.forEach(({ entryId }) => {
+            if (entryId) this.#updateAlertQueue(queue => queue.markFired(entryId));
+        });
+
+        if (alerts.length === 1) {
+            const [{ reminder, minutesBefore, isOverdue }] = alerts;
+            this.#triggerNotification(reminder, minutesBefore, isOverdue);
+            return;
+        }
+
+        console.log(`🌅 Quiet time over, delivering ${alerts.length} held alerts`);
+        // The summary stands in for the built-in channels; the others still get each alert
+        const builtIn = DEFAULT_CHANNELS.map(({ id }) => id);
+        alerts.forEach(({ reminder, minutesBefore, isOverdue }) => {
+            this.#channels.dispatch(this.#createAlert(reminder, minutesBefore, isOverdue), { except: builtIn });
+        });
+        this.#playNotificationSound('NORMAL');
+        if (this.#permissionState === 'granted') {
+            this.#showSummaryNotification('🌅 Quiet hours are over', NotificationService.formatHeldAlerts(alerts)).catch(error => {
+                console.warn('Failed to show browser notification:', error);
+            });
+        }
+        this.emit('quiet-hours-ended', { alerts });
+    }
+
+    async #showSummaryNotification(title, body, tag = 'reminder-summary') {
+        const options = { body, icon: NOTIFICATION_ICON, tag };
+
+        const registration = await ServiceWorkerBridge.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    }
+
+    // Report alerts whose time passed without a tab to fire them; those the service worker showed count as fired
+    async #catchUpMissedAlerts() {
+        if (!this.#alertQueue) return;
+
+        try {
+            const delivered = await this.#takeDeliveredAlerts(this.#alertQueue.userId);
+            const missed = await this.#alertQueue.collectMissed(delivered);
+            if (missed.length > 0 && APP_CONFIG.alerts.missedAlerts.summary) {
+                console.log(`📭 ${missed.length} alerts came due while the app was closed`);
+                const alerts = missed.map(alert => ({ ...alert, reminder: this.#scheduleRequests.get(alert.reminderId)?.reminder ?? null }));
+                this.emit('missed-alerts', { alerts });
+            }
+        } catch (error) {
+            console.warn('Failed to check for missed alerts:', error);
+        }
+    }
+
+    // Queue ids of the alerts the service worker showed for this user; none when it isn't running
+    async #takeDeliveredAlerts(userId) {
+        try {
+            return await ServiceWorkerBridge.request({ type: 'take-delivered', userId }) || [];
+        } catch (error) {
+            console.warn('Failed to collect alerts shown in the background:', error);
+            return [];
+        }
+    }
+
+    #updateAlertQueue(update) {
+        if (!this.#alertQueue) return;
+
+        update(this.#alertQueue).catch(error => {
+            console.warn('Failed to update alert queue:', error);
+        });
+    }
+
     async #requestPermission() {
         if (!('Notification' in window)) {
             console.warn('Browser notifications not supported');
@@ -262,33 +737,123 @@ export class NotificationService extends EventEmitter {
         });
     }
 
-    async #triggerNotification(reminder, minutesBefore, isOverdue = false) {
-        const alertType = isOverdue ? 'OVERDUE' : this.#getAlertType(minutesBefore);
+    // Test alerts pass escalate = false, so they're neither repeated nor counted
+    #triggerNotification(reminder, minutesBefore, isOverdue = false, escalate = true) {
         const alertKey = `${reminder.id}-${minutesBefore || 'overdue'}`;
+        // Only the popup can be answered, so alerts that don't get one aren't repeated
+        const answerable = escalate && this.#channels.routes(CHANNEL_TYPES.POPUP, { reminder });
+        const escalation = answerable ? this.#startAttempt(alertKey, reminder, minutesBefore, isOverdue) : { attempt: 1 };
+        const alert = this.#createAlert(reminder, minutesBefore, isOverdue, escalation.attempt);
 
-        console.log(`🔔 Triggering ${alertType} notification: ${reminder.title} (${minutesBefore}min before)`);
-
-        // Play contextual sound based on alert timing
-        await this.#playNotificationSound(alertType);
+        console.log(`🔔 Triggering ${alert.alertType} notification: ${reminder.title} (${minutesBefore}min before, attempt ${escalation.attempt})`);
 
-        // Show browser notification if permitted
-        if (this.#permissionState === 'granted') {
-            this.#showBrowserNotification(reminder, minutesBefore, isOverdue);
-        }
-
-        // Show custom popup with enhanced information
-        this.#showEnhancedPopup(reminder, minutesBefore, isOverdue);
+        // Each channel whose rules match gets the alert; webhook retries carry on in the background
+        this.#channels.dispatch(alert);
 
         // Emit event for external handling
         this.#emitEvent('notification-triggered', {
             reminder,
             minutesBefore,
             isOverdue,
-            alertType
+            alertType: alert.alertType,
+            attempt: escalation.attempt
         });
     }
 
-    async #playNotificationSound(alertType) {
+    // === CHANNELS ===
+
+    // Sound follows the alert timing and gets louder on each repeat
+    #createAlert(reminder, minutesBefore, isOverdue = false, attempt = 1) {
+        const { volumeStep = 0 } = this.#escalation.getPolicy(reminder);
+        return {
+            reminder,
+            minutesBefore,
+            isOverdue,
+            alertType: isOverdue ? 'OVERDUE' : this.#getAlertType(minutesBefore),
+            attempt,
+            volume: 0.3 + volumeStep * (attempt - 1)
+        };
+    }
+
+    // Showing these again wouldn't help, so they aren't retried
+    #registerBuiltInChannels() {
+        const deliver = {
+            [CHANNEL_TYPES.POPUP]: ({ reminder, minutesBefore, isOverdue, attempt }) =>
+                this.#showEnhancedPopup(reminder, minutesBefore, isOverdue, attempt),
+            [CHANNEL_TYPES.BROWSER]: ({ reminder, minutesBefore, isOverdue }) =>
+                this.#showBrowserNotification(reminder, minutesBefore, isOverdue),
+            [CHANNEL_TYPES.SOUND]: ({ alertType, volume }) => this.#playNotificationSound(alertType, volume)
+        };
+
+        DEFAULT_CHANNELS.forEach(channel => {
+            this.#channels.register(new CallbackChannel(channel.id, deliver[channel.type]), channel, { retry: false });
+        });
+
+        this.#channels.on('delivery-failed', ({ channelId, alert, error, attempts }) => {
+            this.emit('channel-failed', { channelId, reminder: alert.reminder, error, attempts });
+        });
+    }
+
+    // === ESCALATION ===
+
+    // Count another showing of an alert, calling off any repeat still waiting
+    #startAttempt(alertKey, reminder, minutesBefore, isOverdue) {
+        this.#clearEscalationTimer(alertKey);
+        return this.#escalation.start(alertKey, { reminder, minutesBefore, isOverdue });
+    }
+
+    // The popup timed out unanswered: show it again later, or give up and report it missed
+    #escalate(alertKey) {
+        const escalation = this.#escalation.timedOut(alertKey);
+        if (!escalation) return;
+
+        const { reminder, minutesBefore, isOverdue, attempt } = escalation;
+        if (escalation.missed) {
+            console.log(`📵 No response to "${reminder.title}" after ${attempt} attempts`);
+            this.emit('alert-missed', { reminder, minutesBefore, isOverdue, attempts: attempt });
+            this.#emitEvent('alert-missed', { reminder, minutesBefore, isOverdue, attempts: attempt });
+            return;
+        }
+
+        this.#escalationTimers.set(alertKey, setTimeout(() => {
+            this.#escalationTimers.delete(alertKey);
+            if (!this.#isLeader) return;
+
+            // Quiet time started in between: hold it like any other alert instead of repeating
+            if (QuietHoursUtils.isHeld(this.#quietHours, reminder)) {
+                this.#escalation.cancel(alertKey);
+                this.#deliverAlert(reminder, minutesBefore, isOverdue);
+                return;
+            }
+            this.#triggerNotification(reminder, minutesBefore, isOverdue);
+        }, escalation.delayMs));
+    }
+
+    // Complete, snooze, reschedule or dismiss ends the escalation; the response is saved with the alert queue
+    #acknowledge(alertKey, action) {
+        this.#clearEscalationTimer(alertKey);
+
+        const acknowledgement = this.#escalation.acknowledge(alertKey, action);
+        if (!acknowledgement) return;
+
+        this.#updateAlertQueue(queue => queue.recordAcknowledgement(acknowledgement));
+        this.emit('alert-acknowledged', acknowledgement);
+    }
+
+    // Stop repeating a reminder's alerts, or every alert; these aren't acknowledgements
+    #stopEscalations(reminderId = null) {
+        this.#escalation.getKeys(reminderId).forEach(alertKey => {
+            this.#clearEscalationTimer(alertKey);
+            this.#escalation.cancel(alertKey);
+        });
+    }
+
+    #clearEscalationTimer(alertKey) {
+        clearTimeout(this.#escalationTimers.get(alertKey));
+        this.#escalationTimers.delete(alertKey);
+    }
+
+    async #playNotificationSound(alertType, volume = 0.3) {
         if (!this.#audioContext) return;
 
         try {
@@ -318,7 +883,7 @@ export class NotificationService extends EventEmitter {
                 oscillator.frequency.setValueAtTime(freq, time);
             });
 
-            gainNode.gain.setValueAtTime(0.3, this.#audioContext.currentTime);
+            gainNode.gain.setValueAtTime(Math.min(volume, 1), this.#audioContext.currentTime);
             gainNode.gain.exponentialRampToValueAtTime(0.01, this.#audioContext.currentTime + pattern.duration);
 
             oscillator.start();
@@ -329,24 +894,23 @@ export class NotificationService extends EventEmitter {
         }
     }
 
-    #showBrowserNotification(reminder, minutesBefore, isOverdue) {
+    async #showBrowserNotification(reminder, minutesBefore, isOverdue) {
         if (this.#permissionState !== 'granted') return;
 
-        const title = isOverdue ?
-            '⚠️ Overdue Reminder!' :
-            `🔔 Reminder Alert! (${minutesBefore} min)`;
+        const { title, options } = this.#getBrowserNotificationContent(reminder, minutesBefore, isOverdue);
 
-        const body = isOverdue ?
-            `Overdue: ${reminder.title}` :
-            `Coming up in ${minutesBefore} minutes: ${reminder.title}`;
+        // Notifications shown by the service worker can carry action buttons and outlive the tab
+        const registration = await ServiceWorkerBridge.getRegistration();
+        if (registration) {
+            try {
+                await registration.showNotification(title, { ...options, actions: NOTIFICATION_ACTIONS });
+                return;
+            } catch (error) {
+                console.warn('Service Worker notification failed, falling back:', error);
+            }
+        }
 
-        const notification = new Notification(title, {
-            body,
-            icon: '/favicon.png',
-            tag: `reminder-${reminder.id}-${minutesBefore || 'overdue'}`,
-            requireInteraction: isOverdue || minutesBefore <= 5,
-            data: { reminderId: reminder.id, minutesBefore, isOverdue }
-        });
+        const notification = new Notification(title, options);
 
         notification.onclick = () => {
             window.focus();
@@ -358,13 +922,65 @@ export class NotificationService extends EventEmitter {
         setTimeout(() => notification.close(), autoCloseDelay);
     }
 
-    #showEnhancedPopup(reminder, minutesBefore, isOverdue) {
+    #getBrowserNotificationContent(reminder, minutesBefore, isOverdue) {
+        const title = isOverdue ?
+            '⚠️ Overdue Reminder!' :
+            `🔔 Reminder Alert! (${minutesBefore} min)`;
+
+        const body = isOverdue ?
+            `Overdue: ${reminder.title}` :
+            `Coming up in ${minutesBefore} minutes: ${reminder.title}`;
+
+        return {
+            title,
+            options: {
+                body,
+                icon: NOTIFICATION_ICON,
+                tag: `reminder-${reminder.id}-${minutesBefore || 'overdue'}`,
+                requireInteraction: isOverdue || minutesBefore <= 5,
+                data: { reminderId: reminder.id, userId: reminder.userId, minutesBefore, isOverdue }
+            }
+        };
+    }
+
+    // The service worker keeps its copy in its own IndexedDB, outside the encryption layer, so it gets
+    // the same tag and data but no reminder text
+    #getBackgroundNotificationContent(reminder, minutesBefore) {
+        const { title, options } = this.#getBrowserNotificationContent(reminder, minutesBefore, false);
+
+        return {
+            title,
+            options: { ...options, body: `Coming up in ${minutesBefore} minutes. Open Reminders Vault to see it.` }
+        };
+    }
+
+    // Only the leader acts on clicks, so each one is applied once however many tabs are open
+    async #drainBackgroundActions() {
+        if (!this.#isLeader || !this.#acceptingActions) return;
+
+        try {
+            const actions = await ServiceWorkerBridge.request({ type: 'take-actions' }) || [];
+            actions.forEach(({ action, reminderId, userId }) => {
+                this.#escalation.getKeys(reminderId).forEach(alertKey => this.#acknowledge(alertKey, action));
+                this.emit('notification-action', {
+                    action,
+                    reminderId,
+                    userId,
+                    ...(action === 'snooze' ? { minutes: APP_CONFIG.serviceWorker.snoozeMinutes } : {})
+                });
+            });
+        } catch (error) {
+            console.warn('Failed to collect notification actions:', error);
+        }
+    }
+
+    #showEnhancedPopup(reminder, minutesBefore, isOverdue, attempt = 1) {
         const popupId = `${reminder.id}-${minutesBefore || 'overdue'}`;
         if (this.#activePopups.has(popupId)) return;
 
         this.#activePopups.add(popupId);
 
-        const overlay = this.#createEnhancedPopupOverlay(reminder, minutesBefore, isOverdue);
+        const overlay = this.#createEnhancedPopupOverlay(reminder, minutesBefore, isOverdue, attempt);
         document.body.appendChild(overlay);
 
         // Auto-dismiss timing based on urgency
@@ -375,7 +991,7 @@ export class NotificationService extends EventEmitter {
         this.#setupEnhancedPopupHandlers(overlay, reminder, minutesBefore, isOverdue);
     }
 
-    #createEnhancedPopupOverlay(reminder, minutesBefore, isOverdue) {
+    #createEnhancedPopupOverlay(reminder, minutesBefore, isOverdue, attempt = 1) {
         const overlay = document.createElement('div');
         overlay.className = 'reminder-alert-overlay enhanced';
         overlay.dataset.popupId = `${reminder.id}-${minutesBefore || 'overdue'}`;
@@ -390,6 +1006,9 @@ export class NotificationService extends EventEmitter {
                     <div class="alert-icon ${isOverdue ? 'overdue' : ''}">${alertInfo.icon}</div>
                     <h2 class="alert-title">${alertInfo.title}</h2>
                     <div class="alert-timing">${alertInfo.subtitle}</div>
+                    ${attempt > 1 ? `
+                        <div class="alert-attempt">🔁 Reminder ${attempt} of ${this.#escalation.getPolicy(reminder).maxAttempts}</div>
+                    ` : ''}
                 </div>
 
                 <div class="alert-content">
@@ -447,6 +1066,58 @@ export class NotificationService extends EventEmitter {
         return overlay;
     }
 
+    // A newer digest replaces one still open; it isn't an alert, so closing it isn't an acknowledgement
+    #showDigestPopup(digest, title) {
+        const popupId = 'digest';
+        this.#closePopup(popupId);
+        this.#activePopups.add(popupId);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'reminder-alert-overlay enhanced';
+        overlay.dataset.popupId = popupId;
+        overlay.innerHTML = `
+            <div class="reminder-alert-popup enhanced digest">
+                <div class="alert-header">
+                    <div class="alert-icon">📋</div>
+                    <h2 class="alert-title">${this.#escapeHtml(title)}</h2>
+                    <div class="alert-timing">${this.#escapeHtml(DigestUtils.summarize(digest))}</div>
+                </div>
+
+                <div class="alert-content">
+                    <div class="alert-digest">${DigestUtils.toHtml(digest, { heading: false })}</div>
+
+                    <div class="alert-actions enhanced">
+                        <button class="alert-btn alert-btn-snooze" data-action="copy">
+                            📋 Copy as Markdown
+                        </button>
+                        <button class="alert-btn alert-btn-dismiss" data-action="dismiss">
+                            ❌ Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const escapeHandler = (e) => {
+            if (e.key !== 'Escape') return;
+            if (this.#activePopups.has(popupId)) this.#closePopup(popupId);
+            document.removeEventListener('keydown', escapeHandler);
+        };
+        document.addEventListener('keydown', escapeHandler);
+
+        overlay.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'copy') {
+                const copied = await BrowserUtils.copyToClipboard(DigestUtils.toMarkdown(digest));
+                e.target.textContent = copied ? '✅ Copied' : '⚠️ Copy failed';
+            } else if (action === 'dismiss' || e.target === overlay) {
+                this.#closePopup(popupId);
+                document.removeEventListener('keydown', escapeHandler);
+            }
+        });
+    }
+
     #setupEnhancedPopupHandlers(overlay, reminder, minutesBefore, isOverdue) {
         // Action button handlers
         overlay.addEventListener('click', (e) => {
@@ -460,14 +1131,16 @@ export class NotificationService extends EventEmitter {
         // Close on overlay click
         overlay.addEventListener('click', (e) => {
             if (e.target === overlay) {
-                this.#closePopup(`${reminder.id}-${minutesBefore || 'overdue'}`);
+                this.#closePopup(`${reminder.id}-${minutesBefore || 'overdue'}`, 'dismiss');
             }
         });
 
         // ESC key handler
         const escapeHandler = (e) => {
             if (e.key === 'Escape') {
-                this.#closePopup(`${reminder.id}-${minutesBefore || 'overdue'}`);
+                // A repeat of this alert reuses the popup id; only an open popup is being dismissed
+                const popupId = `${reminder.id}-${minutesBefore || 'overdue'}`;
+                if (this.#activePopups.has(popupId)) this.#closePopup(popupId, 'dismiss');
                 document.removeEventListener('keydown', escapeHandler);
             }
         };
@@ -479,8 +1152,8 @@ export class NotificationService extends EventEmitter {
 
         switch (action) {
             case 'complete':
+                this.#closePopup(popupId, 'complete');
                 this.#emitEvent('reminder-complete', { reminderId });
-                this.#closePopup(popupId);
                 break;
             case 'snooze':
                 this.#showEnhancedSnoozeOptions(reminderId, popupId);
@@ -489,7 +1162,7 @@ export class NotificationService extends EventEmitter {
                 this.#showRescheduleOptions(reminderId, popupId);
                 break;
             case 'dismiss':
-                this.#closePopup(popupId);
+                this.#closePopup(popupId, 'dismiss');
                 break;
         }
     }
@@ -551,10 +1224,10 @@ export class NotificationService extends EventEmitter {
         popup.addEventListener('click', (e) => {
             const minutes = parseInt(e.target.closest('[data-minutes]')?.dataset.minutes);
             if (minutes) {
+                this.#closePopup(popupId, 'snooze');
                 this.#emitEvent('reminder-snooze', { reminderId, minutes });
-                this.#closePopup(popupId);
             } else if (e.target.dataset.action === 'cancel') {
-                this.#closePopup(popupId);
+                this.#closePopup(popupId, 'dismiss');
             }
         });
     }
@@ -592,10 +1265,10 @@ export class NotificationService extends EventEmitter {
         popup.addEventListener('click', (e) => {
             const hours = parseInt(e.target.closest('[data-hours]')?.dataset.hours);
             if (hours) {
+                this.#closePopup(popupId, 'reschedule');
                 this.#emitEvent('reminder-reschedule', { reminderId, hours });
-                this.#closePopup(popupId);
             } else if (e.target.dataset.action === 'cancel') {
-                this.#closePopup(popupId);
+                this.#closePopup(popupId, 'dismiss');
             }
         });
     }
@@ -620,6 +1293,7 @@ export class NotificationService extends EventEmitter {
             if (remaining <= 0) {
                 clearInterval(timer);
                 this.#closePopup(popupId);
+                this.#escalate(popupId);
             }
         }, 1000);
 
@@ -628,7 +1302,10 @@ export class NotificationService extends EventEmitter {
         if (overlay) overlay.dataset.timer = timer;
     }
 
-    #closePopup(popupId) {
+    // `acknowledgement` is the user's response, when closing is one
+    #closePopup(popupId, acknowledgement = null) {
+        if (acknowledgement) this.#acknowledge(popupId, acknowledgement);
+
         const overlay = document.querySelector(`[data-popup-id="${popupId}"]`);
         if (!overlay) return;
 
@@ -799,6 +1476,12 @@ export class NotificationService extends EventEmitter {
                 font-weight: 500;
             }
 
+            .alert-attempt {
+                font-size: 0.8rem;
+                margin-top: 0.25rem;
+                font-weight: 600;
+            }
+
             .alert-content {
                 padding: 1.5rem;
             }
@@ -855,6 +1538,28 @@ export class NotificationService extends EventEmitter {
                 border: 1px solid #e9ecef;
             }
 
+            .alert-digest {
+                max-height: 50vh;
+                overflow-y: auto;
+            }
+
+            .alert-digest h3 {
+                font-size: 0.95rem;
+                margin: 0.75rem 0 0.25rem;
+            }
+
+            .alert-digest ul {
+                margin: 0;
+                padding-left: 1.25rem;
+                font-size: 0.85rem;
+            }
+
+            .alert-digest p {
+                margin: 0;
+                font-size: 0.85rem;
+                color: #666;
+            }
+
             .alert-actions.enhanced {
                 display: grid;
                 grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
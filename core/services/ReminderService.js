@@ -3,40 +3,80 @@
  * Handles CRUD operations, validation, and business rules
  */
 
-import { createReminder, validateReminder, ValidationError } from '../../types/interfaces.js';
+import {
+  createReminder,
+  createRecurrenceRule,
+  validateReminder,
+  normalizeTagName,
+  REMINDER_CATEGORIES,
+  ValidationError,
+  USER_ROLES,
+  PERMISSIONS,
+  assertPermission
+} from '../../types/interfaces.js';
 import { REMINDER_CONFIG, VALIDATION_RULES } from '../../config/constants.js';
-import { EventEmitter, DateUtils, StringUtils } from '../../utils/helpers.js';
+import { EventEmitter, DateUtils } from '../../utils/helpers.js';
+import { RecurrenceUtils } from '../../utils/recurrence.js';
+import { ChecklistUtils } from '../../utils/checklist.js';
+import { DependencyUtils } from '../../utils/dependencies.js';
+import { tokenize } from '../storage/SearchIndex.js';
+import { parseQuery } from '../storage/ReminderQuery.js';
+import { CommandHistory, COMMAND_TYPES, CHANGE_KINDS } from './CommandHistory.js';
 
 export class ReminderService extends EventEmitter {
-  constructor(storageService, notificationService) {
+  constructor(storageService, notificationService, authService = null) {
     super();
     this.storage = storageService;
     this.notifications = notificationService;
+    this.auth = authService;
     this.cache = new Map();
+    this.history = null; // CommandHistory for the signed-in user, see setHistory()
+
+    // Complete/Snooze buttons on service worker notifications, possibly clicked while no tab was open
+    if (typeof this.notifications?.on === 'function') {
+      this.notifications.on('notification-action', (data) => this._handleNotificationAction(data));
+    }
+  }
+
+  // Mutations made while a CommandHistory is attached can be undone; pass null to stop recording
+  setHistory(history) {
+    this.history = history;
   }
 
   // Create a new reminder
   async createReminder(data, userId) {
+    return this._withHistory(COMMAND_TYPES.CREATE, changes => this._createReminder(data, userId, changes));
+  }
+
+  async _createReminder(data, userId, changes) {
     try {
-      // Validate input data
-      const validation = validateReminder(data);
+      assertPermission(this._getActor(), PERMISSIONS.REMINDERS_CREATE);
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_CREATE_ANY);
+
+      // Validate input data against the owner's categories, which also supply default alert timings
+      const categories = await this.storage.getCategories(userId);
+      data = this._applyCategoryDefaults(data, categories);
+      const validation = validateReminder(data, { categories });
       if (!validation.isValid) {
         throw validation.errors[0];
       }
 
       // Create reminder object
       const reminder = createReminder(data, userId);
+      await this._assertDependencies(reminder);
 
       // Save to storage
       const savedReminder = await this.storage.saveReminder(reminder);
 
-      // Schedule notifications if enabled
+      // Schedule notifications if enabled; they stay held back while a blocker is open
+      this.notifications.setBlocked(savedReminder.id, await this._isBlocked(savedReminder));
       if (savedReminder.notification && savedReminder.status === REMINDER_CONFIG.status.ACTIVE) {
         this.notifications.scheduleNotification(savedReminder, savedReminder.alertTimings);
       }
 
       // Update cache
       this._updateCache(userId, savedReminder, 'create');
+      changes.push(CommandHistory.created(savedReminder));
 
       // Emit event
       this.emit('reminder-created', { reminder: savedReminder, userId });
@@ -54,6 +94,7 @@ export class ReminderService extends EventEmitter {
     try {
       const {
         filters = {},
+        query = '',
         sortBy = 'datetime',
         sortDirection = 'asc',
         page = 1,
@@ -61,6 +102,9 @@ export class ReminderService extends EventEmitter {
         useCache = true
       } = options;
 
+      // Before the cache, so a cached list isn't handed to someone without access
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
+
       // Check cache first
       const cacheKey = this._getCacheKey(userId, options);
       if (useCache && this.cache.has(cacheKey)) {
@@ -70,15 +114,18 @@ export class ReminderService extends EventEmitter {
         }
       }
 
-      // Get from storage
+      // Get from storage; the parsed query lets IndexedDB pick an index
       const reminders = await this.storage.getReminders(userId, {
         ...filters,
+        query: query ? parseQuery(query) : filters.query,
         sortBy,
         sortDirection
       });
 
-      // Update reminder statuses
-      const updatedReminders = await this._updateReminderStatuses(reminders);
+      // Update reminder statuses; blockers may be filtered out of this list, so they're looked up among all reminders
+      const withStatuses = await this._updateReminderStatuses(reminders);
+      const lookup = withStatuses.some(r => r.dependsOn?.length) ? await this.storage.getReminders(userId) : [];
+      const updatedReminders = withStatuses.map(reminder => this._updateBlockedState(reminder, lookup));
 
       // Apply pagination
       const startIndex = (page - 1) * limit;
@@ -112,14 +159,13 @@ export class ReminderService extends EventEmitter {
     try {
       const reminder = await this.storage.getReminderById(id);
 
-      if (!reminder) {
+      // Trashed reminders only come back through restoreReminder
+      if (!reminder || reminder.deletedAt) {
         return null;
       }
 
-      // Verify user owns this reminder
-      if (reminder.userId !== userId) {
-        throw new ValidationError('access', 'Access denied to this reminder');
-      }
+      // Other users' reminders need the role's read-any permission
+      this._assertReminderAccess(reminder, PERMISSIONS.REMINDERS_READ_ANY);
 
       // Update status if needed
       const updatedReminder = this._updateReminderStatus(reminder);
@@ -138,6 +184,10 @@ export class ReminderService extends EventEmitter {
 
   // Update an existing reminder
   async updateReminder(id, updates, userId) {
+    return this._withHistory(COMMAND_TYPES.UPDATE, changes => this._updateReminder(id, updates, userId, changes));
+  }
+
+  async _updateReminder(id, updates, userId, changes) {
     try {
       // Get existing reminder
       const existing = await this.getReminderById(id, userId);
@@ -145,12 +195,31 @@ export class ReminderService extends EventEmitter {
         throw new ValidationError('id', `Reminder with id ${id} not found`);
       }
 
-      // Validate updates
+      this._assertReminderAccess(existing, PERMISSIONS.REMINDERS_UPDATE_ANY);
+
+      // Normalize recurrence rule changes
+      if (updates.recurrence) {
+        updates = {
+          ...updates,
+          recurrence: createRecurrenceRule(updates.recurrence, updates.datetime || existing.datetime)
+        };
+      }
+
+      if (Array.isArray(updates.tags)) {
+        updates = { ...updates, tags: [...new Set(updates.tags.map(normalizeTagName).filter(Boolean))] };
+      }
+
+      // Validate updates; the category is only checked when it changes, so reminders in a category
+      // defined on another device can still be edited here
       const updatedData = { ...existing, ...updates };
-      const validation = validateReminder(updatedData);
+      const categories = updates.category !== undefined ? await this.storage.getCategories(existing.userId) : undefined;
+      const validation = validateReminder({ ...updatedData, category: updates.category }, { categories });
       if (!validation.isValid) {
         throw validation.errors[0];
       }
+      if (updates.dependsOn) {
+        await this._assertDependencies(updatedData, existing.dependsOn);
+      }
 
       // Update in storage
       const updatedReminder = await this.storage.updateReminder(id, {
@@ -158,8 +227,13 @@ export class ReminderService extends EventEmitter {
         updatedAt: new Date().toISOString()
       });
 
+      if (updates.dependsOn !== undefined) {
+        this.notifications.setBlocked(id, await this._isBlocked(updatedReminder));
+      }
+
       // Update notifications if needed
-      if (updates.notification !== undefined || updates.alertTimings || updates.datetime) {
+      if (updates.notification !== undefined || updates.alertTimings || updates.datetime ||
+          updates.recurrence !== undefined) {
         this.notifications.cancelNotification(id);
 
         if (updatedReminder.notification && updatedReminder.status === REMINDER_CONFIG.status.ACTIVE) {
@@ -168,10 +242,15 @@ export class ReminderService extends EventEmitter {
       }
 
       // Update cache
-      this._updateCache(userId, updatedReminder, 'update');
+      this._updateCache(existing.userId, updatedReminder, 'update');
+      changes.push(CommandHistory.updated(existing, updatedReminder));
+
+      if (DependencyUtils.isOpen(existing) !== DependencyUtils.isOpen(updatedReminder)) {
+        await this._refreshDependents(existing, userId);
+      }
 
       // Emit event
-      this.emit('reminder-updated', { reminder: updatedReminder, changes: updates, userId });
+      this.emit('reminder-updated', { reminder: updatedReminder, previous: existing, changes: updates, userId });
 
       return updatedReminder;
     } catch (error) {
@@ -181,13 +260,26 @@ export class ReminderService extends EventEmitter {
     }
   }
 
-  // Complete a reminder
+  // Complete a reminder (recurring reminders roll forward to their next occurrence)
   async completeReminder(id, userId) {
+    return this._withHistory(COMMAND_TYPES.COMPLETE, changes => this._completeReminder(id, userId, changes));
+  }
+
+  async _completeReminder(id, userId, changes, updates = {}) {
     try {
-      const updatedReminder = await this.updateReminder(id, {
+      const existing = await this.getReminderById(id, userId);
+      if (existing?.recurrence) {
+        const nextOccurrence = this._getNextOccurrence(existing);
+        if (nextOccurrence) {
+          return await this._advanceRecurringReminder(existing, nextOccurrence, userId, changes);
+        }
+      }
+
+      const updatedReminder = await this._updateReminder(id, {
+        ...updates,
         status: REMINDER_CONFIG.status.COMPLETED,
         completedAt: new Date().toISOString()
-      }, userId);
+      }, userId, changes);
 
       // Cancel notifications
       this.notifications.cancelNotification(id);
@@ -202,17 +294,67 @@ export class ReminderService extends EventEmitter {
     }
   }
 
+  /**
+   * Tick or untick one checklist item
+   * Ticking the last open item completes the reminder (or rolls a recurring one forward with a fresh checklist)
+   */
+  async setSubtaskDone(id, subtaskId, done, userId) {
+    const existing = await this.getReminderById(id, userId);
+    if (!existing) {
+      throw new ValidationError('id', `Reminder with id ${id} not found`);
+    }
+    if (!existing.subtasks?.some(item => item.id === subtaskId)) {
+      throw new ValidationError('subtasks', `Subtask with id ${subtaskId} not found`);
+    }
+
+    const subtasks = ChecklistUtils.setDone(existing.subtasks, subtaskId, Boolean(done));
+    const completes = ChecklistUtils.isComplete(subtasks) && existing.status !== REMINDER_CONFIG.status.COMPLETED;
+
+    if (completes) {
+      return this._withHistory(COMMAND_TYPES.COMPLETE, changes => this._completeReminder(id, userId, changes, { subtasks }));
+    }
+    return this.updateReminder(id, { subtasks }, userId);
+  }
+
+  /**
+   * Mark a reminder as blocked by another one
+   * @throws {ValidationError} When the blocker doesn't exist or the link would close a loop
+   */
+  async addDependency(id, blockerId, userId) {
+    const existing = await this.getReminderById(id, userId);
+    if (!existing) {
+      throw new ValidationError('id', `Reminder with id ${id} not found`);
+    }
+    if (existing.dependsOn?.includes(blockerId)) return existing;
+
+    return this.updateReminder(id, { dependsOn: [...(existing.dependsOn || []), blockerId] }, userId);
+  }
+
+  async removeDependency(id, blockerId, userId) {
+    const existing = await this.getReminderById(id, userId);
+    if (!existing) {
+      throw new ValidationError('id', `Reminder with id ${id} not found`);
+    }
+    if (!existing.dependsOn?.includes(blockerId)) return existing;
+
+    return this.updateReminder(id, { dependsOn: existing.dependsOn.filter(dependency => dependency !== blockerId) }, userId);
+  }
+
   // Snooze a reminder
   async snoozeReminder(id, minutes, userId) {
+    return this._withHistory(COMMAND_TYPES.SNOOZE, changes => this._snoozeReminder(id, minutes, userId, changes));
+  }
+
+  async _snoozeReminder(id, minutes, userId, changes) {
     try {
       const newDateTime = DateUtils.addTime(new Date(), minutes, 'minutes');
 
-      const updatedReminder = await this.updateReminder(id, {
+      const updatedReminder = await this._updateReminder(id, {
         datetime: newDateTime.toISOString(),
         status: REMINDER_CONFIG.status.ACTIVE,
         snoozedAt: new Date().toISOString(),
         snoozeCount: (await this.getReminderById(id, userId))?.snoozeCount || 0 + 1
-      }, userId);
+      }, userId, changes);
 
       // Emit event
       this.emit('reminder-snoozed', { reminder: updatedReminder, minutes, userId });
@@ -226,6 +368,10 @@ export class ReminderService extends EventEmitter {
 
   // Delete a reminder
   async deleteReminder(id, userId) {
+    return this._withHistory(COMMAND_TYPES.DELETE, changes => this._deleteReminder(id, userId, changes));
+  }
+
+  async _deleteReminder(id, userId, changes) {
     try {
       // Verify ownership
       const existing = await this.getReminderById(id, userId);
@@ -233,6 +379,8 @@ export class ReminderService extends EventEmitter {
         throw new ValidationError('id', `Reminder with id ${id} not found`);
       }
 
+      this._assertReminderAccess(existing, PERMISSIONS.REMINDERS_DELETE_ANY);
+
       // Delete from storage
       const deleted = await this.storage.deleteReminder(id);
 
@@ -241,7 +389,9 @@ export class ReminderService extends EventEmitter {
         this.notifications.cancelNotification(id);
 
         // Update cache
-        this._removeFromCache(userId, id);
+        this._removeFromCache(existing.userId, id);
+        changes.push(CommandHistory.deleted(existing));
+        await this._refreshDependents(existing, userId);
 
         // Emit event
         this.emit('reminder-deleted', { reminder: existing, userId });
@@ -255,11 +405,156 @@ export class ReminderService extends EventEmitter {
     }
   }
 
-  // Bulk operations
+  // Trash
+  async getTrash(userId) {
+    try {
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
+      return await this.storage.getTrash(userId);
+    } catch (error) {
+      console.error('Failed to get trash:', error);
+      this.emit('reminder-error', { action: 'getTrash', error, userId });
+      throw error;
+    }
+  }
+
+  async restoreReminder(id, userId) {
+    return this._withHistory(COMMAND_TYPES.RESTORE, async (changes) => {
+      try {
+        const trashed = await this.storage.getReminderById(id);
+        if (!trashed?.deletedAt) {
+          throw new ValidationError('id', `Reminder with id ${id} is not in the trash`);
+        }
+
+        this._assertReminderAccess(trashed, PERMISSIONS.REMINDERS_DELETE_ANY);
+
+        const restored = await this.storage.restoreReminder(id);
+
+        this.notifications.setBlocked(restored.id, await this._isBlocked(restored));
+        if (restored.notification && restored.status === REMINDER_CONFIG.status.ACTIVE) {
+          this.notifications.scheduleNotification(restored, restored.alertTimings);
+        }
+
+        this._updateCache(restored.userId, restored, 'restore');
+        changes.push(CommandHistory.updated(trashed, restored));
+        await this._refreshDependents(trashed, userId);
+        this.emit('reminder-restored', { reminder: restored, userId });
+
+        return restored;
+      } catch (error) {
+        console.error('Failed to restore reminder:', error);
+        this.emit('reminder-error', { action: 'restore', error, id, userId });
+        throw error;
+      }
+    });
+  }
+
+  // Permanent; not undoable
+  async purgeReminder(id, userId) {
+    try {
+      const reminder = await this.storage.getReminderById(id);
+      if (!reminder) {
+        throw new ValidationError('id', `Reminder with id ${id} not found`);
+      }
+
+      this._assertReminderAccess(reminder, PERMISSIONS.REMINDERS_DELETE_ANY);
+
+      const purged = await this.storage.purgeReminder(id);
+      if (purged) {
+        this.notifications.cancelNotification(id);
+        this._removeFromCache(reminder.userId, id);
+        this.emit('reminder-purged', { reminder, userId });
+      }
+
+      return purged;
+    } catch (error) {
+      console.error('Failed to purge reminder:', error);
+      this.emit('reminder-error', { action: 'purge', error, id, userId });
+      throw error;
+    }
+  }
+
+  async emptyTrash(userId) {
+    try {
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_DELETE_ANY);
+      const purged = await this.storage.emptyTrash(userId);
+      this._updateCache(userId, null, 'purge');
+      this.emit('trash-emptied', { purged, userId });
+      return purged;
+    } catch (error) {
+      console.error('Failed to empty trash:', error);
+      this.emit('reminder-error', { action: 'emptyTrash', error, userId });
+      throw error;
+    }
+  }
+
+  // Tags - renames, merges and deletes rewrite every affected reminder in one storage write.
+  // They aren't undoable; 'tags-changed' carries the reminders that changed.
+
+  // The user's tags with colors and usage counts
+  async getTags(userId) {
+    this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
+    return this.storage.getTagUsage(userId);
+  }
+
+  async setTagColor(name, color, userId) {
+    return this._changeTags('saved', { names: [normalizeTagName(name)], color }, userId, async () => {
+      const existing = (await this.storage.getTags(userId)).find(tag => tag.name === normalizeTagName(name));
+      await this.storage.saveTag({ ...existing, userId, name, color });
+      return [];
+    });
+  }
+
+  async renameTag(name, newName, userId) {
+    const details = { names: [normalizeTagName(name)], target: normalizeTagName(newName) };
+    return this._changeTags('renamed', details, userId, () => this.storage.renameTag(userId, name, newName));
+  }
+
+  async mergeTags(names, targetName, userId) {
+    const details = { names: names.map(normalizeTagName), target: normalizeTagName(targetName) };
+    return this._changeTags('merged', details, userId, () => this.storage.mergeTags(userId, names, targetName));
+  }
+
+  async deleteTag(name, userId) {
+    const details = { names: [normalizeTagName(name)], target: null };
+    return this._changeTags('deleted', details, userId, () => this.storage.deleteTag(userId, name));
+  }
+
+  // Categories - the user's own definitions; deleting one moves its reminders to another.
+  // Not undoable; 'categories-changed' carries the reminders that moved.
+
+  async getCategories(userId) {
+    this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
+    return this.storage.getCategories(userId);
+  }
+
+  // Adds the category, or replaces the one with the same id
+  async saveCategory(category, userId) {
+    return this._changeCategories('saved', userId, async () => {
+      const categories = await this.storage.getCategories(userId);
+      const id = category.id || normalizeTagName(category.label);
+      const existing = categories.find(c => c.id === id);
+      const saved = existing
+          ? categories.map(c => (c.id === id ? { ...existing, ...category, id } : c))
+          : [...categories, { ...category, id }];
+
+      const stored = await this.storage.saveCategories(userId, saved);
+      return { category: stored.find(c => c.id === id), replacement: null, reminders: [] };
+    });
+  }
+
+  async deleteCategory(id, replacementId, userId) {
+    return this._changeCategories('deleted', userId, async () => {
+      const category = (await this.storage.getCategories(userId)).find(c => c.id === id);
+      const reminders = await this.storage.deleteCategory(userId, id, replacementId);
+      return { category, replacement: replacementId, reminders };
+    });
+  }
+
+  // Bulk operations - each run is a single undoable command covering the reminders that succeeded
   async deleteMultipleReminders(ids, userId) {
-    const results = await Promise.allSettled(
-      ids.map(id => this.deleteReminder(id, userId))
-    );
+    const results = await this._withHistory(COMMAND_TYPES.DELETE, changes => Promise.allSettled(
+      ids.map(id => this._deleteReminder(id, userId, changes))
+    ));
 
     const successful = results.filter(r => r.status === 'fulfilled').length;
     const failed = results.filter(r => r.status === 'rejected').length;
@@ -270,9 +565,9 @@ export class ReminderService extends EventEmitter {
   }
 
   async completeMultipleReminders(ids, userId) {
-    const results = await Promise.allSettled(
-      ids.map(id => this.completeReminder(id, userId))
-    );
+    const results = await this._withHistory(COMMAND_TYPES.COMPLETE, changes => Promise.allSettled(
+      ids.map(id => this._completeReminder(id, userId, changes))
+    ));
 
     const successful = results.filter(r => r.status === 'fulfilled').length;
     const failed = results.filter(r => r.status === 'rejected').length;
@@ -285,6 +580,7 @@ export class ReminderService extends EventEmitter {
   // Get reminder statistics
   async getStatistics(userId) {
     try {
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
       const stats = await this.storage.getStatistics(userId);
 
       // Add computed statistics
@@ -316,46 +612,162 @@ export class ReminderService extends EventEmitter {
     }
   }
 
-  // Search reminders
+  // Search reminders using the storage layer's ranked full-text index
   async searchReminders(query, userId, options = {}) {
     try {
-      const searchTerms = StringUtils.escapeHtml(query.toLowerCase().trim()).split(/\s+/);
-      if (searchTerms.length === 0 || searchTerms[0] === '') {
-        return { reminders: [], total: 0 };
+      const { filters = {}, page = 1, limit = 20 } = options;
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_READ_ANY);
+      const searchTerms = tokenize(query);
+
+      if (searchTerms.length === 0) {
+        return { reminders: [], results: [], total: 0, query, searchTerms };
       }
 
-      const allReminders = await this.storage.getReminders(userId);
+      const matches = await this.storage.searchReminders(userId, query);
 
-      const matchingReminders = allReminders.filter(reminder => {
-        const searchableText = [
-          reminder.title,
-          reminder.description,
-          reminder.category
-        ].join(' ').toLowerCase();
+      // Refresh statuses, then apply the remaining filters without losing rank order
+      const updatedReminders = await this._updateReminderStatuses(matches.map(m => m.reminder));
+      const allowedIds = new Set(
+        this.storage.processFilters(updatedReminders, filters).map(r => r.id)
+      );
 
-        return searchTerms.every(term => searchableText.includes(term));
-      });
+      const results = matches
+        .map((match, index) => ({ ...match, reminder: updatedReminders[index] }))
+        .filter(match => allowedIds.has(match.reminder.id));
 
-      const result = await this.getReminders(userId, {
-        ...options,
-        filters: {
-          ...options.filters,
-          search: query
-        }
-      });
+      const startIndex = (page - 1) * limit;
+      const pageResults = results.slice(startIndex, startIndex + limit);
 
       return {
-        ...result,
+        reminders: pageResults.map(r => r.reminder),
+        results: pageResults,
+        total: results.length,
+        page,
+        limit,
+        totalPages: Math.ceil(results.length / limit),
+        hasMore: startIndex + limit < results.length,
         query,
         searchTerms
       };
     } catch (error) {
       console.error('Failed to search reminders:', error);
+      this.emit('reminder-error', { action: 'search', error, query, userId });
       throw error;
     }
   }
 
+  // Undo the latest recorded command; resolves to null when there's nothing to undo
+  async undo(userId) {
+    return this._stepHistory('undo', userId);
+  }
+
+  async redo(userId) {
+    return this._stepHistory('redo', userId);
+  }
+
   // Private helper methods
+  async _withHistory(type, run) {
+    const changes = [];
+    const result = await run(changes);
+
+    if (this.history) {
+      try {
+        await this.history.record(type, changes);
+      } catch (error) {
+        console.warn('Failed to record undo history:', error);
+      }
+    }
+
+    return result;
+  }
+
+  // Storage was written by the history; bring notifications, cache and listeners (e.g. sync) in line
+  async _stepHistory(direction, userId) {
+    if (!this.history) return null;
+
+    try {
+      const result = await this.history[direction]();
+      if (!result) return null;
+
+      result.changes.forEach(({ kind, reminderId, reminder, fields }) => {
+        this.notifications.cancelNotification(reminderId);
+        this._updateCache(reminder.userId, reminder, 'history');
+
+        if (kind === CHANGE_KINDS.DELETED) {
+          this.emit('reminder-deleted', { reminder, userId });
+          return;
+        }
+
+        if (reminder.notification && reminder.status === REMINDER_CONFIG.status.ACTIVE && !reminder.deletedAt) {
+          this.notifications.scheduleNotification(reminder, reminder.alertTimings);
+        }
+
+        if (kind === CHANGE_KINDS.CREATED) {
+          this.emit('reminder-created', { reminder, userId });
+        } else {
+          const changes = Object.fromEntries(fields.map(field => [field, reminder[field]]));
+          this.emit('reminder-updated', { reminder, changes, userId });
+        }
+      });
+
+      // The history doesn't say what a reminder was before, so held-back alerts are re-derived from scratch
+      const owners = new Set(result.changes.map(({ reminder }) => reminder.userId));
+      for (const ownerId of owners) {
+        await this._syncBlockedAlerts(ownerId);
+      }
+
+      this.emit(`history-${direction}`, { command: result.command, changes: result.changes, userId });
+      return result;
+    } catch (error) {
+      console.error(`Failed to ${direction}:`, error);
+      this.emit('reminder-error', { action: direction, error, userId });
+      throw error;
+    }
+  }
+
+  async _handleNotificationAction({ action, reminderId, userId, minutes }) {
+    try {
+      if (action === 'complete') {
+        await this.completeReminder(reminderId, userId);
+      } else if (action === 'snooze') {
+        await this.snoozeReminder(reminderId, minutes, userId);
+      }
+    } catch (error) {
+      this.emit('reminder-error', { action: `notification-${action}`, error, id: reminderId, userId });
+    }
+  }
+
+  _getNextOccurrence(reminder) {
+    // Skip occurrences that are already in the past so the reminder lands in the future
+    const after = new Date(Math.max(new Date(reminder.datetime).getTime(), Date.now()));
+    return RecurrenceUtils.getNextOccurrence(reminder.recurrence, after);
+  }
+
+  async _advanceRecurringReminder(reminder, nextOccurrence, userId, changes) {
+    const completedAt = new Date().toISOString();
+
+    const updatedReminder = await this._updateReminder(reminder.id, {
+      datetime: nextOccurrence.toISOString(),
+      status: REMINDER_CONFIG.status.ACTIVE,
+      completedAt: null,
+      snoozedAt: null,
+      snoozeCount: 0,
+      lastCompletedAt: completedAt,
+      ...(reminder.subtasks?.length > 0 && { subtasks: ChecklistUtils.reset(reminder.subtasks) })
+    }, userId, changes);
+    await this._releaseDependents(reminder, userId, changes);
+
+    this.emit('reminder-completed', {
+      reminder: updatedReminder,
+      userId,
+      completedAt,
+      completedOccurrence: reminder.datetime,
+      nextOccurrence: updatedReminder.datetime
+    });
+
+    return updatedReminder;
+  }
+
   async _updateReminderStatuses(reminders) {
     const updatedReminders = [];
     const now = new Date();
@@ -396,6 +808,162 @@ export class ReminderService extends EventEmitter {
     return reminder;
   }
 
+  // Derived on read and never stored: blocked while any reminder it depends on is still open
+  _updateBlockedState(reminder, reminders) {
+    const blockedBy = DependencyUtils.getOpenBlockers(reminder, reminders);
+    return { ...reminder, blocked: blockedBy.length > 0, blockedBy };
+  }
+
+  async _changeTags(action, details, userId, change) {
+    try {
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_UPDATE_ANY);
+      const reminders = await change();
+      this._updateCache(userId, null, 'tags');
+      this.emit('tags-changed', { action, ...details, reminders, userId });
+      return reminders;
+    } catch (error) {
+      console.error(`Failed to update tags (${action}):`, error);
+      this.emit('reminder-error', { action: `tags-${action}`, error, userId });
+      throw error;
+    }
+  }
+
+  // Reminders without a category get the user's personal one (or their first); without alert timings, the category's
+  _applyCategoryDefaults(data, categories) {
+    const fallback = categories.find(c => c.id === REMINDER_CATEGORIES.PERSONAL) || categories[0];
+    const category = categories.find(c => c.id === data.category) || (!data.category ? fallback : null);
+    if (!category) return data;
+
+    return {
+      ...data,
+      category: category.id,
+      alertTimings: Array.isArray(data.alertTimings) && data.alertTimings.length > 0 ? data.alertTimings : [...category.alertTimings]
+    };
+  }
+
+  async _changeCategories(action, userId, change) {
+    try {
+      this._assertActingFor(userId, PERMISSIONS.REMINDERS_UPDATE_ANY);
+      const result = await change();
+      this._updateCache(userId, null, 'categories');
+      this.emit('categories-changed', { action, ...result, userId });
+      return action === 'deleted' ? result.reminders : result.category;
+    } catch (error) {
+      console.error(`Failed to update categories (${action}):`, error);
+      this.emit('reminder-error', { action: `categories-${action}`, error, userId });
+      throw error;
+    }
+  }
+
+  async _isBlocked(reminder) {
+    if (!reminder.dependsOn?.length) return false;
+    return DependencyUtils.isBlocked(reminder, await this.storage.getReminders(reminder.userId));
+  }
+
+  // New blockers must be the owner's own live reminders, and no link may close a loop
+  async _assertDependencies(reminder, existingIds = []) {
+    if (!reminder.dependsOn?.length) return;
+
+    const reminders = await this.storage.getReminders(reminder.userId);
+    const byId = new Map(reminders.map(r => [r.id, r]));
+
+    const missing = reminder.dependsOn.find(id => !byId.has(id) && id !== reminder.id && !existingIds?.includes(id));
+    if (missing) {
+      throw new ValidationError('dependsOn', `Reminder with id ${missing} not found`);
+    }
+
+    const cycle = DependencyUtils.findCycle(reminders, reminder.id, reminder.dependsOn);
+    if (cycle) {
+      const titles = cycle.map(id => (id === reminder.id ? reminder.title : byId.get(id)?.title) || id);
+      throw new ValidationError('dependsOn', `Dependency cycle: ${titles.join(' → ')}`);
+    }
+  }
+
+  /**
+   * A blocker was closed, reopened or trashed: hold back or release the alerts of the reminders waiting on it,
+   * and emit 'reminder-unblocked' for each one it was the last thing holding back
+   * @param {Object} previous - The blocker as it was before the change
+   */
+  async _refreshDependents(previous, userId) {
+    try {
+      const reminders = await this.storage.getReminders(previous.userId);
+      const dependents = DependencyUtils.getDependents(reminders, previous.id).filter(DependencyUtils.isOpen);
+      if (dependents.length === 0) return [];
+
+      const current = new Map(reminders.map(r => [r.id, r]));
+      const before = new Map(current).set(previous.id, previous);
+      const released = dependents.filter(dependent => {
+        const blocked = DependencyUtils.isBlocked(dependent, current);
+        this.notifications.setBlocked(dependent.id, blocked);
+        return !blocked && DependencyUtils.isBlocked(dependent, before);
+      });
+
+      const blocker = current.get(previous.id) || previous;
+      released.forEach(reminder => this.emit('reminder-unblocked', { reminder, blocker, userId }));
+      return released;
+    } catch (error) {
+      console.warn(`Failed to update reminders waiting on ${previous.id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * A recurring blocker stays open when one of its occurrences completes, so the reminders waiting on it
+   * stop listing it; emits 'reminder-unblocked' for each one it was the last thing holding back
+   * @param {Object} blocker - The blocker as it was before rolling forward
+   */
+  async _releaseDependents(blocker, userId, changes) {
+    const reminders = await this.storage.getReminders(blocker.userId);
+    const dependents = DependencyUtils.getDependents(reminders, blocker.id).filter(DependencyUtils.isOpen);
+    const released = [];
+
+    for (const dependent of dependents) {
+      const updated = await this._updateReminder(dependent.id, {
+        dependsOn: dependent.dependsOn.filter(id => id !== blocker.id)
+      }, userId, changes);
+
+      if (!DependencyUtils.isBlocked(updated, reminders)) {
+        released.push(updated);
+        this.emit('reminder-unblocked', { reminder: updated, blocker, userId });
+      }
+    }
+
+    return released;
+  }
+
+  async _syncBlockedAlerts(ownerId) {
+    try {
+      const reminders = await this.storage.getReminders(ownerId);
+      reminders
+        .filter(reminder => reminder.dependsOn?.length)
+        .forEach(reminder => this.notifications.setBlocked(reminder.id, DependencyUtils.isBlocked(reminder, reminders)));
+    } catch (error) {
+      console.warn(`Failed to re-check blocked reminders of ${ownerId}:`, error);
+    }
+  }
+
+  // Signed-in session from the auth service; without one only the basic user role applies
+  _getActor() {
+    return this.auth?.getCurrentUser() || { role: USER_ROLES.USER };
+  }
+
+  /**
+   * Working on another user's reminders needs `permission`, whichever userId the caller passes.
+   * A service built without an auth service (as in tests) has no session to compare against,
+   * so it acts as the user it's asked about.
+   */
+  _assertActingFor(ownerId, permission) {
+    const actor = this._getActor();
+    const actorId = this.auth ? actor.username : ownerId;
+    if (ownerId !== actorId) {
+      assertPermission(actor, permission);
+    }
+  }
+
+  _assertReminderAccess(reminder, permission) {
+    this._assertActingFor(reminder.userId, permission);
+  }
+
   _getCacheKey(userId, options) {
     return `${userId}-${JSON.stringify(options)}`;
   }
@@ -0,0 +1,125 @@
+/**
+ * Service Worker Bridge - Page-side access to sw.js
+ * Registers the worker, mirrors alert schedules into it and relays its messages
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+
+export class ServiceWorkerBridge {
+  static #registration = null;
+  static #listeners = new Map(); // message type -> Set of handlers
+  static #listening = false;
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * Register sw.js and precache extra URLs (e.g. lazily loaded route modules)
+   * @param {Object} options - { precache: string[] }
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  static async register(options = {}) {
+    if (!ServiceWorkerBridge.isSupported()) return null;
+
+    const { scriptUrl, scope } = APP_CONFIG.serviceWorker;
+
+    try {
+      await navigator.serviceWorker.register(scriptUrl, { scope });
+      ServiceWorkerBridge.#registration = await navigator.serviceWorker.ready;
+      console.log('✅ Service Worker registered');
+
+      if (options.precache?.length) {
+        ServiceWorkerBridge.#registration.active?.postMessage({ type: 'precache', urls: options.precache });
+      }
+
+      await ServiceWorkerBridge.#registerPeriodicCheck();
+      return ServiceWorkerBridge.#registration;
+    } catch (error) {
+      console.warn('Service Worker registration failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * The active registration, if a worker controls this page
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  static async getRegistration() {
+    if (!ServiceWorkerBridge.isSupported() || !navigator.serviceWorker.controller) return null;
+
+    ServiceWorkerBridge.#registration ||= await navigator.serviceWorker.ready;
+    return ServiceWorkerBridge.#registration;
+  }
+
+  // Dropped when no worker controls the page yet (first visit, or sw.js disabled)
+  static post(message) {
+    if (!ServiceWorkerBridge.isSupported()) return;
+
+    try {
+      navigator.serviceWorker.controller?.postMessage(message);
+    } catch (error) {
+      console.warn('Failed to message Service Worker:', error);
+    }
+  }
+
+  /**
+   * Send a message and wait for the worker's reply
+   * @returns {Promise<*>} The reply, or null without a controlling worker
+   */
+  static async request(message, timeoutMs = 5000) {
+    const registration = await ServiceWorkerBridge.getRegistration();
+    if (!registration?.active) return null;
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error(`Service Worker did not answer "${message.type}"`)), timeoutMs);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve(event.data);
+      };
+      registration.active.postMessage(message, [channel.port2]);
+    });
+  }
+
+  /**
+   * Listen for one type of message from the worker
+   * @returns {Function} Unsubscribe
+   */
+  static onMessage(type, handler) {
+    if (!ServiceWorkerBridge.isSupported()) return () => {};
+
+    if (!ServiceWorkerBridge.#listening) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        ServiceWorkerBridge.#listeners.get(event.data?.type)?.forEach(listener => listener(event.data));
+      });
+      ServiceWorkerBridge.#listening = true;
+    }
+
+    if (!ServiceWorkerBridge.#listeners.has(type)) {
+      ServiceWorkerBridge.#listeners.set(type, new Set());
+    }
+    ServiceWorkerBridge.#listeners.get(type).add(handler);
+
+    return () => ServiceWorkerBridge.#listeners.get(type)?.delete(handler);
+  }
+
+  // Lets the worker wake up and fire alerts while no tab is open (installed apps on supporting browsers)
+  static async #registerPeriodicCheck() {
+    const registration = ServiceWorkerBridge.#registration;
+    if (!registration?.periodicSync || !navigator.permissions?.query) return;
+
+    try {
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') return;
+
+      const { periodicSyncTag, periodicSyncInterval } = APP_CONFIG.serviceWorker;
+      await registration.periodicSync.register(periodicSyncTag, { minInterval: periodicSyncInterval });
+    } catch (error) {
+      console.warn('Periodic background sync unavailable:', error);
+    }
+  }
+}
+
+export default ServiceWorkerBridge;
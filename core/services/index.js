@@ -1,3 +1,10 @@
 export { AuthService } from './AuthService.js';
 export { NotificationService } from './NotificationService.js';
-export { ReminderService } from './ReminderService.js';
\ No newline at end of file
+export { ReminderService } from './ReminderService.js';
+export { LeaderElection } from './LeaderElection.js';
+export { ServiceWorkerBridge } from './ServiceWorkerBridge.js';
+export { CommandHistory, COMMAND_TYPES, CHANGE_KINDS } from './CommandHistory.js';
+export { AuditLog, AUDIT_ACTIONS } from './AuditLog.js';
+export { AlertQueue, ALERT_STATES } from './AlertQueue.js';
+export { AlertEscalation } from './AlertEscalation.js';
+export { DigestService } from './DigestService.js';
\ No newline at end of file
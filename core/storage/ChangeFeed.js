@@ -0,0 +1,80 @@
+/**
+ * Change Feed - Broadcasts reminder changes to other tabs of the same origin
+ * Messages carry ids only; receivers re-read the reminder through their own storage service
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+
+export const CHANGE_TYPES = Object.freeze({
+  SAVED: 'saved',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  RESET: 'reset' // Bulk change (import, clear, delete by status); reload everything for the user
+});
+
+export class ChangeFeed {
+  #channel = null;
+  #listeners = new Set();
+  #sourceId = null;
+
+  constructor(channelName = APP_CONFIG.crossTab.channelName) {
+    this.#sourceId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+
+    if (ChangeFeed.isSupported()) {
+      this.#channel = new BroadcastChannel(channelName);
+      this.#channel.onmessage = (event) => this.#dispatch(event.data);
+    }
+  }
+
+  static isSupported() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  get sourceId() {
+    return this.#sourceId;
+  }
+
+  /**
+   * Tell other tabs that reminders changed
+   * @param {Object} change - { type, userId, reminderId }
+   */
+  publish(change) {
+    if (!this.#channel) return;
+
+    try {
+      this.#channel.postMessage({
+        ...change,
+        sourceId: this.#sourceId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.warn('Failed to broadcast storage change:', error);
+    }
+  }
+
+  // Listeners only hear about changes made in other tabs
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  close() {
+    this.#listeners.clear();
+    this.#channel?.close();
+    this.#channel = null;
+  }
+
+  #dispatch(change) {
+    if (!change?.type || change.sourceId === this.#sourceId) return;
+
+    this.#listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Change feed listener failed:', error);
+      }
+    });
+  }
+}
+
+export default ChangeFeed;
@@ -0,0 +1,606 @@
+/**
+ * Encrypted Storage - AES-GCM encryption layer around any StorageInterface implementation
+ * Reminder titles, descriptions and checklist item titles are encrypted with a per-user data key; the data key is
+ * wrapped by a key derived from the user's passphrase (PBKDF2) and kept in storage metadata.
+ * Tags stay in plaintext so the wrapped storage can index and filter by them.
+ */
+
+import { StorageInterface, TRASH_FILTERS } from './StorageInterface.js';
+import { CryptoUtils } from '../../utils/crypto.js';
+import { SessionStorage } from '../../utils/storage.js';
+import { StorageError, ERROR_CODES } from '../../types/interfaces.js';
+import { APP_CONFIG } from '../../config/constants.js';
+
+const KEYRING_VERSION = 1;
+const ENCRYPTED_FIELDS = Object.freeze(['title', 'description']);
+const SUBTASK_TITLE_FIELD = 'subtasks.title'; // Checklist items are encrypted title by title
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+// Filters the wrapped storage can apply without seeing plaintext
+const STORED_FILTERS = Object.freeze(['status', 'category', 'tags', 'priority', 'dateFrom', 'dateTo', 'trash']);
+
+const keyringKey = (userId) => `${APP_CONFIG.storage.encryption.keyringPrefix}${userId}`;
+const sessionKeysKey = (userId) => `vault_keys_${userId}`;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+const hasEncryptedSubtasks = (reminder) => Array.isArray(reminder?.subtasks) &&
+    reminder.subtasks.some(item => isEncrypted(item?.title));
+
+// Encrypted values replaced by null, for records that can't be sealed or opened
+const redact = (snapshot) => snapshot && Object.fromEntries(Object.entries(snapshot).map(([field, value]) => {
+  if (field === 'subtasks' && Array.isArray(value)) return [field, value.map(item => ({ ...item, title: null }))];
+  return [field, ENCRYPTED_FIELDS.includes(field) || isEncrypted(value) ? null : value];
+}));
+
+// enc:v1:<keyId>:<iv>:<ciphertext> - neither base64 nor key ids contain ':'
+const parseCiphertext = (value) => {
+  const [keyId, iv, ciphertext] = value.slice(CIPHERTEXT_PREFIX.length).split(':');
+  return { keyId, iv, ciphertext };
+};
+
+export class EncryptedStorage extends StorageInterface {
+  #storage = null;
+  #rememberKeys = false;
+  #keyrings = new Map(); // userId -> stored keyring, null when encryption isn't set up
+  #unlocked = new Map(); // userId -> { activeKeyId, keys: Map<keyId, CryptoKey> }
+
+  /**
+   * @param {StorageInterface} storage - Storage to wrap
+   * @param {Object} options - { rememberKeys }: keep unlocked keys in sessionStorage so another page in
+   *   the same tab can resume without asking for the passphrase again. Off by default: the raw keys would
+   *   then be readable by any script on the origin
+   */
+  constructor(storage, options = {}) {
+    super();
+    this.#storage = storage;
+    this.#rememberKeys = options.rememberKeys ?? false;
+  }
+
+  static isSupported() {
+    return Boolean(globalThis.crypto?.subtle);
+  }
+
+  // Method rather than getter: StorageFactory's metrics Proxy calls getters with itself as `this`
+  getInnerStorage() {
+    return this.#storage;
+  }
+
+  async initialize() {
+    return this.#storage.initialize?.();
+  }
+
+  // === Lock state and key management ===
+
+  async isEncryptionEnabled(userId) {
+    return Boolean(await this.#getKeyring(userId));
+  }
+
+  async isLocked(userId) {
+    return !this.#unlocked.has(userId) && await this.isEncryptionEnabled(userId);
+  }
+
+  /**
+   * Unlock a user's reminders with their passphrase. The first unlock creates the keyring
+   * and encrypts any reminders that were stored in plaintext.
+   */
+  async unlock(userId, passphrase) {
+    this.validateUserId(userId);
+
+    const keyring = await this.#getKeyring(userId);
+    if (!keyring) {
+      const keyId = this.generateId();
+      const keys = new Map([[keyId, await CryptoUtils.generateKey()]]);
+
+      await this.#saveKeyring(userId, keys, keyId, passphrase);
+      await this.#setUnlocked(userId, keyId, keys);
+    } else {
+      const keys = await this.#unwrapKeyring(keyring, passphrase);
+      await this.#setUnlocked(userId, keyring.activeKeyId, keys);
+    }
+
+    // Also finishes a rotation that was interrupted before every reminder was re-encrypted
+    await this.#reencryptReminders(userId);
+    return true;
+  }
+
+  // Restore keys remembered earlier in this browser tab; false means a passphrase is needed
+  async resume(userId) {
+    if (this.#unlocked.has(userId)) return true;
+
+    const remembered = this.#rememberKeys ? SessionStorage.get(sessionKeysKey(userId)) : null;
+    const keyring = await this.#getKeyring(userId);
+    if (!remembered || !keyring || remembered.activeKeyId !== keyring.activeKeyId) return false;
+
+    const keys = new Map();
+    for (const [keyId, raw] of Object.entries(remembered.keys)) {
+      keys.set(keyId, await CryptoUtils.importKey(raw));
+    }
+
+    this.#unlocked.set(userId, { activeKeyId: remembered.activeKeyId, keys });
+    return true;
+  }
+
+  lock(userId) {
+    this.#unlocked.delete(userId);
+    this.#forgetKeys(userId);
+  }
+
+  lockAll() {
+    Array.from(this.#unlocked.keys()).forEach(userId => this.lock(userId));
+  }
+
+  // Re-wrap the existing data keys under a new passphrase; reminders are untouched
+  async changePassphrase(userId, currentPassphrase, newPassphrase) {
+    const keyring = await this.#getKeyring(userId);
+    if (!keyring) {
+      return this.unlock(userId, newPassphrase);
+    }
+
+    const keys = await this.#unwrapKeyring(keyring, currentPassphrase);
+    await this.#saveKeyring(userId, keys, keyring.activeKeyId, newPassphrase, keyring);
+    await this.#setUnlocked(userId, keyring.activeKeyId, keys);
+    return true;
+  }
+
+  /**
+   * Replace the user's data key and re-encrypt every reminder with it
+   * @returns {Promise<{keyId: string, reencrypted: number}>}
+   */
+  async rotateKey(userId, passphrase) {
+    const keyring = await this.#getKeyring(userId);
+    if (!keyring) {
+      throw new StorageError(`Encryption is not set up for user ${userId}`, ERROR_CODES.NOT_FOUND);
+    }
+
+    const keys = await this.#unwrapKeyring(keyring, passphrase);
+    const keyId = this.generateId();
+    keys.set(keyId, await CryptoUtils.generateKey());
+
+    // The old key stays in the keyring until every reminder has moved to the new one
+    await this.#saveKeyring(userId, keys, keyId, passphrase, keyring);
+    await this.#setUnlocked(userId, keyId, keys);
+
+    const reencrypted = await this.#reencryptReminders(userId);
+    console.log(`🔑 Rotated encryption key for ${userId}, re-encrypted ${reencrypted} reminders`);
+
+    return { keyId, reencrypted };
+  }
+
+  // === StorageInterface implementation ===
+
+  async saveReminder(reminderData) {
+    const prepared = await this.#prepareWrite(reminderData.userId, reminderData);
+    const saved = await this.#storage.saveReminder(prepared);
+    return this.#decryptReminder(saved);
+  }
+
+  async getReminders(userId, filters = {}) {
+    if (!await this.isEncryptionEnabled(userId)) {
+      return this.#storage.getReminders(userId, filters);
+    }
+
+    // Text search, queries and title sorting need plaintext, so they run after decryption
+    const storedFilters = Object.fromEntries(
+        STORED_FILTERS.filter(key => filters[key] !== undefined).map(key => [key, filters[key]])
+    );
+    const stored = await this.#storage.getReminders(userId, storedFilters);
+    const reminders = await Promise.all(stored.map(reminder => this.#decryptReminder(reminder)));
+
+    // The trash filter already ran on the stored records
+    const { search, query, sortBy, sortDirection } = filters;
+    return this.processFilters(reminders, { search, query, sortBy, sortDirection, trash: TRASH_FILTERS.INCLUDE });
+  }
+
+  async getReminderById(id) {
+    return this.#decryptReminder(await this.#storage.getReminderById(id));
+  }
+
+  async updateReminder(id, updates) {
+    if (!ENCRYPTED_FIELDS.some(field => field in updates) && !('subtasks' in updates)) {
+      return this.#decryptReminder(await this.#storage.updateReminder(id, updates));
+    }
+
+    const existing = await this.#storage.getReminderById(id);
+    const prepared = existing ? await this.#prepareWrite(existing.userId, updates) : updates;
+
+    return this.#decryptReminder(await this.#storage.updateReminder(id, prepared));
+  }
+
+  async deleteReminder(id) {
+    return this.#storage.deleteReminder(id);
+  }
+
+  // Opened before it leaves the trash, so a reminder that can't be decrypted stays there
+  async restoreReminder(id) {
+    await this.#decryptReminder(await this.#storage.getReminderById(id));
+    return this.#decryptReminder(await this.#storage.restoreReminder(id));
+  }
+
+  async purgeReminder(id) {
+    return this.#storage.purgeReminder(id);
+  }
+
+  // Purging needs no plaintext, so it works while locked
+  async emptyTrash(userId, options = {}) {
+    return this.#storage.emptyTrash(userId, options);
+  }
+
+  async deleteRemindersByStatus(userId, status) {
+    return this.#storage.deleteRemindersByStatus(userId, status);
+  }
+
+  // The wrapped storage's index only ever sees ciphertext, so encrypted users get the linear search
+  async searchReminders(userId, query, options = {}) {
+    if (!await this.isEncryptionEnabled(userId)) {
+      return this.#storage.searchReminders(userId, query, options);
+    }
+    return super.searchReminders(userId, query, options);
+  }
+
+  // Snapshots must carry userId so they can be opened again
+  async sealReminderFields(userId, data) {
+    return this.#prepareWrite(userId, data);
+  }
+
+  async openReminderFields(data) {
+    return this.#decryptReminder(data);
+  }
+
+  // Audit diffs carry reminder text, so they're sealed with the key of the reminder's owner
+  async appendAuditEntry(entry) {
+    const ownerId = entry.ownerId || entry.userId;
+    const seal = async (snapshot) => {
+      if (!snapshot) return null;
+      try {
+        return await this.#prepareWrite(ownerId, snapshot);
+      } catch (error) {
+        if (error.code !== ERROR_CODES.STORAGE_LOCKED) throw error;
+        // Owner is locked: record which fields changed, never their text in plaintext
+        return redact(snapshot);
+      }
+    };
+    const diff = entry.diff && { before: await seal(entry.diff.before), after: await seal(entry.diff.after) };
+
+    const stored = await this.#storage.appendAuditEntry({ ...entry, diff });
+    return { ...stored, diff: entry.diff };
+  }
+
+  async queryAuditLog(filters = {}) {
+    const entries = await this.#storage.queryAuditLog(filters);
+    return Promise.all(entries.map(entry => this.#openAuditEntry(entry)));
+  }
+
+  async pruneAuditLog(options = {}) {
+    return this.#storage.pruneAuditLog(options);
+  }
+
+  async getTags(userId) {
+    return this.#storage.getTags(userId);
+  }
+
+  async saveTag(tag) {
+    return this.#storage.saveTag(tag);
+  }
+
+  async replaceTags(userId, names, target) {
+    const updated = await this.#storage.replaceTags(userId, names, target);
+    return Promise.all(updated.map(reminder => this.#decryptReminder(reminder)));
+  }
+
+  async saveUserPreferences(userId, preferences) {
+    return this.#storage.saveUserPreferences(userId, preferences);
+  }
+
+  async getUserPreferences(userId) {
+    return this.#storage.getUserPreferences(userId);
+  }
+
+  async saveMetadata(key, value) {
+    return this.#storage.saveMetadata(key, value);
+  }
+
+  async getMetadata(key) {
+    return this.#storage.getMetadata(key);
+  }
+
+  async getStatistics(userId) {
+    return this.#storage.getStatistics(userId);
+  }
+
+  // Exports are plaintext so they can be imported anywhere
+  async exportAllData(userId) {
+    const exportData = await this.#storage.exportAllData(userId);
+
+    if (Array.isArray(exportData?.data?.reminders)) {
+      exportData.data.reminders = await Promise.all(
+          exportData.data.reminders.map(reminder => this.#decryptReminder(reminder))
+      );
+    }
+
+    if (Array.isArray(exportData?.data?.auditLog)) {
+      exportData.data.auditLog = await Promise.all(
+          exportData.data.auditLog.map(entry => this.#openAuditEntry(entry))
+      );
+    }
+
+    return exportData;
+  }
+
+  async importData(importData, userId) {
+    this.validateImportData(importData);
+
+    const reminders = await Promise.all(
+        importData.data.reminders.map(reminder => this.#prepareWrite(userId, reminder))
+    );
+
+    return this.#storage.importData({
+      ...importData,
+      data: { ...importData.data, reminders }
+    }, userId);
+  }
+
+  // Removing the keyring as well leaves nothing behind for a deleted account
+  async clearUserData(userId) {
+    const cleared = await this.#storage.clearUserData(userId);
+
+    await this.#storage.saveMetadata(keyringKey(userId), null);
+    this.#keyrings.set(userId, null);
+    this.lock(userId);
+
+    return cleared;
+  }
+
+  async getDatabaseInfo() {
+    const info = await this.#storage.getDatabaseInfo();
+
+    return {
+      ...info,
+      encryption: {
+        algorithm: CryptoUtils.CIPHER,
+        keyDerivation: `${CryptoUtils.PASSWORD_ALGORITHM}-${CryptoUtils.PASSWORD_DIGEST}`,
+        fields: [...ENCRYPTED_FIELDS, SUBTASK_TITLE_FIELD],
+        unlockedUsers: this.#unlocked.size
+      }
+    };
+  }
+
+  async migrate(options = {}) {
+    return this.#storage.migrate(options);
+  }
+
+  async optimizeStorage() {
+    return this.#storage.optimizeStorage();
+  }
+
+  async healthCheck() {
+    return this.#storage.healthCheck();
+  }
+
+  async close() {
+    return this.#storage.close();
+  }
+
+  // === Private helpers ===
+
+  async #getKeyring(userId) {
+    if (!this.#keyrings.has(userId)) {
+      this.#keyrings.set(userId, await this.#storage.getMetadata(keyringKey(userId)));
+    }
+    return this.#keyrings.get(userId);
+  }
+
+  // Wrap every data key under a freshly salted passphrase key and persist the keyring
+  async #saveKeyring(userId, keys, activeKeyId, passphrase, previous = null) {
+    const salt = CryptoUtils.toBase64(CryptoUtils.randomBytes(CryptoUtils.SALT_BYTES));
+    const iterations = CryptoUtils.PASSWORD_ITERATIONS;
+    const wrappingKey = await CryptoUtils.deriveWrappingKey(passphrase, salt, iterations);
+    const now = new Date().toISOString();
+
+    const wrappedKeys = [];
+    for (const [id, key] of keys) {
+      wrappedKeys.push({
+        id,
+        ...await CryptoUtils.wrapKey(key, wrappingKey),
+        createdAt: previous?.keys.find(entry => entry.id === id)?.createdAt || now
+      });
+    }
+
+    const keyring = {
+      version: KEYRING_VERSION,
+      algorithm: CryptoUtils.CIPHER,
+      salt,
+      iterations,
+      activeKeyId,
+      keys: wrappedKeys,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.#storage.saveMetadata(keyringKey(userId), keyring);
+    this.#keyrings.set(userId, keyring);
+    return keyring;
+  }
+
+  async #unwrapKeyring(keyring, passphrase) {
+    const wrappingKey = await CryptoUtils.deriveWrappingKey(passphrase, keyring.salt, keyring.iterations);
+
+    try {
+      const entries = await Promise.all(keyring.keys.map(async (entry) => [
+        entry.id,
+        await CryptoUtils.unwrapKey(entry, wrappingKey)
+      ]));
+      return new Map(entries);
+    } catch {
+      throw new StorageError('Incorrect passphrase for encrypted storage', ERROR_CODES.AUTHENTICATION_FAILED);
+    }
+  }
+
+  async #setUnlocked(userId, activeKeyId, keys) {
+    this.#unlocked.set(userId, { activeKeyId, keys });
+    if (!this.#rememberKeys) {
+      this.#forgetKeys(userId); // Keys an earlier page remembered shouldn't outlive this unlock
+      return;
+    }
+
+    const rawKeys = {};
+    for (const [keyId, key] of keys) {
+      rawKeys[keyId] = await CryptoUtils.exportKey(key);
+    }
+
+    try {
+      SessionStorage.set(sessionKeysKey(userId), { activeKeyId, keys: rawKeys });
+    } catch (error) {
+      console.warn('Could not remember encryption keys for this session:', error.message);
+    }
+  }
+
+  #forgetKeys(userId) {
+    try {
+      SessionStorage.remove(sessionKeysKey(userId));
+    } catch {
+      // sessionStorage unavailable - nothing was remembered
+    }
+  }
+
+  #requireUnlocked(userId) {
+    const session = this.#unlocked.get(userId);
+    if (!session) {
+      throw new StorageError(
+          'Encrypted storage is locked. Sign in again to unlock your reminders.',
+          ERROR_CODES.STORAGE_LOCKED
+      );
+    }
+    return session;
+  }
+
+  async #prepareWrite(userId, data) {
+    if (!userId || !await this.isEncryptionEnabled(userId)) return data;
+
+    const { activeKeyId, keys } = this.#requireUnlocked(userId);
+    const key = keys.get(activeKeyId);
+    const prepared = { ...data };
+
+    for (const field of ENCRYPTED_FIELDS) {
+      const value = data[field];
+      if (typeof value !== 'string' || value === '') continue;
+
+      // The field name is bound as additional data so title and description can't be swapped
+      prepared[field] = await this.#encryptValue(key, activeKeyId, value, field);
+    }
+
+    if (Array.isArray(data.subtasks)) {
+      prepared.subtasks = await Promise.all(data.subtasks.map(async item =>
+        (typeof item?.title !== 'string' || item.title === '')
+          ? item
+          : { ...item, title: await this.#encryptValue(key, activeKeyId, item.title, SUBTASK_TITLE_FIELD) }
+      ));
+    }
+
+    return prepared;
+  }
+
+  async #encryptValue(key, keyId, value, field) {
+    const { iv, ciphertext } = await CryptoUtils.encryptText(key, value, field);
+    return `${CIPHERTEXT_PREFIX}${keyId}:${iv}:${ciphertext}`;
+  }
+
+  // Entries about another user's reminders open only while that user is unlocked; otherwise
+  // their encrypted values are blanked and the entry is marked sealed
+  async #openAuditEntry(entry) {
+    if (!entry?.diff) return entry;
+
+    const ownerId = entry.ownerId || entry.userId;
+    const open = async (snapshot) => {
+      if (!snapshot) return null;
+      const decrypted = await this.#decryptReminder({ ...snapshot, userId: ownerId });
+      return Object.fromEntries(Object.keys(snapshot).map(field => [field, decrypted[field]]));
+    };
+
+    try {
+      return { ...entry, diff: { before: await open(entry.diff.before), after: await open(entry.diff.after) } };
+    } catch (error) {
+      return { ...entry, diff: { before: redact(entry.diff.before), after: redact(entry.diff.after) }, sealed: true };
+    }
+  }
+
+  async #decryptReminder(reminder) {
+    if (!reminder || typeof reminder !== 'object') return reminder;
+    if (!ENCRYPTED_FIELDS.some(field => isEncrypted(reminder[field])) && !hasEncryptedSubtasks(reminder)) {
+      return reminder;
+    }
+
+    const { keys } = this.#requireUnlocked(reminder.userId);
+    const decrypted = { ...reminder };
+
+    for (const field of ENCRYPTED_FIELDS) {
+      if (!isEncrypted(reminder[field])) continue;
+      decrypted[field] = await this.#decryptValue(keys, reminder, reminder[field], field);
+    }
+
+    if (hasEncryptedSubtasks(reminder)) {
+      decrypted.subtasks = await Promise.all(reminder.subtasks.map(async item => (isEncrypted(item?.title)
+        ? { ...item, title: await this.#decryptValue(keys, reminder, item.title, SUBTASK_TITLE_FIELD) }
+        : item)));
+    }
+
+    return decrypted;
+  }
+
+  async #decryptValue(keys, reminder, value, field) {
+    const parts = parseCiphertext(value);
+    const key = keys.get(parts.keyId);
+
+    try {
+      if (!key) throw new Error(`unknown key ${parts.keyId}`);
+      return await CryptoUtils.decryptText(key, parts, field);
+    } catch (error) {
+      throw new StorageError(
+          `Failed to decrypt ${field} of reminder ${reminder.id}: ${error.message}`,
+          ERROR_CODES.STORAGE_UNAVAILABLE,
+          { reminderId: reminder.id, field }
+      );
+    }
+  }
+
+  // Bring every reminder onto the active key (plaintext and trashed ones included), then drop retired keys
+  async #reencryptReminders(userId) {
+    const { activeKeyId } = this.#requireUnlocked(userId);
+    const stored = await this.#storage.getReminders(userId, { trash: TRASH_FILTERS.INCLUDE });
+    let reencrypted = 0;
+
+    const isStale = (value) => typeof value === 'string' && value !== '' &&
+        (!isEncrypted(value) || parseCiphertext(value).keyId !== activeKeyId);
+
+    for (const reminder of stored) {
+      const stale = ENCRYPTED_FIELDS.filter(field => isStale(reminder[field]));
+      if (Array.isArray(reminder.subtasks) && reminder.subtasks.some(item => isStale(item?.title))) {
+        stale.push('subtasks');
+      }
+      if (stale.length === 0) continue;
+
+      const plaintext = await this.#decryptReminder(reminder);
+      const updates = Object.fromEntries(stale.map(field => [field, plaintext[field]]));
+      await this.#storage.updateReminder(reminder.id, await this.#prepareWrite(userId, updates));
+      reencrypted++;
+    }
+
+    const keyring = await this.#getKeyring(userId);
+    if (keyring.keys.length > 1) {
+      const pruned = {
+        ...keyring,
+        keys: keyring.keys.filter(entry => entry.id === activeKeyId),
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.#storage.saveMetadata(keyringKey(userId), pruned);
+      this.#keyrings.set(userId, pruned);
+
+      const session = this.#unlocked.get(userId);
+      await this.#setUnlocked(userId, activeKeyId, new Map([[activeKeyId, session.keys.get(activeKeyId)]]));
+    }
+
+    return reencrypted;
+  }
+}
+
+export default EncryptedStorage;
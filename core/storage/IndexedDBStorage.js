@@ -3,8 +3,22 @@
  * High-performance, reliable storage for modern browsers with proper error handling
  */
 
-import { StorageInterface } from './StorageInterface.js';
-import { StorageError, ERROR_CODES } from '../../types/interfaces.js';
+import { StorageInterface, TRASH_FILTERS } from './StorageInterface.js';
+import {
+  SEARCH_INDEX_VERSION,
+  tokenize,
+  buildPostings,
+  scorePosting,
+  combineTermMatches
+} from './SearchIndex.js';
+import { parseQuery, planQuery } from './ReminderQuery.js';
+import {
+  SCHEMA_VERSION,
+  MIGRATIONS_METADATA_KEY,
+  migrateDatabase,
+  createMigrationReport
+} from './SchemaMigrations.js';
+import { StorageError, ERROR_CODES, normalizeTagName } from '../../types/interfaces.js';
 import { APP_CONFIG } from '../../config/constants.js';
 
 export class IndexedDBStorage extends StorageInterface {
@@ -14,16 +28,21 @@ export class IndexedDBStorage extends StorageInterface {
   #isInitialized = false;
   #initPromise = null;
   #stores = null;
+  #searchIndexReady = null;
+  #lastMigration = null;
 
   constructor() {
     super();
     this.#dbName = APP_CONFIG.storage.dbName;
-    this.#dbVersion = APP_CONFIG.storage.dbVersion;
+    this.#dbVersion = SCHEMA_VERSION;
 
     this.#stores = Object.freeze({
       REMINDERS: 'reminders',
       USER_PREFERENCES: 'userPreferences',
-      METADATA: 'metadata'
+      METADATA: 'metadata',
+      SEARCH_INDEX: 'searchIndex',
+      AUDIT_LOG: 'auditLog',
+      TAGS: 'tags'
     });
   }
 
@@ -73,50 +92,87 @@ export class IndexedDBStorage extends StorageInterface {
         resolve(this.#db);
       };
 
+      // Steps run inside the versionchange transaction, so a failing step rolls the whole upgrade back
       request.onupgradeneeded = (event) => {
-        try {
-          this.#createObjectStores(event.target.result);
-        } catch (error) {
+        const { transaction } = request;
+
+        migrateDatabase(event.target.result, transaction, {
+          fromVersion: event.oldVersion,
+          toVersion: this.#dbVersion
+        }).then(report => {
+          this.#lastMigration = report;
+          console.log(`📦 IndexedDB schema migrated from v${event.oldVersion} to v${this.#dbVersion}`);
+        }).catch(error => {
           clearTimeout(timeoutId);
+          try {
+            transaction.abort();
+          } catch {
+            // Already finished or aborted
+          }
           reject(new StorageError(
-              `Database schema creation failed: ${error.message}`,
+              `Database migration failed: ${error.message}`,
               ERROR_CODES.STORAGE_UNAVAILABLE
           ));
-        }
+        });
       };
     });
   }
 
-  #createObjectStores(db) {
-    // Create reminders store with comprehensive indexing
-    if (!db.objectStoreNames.contains(this.#stores.REMINDERS)) {
-      const reminderStore = db.createObjectStore(this.#stores.REMINDERS, {
-        keyPath: 'id',
-        autoIncrement: false
-      });
+  /**
+   * Bring the schema up to date, or report what that would change
+   * @param {Object} options - { dryRun }; a dry run opens the database without upgrading it
+   * @returns {Promise<Object>} Migration report; steps are empty when the schema was already current
+   */
+  async migrate(options = {}) {
+    const { dryRun = false } = options;
 
-      // Create indexes for efficient querying
-      reminderStore.createIndex('userId', 'userId', { unique: false });
-      reminderStore.createIndex('status', 'status', { unique: false });
-      reminderStore.createIndex('datetime', 'datetime', { unique: false });
-      reminderStore.createIndex('priority', 'priority', { unique: false });
-      reminderStore.createIndex('category', 'category', { unique: false });
-      reminderStore.createIndex('userStatus', ['userId', 'status'], { unique: false });
-      reminderStore.createIndex('userCategory', ['userId', 'category'], { unique: false });
-      reminderStore.createIndex('userDatetime', ['userId', 'datetime'], { unique: false });
+    if (this.#isInitialized) {
+      return createMigrationReport(this.#db.version, this.#dbVersion, dryRun);
     }
 
-    // Create user preferences store
-    if (!db.objectStoreNames.contains(this.#stores.USER_PREFERENCES)) {
-      db.createObjectStore(this.#stores.USER_PREFERENCES, { keyPath: 'userId' });
+    if (!dryRun) {
+      await this.initialize();
+      return this.#lastMigration || createMigrationReport(this.#db.version, this.#dbVersion, false);
     }
 
-    // Create metadata store
-    if (!db.objectStoreNames.contains(this.#stores.METADATA)) {
-      db.createObjectStore(this.#stores.METADATA, { keyPath: 'key' });
-    }
+    return this.#planMigrations();
+  }
 
-    console.log('📦 IndexedDB object stores created');
+  #planMigrations() {
+    return new Promise((resolve, reject) => {
+      // Opening without a version never upgrades an existing database
+      const request = indexedDB.open(this.#dbName);
+      let isNewDatabase = false;
+
+      request.onupgradeneeded = () => {
+        // Aborting the first upgrade leaves no empty database behind
+        isNewDatabase = true;
+        request.transaction.abort();
+      };
+
+      request.onerror = (event) => {
+        if (isNewDatabase) {
+          event.preventDefault();
+          migrateDatabase(null, null, { toVersion: this.#dbVersion, dryRun: true }).then(resolve, reject);
+          return;
+        }
+
+        reject(new StorageError(
+            `Migration dry run failed: ${request.error?.message || 'Unknown IndexedDB error'}`,
+            ERROR_CODES.STORAGE_UNAVAILABLE
+        ));
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        const storeNames = Array.from(db.objectStoreNames);
+        const transaction = storeNames.length ? db.transaction(storeNames, 'readonly') : null;
+
+        migrateDatabase(db, transaction, { fromVersion: db.version, toVersion: this.#dbVersion, dryRun: true })
+            .then(resolve, reject)
+            .finally(() => db.close());
+      };
+    });
   }
 
   #setupEventHandlers() {
@@ -215,9 +271,12 @@ export class IndexedDBStorage extends StorageInterface {
       createdAt: reminderData.createdAt || timestamp
     };
 
-    return this.#executeTransaction(this.#stores.REMINDERS, 'readwrite', (store) => {
+    const storeNames = [this.#stores.REMINDERS, this.#stores.SEARCH_INDEX];
+
+    return this.#executeTransaction(storeNames, 'readwrite', ([store, searchStore]) => {
       return new Promise((resolve, reject) => {
         const request = store.put(reminder);
+        this.#writeSearchPostings(searchStore, reminder);
 
         request.onsuccess = () => {
           resolve(reminder);
@@ -236,6 +295,11 @@ export class IndexedDBStorage extends StorageInterface {
   async getReminders(userId, filters = {}) {
     this.validateUserId(userId);
 
+    // Parse once up front so syntax errors surface as ValidationErrors
+    const query = typeof filters.query === 'string' ? parseQuery(filters.query) : filters.query || null;
+    const queryPlan = planQuery(query);
+    const tag = filters.tags?.length ? normalizeTagName([].concat(filters.tags)[0]) : null;
+
     return this.#executeTransaction(this.#stores.REMINDERS, 'readonly', (store) => {
       return new Promise((resolve, reject) => {
         const reminders = [];
@@ -248,6 +312,12 @@ export class IndexedDBStorage extends StorageInterface {
         } else if (filters.category) {
           const index = store.index('userCategory');
           request = index.openCursor([userId, filters.category]);
+        } else if (tag) {
+          const index = store.index('tags');
+          request = index.openCursor(IDBKeyRange.only(tag));
+        } else if (queryPlan) {
+          const index = store.index(queryPlan.index);
+          request = index.openCursor(this.#queryPlanRange(queryPlan, userId));
         } else {
           const index = store.index('userId');
           request = index.openCursor(userId);
@@ -256,10 +326,11 @@ export class IndexedDBStorage extends StorageInterface {
         request.onsuccess = (event) => {
           const cursor = event.target.result;
           if (cursor) {
-            reminders.push(cursor.value);
+            // The tags index spans every user
+            if (cursor.value.userId === userId) reminders.push(cursor.value);
             cursor.continue();
           } else {
-            const processedReminders = this.processFilters(reminders, filters);
+            const processedReminders = this.processFilters(reminders, { ...filters, query });
             resolve(processedReminders);
           }
         };
@@ -274,6 +345,11 @@ export class IndexedDBStorage extends StorageInterface {
     });
   }
 
+  // Key range for a ReminderQuery plan; the full query is still evaluated on the results
+  #queryPlanRange(plan, userId) {
+    return plan.index === 'tags' ? IDBKeyRange.only(plan.value) : IDBKeyRange.only([userId, plan.value]);
+  }
+
   async getReminderById(id) {
     this.validateReminderId(id);
 
@@ -314,12 +390,15 @@ export class IndexedDBStorage extends StorageInterface {
     return this.saveReminder(updatedReminder);
   }
 
-  async deleteReminder(id) {
+  async purgeReminder(id) {
     this.validateReminderId(id);
 
-    return this.#executeTransaction(this.#stores.REMINDERS, 'readwrite', (store) => {
+    const storeNames = [this.#stores.REMINDERS, this.#stores.SEARCH_INDEX];
+
+    return this.#executeTransaction(storeNames, 'readwrite', ([store, searchStore]) => {
       return new Promise((resolve, reject) => {
         const request = store.delete(id);
+        searchStore.delete(this.#postingRange(id));
 
         request.onsuccess = () => {
           resolve(true);
@@ -347,6 +426,118 @@ export class IndexedDBStorage extends StorageInterface {
     return successful;
   }
 
+  // Full-text search backed by the searchIndex store
+  async searchReminders(userId, query, options = {}) {
+    this.validateUserId(userId);
+
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    await this.#ensureSearchIndex();
+
+    const termMatches = await this.#executeTransaction(this.#stores.SEARCH_INDEX, 'readonly', (store) => {
+      const index = store.index('userToken');
+
+      return Promise.all(terms.map(term => new Promise((resolve, reject) => {
+        const matches = new Map();
+        const range = IDBKeyRange.bound([userId, term], [userId, `${term}\uffff`]);
+        const request = index.openCursor(range);
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            const { reminderId, token, weight } = cursor.value;
+            const score = scorePosting(token, weight, term);
+            matches.set(reminderId, Math.max(matches.get(reminderId) || 0, score));
+            cursor.continue();
+          } else {
+            resolve(matches);
+          }
+        };
+
+        request.onerror = () => {
+          reject(new StorageError(
+              `Failed to search reminders: ${request.error?.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          ));
+        };
+      })));
+    });
+
+    const { limit = Infinity } = options;
+    const matches = combineTermMatches(termMatches).slice(0, limit);
+    const reminders = await this.#getRemindersByIds(matches.map(m => m.reminderId));
+
+    return this.buildSearchResults(matches, reminders, terms);
+  }
+
+  async #getRemindersByIds(ids) {
+    return this.#executeTransaction(this.#stores.REMINDERS, 'readonly', (store) => {
+      return Promise.all(ids.map(id => new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }))).then(reminders => reminders.filter(Boolean));
+    });
+  }
+
+  #postingRange(reminderId) {
+    // Arrays sort after strings, so [id, []] bounds every token for the reminder
+    return IDBKeyRange.bound([reminderId], [reminderId, []]);
+  }
+
+  #writeSearchPostings(searchStore, reminder) {
+    searchStore.delete(this.#postingRange(reminder.id));
+    buildPostings(reminder).forEach(posting => searchStore.put(posting));
+  }
+
+  // Databases created before the index existed are backfilled once
+  async #ensureSearchIndex() {
+    if (!this.#searchIndexReady) {
+      this.#searchIndexReady = this.getMetadata('searchIndex')
+          .then(meta => (meta?.version === SEARCH_INDEX_VERSION ? null : this.#rebuildSearchIndex()))
+          .catch(error => {
+            this.#searchIndexReady = null;
+            throw error;
+          });
+    }
+
+    return this.#searchIndexReady;
+  }
+
+  async #rebuildSearchIndex() {
+    const storeNames = [this.#stores.REMINDERS, this.#stores.SEARCH_INDEX];
+
+    const indexed = await this.#executeTransaction(storeNames, 'readwrite', ([store, searchStore]) => {
+      return new Promise((resolve, reject) => {
+        let count = 0;
+        searchStore.clear();
+
+        const request = store.openCursor();
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            buildPostings(cursor.value).forEach(posting => searchStore.put(posting));
+            count++;
+            cursor.continue();
+          } else {
+            resolve(count);
+          }
+        };
+
+        request.onerror = () => reject(request.error);
+      });
+    });
+
+    await this.saveMetadata('searchIndex', {
+      version: SEARCH_INDEX_VERSION,
+      builtAt: new Date().toISOString(),
+      reminders: indexed
+    });
+
+    console.log(`🔎 Search index rebuilt for ${indexed} reminders`);
+  }
+
   // User preferences operations
   async saveUserPreferences(userId, preferences) {
     this.validateUserId(userId);
@@ -442,6 +633,202 @@ export class IndexedDBStorage extends StorageInterface {
     });
   }
 
+  // Audit log
+  async appendAuditEntry(entry) {
+    const prepared = this.prepareAuditEntry(entry);
+
+    return this.#executeTransaction(this.#stores.AUDIT_LOG, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.add(prepared);
+
+        request.onsuccess = () => resolve(prepared);
+        request.onerror = () => {
+          reject(new StorageError(
+              `Failed to append audit entry: ${request.error?.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          ));
+        };
+      });
+    });
+  }
+
+  // Walks the timestamp index (per user when filtered by user) newest first, stopping at the limit
+  async queryAuditLog(filters = {}) {
+    const { userId, limit } = filters;
+    const { from, to } = this.getAuditTimeRange(filters);
+
+    return this.#executeTransaction(this.#stores.AUDIT_LOG, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const index = store.index(userId ? 'userTimestamp' : 'timestamp');
+        const range = userId
+            ? IDBKeyRange.bound([userId, from ?? ''], [userId, to ?? '\uffff'])
+            : this.#timestampRange(from, to);
+
+        const entries = [];
+        const request = index.openCursor(range, 'prev');
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || (limit > 0 && entries.length >= limit)) {
+            resolve(entries);
+            return;
+          }
+
+          if (this.matchesAuditFilters(cursor.value, filters)) {
+            entries.push(cursor.value);
+          }
+          cursor.continue();
+        };
+
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  // Age first, then count, in one transaction
+  async pruneAuditLog(options = {}) {
+    const { maxEntries, cutoff } = this.getAuditRetention(options);
+
+    return this.#executeTransaction(this.#stores.AUDIT_LOG, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const index = store.index('timestamp');
+        let pruned = 0;
+
+        const deleteOldest = (range, count, done) => {
+          const request = index.openCursor(range);
+
+          request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor || pruned >= count) {
+              done();
+              return;
+            }
+
+            cursor.delete();
+            pruned++;
+            cursor.continue();
+          };
+          request.onerror = () => reject(request.error);
+        };
+
+        const trimToSize = () => {
+          const countRequest = store.count();
+
+          countRequest.onsuccess = () => {
+            const excess = maxEntries > 0 ? countRequest.result - maxEntries : 0;
+            if (excess <= 0) {
+              resolve(pruned);
+              return;
+            }
+            deleteOldest(null, pruned + excess, () => resolve(pruned));
+          };
+          countRequest.onerror = () => reject(countRequest.error);
+        };
+
+        if (cutoff) {
+          deleteOldest(IDBKeyRange.upperBound(cutoff, true), Infinity, trimToSize);
+        } else {
+          trimToSize();
+        }
+      });
+    });
+  }
+
+  // Tags
+  async getTags(userId) {
+    this.validateUserId(userId);
+
+    return this.#executeTransaction(this.#stores.TAGS, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.index('userId').getAll(userId);
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => {
+          reject(new StorageError(
+              `Failed to retrieve tags: ${request.error?.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          ));
+        };
+      });
+    });
+  }
+
+  async saveTag(tag) {
+    const prepared = this.prepareTag(tag);
+
+    return this.#executeTransaction(this.#stores.TAGS, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.put(prepared);
+
+        request.onsuccess = () => resolve(prepared);
+        request.onerror = () => {
+          reject(new StorageError(
+              `Failed to save tag: ${request.error?.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          ));
+        };
+      });
+    });
+  }
+
+  // One readwrite transaction over reminders and tags, so a failure part-way leaves both untouched
+  async replaceTags(userId, names, target) {
+    this.validateUserId(userId);
+
+    const storeNames = [this.#stores.REMINDERS, this.#stores.TAGS];
+    const timestamp = new Date().toISOString();
+
+    return this.#executeTransaction(storeNames, 'readwrite', ([store, tagStore]) => {
+      names.forEach(name => tagStore.delete([userId, name]));
+      if (target) tagStore.put(target);
+
+      return new Promise((resolve, reject) => {
+        const updated = [];
+        const request = store.index('userId').openCursor(userId);
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            resolve(updated);
+            return;
+          }
+
+          const retagged = this.retagReminder(cursor.value, names, target?.name, timestamp);
+          if (retagged) {
+            cursor.update(retagged);
+            updated.push(retagged);
+          }
+          cursor.continue();
+        };
+
+        request.onerror = () => {
+          reject(new StorageError(
+              `Failed to update tags: ${request.error?.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          ));
+        };
+      });
+    });
+  }
+
+  async #deleteUserTags(userId) {
+    return this.#executeTransaction(this.#stores.TAGS, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.delete(IDBKeyRange.bound([userId, ''], [userId, '\uffff']));
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  #timestampRange(from, to) {
+    if (from && to) return IDBKeyRange.bound(from, to);
+    if (from) return IDBKeyRange.lowerBound(from);
+    if (to) return IDBKeyRange.upperBound(to);
+    return null;
+  }
+
   // Statistics and analytics
   async getStatistics(userId) {
     const reminders = await this.getReminders(userId);
@@ -464,9 +851,11 @@ export class IndexedDBStorage extends StorageInterface {
   async exportAllData(userId) {
     this.validateUserId(userId);
 
-    const [reminders, preferences] = await Promise.all([
+    const [reminders, preferences, auditLog, tags] = await Promise.all([
       this.getReminders(userId),
-      this.getUserPreferences(userId)
+      this.getUserPreferences(userId),
+      this.queryAuditLog({ userId }),
+      this.getTags(userId)
     ]);
 
     return this.prepareExportData(reminders, preferences, {
@@ -478,43 +867,39 @@ export class IndexedDBStorage extends StorageInterface {
         indexed: true,
         concurrent: true
       }
-    });
+    }, auditLog, tags);
   }
 
   async importData(importData, userId) {
     this.validateImportData(importData);
     this.validateUserId(userId);
 
-    const { reminders = [], preferences = null } = importData.data;
+    const { reminders = [], preferences = null, tags = [] } = importData.data;
 
     // Import reminders in optimized batches
-    const results = await this.#batchImportReminders(reminders, userId);
+    const results = await this.#batchImportReminders(this.prepareImportedReminders(reminders, userId));
 
     // Import preferences if provided
     if (preferences) {
       await this.saveUserPreferences(userId, preferences);
     }
 
+    await this.importTags(tags, userId);
+
     const successfulImports = results.filter(r => r.status === 'fulfilled').length;
     console.log(`📥 Imported ${successfulImports}/${reminders.length} reminders to IndexedDB`);
 
     return successfulImports;
   }
 
-  async #batchImportReminders(reminders, userId, batchSize = 50) {
+  async #batchImportReminders(reminders, batchSize = 50) {
     const results = [];
 
     for (let i = 0; i < reminders.length; i += batchSize) {
       const batch = reminders.slice(i, i + batchSize);
 
       const batchResults = await Promise.allSettled(
-          batch.map(reminder =>
-              this.saveReminder({
-                ...reminder,
-                userId,
-                id: this.generateId() // Generate new IDs for imports
-              })
-          )
+          batch.map(reminder => this.saveReminder(reminder))
       );
 
       results.push(...batchResults);
@@ -532,7 +917,7 @@ export class IndexedDBStorage extends StorageInterface {
   async clearUserData(userId) {
     this.validateUserId(userId);
 
-    const reminders = await this.getReminders(userId);
+    const reminders = await this.getReminders(userId, { trash: TRASH_FILTERS.INCLUDE });
 
     // Delete in batches for better performance
     const batchSize = 100;
@@ -541,10 +926,13 @@ export class IndexedDBStorage extends StorageInterface {
     for (let i = 0; i < reminders.length; i += batchSize) {
       const batch = reminders.slice(i, i + batchSize);
 
-      await this.#executeTransaction(this.#stores.REMINDERS, 'readwrite', (store) => {
+      const storeNames = [this.#stores.REMINDERS, this.#stores.SEARCH_INDEX];
+
+      await this.#executeTransaction(storeNames, 'readwrite', ([store, searchStore]) => {
         return Promise.all(
             batch.map(reminder =>
                 new Promise((resolve, reject) => {
+                  searchStore.delete(this.#postingRange(reminder.id));
                   const request = store.delete(reminder.id);
                   request.onsuccess = () => resolve();
                   request.onerror = () => reject(request.error);
@@ -556,13 +944,48 @@ export class IndexedDBStorage extends StorageInterface {
       deletedCount += batch.length;
     }
 
-    // Also delete user preferences
+    // Also delete user preferences and tags
     await this.#deleteUserPreferences(userId);
+    await this.#deleteUserTags(userId);
 
     console.log(`🗑️ Cleared ${deletedCount} reminders for user ${userId}`);
     return deletedCount;
   }
 
+  // Purge trash past the retention period, for every user, in one transaction
+  async optimizeStorage() {
+    const storeNames = [this.#stores.REMINDERS, this.#stores.SEARCH_INDEX];
+    const now = Date.now();
+
+    const purgedReminders = await this.#executeTransaction(storeNames, 'readwrite', ([store, searchStore]) => {
+      return new Promise((resolve, reject) => {
+        let purged = 0;
+        const request = store.openCursor();
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) {
+            resolve(purged);
+            return;
+          }
+
+          if (this.isTrashExpired(cursor.value, undefined, now)) {
+            searchStore.delete(this.#postingRange(cursor.value.id));
+            cursor.delete();
+            purged++;
+          }
+          cursor.continue();
+        };
+
+        request.onerror = () => reject(request.error);
+      });
+    });
+
+    return purgedReminders > 0
+        ? { optimized: true, purgedReminders }
+        : { optimized: false, reason: 'No optimization needed' };
+  }
+
   async #deleteUserPreferences(userId) {
     return this.#executeTransaction(this.#stores.USER_PREFERENCES, 'readwrite', (store) => {
       return new Promise((resolve, reject) => {
@@ -583,6 +1006,7 @@ export class IndexedDBStorage extends StorageInterface {
         version: this.#db.version,
         type: 'IndexedDB',
         objectStoreNames: Array.from(this.#db.objectStoreNames),
+        migrations: (await this.getMetadata(MIGRATIONS_METADATA_KEY))?.history || [],
         isHealthy: this.#isInitialized && this.#db,
         connectionState: this.#db ? 'connected' : 'disconnected',
         features: {
@@ -616,10 +1040,14 @@ export class IndexedDBStorage extends StorageInterface {
       try {
         const reminderCount = await this.#getRecordCount(this.#stores.REMINDERS);
         const userPrefsCount = await this.#getRecordCount(this.#stores.USER_PREFERENCES);
+        const auditCount = await this.#getRecordCount(this.#stores.AUDIT_LOG);
+        const tagCount = await this.#getRecordCount(this.#stores.TAGS);
 
         info.recordCounts = {
           reminders: reminderCount,
           userPreferences: userPrefsCount,
+          auditEntries: auditCount,
+          tags: tagCount,
           total: reminderCount + userPrefsCount
         };
       } catch (countError) {
@@ -678,7 +1106,7 @@ export class IndexedDBStorage extends StorageInterface {
       const saved = await this.saveReminder(testData);
       const retrieved = await this.getReminderById(saved.id);
       const updated = await this.updateReminder(saved.id, { title: 'Updated Test' });
-      await this.deleteReminder(saved.id);
+      await this.purgeReminder(saved.id);
 
       return {
         healthy: true,
@@ -3,18 +3,29 @@
  * Provides IndexedDB-compatible interface using localStorage
  */
 
-import { StorageInterface } from './StorageInterface.js';
+import { StorageInterface, TRASH_FILTERS } from './StorageInterface.js';
+import { SearchIndex, tokenize } from './SearchIndex.js';
+import {
+  SCHEMA_VERSION,
+  MIGRATIONS_METADATA_KEY,
+  migrateBlob,
+  createMigrationReport
+} from './SchemaMigrations.js';
 import { StorageError, ERROR_CODES } from '../../types/interfaces.js';
 import { APP_CONFIG } from '../../config/constants.js';
 
 export class LocalStorageAdapter extends StorageInterface {
   #storageKey = null;
+  #auditKey = null; // The audit log lives apart from the data blob, so appends don't rewrite every reminder
   #maxStorageSize = null;
   #isAvailable = false;
+  #searchIndex = new SearchIndex();
+  #searchIndexStamp = null; // lastModified of the data the index reflects
 
   constructor() {
     super();
     this.#storageKey = 'reminders_vault_data';
+    this.#auditKey = 'reminders_vault_audit';
     this.#maxStorageSize = APP_CONFIG.storage.maxStorageSize || 5 * 1024 * 1024; // 5MB default
     this.#isAvailable = this.#checkAvailability();
   }
@@ -58,10 +69,16 @@ export class LocalStorageAdapter extends StorageInterface {
       );
     }
 
-    // Ensure data structure exists and is valid
-    const existingData = this.#getRawData();
+    // Upgrade older blobs, then make sure the structure is usable
+    let existingData = this.#getRawData();
+    if (existingData && this.#needsMigration(existingData)) {
+      existingData = this.#applyMigrations(existingData).data;
+    }
+
     if (!existingData || !this.#validateDataStructure(existingData)) {
       await this.#createInitialStructure();
+    } else if (Array.isArray(existingData.auditLog)) {
+      this.#moveAuditLog(existingData);
     }
 
     console.log('📦 localStorage adapter initialized');
@@ -76,21 +93,70 @@ export class LocalStorageAdapter extends StorageInterface {
         typeof data.metadata === 'object';
   }
 
+  // New blobs are built by running every migration, so they record the same history as upgraded ones
   async #createInitialStructure() {
-    const initialData = {
-      version: 2,
-      created: new Date().toISOString(),
-      lastModified: new Date().toISOString(),
-      reminders: [],
-      userPreferences: {},
-      metadata: {},
-      schemaVersion: '2.0'
-    };
+    const timestamp = new Date().toISOString();
+    const { data: initialData } = migrateBlob({ created: timestamp, lastModified: timestamp });
 
     this.#setRawData(initialData);
     console.log('🏗️ localStorage structure initialized');
   }
 
+  // Blobs written before the audit log had its own key carry it inline
+  #moveAuditLog(data) {
+    this.#setAuditEntries([...this.#getAuditEntries(), ...data.auditLog]);
+    delete data.auditLog;
+    this.#setRawData(data);
+  }
+
+  #needsMigration(data) {
+    return !Number.isInteger(data.version) || data.version < SCHEMA_VERSION;
+  }
+
+  #applyMigrations(data) {
+    const result = migrateBlob(data);
+    result.data.lastModified = new Date().toISOString();
+
+    this.#setRawData(result.data);
+    console.log(`📦 localStorage schema migrated from v${result.report.fromVersion} to v${SCHEMA_VERSION}`);
+    return result;
+  }
+
+  /**
+   * Bring the stored blob up to date, or report what that would change
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Migration report; steps are empty when the blob was already current
+   */
+  async migrate(options = {}) {
+    const { dryRun = false } = options;
+    const data = this.#getRawData();
+
+    if (!data) {
+      // Nothing stored yet: initialize() would build a fresh blob from every step
+      if (dryRun) return migrateBlob({}, { dryRun }).report;
+      await this.initialize();
+      return createMigrationReport(0, SCHEMA_VERSION, false);
+    }
+
+    if (dryRun) return migrateBlob(data, { dryRun }).report;
+    if (!this.#needsMigration(data)) return createMigrationReport(data.version, SCHEMA_VERSION, false);
+
+    return this.#applyMigrations(data).report;
+  }
+
+  // Account credentials and encryption keyrings never leave through an export;
+  // sync logs and cursors describe this device only
+  #exportableMetadata(metadata = {}) {
+    const { userStoreKey } = APP_CONFIG.auth;
+    const { keyringPrefix } = APP_CONFIG.storage.encryption;
+    const { metadataPrefix: syncPrefix } = APP_CONFIG.sync;
+    const { metadataPrefix: historyPrefix } = APP_CONFIG.history;
+
+    return Object.fromEntries(Object.entries(metadata || {})
+        .filter(([key]) => key !== userStoreKey && key !== MIGRATIONS_METADATA_KEY &&
+            !key.startsWith(keyringPrefix) && !key.startsWith(syncPrefix) && !key.startsWith(historyPrefix)));
+  }
+
   #getRawData() {
     try {
       const data = localStorage.getItem(this.#storageKey);
@@ -191,8 +257,10 @@ export class LocalStorageAdapter extends StorageInterface {
       data.reminders.push(reminder);
     }
 
+    const previousStamp = data.lastModified;
     data.lastModified = timestamp;
     this.#setRawData(data);
+    this.#updateSearchIndex(previousStamp, data, index => index.add(reminder));
     return reminder;
   }
 
@@ -233,7 +301,7 @@ export class LocalStorageAdapter extends StorageInterface {
     return this.saveReminder(updatedReminder);
   }
 
-  async deleteReminder(id) {
+  async purgeReminder(id) {
     await this.initialize();
     this.validateReminderId(id);
 
@@ -244,8 +312,10 @@ export class LocalStorageAdapter extends StorageInterface {
     data.reminders = data.reminders.filter(reminder => reminder.id !== id);
 
     if (data.reminders.length < initialLength) {
+      const previousStamp = data.lastModified;
       data.lastModified = new Date().toISOString();
       this.#setRawData(data);
+      this.#updateSearchIndex(previousStamp, data, index => index.remove(id));
       return true;
     }
 
@@ -260,6 +330,40 @@ export class LocalStorageAdapter extends StorageInterface {
     return results.filter(r => r.status === 'fulfilled').length;
   }
 
+  // Search
+  async searchReminders(userId, query, options = {}) {
+    await this.initialize();
+    this.validateUserId(userId);
+
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const data = this.#getRawData();
+    if (!data?.reminders) return [];
+
+    this.#syncSearchIndex(data);
+
+    const matches = this.#searchIndex.search(userId, terms);
+    const reminders = data.reminders.filter(r => r.userId === userId);
+    return this.buildSearchResults(matches, reminders, terms, options);
+  }
+
+  // Rebuild the index when the stored data changed outside this adapter (another tab, restore)
+  #syncSearchIndex(data) {
+    if (this.#searchIndexStamp === data.lastModified) return;
+
+    this.#searchIndex.rebuild(data.reminders);
+    this.#searchIndexStamp = data.lastModified;
+  }
+
+  // Apply our own writes incrementally, but only if the index was current before the write
+  #updateSearchIndex(previousStamp, data, apply) {
+    if (this.#searchIndexStamp !== previousStamp) return;
+
+    apply(this.#searchIndex);
+    this.#searchIndexStamp = data.lastModified;
+  }
+
   // User preferences
   async saveUserPreferences(userId, preferences) {
     await this.initialize();
@@ -276,8 +380,10 @@ export class LocalStorageAdapter extends StorageInterface {
       updatedAt: new Date().toISOString()
     };
 
+    const previousStamp = data.lastModified;
     data.lastModified = new Date().toISOString();
     this.#setRawData(data);
+    this.#updateSearchIndex(previousStamp, data, () => {});
     return data.userPreferences[userId];
   }
 
@@ -304,8 +410,10 @@ export class LocalStorageAdapter extends StorageInterface {
       timestamp: new Date().toISOString()
     };
 
+    const previousStamp = data.lastModified;
     data.lastModified = new Date().toISOString();
     this.#setRawData(data);
+    this.#updateSearchIndex(previousStamp, data, () => {});
     return data.metadata[key];
   }
 
@@ -317,6 +425,125 @@ export class LocalStorageAdapter extends StorageInterface {
     return metadata ? metadata.value : null;
   }
 
+  // Audit log
+  async appendAuditEntry(entry) {
+    await this.initialize();
+    const prepared = this.prepareAuditEntry(entry);
+
+    this.#setAuditEntries([...this.#getAuditEntries(), prepared]);
+    return prepared;
+  }
+
+  async queryAuditLog(filters = {}) {
+    await this.initialize();
+    return this.filterAuditEntries(this.#getAuditEntries(), filters);
+  }
+
+  async pruneAuditLog(options = {}) {
+    await this.initialize();
+
+    const entries = this.#getAuditEntries();
+    const pruned = new Set(this.selectPrunedAuditEntries(entries, options));
+    if (pruned.size === 0) return 0;
+
+    this.#setAuditEntries(entries.filter(entry => !pruned.has(entry.id)));
+    return pruned.size;
+  }
+
+  #getAuditEntries() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.#auditKey) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Failed to parse localStorage audit log:', error);
+      return [];
+    }
+  }
+
+  // Keeps the newest APP_CONFIG.audit.localStorageMaxEntries, and sheds the older half when the quota is hit
+  #setAuditEntries(entries) {
+    let kept = entries.slice(-APP_CONFIG.audit.localStorageMaxEntries);
+
+    while (kept.length > 0) {
+      try {
+        localStorage.setItem(this.#auditKey, JSON.stringify(kept));
+        return;
+      } catch (error) {
+        if (error.name !== 'QuotaExceededError') {
+          throw new StorageError(
+              `Failed to save audit log to localStorage: ${error.message}`,
+              ERROR_CODES.STORAGE_UNAVAILABLE
+          );
+        }
+        kept = kept.slice(Math.ceil(kept.length / 2));
+      }
+    }
+
+    localStorage.removeItem(this.#auditKey);
+  }
+
+  // Tags
+  async getTags(userId) {
+    await this.initialize();
+    this.validateUserId(userId);
+
+    const data = this.#getRawData();
+    return (data?.tags || []).filter(tag => tag.userId === userId);
+  }
+
+  async saveTag(tag) {
+    await this.initialize();
+    const prepared = this.prepareTag(tag);
+
+    const data = this.#getRawData();
+    if (!data) {
+      throw new StorageError('Storage data corrupted', ERROR_CODES.STORAGE_UNAVAILABLE);
+    }
+
+    data.tags = [
+      ...(data.tags || []).filter(existing => existing.userId !== prepared.userId || existing.name !== prepared.name),
+      prepared
+    ];
+
+    const previousStamp = data.lastModified;
+    data.lastModified = new Date().toISOString();
+    this.#setRawData(data);
+    this.#updateSearchIndex(previousStamp, data, () => {});
+    return prepared;
+  }
+
+  // The whole blob is written at once, so reminders and tags can't end up half updated
+  async replaceTags(userId, names, target) {
+    await this.initialize();
+    this.validateUserId(userId);
+
+    const data = this.#getRawData();
+    if (!data) {
+      throw new StorageError('Storage data corrupted', ERROR_CODES.STORAGE_UNAVAILABLE);
+    }
+
+    const timestamp = new Date().toISOString();
+    const updated = [];
+
+    data.reminders = data.reminders.map(reminder => {
+      const retagged = reminder.userId === userId && this.retagReminder(reminder, names, target?.name, timestamp);
+      if (!retagged) return reminder;
+
+      updated.push(retagged);
+      return retagged;
+    });
+
+    const replaced = target ? [...names, target.name] : names;
+    data.tags = (data.tags || []).filter(tag => tag.userId !== userId || !replaced.includes(tag.name));
+    if (target) data.tags.push(target);
+
+    const previousStamp = data.lastModified;
+    data.lastModified = timestamp;
+    this.#setRawData(data);
+    this.#updateSearchIndex(previousStamp, data, () => {});
+    return updated;
+  }
+
   // Statistics and analytics
   async getStatistics(userId) {
     const reminders = await this.getReminders(userId);
@@ -352,38 +579,36 @@ export class LocalStorageAdapter extends StorageInterface {
 
   // Data export/import
   async exportAllData(userId) {
-    const [reminders, preferences] = await Promise.all([
+    const [reminders, preferences, auditLog, tags] = await Promise.all([
       this.getReminders(userId),
-      this.getUserPreferences(userId)
+      this.getUserPreferences(userId),
+      this.queryAuditLog({ userId }),
+      this.getTags(userId)
     ]);
 
     const data = this.#getRawData();
     return this.prepareExportData(reminders, preferences, {
       exportedFrom: 'localStorage',
       storageVersion: data?.version || 1,
-      metadata: data?.metadata || {},
+      metadata: this.#exportableMetadata(data?.metadata),
       limitations: {
         maxSize: this.#maxStorageSize,
         persistent: true,
         crossOrigin: false
       }
-    });
+    }, auditLog, tags);
   }
 
   async importData(importData, userId) {
     this.validateImportData(importData);
     this.validateUserId(userId);
 
-    const { reminders = [], preferences = null } = importData.data;
+    const { reminders = [], preferences = null, tags = [] } = importData.data;
 
     // Import reminders in smaller batches for localStorage
     const results = await this.batchOperation(
-        reminders,
-        (reminder) => this.saveReminder({
-          ...reminder,
-          userId,
-          id: this.generateId() // Generate new IDs for imports
-        }),
+        this.prepareImportedReminders(reminders, userId),
+        (reminder) => this.saveReminder(reminder),
         25 // Smaller batches for localStorage performance
     );
 
@@ -392,6 +617,8 @@ export class LocalStorageAdapter extends StorageInterface {
       await this.saveUserPreferences(userId, preferences);
     }
 
+    await this.importTags(tags, userId);
+
     const successfulImports = results.filter(r => r.status === 'fulfilled').length;
     console.log(`📥 Imported ${successfulImports}/${reminders.length} reminders to localStorage`);
 
@@ -402,18 +629,21 @@ export class LocalStorageAdapter extends StorageInterface {
   async clearUserData(userId) {
     this.validateUserId(userId);
 
-    const reminders = await this.getReminders(userId);
+    const reminders = await this.getReminders(userId, { trash: TRASH_FILTERS.INCLUDE });
     const data = this.#getRawData();
 
     if (data) {
       // Remove user's reminders
       data.reminders = data.reminders.filter(r => r.userId !== userId);
 
-      // Remove user preferences
+      // Remove user preferences and tags
       delete data.userPreferences[userId];
+      data.tags = (data.tags || []).filter(tag => tag.userId !== userId);
 
+      const previousStamp = data.lastModified;
       data.lastModified = new Date().toISOString();
       this.#setRawData(data);
+      this.#updateSearchIndex(previousStamp, data, index => reminders.forEach(r => index.remove(r.id)));
     }
 
     console.log(`🗑️ Cleared ${reminders.length} reminders for user ${userId} from localStorage`);
@@ -433,6 +663,7 @@ export class LocalStorageAdapter extends StorageInterface {
       available: this.#isAvailable,
       created: data?.created || 'Unknown',
       lastModified: data?.lastModified || 'Unknown',
+      migrations: data?.metadata?.[MIGRATIONS_METADATA_KEY]?.value?.history || [],
       features: {
         persistent: true,
         synchronous: true,
@@ -468,7 +699,7 @@ export class LocalStorageAdapter extends StorageInterface {
       const saved = await this.saveReminder(testData);
       const retrieved = await this.getReminderById(saved.id);
       const updated = await this.updateReminder(saved.id, { title: 'Updated Test' });
-      await this.deleteReminder(saved.id);
+      await this.purgeReminder(saved.id);
 
       return {
         healthy: true,
@@ -528,6 +759,18 @@ export class LocalStorageAdapter extends StorageInterface {
       }
     }
 
+    // Purge trash past the retention period
+    let purgedReminders = 0;
+    if (data.reminders) {
+      const now = Date.now();
+      const originalLength = data.reminders.length;
+      data.reminders = data.reminders.filter(r => !this.isTrashExpired(r, undefined, now));
+      purgedReminders = originalLength - data.reminders.length;
+      if (purgedReminders > 0) {
+        optimized = true;
+      }
+    }
+
     if (optimized) {
       data.lastModified = new Date().toISOString();
       this.#setRawData(data);
@@ -538,7 +781,8 @@ export class LocalStorageAdapter extends StorageInterface {
       return {
         optimized: true,
         savedBytes,
-        savedPercentage: Math.round((savedBytes / before) * 100)
+        savedPercentage: Math.round((savedBytes / before) * 100),
+        purgedReminders
       };
     }
 
@@ -572,28 +816,33 @@ export class LocalStorageAdapter extends StorageInterface {
       }
     }
 
+    // Backups from older versions are upgraded before they are written back
+    const { data: restored } = migrateBlob(backup.data);
+
     if (options.merge) {
       const currentData = this.#getRawData();
       if (currentData) {
         // Merge reminders
         const existingIds = new Set(currentData.reminders.map(r => r.id));
-        const newReminders = backup.data.reminders.filter(r => !existingIds.has(r.id));
+        const newReminders = restored.reminders.filter(r => !existingIds.has(r.id));
         currentData.reminders.push(...newReminders);
 
         // Merge preferences
-        Object.assign(currentData.userPreferences, backup.data.userPreferences);
+        Object.assign(currentData.userPreferences, restored.userPreferences);
 
-        // Merge metadata
-        Object.assign(currentData.metadata, backup.data.metadata);
+        // Merge metadata, keeping this device's migration history
+        const restoredMetadata = { ...restored.metadata };
+        delete restoredMetadata[MIGRATIONS_METADATA_KEY];
+        Object.assign(currentData.metadata, restoredMetadata);
 
         currentData.lastModified = new Date().toISOString();
         this.#setRawData(currentData);
       } else {
-        this.#setRawData(backup.data);
+        this.#setRawData(restored);
       }
     } else {
       // Full restore
-      this.#setRawData(backup.data);
+      this.#setRawData(restored);
     }
 
     return true;
@@ -3,7 +3,8 @@
  * In-memory storage for extreme fallback scenarios
  */
 
-import { StorageInterface } from './StorageInterface.js';
+import { StorageInterface, TRASH_FILTERS } from './StorageInterface.js';
+import { SearchIndex, tokenize } from './SearchIndex.js';
 import { StorageError } from '../../types/interfaces.js';
 import { ERROR_CODES } from '../../config/constants.js';
 
@@ -13,8 +14,11 @@ export class MemoryStorage extends StorageInterface {
     this.data = {
       reminders: [],
       userPreferences: {},
-      metadata: {}
+      metadata: {},
+      auditLog: [],
+      tags: []
     };
+    this.searchIndex = new SearchIndex();
     this.isInitialized = false;
   }
 
@@ -47,6 +51,7 @@ export class MemoryStorage extends StorageInterface {
       this.data.reminders.push(reminder);
     }
 
+    this.searchIndex.add(reminder);
     return reminder;
   }
 
@@ -71,20 +76,33 @@ export class MemoryStorage extends StorageInterface {
     return this.saveReminder({ ...existing, ...updates, id });
   }
 
-  async deleteReminder(id) {
+  async purgeReminder(id) {
     this.validateReminderId(id);
 
     const initialLength = this.data.reminders.length;
     this.data.reminders = this.data.reminders.filter(r => r.id !== id);
+    this.searchIndex.remove(id);
     return this.data.reminders.length < initialLength;
   }
 
   async deleteRemindersByStatus(userId, status) {
     const reminders = await this.getReminders(userId, { status });
-    reminders.forEach(r => this.deleteReminder(r.id));
+    await Promise.all(reminders.map(r => this.deleteReminder(r.id)));
     return reminders.length;
   }
 
+  // Search
+  async searchReminders(userId, query, options = {}) {
+    this.validateUserId(userId);
+
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const matches = this.searchIndex.search(userId, terms);
+    const reminders = this.data.reminders.filter(r => r.userId === userId);
+    return this.buildSearchResults(matches, reminders, terms, options);
+  }
+
   // User preferences
   async saveUserPreferences(userId, preferences) {
     this.validateUserId(userId);
@@ -118,6 +136,59 @@ export class MemoryStorage extends StorageInterface {
     return metadata ? metadata.value : null;
   }
 
+  // Audit log
+  async appendAuditEntry(entry) {
+    const prepared = this.prepareAuditEntry(entry);
+    this.data.auditLog.push(prepared);
+    return prepared;
+  }
+
+  async queryAuditLog(filters = {}) {
+    return this.filterAuditEntries(this.data.auditLog, filters);
+  }
+
+  async pruneAuditLog(options = {}) {
+    const pruned = new Set(this.selectPrunedAuditEntries(this.data.auditLog, options));
+    this.data.auditLog = this.data.auditLog.filter(entry => !pruned.has(entry.id));
+    return pruned.size;
+  }
+
+  // Tags
+  async getTags(userId) {
+    this.validateUserId(userId);
+    return this.data.tags.filter(tag => tag.userId === userId);
+  }
+
+  async saveTag(tag) {
+    const prepared = this.prepareTag(tag);
+    this.data.tags = [
+      ...this.data.tags.filter(existing => existing.userId !== prepared.userId || existing.name !== prepared.name),
+      prepared
+    ];
+    return prepared;
+  }
+
+  async replaceTags(userId, names, target) {
+    this.validateUserId(userId);
+
+    const timestamp = new Date().toISOString();
+    const updated = [];
+
+    this.data.reminders = this.data.reminders.map(reminder => {
+      const retagged = reminder.userId === userId && this.retagReminder(reminder, names, target?.name, timestamp);
+      if (!retagged) return reminder;
+
+      updated.push(retagged);
+      return retagged;
+    });
+
+    const replaced = target ? [...names, target.name] : names;
+    this.data.tags = this.data.tags.filter(tag => tag.userId !== userId || !replaced.includes(tag.name));
+    if (target) this.data.tags.push(target);
+
+    return updated;
+  }
+
   // Statistics
   async getStatistics(userId) {
     const reminders = await this.getReminders(userId);
@@ -133,33 +204,35 @@ export class MemoryStorage extends StorageInterface {
 
   // Export/Import
   async exportAllData(userId) {
-    const [reminders, preferences] = await Promise.all([
+    const [reminders, preferences, auditLog, tags] = await Promise.all([
       this.getReminders(userId),
-      this.getUserPreferences(userId)
+      this.getUserPreferences(userId),
+      this.queryAuditLog({ userId }),
+      this.getTags(userId)
     ]);
 
     return this.prepareExportData(reminders, preferences, {
       exportedFrom: 'Memory Storage',
       warning: 'Data exported from non-persistent storage'
-    });
+    }, auditLog, tags);
   }
 
   async importData(importData, userId) {
     this.validateImportData(importData);
     this.validateUserId(userId);
 
-    const { reminders = [], preferences = null } = importData.data;
+    const { reminders = [], preferences = null, tags = [] } = importData.data;
 
     const results = await Promise.allSettled(
-        reminders.map(reminder =>
-            this.saveReminder({ ...reminder, userId, id: undefined })
-        )
+        this.prepareImportedReminders(reminders, userId).map(reminder => this.saveReminder(reminder))
     );
 
     if (preferences) {
       await this.saveUserPreferences(userId, preferences);
     }
 
+    await this.importTags(tags, userId);
+
     return results.filter(r => r.status === 'fulfilled').length;
   }
 
@@ -167,13 +240,23 @@ export class MemoryStorage extends StorageInterface {
   async clearUserData(userId) {
     this.validateUserId(userId);
 
-    const reminders = await this.getReminders(userId);
+    const reminders = await this.getReminders(userId, { trash: TRASH_FILTERS.INCLUDE });
     this.data.reminders = this.data.reminders.filter(r => r.userId !== userId);
+    reminders.forEach(r => this.searchIndex.remove(r.id));
     delete this.data.userPreferences[userId];
+    this.data.tags = this.data.tags.filter(tag => tag.userId !== userId);
 
     return reminders.length;
   }
 
+  async optimizeStorage() {
+    const expired = this.data.reminders.filter(r => this.isTrashExpired(r));
+    if (expired.length === 0) return { optimized: false, reason: 'No optimization needed' };
+
+    await Promise.all(expired.map(r => this.purgeReminder(r.id)));
+    return { optimized: true, purgedReminders: expired.length };
+  }
+
   async getDatabaseInfo() {
     const dataSize = JSON.stringify(this.data).length;
 
@@ -189,6 +272,6 @@ export class MemoryStorage extends StorageInterface {
 
   async close() {
     console.log('🧠 Memory storage closed - data will be lost');
-    this.data = { reminders: [], userPreferences: {}, metadata: {} };
+    this.data = { reminders: [], userPreferences: {}, metadata: {}, auditLog: [], tags: [] };
   }
 }
\ No newline at end of file
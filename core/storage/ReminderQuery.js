@@ -0,0 +1,415 @@
+/**
+ * Reminder Query Language - Parser, AST evaluator and index planner for filter queries
+ * e.g. priority>=3 category:work tag:q3 due:<7d status:active "budget" (-status:completed OR is:recurring)
+ */
+
+import { ValidationError, PRIORITY_LEVELS, normalizeTagName } from '../../types/interfaces.js';
+
+const COMPARISON_OPS = ['>=', '<=', '!=', '>', '<', '=', ':'];
+const DATE_FIELDS = Object.freeze({ due: 'datetime', created: 'createdAt', updated: 'updatedAt' });
+const TEXT_FIELDS = Object.freeze({ title: 'title', description: 'description' });
+
+export const QUERY_FIELDS = Object.freeze([
+  'priority', 'category', 'status', 'tag', 'is', ...Object.keys(DATE_FIELDS), ...Object.keys(TEXT_FIELDS)
+]);
+
+const DURATION_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const FLAGS = Object.freeze(['recurring', 'overdue', 'notify']);
+
+const queryError = (message) => new ValidationError('query', message);
+
+const normalizeText = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// === Lexer ===
+
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    let value = '';
+    i++; // opening quote
+    while (i < input.length && input[i] !== '"') {
+      if (input[i] === '\\' && i + 1 < input.length) i++;
+      value += input[i++];
+    }
+    if (i >= input.length) throw queryError('Unterminated quoted string');
+    i++; // closing quote
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'word', value: readQuoted(), quoted: true });
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1]) && !/\d/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else {
+      let value = '';
+      let quoted = false;
+
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        if (input[i] === '"') {
+          value += readQuoted();
+          quoted = true;
+        } else {
+          value += input[i++];
+        }
+      }
+
+      if (!quoted && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+        tokens.push({ type: value });
+      } else {
+        tokens.push({ type: 'word', value, quoted });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// === Parser ===
+
+function parseTerm(token) {
+  const match = /^([a-z]+)(>=|<=|!=|>|<|=|:)(.*)$/i.exec(token.value);
+
+  if (!match) {
+    return { type: 'text', value: token.value, phrase: token.quoted };
+  }
+
+  const field = match[1].toLowerCase();
+  let op = match[2];
+  let value = match[3];
+
+  if (!QUERY_FIELDS.includes(field)) {
+    throw queryError(`Unknown query field "${match[1]}"`);
+  }
+
+  // Allow "field:op value" as well as "field op value", e.g. due:<7d
+  if (op === ':') {
+    const nested = COMPARISON_OPS.find(candidate => candidate !== ':' && value.startsWith(candidate));
+    if (nested) {
+      op = nested;
+      value = value.slice(nested.length);
+    }
+  }
+
+  if (value === '') {
+    throw queryError(`Missing value for "${field}"`);
+  }
+
+  return { type: 'compare', field, op: op === '=' ? ':' : op, value: parseValue(field, op, value) };
+}
+
+function parseValue(field, op, raw) {
+  if (field === 'priority') {
+    const values = raw.split(',').map(part => {
+      const level = Object.values(PRIORITY_LEVELS).find(p => p.label.toLowerCase() === part.toLowerCase());
+      const number = level ? level.value : Number(part);
+      if (!Number.isInteger(number) || number < 1 || number > 4) {
+        throw queryError(`Invalid priority "${part}"`);
+      }
+      return number;
+    });
+    if (values.length > 1 && ![':', '=', '!='].includes(op)) {
+      throw queryError('Priority lists only support ":" and "!="');
+    }
+    return values;
+  }
+
+  if (field in DATE_FIELDS) {
+    if (!parseDateValue(raw, new Date())) {
+      throw queryError(`Invalid date "${raw}" (use e.g. 7d, -2w, today, 2025-01-31)`);
+    }
+    return raw;
+  }
+
+  if (field in TEXT_FIELDS) {
+    return normalizeText(raw);
+  }
+
+  // category, status, tag and is: comma separated alternatives
+  if (![':', '=', '!='].includes(op)) {
+    throw queryError(`"${field}" only supports ":" and "!="`);
+  }
+
+  const values = raw.toLowerCase().split(',').filter(Boolean)
+    .map(value => (field === 'tag' ? normalizeTagName(value) : value));
+  const unknownFlag = field === 'is' && values.find(flag => !FLAGS.includes(flag));
+  if (unknownFlag) {
+    throw queryError(`Unknown flag "is:${unknownFlag}" (use ${FLAGS.join(', ')})`);
+  }
+  return values;
+}
+
+class Parser {
+  #tokens;
+  #position = 0;
+
+  constructor(tokens) {
+    this.#tokens = tokens;
+  }
+
+  parse() {
+    if (this.#tokens.length === 0) return null;
+
+    const node = this.#parseOr();
+    if (this.#position < this.#tokens.length) {
+      throw queryError('Unexpected ")"');
+    }
+    return node;
+  }
+
+  #peek() {
+    return this.#tokens[this.#position];
+  }
+
+  #parseOr() {
+    const children = [this.#parseAnd()];
+    while (this.#peek()?.type === 'OR') {
+      this.#position++;
+      children.push(this.#parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  #parseAnd() {
+    const children = [this.#parseUnary()];
+
+    while (this.#peek() && !['OR', ')'].includes(this.#peek().type)) {
+      if (this.#peek().type === 'AND') this.#position++;
+      children.push(this.#parseUnary());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  #parseUnary() {
+    if (this.#peek()?.type === 'NOT') {
+      this.#position++;
+      return { type: 'not', child: this.#parseUnary() };
+    }
+    return this.#parsePrimary();
+  }
+
+  #parsePrimary() {
+    const token = this.#tokens[this.#position++];
+
+    if (!token) throw queryError('Query ended unexpectedly');
+
+    if (token.type === '(') {
+      const node = this.#parseOr();
+      if (this.#tokens[this.#position++]?.type !== ')') {
+        throw queryError('Missing closing ")"');
+      }
+      return node;
+    }
+
+    if (token.type === 'word') return parseTerm(token);
+
+    throw queryError(`Unexpected "${token.type}"`);
+  }
+}
+
+/**
+ * Parse a query string into an AST (null for an empty query).
+ * Throws ValidationError('query', ...) on syntax errors.
+ */
+export function parseQuery(input) {
+  return new Parser(lex(String(input ?? '').trim())).parse();
+}
+
+// === Dates ===
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Returns { start, end, kind } where days span [start, end) and instants have start === end
+function parseDateValue(raw, now) {
+  const value = raw.toLowerCase();
+  const relativeDays = { yesterday: -1, today: 0, tomorrow: 1 };
+
+  if (value in relativeDays) {
+    const start = addDays(startOfDay(now), relativeDays[value]);
+    return { kind: 'day', start, end: addDays(start, 1) };
+  }
+
+  const duration = /^([+-]?\d+)([mhdw])$/.exec(value);
+  if (duration) {
+    const instant = new Date(now.getTime() + Number(duration[1]) * DURATION_UNITS[duration[2]]);
+    return { kind: 'relative', start: instant, end: instant };
+  }
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (day) {
+    const start = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+    return isNaN(start.getTime()) ? null : { kind: 'day', start, end: addDays(start, 1) };
+  }
+
+  const instant = new Date(raw);
+  return isNaN(instant.getTime()) ? null : { kind: 'instant', start: instant, end: instant };
+}
+
+/**
+ * Resolve a date comparison to a range { lower, upper, lowerOpen, upperOpen } (null = unbounded)
+ */
+function resolveDateRange(op, raw, now) {
+  const { kind, start, end } = parseDateValue(raw, now);
+  const isDay = kind === 'day';
+
+  switch (op) {
+    case '<': return { lower: null, upper: start, upperOpen: true };
+    case '<=': return { lower: null, upper: end, upperOpen: isDay };
+    case '>': return { lower: end, lowerOpen: !isDay, upper: null };
+    case '>=': return { lower: start, lowerOpen: false, upper: null };
+    default:
+      if (kind === 'relative') {
+        // due:7d means "within the next 7 days", due:-7d "within the last 7 days"
+        return start < now
+          ? { lower: start, lowerOpen: false, upper: now, upperOpen: false }
+          : { lower: now, lowerOpen: false, upper: start, upperOpen: false };
+      }
+      return { lower: start, lowerOpen: false, upper: end, upperOpen: isDay };
+  }
+}
+
+const inRange = (time, range) => {
+  if (range.lower) {
+    if (range.lowerOpen ? time <= range.lower : time < range.lower) return false;
+  }
+  if (range.upper) {
+    if (range.upperOpen ? time >= range.upper : time > range.upper) return false;
+  }
+  return true;
+};
+
+// === Evaluation ===
+
+function compareNumbers(actual, op, values) {
+  switch (op) {
+    case '>': return actual > values[0];
+    case '>=': return actual >= values[0];
+    case '<': return actual < values[0];
+    case '<=': return actual <= values[0];
+    case '!=': return !values.includes(actual);
+    default: return values.includes(actual);
+  }
+}
+
+function matchesFlag(reminder, flag, now) {
+  switch (flag) {
+    case 'recurring': return Boolean(reminder.recurrence?.frequency);
+    case 'overdue': return reminder.status === 'overdue' ||
+      (reminder.status === 'active' && new Date(reminder.datetime) < now);
+    default: return reminder.notification !== false; // notify
+  }
+}
+
+function evaluateCompare(node, reminder, now) {
+  const { field, op, value } = node;
+
+  if (field === 'priority') {
+    return compareNumbers(Number(reminder.priority) || 2, op, value);
+  }
+
+  if (field in DATE_FIELDS) {
+    const time = new Date(reminder[DATE_FIELDS[field]]);
+    if (isNaN(time.getTime())) return op === '!=';
+
+    const matches = inRange(time, resolveDateRange(op === '!=' ? ':' : op, value, now));
+    return op === '!=' ? !matches : matches;
+  }
+
+  if (field in TEXT_FIELDS) {
+    const matches = normalizeText(reminder[TEXT_FIELDS[field]]).includes(value);
+    return op === '!=' ? !matches : matches;
+  }
+
+  let matches;
+  if (field === 'is') {
+    matches = value.some(flag => matchesFlag(reminder, flag, now));
+  } else if (field === 'tag') {
+    matches = value.some(name => reminder.tags?.includes(name));
+  } else {
+    matches = value.includes(String(reminder[field] ?? '').toLowerCase());
+  }
+  return op === '!=' ? !matches : matches;
+}
+
+function evaluateText(node, reminder) {
+  const haystack = normalizeText([reminder.title, reminder.description, reminder.category].join(' '));
+  const needle = normalizeText(node.value);
+
+  if (node.phrase) return haystack.includes(needle);
+
+  // Bare words match word prefixes, like the search index
+  const words = haystack.split(/[^\p{L}\p{N}]+/u);
+  return needle.split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+    .every(term => words.some(word => word.startsWith(term)));
+}
+
+/**
+ * Evaluate an AST against a reminder
+ */
+export function evaluateQuery(ast, reminder, now = new Date()) {
+  if (!ast) return true;
+
+  switch (ast.type) {
+    case 'and': return ast.children.every(child => evaluateQuery(child, reminder, now));
+    case 'or': return ast.children.some(child => evaluateQuery(child, reminder, now));
+    case 'not': return !evaluateQuery(ast.child, reminder, now);
+    case 'compare': return evaluateCompare(ast, reminder, now);
+    case 'text': return evaluateText(ast, reminder);
+    default: return true;
+  }
+}
+
+// === Index planning ===
+
+/**
+ * Pick an index that narrows the candidate set for a query.
+ * Only top-level AND terms qualify; the full AST is still evaluated on the results.
+ * Due-date terms don't: stored datetimes may be local times without an offset, so they don't
+ * sort against the UTC bounds a range would need.
+ * Returns { index: 'userStatus' | 'userCategory' | 'tags', value }, or null.
+ */
+export function planQuery(ast) {
+  if (!ast) return null;
+
+  const conjuncts = ast.type === 'and' ? ast.children : [ast];
+  const equality = (field) => conjuncts.find(node =>
+    node.type === 'compare' && node.field === field && node.op === ':' && node.value.length === 1
+  );
+
+  const status = equality('status');
+  if (status) return { index: 'userStatus', value: status.value[0] };
+
+  const category = equality('category');
+  if (category) return { index: 'userCategory', value: category.value[0] };
+
+  const tag = equality('tag');
+  if (tag) return { index: 'tags', value: tag.value[0] };
+
+  return null;
+}
+
+export default { parseQuery, evaluateQuery, planQuery, QUERY_FIELDS };
@@ -0,0 +1,362 @@
+/**
+ * Schema Migrations - Versioned upgrade steps shared by the storage adapters
+ * IndexedDB runs them inside onupgradeneeded; localStorage applies the same steps to its JSON blob
+ */
+
+// Metadata entry recording which steps have been applied to this device's storage
+export const MIGRATIONS_METADATA_KEY = 'schemaMigrations';
+
+/**
+ * Each step upgrades the schema from `version - 1` to `version`:
+ * - database(schema): structural IndexedDB changes, made through the schema helper below
+ * - blob(data, changes): structural changes to the localStorage blob; push a line per change made
+ * - reminder(record): per-record transform run by both adapters; return the updated record, or null to leave it
+ * - preferences(record, reminders): per-user transform of the preferences record ({ userId } when there's none yet),
+ *   run for every user with preferences or reminders and given that user's reminders; return the record or null
+ *
+ * Steps are a record of history: use literal store and field names rather than current constants,
+ * and never edit a step once it has shipped - add a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create reminders, preferences and metadata stores',
+    database(schema) {
+      schema.createStore('reminders', { keyPath: 'id', autoIncrement: false });
+      schema.createIndex('reminders', 'userId', 'userId');
+      schema.createIndex('reminders', 'status', 'status');
+      schema.createIndex('reminders', 'datetime', 'datetime');
+      schema.createIndex('reminders', 'priority', 'priority');
+      schema.createIndex('reminders', 'category', 'category');
+      schema.createIndex('reminders', 'userStatus', ['userId', 'status']);
+      schema.createIndex('reminders', 'userCategory', ['userId', 'category']);
+      schema.createIndex('reminders', 'userDatetime', ['userId', 'datetime']);
+      schema.createStore('userPreferences', { keyPath: 'userId' });
+      schema.createStore('metadata', { keyPath: 'key' });
+    },
+    blob(data, changes) {
+      if (!Array.isArray(data.reminders)) {
+        data.reminders = [];
+        changes.push('create reminders collection');
+      }
+      ['userPreferences', 'metadata'].forEach(name => {
+        if (!data[name] || typeof data[name] !== 'object') {
+          data[name] = {};
+          changes.push(`create ${name} collection`);
+        }
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add full-text search index',
+    database(schema) {
+      schema.createStore('searchIndex', { keyPath: ['reminderId', 'token'] });
+      schema.createIndex('searchIndex', 'userToken', ['userId', 'token']);
+    }
+    // localStorage keeps its search index in memory, so the blob needs no change
+  },
+  {
+    version: 3,
+    description: 'Add audit log',
+    database(schema) {
+      schema.createStore('auditLog', { keyPath: 'id' });
+      schema.createIndex('auditLog', 'timestamp', 'timestamp');
+      schema.createIndex('auditLog', 'userTimestamp', ['userId', 'timestamp']);
+    },
+    blob(data, changes) {
+      if (!Array.isArray(data.auditLog)) {
+        data.auditLog = [];
+        changes.push('create auditLog collection');
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add tags',
+    database(schema) {
+      // multiEntry indexes each name in a reminder's tags array on its own
+      schema.createIndex('reminders', 'tags', 'tags', { unique: false, multiEntry: true });
+      schema.createStore('tags', { keyPath: ['userId', 'name'] });
+      schema.createIndex('tags', 'userId', 'userId');
+    },
+    blob(data, changes) {
+      if (!Array.isArray(data.tags)) {
+        data.tags = [];
+        changes.push('create tags collection');
+      }
+    },
+    reminder(record) {
+      return Array.isArray(record.tags) ? null : { ...record, tags: [] };
+    }
+  },
+  {
+    version: 5,
+    description: 'Add user-defined categories',
+    // The built-in categories become each user's own list, plus any other category their reminders already use
+    preferences(record, reminders) {
+      if (Array.isArray(record.categories)) return null;
+
+      const builtIn = [
+        { id: 'personal', label: 'Personal', icon: '👤', color: '#3498db', alertTimings: [5, 15] },
+        { id: 'work', label: 'Work', icon: '💼', color: '#e67e22', alertTimings: [15, 60] },
+        { id: 'health', label: 'Health', icon: '🩺', color: '#2ecc71', alertTimings: [30, 1440] },
+        { id: 'finance', label: 'Finance', icon: '💰', color: '#f1c40f', alertTimings: [60, 1440] },
+        { id: 'education', label: 'Education', icon: '🎓', color: '#9b59b6', alertTimings: [15, 60] },
+        { id: 'social', label: 'Social', icon: '🎉', color: '#e74c3c', alertTimings: [60, 1440] },
+        { id: 'other', label: 'Other', icon: '📌', color: '#7f8c8d', alertTimings: [5, 15] }
+      ];
+      const known = new Set(builtIn.map(category => category.id));
+      const inUse = [...new Set(reminders.map(reminder => reminder.category))]
+          .filter(id => typeof id === 'string' && id && !known.has(id))
+          .map(id => ({ id, label: id.charAt(0).toUpperCase() + id.slice(1), icon: '📁', color: '#7f8c8d', alertTimings: [5, 15] }));
+
+      return { ...record, categories: [...builtIn, ...inUse] };
+    }
+  }
+];
+
+export const SCHEMA_MIGRATIONS = Object.freeze(
+    Object.fromEntries(MIGRATIONS.map(step => [step.version, Object.freeze(step)]))
+);
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+MIGRATIONS.forEach((step, index) => {
+  if (step.version !== index + 1) {
+    throw new Error(`Schema migrations must be numbered consecutively (found ${step.version} at position ${index + 1})`);
+  }
+});
+
+export function getPendingMigrations(fromVersion, toVersion = SCHEMA_VERSION) {
+  return MIGRATIONS.filter(step => step.version > fromVersion && step.version <= toVersion);
+}
+
+export function createMigrationReport(fromVersion, toVersion, dryRun) {
+  return { fromVersion, toVersion, dryRun, steps: [] };
+}
+
+function createStepResult(step, changes, recordsAffected, dryRun) {
+  return {
+    version: step.version,
+    description: step.description,
+    changes,
+    recordsAffected,
+    ...(dryRun ? {} : { appliedAt: new Date().toISOString() })
+  };
+}
+
+function appendProgress(progress, result) {
+  return {
+    version: result.version,
+    updatedAt: result.appliedAt,
+    history: [...(progress?.history || []), result]
+  };
+}
+
+// === IndexedDB ===
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Store name -> index names, so dry runs can plan several steps ahead without touching the database
+function readLayout(db, transaction) {
+  const layout = new Map();
+  if (!db || !transaction) return layout;
+
+  Array.from(db.objectStoreNames).forEach(name => {
+    layout.set(name, new Set(Array.from(transaction.objectStore(name).indexNames)));
+  });
+  return layout;
+}
+
+function createSchemaHelper({ db, transaction, layout, dryRun, changes }) {
+  return {
+    createStore(name, options) {
+      if (layout.has(name)) return;
+
+      layout.set(name, new Set());
+      changes.push(`create object store "${name}"`);
+      if (!dryRun) db.createObjectStore(name, options);
+    },
+
+    createIndex(storeName, indexName, keyPath, options = { unique: false }) {
+      const indexes = layout.get(storeName);
+      if (!indexes) throw new Error(`Cannot index missing object store "${storeName}"`);
+      if (indexes.has(indexName)) return;
+
+      indexes.add(indexName);
+      changes.push(`create index "${indexName}" on "${storeName}"`);
+      if (!dryRun) transaction.objectStore(storeName).createIndex(indexName, keyPath, options);
+    },
+
+    deleteIndex(storeName, indexName) {
+      const indexes = layout.get(storeName);
+      if (!indexes?.has(indexName)) return;
+
+      indexes.delete(indexName);
+      changes.push(`delete index "${indexName}" from "${storeName}"`);
+      if (!dryRun) transaction.objectStore(storeName).deleteIndex(indexName);
+    }
+  };
+}
+
+// Reminders grouped by owner, plus every owner that only has preferences
+function groupByUser(reminders, preferences) {
+  const users = new Map(preferences.map(record => [record.userId, { record, reminders: [] }]));
+
+  reminders.forEach(reminder => {
+    if (!users.has(reminder.userId)) users.set(reminder.userId, { record: { userId: reminder.userId }, reminders: [] });
+    users.get(reminder.userId).reminders.push(reminder);
+  });
+
+  return users;
+}
+
+async function transformPreferences(db, transaction, transform, dryRun) {
+  const reminders = db.objectStoreNames.contains('reminders') ? await requestToPromise(transaction.objectStore('reminders').getAll()) : [];
+  const store = transaction.objectStore('userPreferences');
+  const users = groupByUser(reminders.filter(reminder => reminder.userId), await requestToPromise(store.getAll()));
+
+  let affected = 0;
+  for (const { record, reminders: owned } of users.values()) {
+    const updated = transform({ ...record }, owned);
+    if (!updated) continue;
+
+    affected++;
+    if (!dryRun) await requestToPromise(store.put(updated));
+  }
+  return affected;
+}
+
+function transformStoreRecords(store, transform, dryRun) {
+  return new Promise((resolve, reject) => {
+    let affected = 0;
+    const request = store.openCursor();
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(affected);
+        return;
+      }
+
+      const updated = transform({ ...cursor.value });
+      if (updated) {
+        affected++;
+        if (!dryRun) cursor.update(updated);
+      }
+      cursor.continue();
+    };
+
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run pending steps against an IndexedDB database
+ * @param {IDBDatabase|null} db - Database being upgraded; null when planning for one that doesn't exist yet
+ * @param {IDBTransaction|null} transaction - The versionchange transaction, or a readonly one over every store for dry runs
+ * @param {Object} options - { fromVersion, toVersion, dryRun }
+ * @returns {Promise<Object>} Report with one entry per step
+ */
+export async function migrateDatabase(db, transaction, options = {}) {
+  const { fromVersion = 0, toVersion = SCHEMA_VERSION, dryRun = false } = options;
+  const report = createMigrationReport(fromVersion, toVersion, dryRun);
+  const layout = readLayout(db, transaction);
+
+  let progress = layout.has('metadata')
+      ? (await requestToPromise(transaction.objectStore('metadata').get(MIGRATIONS_METADATA_KEY)))?.value
+      : null;
+
+  for (const step of getPendingMigrations(fromVersion, toVersion)) {
+    const changes = [];
+    step.database?.(createSchemaHelper({ db, transaction, layout, dryRun, changes }));
+
+    // A dry run only sees stores that already exist; anything it plans to create would be empty anyway
+    let recordsAffected = step.reminder && db?.objectStoreNames.contains('reminders')
+        ? await transformStoreRecords(transaction.objectStore('reminders'), step.reminder, dryRun)
+        : 0;
+    if (step.preferences && db?.objectStoreNames.contains('userPreferences')) {
+      recordsAffected += await transformPreferences(db, transaction, step.preferences, dryRun);
+    }
+
+    const result = createStepResult(step, changes, recordsAffected, dryRun);
+    report.steps.push(result);
+
+    if (!dryRun) {
+      progress = appendProgress(progress, result);
+      await requestToPromise(transaction.objectStore('metadata').put({
+        key: MIGRATIONS_METADATA_KEY,
+        value: progress,
+        timestamp: result.appliedAt
+      }));
+    }
+  }
+
+  return report;
+}
+
+// === localStorage ===
+
+/**
+ * Run pending steps against a copy of the localStorage blob
+ * @param {Object} data - Parsed blob; a missing version means it predates versioning
+ * @param {Object} options - { toVersion, dryRun }
+ * @returns {{data: Object, report: Object}} Migrated copy (unchanged on dry runs) and the report
+ */
+export function migrateBlob(data, options = {}) {
+  const { toVersion = SCHEMA_VERSION, dryRun = false } = options;
+  const fromVersion = Number.isInteger(data?.version) ? data.version : 0;
+  const report = createMigrationReport(fromVersion, toVersion, dryRun);
+  const migrated = structuredClone(data || {});
+
+  getPendingMigrations(fromVersion, toVersion).forEach(step => {
+    const changes = [];
+    step.blob?.(migrated, changes);
+
+    let recordsAffected = 0;
+    if (step.reminder && Array.isArray(migrated.reminders)) {
+      migrated.reminders = migrated.reminders.map(reminder => {
+        const updated = step.reminder({ ...reminder });
+        if (!updated) return reminder;
+
+        recordsAffected++;
+        return updated;
+      });
+    }
+
+    if (step.preferences && migrated.userPreferences) {
+      const reminders = (migrated.reminders || []).filter(reminder => reminder.userId);
+      const preferences = Object.entries(migrated.userPreferences).map(([userId, record]) => ({ ...record, userId }));
+      groupByUser(reminders, preferences).forEach(({ record, reminders: owned }, userId) => {
+        const updated = step.preferences({ ...record }, owned);
+        if (!updated) return;
+
+        recordsAffected++;
+        migrated.userPreferences[userId] = updated;
+      });
+    }
+
+    const result = createStepResult(step, changes, recordsAffected, dryRun);
+    report.steps.push(result);
+
+    migrated.version = step.version;
+    migrated.schemaVersion = `${step.version}.0`;
+
+    if (!dryRun && migrated.metadata) {
+      const progress = appendProgress(migrated.metadata[MIGRATIONS_METADATA_KEY]?.value, result);
+      migrated.metadata[MIGRATIONS_METADATA_KEY] = {
+        key: MIGRATIONS_METADATA_KEY,
+        value: progress,
+        timestamp: result.appliedAt
+      };
+    }
+  });
+
+  return { data: dryRun ? data : migrated, report };
+}
+
+export default { SCHEMA_VERSION, SCHEMA_MIGRATIONS, getPendingMigrations, migrateDatabase, migrateBlob };
@@ -0,0 +1,234 @@
+/**
+ * Search Index - Inverted token index and ranking shared by all storage adapters
+ * IndexedDB persists the postings; localStorage and memory storage keep them in a SearchIndex instance
+ */
+
+import { StringUtils } from '../../utils/helpers.js';
+
+// Bump when tokenization or weighting changes so persisted indexes are rebuilt
+export const SEARCH_INDEX_VERSION = 1;
+
+const FIELD_WEIGHTS = Object.freeze({
+  title: 3,
+  category: 2,
+  description: 1
+});
+
+const SNIPPET_LENGTH = 120;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+export function tokenize(text) {
+  return normalize(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Index entries for a reminder: one posting per distinct token with a field-weighted score
+ */
+export function buildPostings(reminder) {
+  const weights = new Map();
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+    const counts = new Map();
+    tokenize(reminder[field]).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    // Repeated words add a little, but a title hit always outranks a description hit
+    counts.forEach((count, token) => {
+      const weight = fieldWeight + Math.min(count - 1, 4) * 0.1;
+      weights.set(token, (weights.get(token) || 0) + weight);
+    });
+  });
+
+  return Array.from(weights, ([token, weight]) => ({
+    reminderId: reminder.id,
+    userId: reminder.userId,
+    token,
+    weight
+  }));
+}
+
+// Exact matches score the full weight; prefix matches are scaled by how much of the token was typed
+export function scorePosting(token, weight, term) {
+  if (token === term) return weight;
+  return weight * (0.5 + 0.4 * (term.length / token.length));
+}
+
+/**
+ * Intersect per-term matches (Map<reminderId, score>) and rank by total score.
+ * Every term has to match for a reminder to be returned.
+ */
+export function combineTermMatches(termMatches) {
+  if (termMatches.length === 0) return [];
+
+  const [first, ...rest] = [...termMatches].sort((a, b) => a.size - b.size);
+  const results = [];
+
+  first.forEach((score, reminderId) => {
+    let total = score;
+
+    for (const matches of rest) {
+      if (!matches.has(reminderId)) return;
+      total += matches.get(reminderId);
+    }
+
+    results.push({ reminderId, score: total });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// Escape text and wrap words that start with a search term in <mark>
+export function highlightText(text, terms) {
+  const source = String(text ?? '');
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const word = normalize(match[0]);
+    if (terms.some(term => word.startsWith(term))) {
+      result += StringUtils.escapeHtml(source.slice(lastIndex, match.index));
+      result += `<mark>${StringUtils.escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return result + StringUtils.escapeHtml(source.slice(lastIndex));
+}
+
+// Excerpt of the description centred on the first matching word
+export function createSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text ?? '');
+  if (!source) return '';
+
+  let start = 0;
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const word = normalize(match[0]);
+    if (terms.some(term => word.startsWith(term))) {
+      start = Math.max(0, match.index - Math.floor(length / 3));
+      break;
+    }
+  }
+
+  // Avoid cutting the first word in half
+  if (start > 0) {
+    const nextSpace = source.indexOf(' ', start);
+    start = nextSpace >= 0 && nextSpace < start + 15 ? nextSpace + 1 : start;
+  }
+
+  const end = Math.min(source.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+
+  return prefix + highlightText(source.slice(start, end), terms) + suffix;
+}
+
+export class SearchIndex {
+  #postings = new Map(); // token -> Map<reminderId, weight>
+  #documents = new Map(); // reminderId -> { userId, tokens }
+  #sortedTokens = null; // Lazily rebuilt for prefix lookups
+
+  get size() {
+    return this.#documents.size;
+  }
+
+  add(reminder) {
+    if (!reminder?.id) return;
+
+    this.remove(reminder.id);
+
+    const postings = buildPostings(reminder);
+    postings.forEach(({ token, weight }) => {
+      if (!this.#postings.has(token)) {
+        this.#postings.set(token, new Map());
+        this.#sortedTokens = null;
+      }
+      this.#postings.get(token).set(reminder.id, weight);
+    });
+
+    this.#documents.set(reminder.id, {
+      userId: reminder.userId,
+      tokens: postings.map(p => p.token)
+    });
+  }
+
+  remove(reminderId) {
+    const document = this.#documents.get(reminderId);
+    if (!document) return false;
+
+    document.tokens.forEach(token => {
+      const postings = this.#postings.get(token);
+      if (!postings) return;
+
+      postings.delete(reminderId);
+      if (postings.size === 0) {
+        this.#postings.delete(token);
+        this.#sortedTokens = null;
+      }
+    });
+
+    this.#documents.delete(reminderId);
+    return true;
+  }
+
+  clear() {
+    this.#postings.clear();
+    this.#documents.clear();
+    this.#sortedTokens = null;
+  }
+
+  rebuild(reminders) {
+    this.clear();
+    reminders.forEach(reminder => this.add(reminder));
+  }
+
+  /**
+   * Find reminders matching every term (as a word prefix), best matches first
+   * @returns {Array<{reminderId, score}>}
+   */
+  search(userId, terms) {
+    const termMatches = terms.map(term => {
+      const matches = new Map();
+
+      this.#tokensWithPrefix(term).forEach(token => {
+        this.#postings.get(token).forEach((weight, reminderId) => {
+          if (this.#documents.get(reminderId)?.userId !== userId) return;
+
+          const score = scorePosting(token, weight, term);
+          matches.set(reminderId, Math.max(matches.get(reminderId) || 0, score));
+        });
+      });
+
+      return matches;
+    });
+
+    return combineTermMatches(termMatches);
+  }
+
+  #tokensWithPrefix(prefix) {
+    if (!this.#sortedTokens) {
+      this.#sortedTokens = Array.from(this.#postings.keys()).sort();
+    }
+
+    // Binary search for the first token >= prefix, then scan while the prefix holds
+    let low = 0;
+    let high = this.#sortedTokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.#sortedTokens[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const tokens = [];
+    for (let i = low; i < this.#sortedTokens.length && this.#sortedTokens[i].startsWith(prefix); i++) {
+      tokens.push(this.#sortedTokens[i]);
+    }
+
+    return tokens;
+  }
+}
+
+export default SearchIndex;
@@ -6,12 +6,16 @@
 import { IndexedDBStorage } from './IndexedDBStorage.js';
 import { LocalStorageAdapter } from './LocalStorageAdapter.js';
 import { MemoryStorage } from './MemoryStorage.js';
+import { EncryptedStorage } from './EncryptedStorage.js';
+import { ChangeFeed, CHANGE_TYPES } from './ChangeFeed.js';
 import { StorageError, ERROR_CODES } from '../../types/interfaces.js';
+import { APP_CONFIG } from '../../config/constants.js';
 
 export class StorageFactory {
   static instance = null;
   static storageCache = new Map();
   static capabilities = null;
+  static changeFeed = null;
 
   static async getInstance(userId = 'default') {
     const cacheKey = `storage_${userId}`;
@@ -41,7 +45,7 @@ export class StorageFactory {
         const storageType = service.constructor.name;
 
         console.log(`✅ Storage initialized: ${storageType} for user: ${userId}`);
-        return this._wrapWithMetrics(service, storageType);
+        return this._wrapWithMetrics(this._withChangeFeed(this._withEncryption(service)), storageType);
 
       } catch (error) {
         console.warn('Storage strategy failed:', error.message);
@@ -217,11 +221,78 @@ export class StorageFactory {
     return service;
   }
 
+  // Reminder text is encrypted at rest whenever WebCrypto is available
+  static _withEncryption(service) {
+    if (!APP_CONFIG.storage.encryption.enabled || !EncryptedStorage.isSupported()) {
+      return service;
+    }
+    return new EncryptedStorage(service);
+  }
+
+  // One feed per tab, shared by every storage service it creates
+  static getChangeFeed() {
+    if (!this.changeFeed) {
+      this.changeFeed = new ChangeFeed();
+    }
+    return this.changeFeed;
+  }
+
+  // Publish successful writes so other tabs can pick them up
+  static _withChangeFeed(service) {
+    if (!ChangeFeed.isSupported()) return service;
+
+    const feed = this.getChangeFeed();
+    const describeChange = {
+      saveReminder: ([reminder], saved) => ({ type: CHANGE_TYPES.SAVED, userId: saved?.userId ?? reminder?.userId, reminderId: saved?.id }),
+      updateReminder: ([id], updated) => ({ type: CHANGE_TYPES.UPDATED, userId: updated?.userId, reminderId: id }),
+      deleteReminder: ([id]) => ({ type: CHANGE_TYPES.DELETED, reminderId: id }),
+      restoreReminder: ([id], restored) => ({ type: CHANGE_TYPES.UPDATED, userId: restored?.userId, reminderId: id }),
+      purgeReminder: ([id]) => ({ type: CHANGE_TYPES.DELETED, reminderId: id }),
+      emptyTrash: ([userId], purged) => (purged > 0 ? { type: CHANGE_TYPES.RESET, userId } : null),
+      optimizeStorage: (args, result) => (result?.purgedReminders > 0 ? { type: CHANGE_TYPES.RESET } : null),
+      deleteRemindersByStatus: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      importData: ([, userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      // Tag colors show on every card, and renames touch many reminders at once
+      saveTag: ([tag]) => ({ type: CHANGE_TYPES.RESET, userId: tag?.userId }),
+      replaceTags: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      renameTag: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      mergeTags: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      deleteTag: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      // Category labels, icons and colors show on every card too
+      saveCategories: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      deleteCategory: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      // The tab that raises alerts may not be the one that changed them
+      saveQuietHours: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      saveNotificationChannels: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      saveDigestSchedule: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId }),
+      clearUserData: ([userId]) => ({ type: CHANGE_TYPES.RESET, userId })
+    };
+
+    return new Proxy(service, {
+      get(target, prop, receiver) {
+        const originalMethod = Reflect.get(target, prop, receiver);
+        if (typeof originalMethod !== 'function') return originalMethod;
+
+        if (!Object.hasOwn(describeChange, prop)) {
+          return originalMethod.bind(target);
+        }
+
+        return async function(...args) {
+          const result = await originalMethod.apply(target, args);
+          const change = describeChange[prop](args, result);
+          if (change) feed.publish(change);
+          return result;
+        };
+      }
+    });
+  }
+
   // Fixed wrapper that properly handles method calls
   static _wrapWithMetrics(service, storageType) {
     const monitoredMethods = [
-      'saveReminder', 'getReminders', 'updateReminder', 'deleteReminder',
-      'saveUserPreferences', 'getUserPreferences', 'exportAllData', 'clearUserData'
+      'saveReminder', 'getReminders', 'updateReminder', 'deleteReminder', 'restoreReminder', 'purgeReminder',
+      'saveUserPreferences', 'getUserPreferences', 'exportAllData', 'clearUserData',
+      'searchReminders'
     ];
 
     return new Proxy(service, {
@@ -339,6 +410,8 @@ export class StorageFactory {
 
   static clearCache() {
     this.storageCache.clear();
+    this.changeFeed?.close();
+    this.changeFeed = null;
     this.capabilities = null;
     console.log('🧹 Storage factory cache cleared');
   }
@@ -386,7 +459,7 @@ export class StorageFactory {
   static getStorageTypeFromService(service) {
     if (!service) return 'Unknown';
 
-    const constructorName = service.constructor.name;
+    const constructorName = (service.getInnerStorage?.() || service).constructor.name;
     const typeMapping = {
       'IndexedDBStorage': 'IndexedDB',
       'LocalStorageAdapter': 'localStorage',
@@ -3,7 +3,36 @@
  * Provides consistent API across different storage implementations
  */
 
-import { StorageError, ERROR_CODES } from '../../types/interfaces.js';
+import {
+  StorageError,
+  ERROR_CODES,
+  DEFAULT_CATEGORIES,
+  DEFAULT_CHANNELS,
+  createCategory,
+  createDigestSchedule,
+  createNotificationChannel,
+  createQuietHours,
+  createTag,
+  normalizeTagName,
+  validateCategories,
+  validateDigestSchedule,
+  validateNotificationChannels,
+  validateQuietHours,
+  validateTag
+} from '../../types/interfaces.js';
+import { SearchIndex, tokenize, highlightText, createSnippet } from './SearchIndex.js';
+import { parseQuery, evaluateQuery } from './ReminderQuery.js';
+import { SCHEMA_VERSION, createMigrationReport } from './SchemaMigrations.js';
+import { APP_CONFIG } from '../../config/constants.js';
+
+// filters.trash values: deleted reminders are left out of queries unless asked for
+export const TRASH_FILTERS = Object.freeze({
+  EXCLUDE: 'exclude',
+  INCLUDE: 'include',
+  ONLY: 'only'
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class StorageInterface {
   constructor() {
@@ -29,8 +58,9 @@ export class StorageInterface {
     throw new Error('updateReminder method must be implemented');
   }
 
-  async deleteReminder(id) {
-    throw new Error('deleteReminder method must be implemented');
+  // Remove a reminder for good; deleteReminder only moves it to the trash
+  async purgeReminder(id) {
+    throw new Error('purgeReminder method must be implemented');
   }
 
   async deleteRemindersByStatus(userId, status) {
@@ -53,6 +83,50 @@ export class StorageInterface {
     throw new Error('getMetadata method must be implemented');
   }
 
+  // The audit log is append-only: entries are never edited, and only pruneAuditLog removes them
+  async appendAuditEntry(entry) {
+    throw new Error('appendAuditEntry method must be implemented');
+  }
+
+  /**
+   * @param {Object} filters - { userId, action, reminderId, from, to, limit }
+   * @returns {Promise<Object[]>} Matching entries, newest first
+   */
+  async queryAuditLog(filters = {}) {
+    throw new Error('queryAuditLog method must be implemented');
+  }
+
+  /**
+   * Drop entries older than maxAgeDays, then the oldest beyond maxEntries
+   * @param {Object} options - { maxEntries, maxAgeDays }; defaults from APP_CONFIG.audit
+   * @returns {Promise<number>} How many were removed
+   */
+  async pruneAuditLog(options = {}) {
+    throw new Error('pruneAuditLog method must be implemented');
+  }
+
+  // Tags are kept per user as { userId, name, color }; reminders refer to them by name
+  async getTags(userId) {
+    throw new Error('getTags method must be implemented');
+  }
+
+  // Adds the tag, or replaces the one with the same owner and name
+  async saveTag(tag) {
+    throw new Error('saveTag method must be implemented');
+  }
+
+  /**
+   * Swap tag names on every one of a user's reminders, trashed ones included, and update the tag list to match.
+   * Reminders and tags are written together: either every change lands or none does.
+   * @param {string} userId
+   * @param {string[]} names - Normalized names of the tags to replace
+   * @param {Object|null} target - Tag they become (from prepareTag), or null to drop them
+   * @returns {Promise<Object[]>} The reminders that changed, as saved
+   */
+  async replaceTags(userId, names, target) {
+    throw new Error('replaceTags method must be implemented');
+  }
+
   async getStatistics(userId) {
     throw new Error('getStatistics method must be implemented');
   }
@@ -69,6 +143,32 @@ export class StorageInterface {
     throw new Error('clearUserData method must be implemented');
   }
 
+  /**
+   * Give imported reminders fresh ids, checklist items included, so no id from the file is trusted.
+   * Dependencies follow their blockers to the new ids; links to reminders outside the file are dropped.
+   * @returns {Object[]} The reminders, owned by userId, ready to save
+   */
+  prepareImportedReminders(reminders, userId) {
+    const newIds = new Map(); // Old id -> new id; a repeated old id keeps its first reminder
+    const ids = reminders.map(reminder => {
+      const id = this.generateId();
+      if (reminder.id != null && !newIds.has(reminder.id)) newIds.set(reminder.id, id);
+      return id;
+    });
+
+    return reminders.map((reminder, index) => ({
+      ...reminder,
+      userId,
+      id: ids[index],
+      ...(Array.isArray(reminder.subtasks) && {
+        subtasks: reminder.subtasks.map(item => (item && typeof item === 'object' ? { ...item, id: this.generateId() } : item))
+      }),
+      ...(Array.isArray(reminder.dependsOn) && {
+        dependsOn: reminder.dependsOn.filter(id => newIds.has(id)).map(id => newIds.get(id))
+      })
+    }));
+  }
+
   async getDatabaseInfo() {
     throw new Error('getDatabaseInfo method must be implemented');
   }
@@ -77,6 +177,347 @@ export class StorageInterface {
     throw new Error('close method must be implemented');
   }
 
+  // Prepare reminder snapshots kept outside the reminders store (e.g. undo history) for saving in metadata.
+  // Storage that protects reminder fields at rest overrides these; the default keeps them as-is.
+  async sealReminderFields(userId, data) {
+    return data;
+  }
+
+  async openReminderFields(data) {
+    return data;
+  }
+
+  // Trash - built on the methods above, so every adapter shares the same soft-delete rules
+
+  /**
+   * Move a reminder to the trash by stamping deletedAt
+   * @returns {Promise<boolean>} false when there's no such reminder
+   */
+  async deleteReminder(id) {
+    this.validateReminderId(id);
+
+    const existing = await this.getReminderById(id);
+    if (!existing) return false;
+
+    if (!existing.deletedAt) {
+      await this.updateReminder(id, { deletedAt: new Date().toISOString() });
+    }
+    return true;
+  }
+
+  async restoreReminder(id) {
+    this.validateReminderId(id);
+
+    const existing = await this.getReminderById(id);
+    if (!existing) {
+      throw new StorageError(`Reminder with id ${id} not found`, ERROR_CODES.NOT_FOUND);
+    }
+
+    return existing.deletedAt ? this.updateReminder(id, { deletedAt: null }) : existing;
+  }
+
+  // Newest deletions first
+  async getTrash(userId) {
+    return this.getReminders(userId, { trash: TRASH_FILTERS.ONLY, sortBy: 'deleted' });
+  }
+
+  /**
+   * Permanently remove a user's trashed reminders
+   * @param {Object} options - { olderThanDays }: only those deleted at least this long ago
+   * @returns {Promise<number>} How many were purged
+   */
+  async emptyTrash(userId, options = {}) {
+    const trash = await this.getTrash(userId);
+    const expired = options.olderThanDays === undefined
+        ? trash
+        : trash.filter(reminder => this.isTrashExpired(reminder, options.olderThanDays));
+
+    const results = await Promise.allSettled(expired.map(reminder => this.purgeReminder(reminder.id)));
+    return results.filter(result => result.status === 'fulfilled' && result.value).length;
+  }
+
+  isTrashExpired(reminder, retentionDays = APP_CONFIG.storage.trash.retentionDays, now = Date.now()) {
+    if (!reminder?.deletedAt || !(retentionDays > 0)) return false;
+    return now - new Date(reminder.deletedAt).getTime() >= retentionDays * DAY_MS;
+  }
+
+  // Tags - rename, merge and delete, built on replaceTags
+
+  /**
+   * Tags a user has set up or put on a reminder, with how many live reminders carry each
+   * @returns {Promise<Object[]>} { name, color, count, ... }, sorted by name
+   */
+  async getTagUsage(userId) {
+    const [tags, reminders] = await Promise.all([this.getTags(userId), this.getReminders(userId)]);
+
+    const counts = new Map();
+    reminders.forEach(reminder => (reminder.tags || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+
+    // Tags typed straight onto a reminder have no entry until someone picks a color
+    const byName = new Map(tags.map(tag => [tag.name, tag]));
+    counts.forEach((count, name) => {
+      if (!byName.has(name)) byName.set(name, createTag({ name }, userId));
+    });
+
+    return Array.from(byName.values())
+        .map(tag => ({ ...tag, count: counts.get(tag.name) || 0 }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Renaming onto a name that's already taken is a merge, and has to be asked for as one
+  async renameTag(userId, name, newName) {
+    const source = normalizeTagName(name);
+    const target = normalizeTagName(newName);
+    const tags = await this.getTagUsage(userId);
+
+    const existing = tags.find(tag => tag.name === source);
+    if (!existing) {
+      throw new StorageError(`Tag "${source}" not found`, ERROR_CODES.NOT_FOUND);
+    }
+    if (target === source) return [];
+    if (tags.some(tag => tag.name === target)) {
+      throw new StorageError(`Tag "${target}" already exists; merge the tags instead`, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    return this.replaceTags(userId, [source], this.prepareTag({ ...existing, userId, name: target }));
+  }
+
+  // Reminders tagged with any of `names` end up tagged with targetName once; an existing target keeps its color
+  async mergeTags(userId, names, targetName) {
+    const target = normalizeTagName(targetName);
+    const sources = [...new Set(names.map(normalizeTagName))].filter(name => name !== target);
+    const tags = await this.getTagUsage(userId);
+
+    const missing = sources.find(name => !tags.some(tag => tag.name === name));
+    if (missing) {
+      throw new StorageError(`Tag "${missing}" not found`, ERROR_CODES.NOT_FOUND);
+    }
+    if (sources.length === 0) return [];
+
+    const base = tags.find(tag => tag.name === target) || tags.find(tag => tag.name === sources[0]);
+    return this.replaceTags(userId, sources, this.prepareTag({ ...base, userId, name: target }));
+  }
+
+  async deleteTag(userId, name) {
+    return this.replaceTags(userId, [normalizeTagName(name)], null);
+  }
+
+  // Tag colors from an export; entries that don't validate are skipped rather than failing the import
+  async importTags(tags, userId) {
+    if (!Array.isArray(tags)) return 0;
+
+    const results = await Promise.allSettled(tags.map(tag => this.saveTag({ ...tag, userId })));
+    return results.filter(result => result.status === 'fulfilled').length;
+  }
+
+  // Categories - each user's definitions live in their preferences, next to smart lists
+
+  // The user's categories, or the built-in ones until they save their own
+  async getCategories(userId) {
+    const preferences = await this.getUserPreferences(userId);
+    const saved = preferences?.categories;
+
+    return Array.isArray(saved) && validateCategories(saved).length === 0
+        ? saved
+        : DEFAULT_CATEGORIES.map(category => ({ ...category, alertTimings: [...category.alertTimings] }));
+  }
+
+  async saveCategories(userId, categories) {
+    this.validateUserId(userId);
+
+    const prepared = Array.isArray(categories) ? categories.map(createCategory) : categories;
+    const errors = validateCategories(prepared);
+    if (errors.length > 0) {
+      throw new StorageError(errors[0].message, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    // saveUserPreferences replaces the record, so keep the other preferences
+    const preferences = await this.getUserPreferences(userId) || {};
+    await this.saveUserPreferences(userId, { ...preferences, categories: prepared });
+    return prepared;
+  }
+
+  /**
+   * Remove a category, moving its reminders (trashed ones included) to another
+   * @returns {Promise<Object[]>} The reminders that moved
+   */
+  async deleteCategory(userId, id, replacementId) {
+    const categories = await this.getCategories(userId);
+
+    if (!categories.some(category => category.id === id)) {
+      throw new StorageError(`Category "${id}" not found`, ERROR_CODES.NOT_FOUND);
+    }
+    if (replacementId === id || !categories.some(category => category.id === replacementId)) {
+      throw new StorageError('Choose another existing category for its reminders', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const reminders = await this.getReminders(userId, { category: id, trash: TRASH_FILTERS.INCLUDE });
+    const timestamp = new Date().toISOString();
+    const moved = [];
+    for (const reminder of reminders) {
+      moved.push(await this.updateReminder(reminder.id, { category: replacementId, updatedAt: timestamp }));
+    }
+
+    await this.saveCategories(userId, categories.filter(category => category.id !== id));
+    return moved;
+  }
+
+  // Quiet hours and do not disturb - also kept in preferences
+
+  async getQuietHours(userId) {
+    const preferences = await this.getUserPreferences(userId);
+    return createQuietHours(preferences?.quietHours || {});
+  }
+
+  async saveQuietHours(userId, settings) {
+    this.validateUserId(userId);
+
+    const prepared = createQuietHours(settings || {});
+    const errors = validateQuietHours(prepared);
+    if (errors.length > 0) {
+      throw new StorageError(errors[0].message, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const preferences = await this.getUserPreferences(userId) || {};
+    await this.saveUserPreferences(userId, { ...preferences, quietHours: prepared });
+    return prepared;
+  }
+
+  // Notification channels and their routing rules - also kept in preferences
+
+  // The built-in channels always come first, with their defaults until the user changes them
+  async getNotificationChannels(userId) {
+    const preferences = await this.getUserPreferences(userId);
+    const saved = (preferences?.notificationChannels || []).map(createNotificationChannel);
+    const builtIn = DEFAULT_CHANNELS.map(channel => saved.find(({ id }) => id === channel.id) || createNotificationChannel(channel));
+
+    return [...builtIn, ...saved.filter(({ id }) => !DEFAULT_CHANNELS.some(channel => channel.id === id))];
+  }
+
+  async saveNotificationChannels(userId, channels) {
+    this.validateUserId(userId);
+
+    const prepared = (Array.isArray(channels) ? channels : []).map(createNotificationChannel);
+    const errors = validateNotificationChannels(prepared);
+    if (errors.length > 0) {
+      throw new StorageError(errors[0].message, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const preferences = await this.getUserPreferences(userId) || {};
+    await this.saveUserPreferences(userId, { ...preferences, notificationChannels: prepared });
+    return this.getNotificationChannels(userId);
+  }
+
+  // Digest schedule - also kept in preferences
+
+  async getDigestSchedule(userId) {
+    const preferences = await this.getUserPreferences(userId);
+    return createDigestSchedule(preferences?.digest || {});
+  }
+
+  async saveDigestSchedule(userId, schedule) {
+    this.validateUserId(userId);
+
+    const prepared = createDigestSchedule(schedule || {});
+    const errors = validateDigestSchedule(prepared);
+    if (errors.length > 0) {
+      throw new StorageError(errors[0].message, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const preferences = await this.getUserPreferences(userId) || {};
+    await this.saveUserPreferences(userId, { ...preferences, digest: prepared });
+    return prepared;
+  }
+
+  // === Tag helpers shared by the adapters ===
+
+  prepareTag(tag) {
+    this.validateUserId(tag?.userId);
+
+    const errors = validateTag(tag);
+    if (errors.length > 0) {
+      throw new StorageError(errors[0].message, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    return createTag(tag, tag.userId);
+  }
+
+  // The reminder with `names` swapped for targetName (or dropped), or null when it carries none of them
+  retagReminder(reminder, names, targetName, timestamp = new Date().toISOString()) {
+    if (!reminder.tags?.some(name => names.includes(name))) return null;
+
+    const tags = reminder.tags.map(name => (names.includes(name) ? targetName : name)).filter(Boolean);
+    return { ...reminder, tags: [...new Set(tags)], updatedAt: timestamp };
+  }
+
+  // === Audit log helpers shared by the adapters ===
+
+  prepareAuditEntry(entry) {
+    if (!entry?.action) {
+      throw new StorageError('Audit entry requires an action', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    return {
+      ...entry,
+      id: entry.id || this.generateId(),
+      userId: entry.userId ?? null,
+      timestamp: entry.timestamp || new Date().toISOString()
+    };
+  }
+
+  // from/to accept dates or date strings; timestamps are ISO strings, so ranges compare as text
+  getAuditTimeRange(filters = {}) {
+    const toIso = (value) => value ? new Date(value).toISOString() : null;
+    return { from: toIso(filters.from), to: toIso(filters.to) };
+  }
+
+  matchesAuditFilters(entry, filters = {}) {
+    const { userId, action, reminderId } = filters;
+    const { from, to } = this.getAuditTimeRange(filters);
+
+    return (!userId || entry.userId === userId) &&
+        (!action || entry.action === action) &&
+        (!reminderId || entry.reminderId === reminderId) &&
+        (!from || entry.timestamp >= from) &&
+        (!to || entry.timestamp <= to);
+  }
+
+  filterAuditEntries(entries, filters = {}) {
+    const matched = entries
+        .filter(entry => this.matchesAuditFilters(entry, filters))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return filters.limit > 0 ? matched.slice(0, filters.limit) : matched;
+  }
+
+  // { maxEntries, cutoff }: entries stamped before cutoff (null for no age limit) are pruned
+  getAuditRetention(options = {}, now = Date.now()) {
+    const { maxEntries = APP_CONFIG.audit.maxEntries, maxAgeDays = APP_CONFIG.audit.maxAgeDays } = options;
+
+    return {
+      maxEntries,
+      cutoff: maxAgeDays > 0 ? new Date(now - maxAgeDays * DAY_MS).toISOString() : null
+    };
+  }
+
+  // Ids of the entries pruneAuditLog should remove
+  selectPrunedAuditEntries(entries, options = {}) {
+    const { maxEntries, cutoff } = this.getAuditRetention(options);
+
+    const kept = new Set(entries
+        .filter(entry => !cutoff || entry.timestamp >= cutoff)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, maxEntries > 0 ? maxEntries : undefined)
+        .map(entry => entry.id));
+
+    return entries.filter(entry => !kept.has(entry.id)).map(entry => entry.id);
+  }
+
+  // Storage maintenance; adapters purge trash past the retention period here
+  async optimizeStorage() {
+    return { optimized: false, reason: 'No optimization needed' };
+  }
+
   // Common utility methods available to all implementations
   generateId() {
     return crypto.randomUUID ? crypto.randomUUID() : this._fallbackId();
@@ -113,6 +554,12 @@ export class StorageInterface {
   processFilters(reminders, filters) {
     let filtered = [...reminders];
 
+    // Trashed reminders only show up when asked for
+    const trash = filters.trash || TRASH_FILTERS.EXCLUDE;
+    if (trash !== TRASH_FILTERS.INCLUDE) {
+      filtered = filtered.filter(r => Boolean(r.deletedAt) === (trash === TRASH_FILTERS.ONLY));
+    }
+
     // Status filter
     if (filters.status) {
       filtered = filtered.filter(r => r.status === filters.status);
@@ -123,6 +570,12 @@ export class StorageInterface {
       filtered = filtered.filter(r => r.category === filters.category);
     }
 
+    // Tag filter: a name or a list, all of which a reminder must carry
+    if (filters.tags?.length) {
+      const tags = [].concat(filters.tags).map(normalizeTagName);
+      filtered = filtered.filter(r => tags.every(name => r.tags?.includes(name)));
+    }
+
     // Priority filter
     if (filters.priority) {
       filtered = filtered.filter(r => r.priority === filters.priority);
@@ -148,6 +601,13 @@ export class StorageInterface {
       );
     }
 
+    // Structured query filter (query string or parsed AST)
+    if (filters.query) {
+      const ast = typeof filters.query === 'string' ? parseQuery(filters.query) : filters.query;
+      const now = new Date();
+      filtered = filtered.filter(r => evaluateQuery(ast, r, now));
+    }
+
     // Sort results
     if (filters.sortBy) {
       filtered = this.sortReminders(filtered, filters.sortBy, filters.sortDirection);
@@ -156,6 +616,40 @@ export class StorageInterface {
     return filtered;
   }
 
+  // Full-text search; adapters with a persistent index override this linear fallback
+  async searchReminders(userId, query, options = {}) {
+    this.validateUserId(userId);
+
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const reminders = await this.getReminders(userId);
+    const index = new SearchIndex();
+    index.rebuild(reminders);
+
+    return this.buildSearchResults(index.search(userId, terms), reminders, terms, options);
+  }
+
+  buildSearchResults(matches, reminders, terms, options = {}) {
+    const { limit = Infinity } = options;
+    const remindersById = new Map(reminders.map(r => [r.id, r]));
+
+    return matches
+        .filter(match => remindersById.has(match.reminderId) && !remindersById.get(match.reminderId).deletedAt)
+        .slice(0, limit)
+        .map(({ reminderId, score }) => {
+          const reminder = remindersById.get(reminderId);
+          return {
+            reminder,
+            score,
+            highlights: {
+              title: highlightText(reminder.title, terms),
+              snippet: createSnippet(reminder.description, terms)
+            }
+          };
+        });
+  }
+
   sortReminders(reminders, sortBy, direction = 'asc') {
     const sortFunctions = {
       datetime: (a, b) => new Date(a.datetime) - new Date(b.datetime),
@@ -163,6 +657,7 @@ export class StorageInterface {
       title: (a, b) => (a.title || '').localeCompare(b.title || ''),
       created: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
       updated: (a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0),
+      deleted: (a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0),
       category: (a, b) => (a.category || '').localeCompare(b.category || ''),
       status: (a, b) => (a.status || '').localeCompare(b.status || ''),
       alerts: (a, b) => (b.alertTimings?.length || 0) - (a.alertTimings?.length || 0)
@@ -229,6 +724,18 @@ export class StorageInterface {
       errors.push('Priority must be between 1 and 4');
     }
 
+    if (data.recurrence && (typeof data.recurrence !== 'object' || !data.recurrence.frequency)) {
+      errors.push('Recurrence rule must include a frequency');
+    }
+
+    if (data.subtasks !== undefined && data.subtasks !== null && !Array.isArray(data.subtasks)) {
+      errors.push('Subtasks must be an array');
+    }
+
+    if (data.tags !== undefined && data.tags !== null && !Array.isArray(data.tags)) {
+      errors.push('Tags must be an array');
+    }
+
     if (errors.length > 0) {
       throw new StorageError(`Validation failed: ${errors.join(', ')}`, ERROR_CODES.VALIDATION_ERROR);
     }
@@ -249,6 +756,7 @@ export class StorageInterface {
       completed: reminders.filter(r => r.status === 'completed').length,
       overdue: reminders.filter(r => r.status === 'overdue').length,
       cancelled: reminders.filter(r => r.status === 'cancelled').length,
+      recurring: reminders.filter(r => r.recurrence).length,
       completedToday: reminders.filter(r =>
           r.status === 'completed' &&
           r.updatedAt &&
@@ -260,7 +768,23 @@ export class StorageInterface {
           ? Math.round((reminders.reduce((sum, r) => sum + (r.alertTimings?.length || 0), 0) / reminders.length) * 10) / 10
           : 0,
       categoryCounts: this._getCategoryCounts(reminders),
-      priorityCounts: this._getPriorityCounts(reminders)
+      priorityCounts: this._getPriorityCounts(reminders),
+      subtasks: this._getSubtaskCounts(reminders)
+    };
+  }
+
+  // Checklist items across all reminders; completedReminders counts fully ticked checklists
+  _getSubtaskCounts(reminders) {
+    const withChecklist = reminders.filter(r => r.subtasks?.length > 0);
+    const total = withChecklist.reduce((sum, r) => sum + r.subtasks.length, 0);
+    const completed = withChecklist.reduce((sum, r) => sum + r.subtasks.filter(item => item.done).length, 0);
+
+    return {
+      total,
+      completed,
+      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+      reminders: withChecklist.length,
+      completedReminders: withChecklist.filter(r => r.subtasks.every(item => item.done)).length
     };
   }
 
@@ -283,7 +807,7 @@ export class StorageInterface {
   }
 
   // Export/Import helpers
-  prepareExportData(reminders, preferences, metadata = {}) {
+  prepareExportData(reminders, preferences, metadata = {}, auditLog = [], tags = []) {
     return {
       version: '2.0',
       timestamp: new Date().toISOString(),
@@ -294,7 +818,9 @@ export class StorageInterface {
           exportedAt: new Date().toISOString()
         })),
         preferences,
-        metadata
+        metadata,
+        auditLog,
+        tags
       },
       statistics: this.calculateStatistics(reminders)
     };
@@ -324,6 +850,11 @@ export class StorageInterface {
     return true;
   }
 
+  // Adapters with a persisted schema override this; anything else is always current
+  async migrate(options = {}) {
+    return createMigrationReport(SCHEMA_VERSION, SCHEMA_VERSION, Boolean(options.dryRun));
+  }
+
   // Connection health check
   async healthCheck() {
     try {
@@ -336,7 +867,7 @@ export class StorageInterface {
 
       const saved = await this.saveReminder(testData);
       await this.getReminderById(saved.id);
-      await this.deleteReminder(saved.id);
+      await this.purgeReminder(saved.id);
 
       return {
         healthy: true,
@@ -1,5 +1,10 @@
 export { StorageFactory } from './StorageFactory.js';
-export { StorageInterface } from './StorageInterface.js';
+export { StorageInterface, TRASH_FILTERS } from './StorageInterface.js';
 export { IndexedDBStorage } from './IndexedDBStorage.js';
 export { LocalStorageAdapter } from './LocalStorageAdapter.js';
-export { MemoryStorage } from './MemoryStorage.js';
\ No newline at end of file
+export { MemoryStorage } from './MemoryStorage.js';
+export { SearchIndex } from './SearchIndex.js';
+export { parseQuery, evaluateQuery, planQuery } from './ReminderQuery.js';
+export { EncryptedStorage } from './EncryptedStorage.js';
+export { SCHEMA_VERSION, getPendingMigrations } from './SchemaMigrations.js';
+export { ChangeFeed, CHANGE_TYPES } from './ChangeFeed.js';
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Mock Sync Server - In-memory sync backend for development and tests
+ * Keeps a clock per field so concurrent edits to different fields both survive,
+ * and tombstones so deletes reach devices that pull later
+ */
+
+import { SyncError, ERROR_CODES } from '../../types/interfaces.js';
+import { SyncTransport } from './SyncTransport.js';
+import { SYSTEM_FIELDS, toTime } from './merge.js';
+
+export class MockSyncServer {
+  #records = new Map(); // userId -> Map(reminderId -> { reminder, clock, deleted, updatedAt, seq })
+  #appliedOperations = new Set();
+  #sequence = 0;
+
+  /**
+   * Apply pushed operations, oldest first
+   * Replayed operations are accepted again without being re-applied
+   */
+  handlePush(userId, operations = []) {
+    const records = this.#recordsFor(userId);
+    const accepted = [];
+    const conflicts = [];
+
+    [...operations]
+        .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp))
+        .forEach(operation => {
+          accepted.push(operation.id);
+          if (this.#appliedOperations.has(operation.id)) return;
+
+          this.#appliedOperations.add(operation.id);
+          const conflict = operation.type === 'delete'
+              ? this.#applyDelete(records, operation)
+              : this.#applyWrite(records, operation);
+
+          if (conflict) conflicts.push(conflict);
+        });
+
+    return structuredClone({ accepted, conflicts, serverTime: new Date().toISOString() });
+  }
+
+  handlePull(userId, cursor = null) {
+    const since = Number(cursor) || 0;
+    const changes = Array.from(this.#recordsFor(userId).entries())
+        .filter(([, record]) => record.seq > since)
+        .sort(([, a], [, b]) => a.seq - b.seq)
+        .map(([reminderId, record]) => ({
+          reminderId,
+          reminder: record.deleted ? null : record.reminder,
+          deleted: record.deleted,
+          updatedAt: record.updatedAt
+        }));
+
+    return structuredClone({ changes, cursor: Math.max(since, this.#sequence) });
+  }
+
+  // Current server copy, for assertions in tests
+  getRecord(userId, reminderId) {
+    const record = this.#recordsFor(userId).get(reminderId);
+    return record ? structuredClone(record) : null;
+  }
+
+  reset() {
+    this.#records.clear();
+    this.#appliedOperations.clear();
+    this.#sequence = 0;
+  }
+
+  #recordsFor(userId) {
+    if (!this.#records.has(userId)) {
+      this.#records.set(userId, new Map());
+    }
+    return this.#records.get(userId);
+  }
+
+  #applyDelete(records, operation) {
+    const record = records.get(operation.reminderId);
+
+    if (record && toTime(record.updatedAt) > toTime(operation.timestamp)) {
+      return { operationId: operation.id, reminderId: operation.reminderId, reason: 'edited-after-delete' };
+    }
+
+    records.set(operation.reminderId, {
+      reminder: null,
+      clock: {},
+      deleted: true,
+      updatedAt: operation.timestamp,
+      seq: ++this.#sequence
+    });
+    return null;
+  }
+
+  #applyWrite(records, operation) {
+    if (!operation.reminder) {
+      return { operationId: operation.id, reminderId: operation.reminderId, reason: 'missing-reminder' };
+    }
+
+    let record = records.get(operation.reminderId);
+    const time = toTime(operation.timestamp);
+
+    if (record?.deleted && toTime(record.updatedAt) > time) {
+      return { operationId: operation.id, reminderId: operation.reminderId, reason: 'deleted-on-server' };
+    }
+
+    // Creates (and writes to anything the server has no live copy of) carry every field
+    if (!record || record.deleted || operation.type === 'create') {
+      record = record && !record.deleted
+          ? record
+          : { reminder: { id: operation.reminderId }, clock: {}, deleted: false, updatedAt: null, seq: 0 };
+    }
+
+    const fields = operation.type === 'update' && record.updatedAt
+        ? operation.fields
+        : Object.keys(operation.reminder).filter(field => !SYSTEM_FIELDS.includes(field));
+
+    const rejected = [];
+    let changed = false;
+
+    fields.forEach(field => {
+      if (toTime(record.clock[field]) > time) {
+        rejected.push(field);
+        return;
+      }
+
+      record.reminder[field] = operation.reminder[field];
+      record.clock[field] = operation.timestamp;
+      changed = true;
+    });
+
+    if (changed) {
+      record.reminder.userId = operation.reminder.userId;
+      record.reminder.createdAt = record.reminder.createdAt || operation.reminder.createdAt;
+      record.updatedAt = toTime(record.updatedAt) > time ? record.updatedAt : operation.timestamp;
+      record.reminder.updatedAt = record.updatedAt;
+      record.seq = ++this.#sequence;
+      records.set(operation.reminderId, record);
+    }
+
+    return rejected.length
+        ? { operationId: operation.id, reminderId: operation.reminderId, reason: 'newer-on-server', fields: rejected }
+        : null;
+  }
+}
+
+/**
+ * Transport backed by a MockSyncServer instance
+ * Share one server between several engines to simulate devices; setOnline(false) simulates losing the network
+ */
+export class MockTransport extends SyncTransport {
+  #server = null;
+  #latency = 0;
+  #online = true;
+
+  constructor(server = new MockSyncServer(), options = {}) {
+    super();
+    this.#server = server;
+    this.#latency = options.latency || 0;
+  }
+
+  get server() {
+    return this.#server;
+  }
+
+  setOnline(online) {
+    this.#online = Boolean(online);
+  }
+
+  async push(userId, operations) {
+    await this.#roundTrip();
+    return this.#server.handlePush(userId, structuredClone(operations));
+  }
+
+  async pull(userId, cursor) {
+    await this.#roundTrip();
+    return this.#server.handlePull(userId, cursor);
+  }
+
+  async #roundTrip() {
+    if (this.#latency) {
+      await new Promise(resolve => setTimeout(resolve, this.#latency));
+    }
+
+    if (!this.#online) {
+      throw new SyncError('Mock sync server is unreachable', ERROR_CODES.NETWORK_ERROR);
+    }
+  }
+}
+
+export default MockSyncServer;
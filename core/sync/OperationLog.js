@@ -0,0 +1,111 @@
+/**
+ * Operation Log - Append-only record of local reminder mutations waiting to be pushed
+ * Entries hold ids and field names only; values are read from storage at push time so nothing
+ * bypasses the encryption layer while it waits
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { generateId } from '../../types/interfaces.js';
+
+export const OPERATION_TYPES = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+});
+
+export class OperationLog {
+  #storage = null;
+  #userId = null;
+  #operations = [];
+  #writeQueue = Promise.resolve();
+
+  constructor(storage, userId) {
+    this.#storage = storage;
+    this.#userId = userId;
+  }
+
+  get #metadataKey() {
+    return `${APP_CONFIG.sync.metadataPrefix}oplog:${this.#userId}`;
+  }
+
+  get size() {
+    return this.#operations.length;
+  }
+
+  async load() {
+    this.#operations = (await this.#storage.getMetadata(this.#metadataKey)) || [];
+    return this.pending();
+  }
+
+  /**
+   * Record a local mutation
+   * @param {string} type - One of OPERATION_TYPES
+   * @param {string} reminderId
+   * @param {string[]|null} fields - Changed fields for updates; null for creates and deletes
+   * @returns {Promise<Object>} The stored operation
+   */
+  async append(type, reminderId, fields = null) {
+    if (!Object.values(OPERATION_TYPES).includes(type)) {
+      throw new Error(`Unknown sync operation type: ${type}`);
+    }
+
+    const operation = {
+      id: generateId(),
+      type,
+      reminderId,
+      userId: this.#userId,
+      fields: type === OPERATION_TYPES.UPDATE ? [...(fields || [])] : null,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.#mutate(operations => [...operations, operation]);
+    return operation;
+  }
+
+  pending() {
+    return [...this.#operations];
+  }
+
+  // Drop operations the server has accepted
+  async acknowledge(operationIds) {
+    const accepted = new Set(operationIds);
+    if (accepted.size === 0) return;
+
+    await this.#mutate(operations => operations.filter(operation => !accepted.has(operation.id)));
+  }
+
+  /**
+   * Latest unpushed edit time per field for one reminder, used when merging remote changes
+   * @returns {Map<string, string>} Field -> timestamp; '*' covers every field of a local create
+   */
+  getLocalEdits(reminderId) {
+    const edits = new Map();
+
+    this.#operations
+        .filter(operation => operation.reminderId === reminderId)
+        .forEach(operation => {
+          const fields = operation.type === OPERATION_TYPES.UPDATE ? operation.fields : ['*'];
+          fields.forEach(field => edits.set(field, operation.timestamp));
+        });
+
+    return edits;
+  }
+
+  async clear() {
+    await this.#mutate(() => []);
+  }
+
+  // Re-read before every write so another tab's appends aren't overwritten
+  #mutate(update) {
+    const write = this.#writeQueue.then(async () => {
+      const stored = (await this.#storage.getMetadata(this.#metadataKey)) || [];
+      this.#operations = update(stored);
+      await this.#storage.saveMetadata(this.#metadataKey, this.#operations);
+    });
+
+    this.#writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+export default OperationLog;
@@ -0,0 +1,73 @@
+/**
+ * REST Transport - Talks to a sync backend over HTTP
+ * POST {baseUrl}/sync/{userId}/push with { operations }
+ * GET  {baseUrl}/sync/{userId}/changes?since={cursor}
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { SyncError, ERROR_CODES } from '../../types/interfaces.js';
+import { SyncTransport } from './SyncTransport.js';
+
+export class RestTransport extends SyncTransport {
+  #baseUrl = null;
+  #headers = {};
+  #timeout = 0;
+  #fetch = null;
+
+  constructor(options = {}) {
+    super();
+    this.#baseUrl = (options.baseUrl || APP_CONFIG.sync.endpoint).replace(/\/$/, '');
+    this.#headers = options.headers || {};
+    this.#timeout = options.timeout || APP_CONFIG.sync.timeout;
+    this.#fetch = options.fetch || globalThis.fetch?.bind(globalThis);
+  }
+
+  async push(userId, operations) {
+    return this.#request('POST', `/sync/${encodeURIComponent(userId)}/push`, { operations });
+  }
+
+  async pull(userId, cursor) {
+    const query = cursor == null ? '' : `?since=${encodeURIComponent(cursor)}`;
+    return this.#request('GET', `/sync/${encodeURIComponent(userId)}/changes${query}`);
+  }
+
+  async #request(method, path, body) {
+    if (!this.#fetch) {
+      throw new SyncError('fetch is not available in this environment', ERROR_CODES.NETWORK_ERROR);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.#timeout);
+
+    try {
+      const response = await this.#fetch(`${this.#baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...this.#headers },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new SyncError(
+            `Sync request failed: ${response.status} ${response.statusText}`,
+            ERROR_CODES.NETWORK_ERROR,
+            { status: response.status, path }
+        );
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error instanceof SyncError) throw error;
+
+      if (error.name === 'AbortError') {
+        throw new SyncError(`Sync request timed out after ${this.#timeout}ms`, ERROR_CODES.TIMEOUT, { path });
+      }
+
+      throw new SyncError(`Sync request failed: ${error.message}`, ERROR_CODES.NETWORK_ERROR, { path });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default RestTransport;
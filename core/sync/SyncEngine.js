@@ -0,0 +1,343 @@
+/**
+ * Sync Engine - Offline-first replication of one user's reminders to a remote backend
+ * Local writes go to storage as usual and are logged; sync pushes the log, then pulls and merges remote changes
+ */
+
+import { APP_CONFIG } from '../../config/constants.js';
+import { ERROR_CODES } from '../../types/interfaces.js';
+import { EventEmitter } from '../../utils/helpers.js';
+import { CHANGE_TYPES } from '../storage/ChangeFeed.js';
+import { OperationLog, OPERATION_TYPES } from './OperationLog.js';
+import { RestTransport } from './RestTransport.js';
+import { MockSyncServer, MockTransport } from './MockSyncServer.js';
+import { mergeReminder, toTime, SYSTEM_FIELDS } from './merge.js';
+
+export const SYNC_STATES = Object.freeze({
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+  STOPPED: 'stopped'
+});
+
+const NETWORK_ERROR_CODES = [ERROR_CODES.NETWORK_ERROR, ERROR_CODES.TIMEOUT];
+
+export class SyncEngine extends EventEmitter {
+  #storage = null;
+  #transport = null;
+  #userId = null;
+  #log = null;
+  #interval = 0;
+  #batchSize = 0;
+  #debounce = 0;
+
+  #state = SYNC_STATES.STOPPED;
+  #cursor = null;
+  #lastSyncedAt = null;
+  #lastError = null;
+
+  #intervalTimer = null;
+  #debounceTimer = null;
+  #activeSync = null;
+  #networkListeners = null;
+
+  /**
+   * @param {Object} options
+   * @param {StorageInterface} options.storage - The app's storage service (after encryption, so values are readable)
+   * @param {SyncTransport} options.transport
+   * @param {string} options.userId
+   */
+  constructor({ storage, transport, userId, interval, batchSize, debounce } = {}) {
+    super();
+
+    if (!storage || !transport || !userId) {
+      throw new Error('SyncEngine requires storage, transport and userId');
+    }
+
+    this.#storage = storage;
+    this.#transport = transport;
+    this.#userId = userId;
+    this.#log = new OperationLog(storage, userId);
+    this.#interval = interval ?? APP_CONFIG.sync.interval;
+    this.#batchSize = batchSize ?? APP_CONFIG.sync.batchSize;
+    this.#debounce = debounce ?? APP_CONFIG.sync.debounce;
+  }
+
+  static createTransport(type = APP_CONFIG.sync.transport, options = {}) {
+    if (type === 'mock') {
+      return new MockTransport(options.server || new MockSyncServer(), options);
+    }
+    return new RestTransport(options);
+  }
+
+  get #stateKey() {
+    return `${APP_CONFIG.sync.metadataPrefix}state:${this.#userId}`;
+  }
+
+  async initialize() {
+    await this.#log.load();
+
+    const saved = await this.#storage.getMetadata(this.#stateKey);
+    this.#cursor = saved?.cursor ?? null;
+    this.#lastSyncedAt = saved?.lastSyncedAt ?? null;
+
+    this.#emitStatus();
+    return this;
+  }
+
+  /**
+   * Log mutations made through a ReminderService
+   * @returns {Function} Detaches the listeners
+   */
+  attach(reminderService) {
+    const own = (data) => data?.userId === this.#userId;
+    const unsubscribers = [
+      reminderService.on('reminder-created', (data) => {
+        if (own(data)) this.recordChange(OPERATION_TYPES.CREATE, data.reminder);
+      }),
+      reminderService.on('reminder-updated', (data) => {
+        if (own(data)) this.recordChange(OPERATION_TYPES.UPDATE, data.reminder, Object.keys(data.changes || {}));
+      }),
+      reminderService.on('reminder-deleted', (data) => {
+        if (own(data)) this.recordChange(OPERATION_TYPES.DELETE, data.reminder);
+      }),
+      // The server only has a tombstone for a trashed reminder, so a restore re-creates it
+      reminderService.on('reminder-restored', (data) => {
+        if (own(data)) this.recordChange(OPERATION_TYPES.CREATE, data.reminder);
+      }),
+      // Tag colors stay on this device; the reminders' tag lists sync like any other edit
+      reminderService.on('tags-changed', (data) => {
+        if (own(data)) data.reminders.forEach(reminder => this.recordChange(OPERATION_TYPES.UPDATE, reminder, ['tags']));
+      }),
+      // Likewise category definitions; reminders moved off a deleted category sync as edits
+      reminderService.on('categories-changed', (data) => {
+        if (own(data)) data.reminders.forEach(reminder => this.recordChange(OPERATION_TYPES.UPDATE, reminder, ['category']));
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Log a local mutation and schedule a push
+   * @param {string} type - One of OPERATION_TYPES
+   * @param {Object|string} reminder - Reminder or its id
+   * @param {string[]} fields - Changed fields, for updates
+   */
+  async recordChange(type, reminder, fields = null) {
+    const reminderId = typeof reminder === 'string' ? reminder : reminder?.id;
+    if (!reminderId) return null;
+
+    const changedFields = fields?.filter(field => !SYSTEM_FIELDS.includes(field));
+    if (type === OPERATION_TYPES.UPDATE && !changedFields?.length) return null;
+
+    try {
+      const operation = await this.#log.append(type, reminderId, changedFields);
+      this.#emitStatus();
+      this.#scheduleSync();
+      return operation;
+    } catch (error) {
+      console.error('Failed to record change for sync:', error);
+      return null;
+    }
+  }
+
+  start() {
+    if (this.#state !== SYNC_STATES.STOPPED) return;
+
+    this.#setState(this.#isOnline() ? SYNC_STATES.IDLE : SYNC_STATES.OFFLINE);
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this.#networkListeners = {
+        online: () => {
+          this.#setState(SYNC_STATES.IDLE);
+          this.sync();
+        },
+        offline: () => this.#setState(SYNC_STATES.OFFLINE)
+      };
+      window.addEventListener('online', this.#networkListeners.online);
+      window.addEventListener('offline', this.#networkListeners.offline);
+    }
+
+    if (this.#interval > 0) {
+      this.#intervalTimer = setInterval(() => this.sync(), this.#interval);
+    }
+
+    this.sync();
+  }
+
+  stop() {
+    clearInterval(this.#intervalTimer);
+    clearTimeout(this.#debounceTimer);
+    this.#intervalTimer = null;
+    this.#debounceTimer = null;
+
+    if (this.#networkListeners) {
+      window.removeEventListener('online', this.#networkListeners.online);
+      window.removeEventListener('offline', this.#networkListeners.offline);
+      this.#networkListeners = null;
+    }
+
+    this.#setState(SYNC_STATES.STOPPED);
+  }
+
+  /**
+   * Push pending operations, then pull and merge remote changes
+   * Concurrent calls share one run; failures are reported through status rather than thrown
+   * @returns {Promise<Object>} Status after the run
+   */
+  sync() {
+    if (!this.#activeSync) {
+      this.#activeSync = this.#run().finally(() => {
+        this.#activeSync = null;
+      });
+    }
+    return this.#activeSync;
+  }
+
+  getStatus() {
+    return {
+      state: this.#state,
+      pendingOperations: this.#log.size,
+      lastSyncedAt: this.#lastSyncedAt,
+      lastError: this.#lastError ? this.#lastError.message : null
+    };
+  }
+
+  async #run() {
+    if (!this.#isOnline()) {
+      this.#setState(SYNC_STATES.OFFLINE);
+      return this.getStatus();
+    }
+
+    const previousState = this.#state;
+    this.#setState(SYNC_STATES.SYNCING);
+
+    try {
+      const pushed = await this.#push();
+      const pulled = await this.#pull();
+
+      this.#lastSyncedAt = new Date().toISOString();
+      this.#lastError = null;
+      await this.#storage.saveMetadata(this.#stateKey, {
+        cursor: this.#cursor,
+        lastSyncedAt: this.#lastSyncedAt
+      });
+
+      this.#setState(previousState === SYNC_STATES.STOPPED ? SYNC_STATES.STOPPED : SYNC_STATES.IDLE);
+      this.emit('synced', { pushed: pushed.count, pulled: pulled.count, conflicts: [...pushed.conflicts, ...pulled.conflicts] });
+    } catch (error) {
+      console.error('Sync failed:', error);
+      this.#lastError = error;
+
+      const offline = NETWORK_ERROR_CODES.includes(error.code);
+      this.#setState(previousState === SYNC_STATES.STOPPED
+          ? SYNC_STATES.STOPPED
+          : (offline ? SYNC_STATES.OFFLINE : SYNC_STATES.ERROR));
+      this.emit('sync-error', error);
+    }
+
+    return this.getStatus();
+  }
+
+  async #push() {
+    const operations = this.#log.pending();
+    const conflicts = [];
+
+    for (let i = 0; i < operations.length; i += this.#batchSize) {
+      const batch = await Promise.all(operations.slice(i, i + this.#batchSize).map(async operation => ({
+        ...operation,
+        reminder: operation.type === OPERATION_TYPES.DELETE
+            ? null
+            : await this.#storage.getReminderById(operation.reminderId)
+      })));
+
+      const response = await this.#transport.push(this.#userId, batch);
+      await this.#log.acknowledge(response.accepted || []);
+      conflicts.push(...(response.conflicts || []));
+      this.#emitStatus();
+    }
+
+    return { count: operations.length, conflicts };
+  }
+
+  async #pull() {
+    const { changes = [], cursor } = await this.#transport.pull(this.#userId, this.#cursor);
+    const conflicts = [];
+    let count = 0;
+
+    for (const change of changes) {
+      const result = await this.#applyRemoteChange(change);
+      if (result.applied) count++;
+      conflicts.push(...result.conflicts);
+    }
+
+    this.#cursor = cursor ?? this.#cursor;
+    return { count, conflicts };
+  }
+
+  async #applyRemoteChange(change) {
+    const local = await this.#storage.getReminderById(change.reminderId);
+    const localEdits = this.#log.getLocalEdits(change.reminderId);
+
+    if (change.deleted) {
+      if (!local || local.deletedAt) return { applied: false, conflicts: [] };
+
+      // A local edit made after the remote delete keeps the reminder; the next push brings it back
+      const editedAfter = Array.from(localEdits.values()).some(time => toTime(time) > toTime(change.updatedAt));
+      if (editedAfter) {
+        return { applied: false, conflicts: [{ reminderId: change.reminderId, reason: 'edited-after-delete', resolution: 'local' }] };
+      }
+
+      await this.#storage.deleteReminder(change.reminderId);
+      this.#emitRemoteChange(CHANGE_TYPES.DELETED, change.reminderId);
+      return { applied: true, conflicts: [] };
+    }
+
+    if (change.reminder?.userId && change.reminder.userId !== this.#userId) {
+      return { applied: false, conflicts: [] };
+    }
+
+    const { reminder, changedFields, conflicts } = mergeReminder(local, change.reminder, localEdits);
+    const withIds = conflicts.map(conflict => ({ reminderId: change.reminderId, ...conflict }));
+    if (changedFields.length === 0) return { applied: false, conflicts: withIds };
+
+    if (local) {
+      const updates = Object.fromEntries(changedFields.map(field => [field, reminder[field]]));
+      await this.#storage.updateReminder(change.reminderId, updates);
+      this.#emitRemoteChange(CHANGE_TYPES.UPDATED, change.reminderId);
+    } else {
+      await this.#storage.saveReminder({ ...reminder, userId: this.#userId });
+      this.#emitRemoteChange(CHANGE_TYPES.SAVED, change.reminderId);
+    }
+
+    return { applied: true, conflicts: withIds };
+  }
+
+  // Same shape as ChangeFeed messages so views can reuse their cross-tab handling
+  #emitRemoteChange(type, reminderId) {
+    this.emit('remote-change', { type, userId: this.#userId, reminderId });
+  }
+
+  #scheduleSync() {
+    if (this.#state === SYNC_STATES.STOPPED) return;
+
+    clearTimeout(this.#debounceTimer);
+    this.#debounceTimer = setTimeout(() => this.sync(), this.#debounce);
+  }
+
+  #isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  #setState(state) {
+    this.#state = state;
+    this.#emitStatus();
+  }
+
+  #emitStatus() {
+    this.emit('status-changed', this.getStatus());
+  }
+}
+
+export default SyncEngine;
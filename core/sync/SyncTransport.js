@@ -0,0 +1,28 @@
+/**
+ * Sync Transport - Abstract remote backend for the sync engine
+ * Implementations move operations to the server and changes back; merging stays in the engine
+ */
+
+export class SyncTransport {
+  /**
+   * Send local operations
+   * @param {string} userId
+   * @param {Object[]} operations - Log entries with a `reminder` snapshot (null for deletes)
+   * @returns {Promise<{accepted: string[], conflicts: Object[], serverTime: string}>}
+   */
+  async push(userId, operations) {
+    throw new Error('push method must be implemented');
+  }
+
+  /**
+   * Fetch changes made since a cursor
+   * @param {string} userId
+   * @param {*} cursor - Opaque value from the previous pull; null for everything
+   * @returns {Promise<{changes: Object[], cursor: *}>} Each change is { reminderId, reminder, deleted, updatedAt }
+   */
+  async pull(userId, cursor) {
+    throw new Error('pull method must be implemented');
+  }
+}
+
+export default SyncTransport;
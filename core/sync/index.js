@@ -0,0 +1,6 @@
+export { SyncEngine, SYNC_STATES } from './SyncEngine.js';
+export { SyncTransport } from './SyncTransport.js';
+export { RestTransport } from './RestTransport.js';
+export { MockSyncServer, MockTransport } from './MockSyncServer.js';
+export { OperationLog, OPERATION_TYPES } from './OperationLog.js';
+export { mergeReminder, diffFields } from './merge.js';
\ No newline at end of file
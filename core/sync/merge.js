@@ -0,0 +1,70 @@
+/**
+ * Sync Merge - Field-level conflict resolution between a local reminder and its remote copy
+ * The remote copy wins by default; a local field survives only if it was edited after the remote updatedAt
+ */
+
+// Fields owned by storage rather than by the user; never merged or reported as conflicts
+export const SYSTEM_FIELDS = Object.freeze(['id', 'userId', 'createdAt', 'updatedAt']);
+
+export function toTime(value) {
+  const time = value ? new Date(value).getTime() : 0;
+  return Number.isNaN(time) ? 0 : time;
+}
+
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Names of user fields whose values differ between two versions of a reminder
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {string[]}
+ */
+export function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return Array.from(keys).filter(key =>
+    !SYSTEM_FIELDS.includes(key) && !isEqual(before?.[key], after?.[key])
+  );
+}
+
+/**
+ * Merge a remote reminder into the local one
+ * @param {Object|null} local - Current local record, or null if this device has never seen it
+ * @param {Object} remote - Record as the server has it
+ * @param {Map<string, string>} localEdits - Field -> timestamp of local edits not yet pushed ('*' for a local create)
+ * @returns {{reminder: Object, changedFields: string[], conflicts: Object[]}}
+ */
+export function mergeReminder(local, remote, localEdits = new Map()) {
+  if (!local) {
+    return { reminder: { ...remote }, changedFields: diffFields(null, remote), conflicts: [] };
+  }
+
+  const remoteTime = toTime(remote.updatedAt);
+  const merged = { ...local };
+  const changedFields = [];
+  const conflicts = [];
+
+  diffFields(local, remote).forEach(field => {
+    const editedAt = localEdits.get(field) || localEdits.get('*');
+
+    if (editedAt && toTime(editedAt) > remoteTime) {
+      conflicts.push({ field, local: local[field], remote: remote[field], resolution: 'local' });
+      return;
+    }
+
+    if (editedAt) {
+      conflicts.push({ field, local: local[field], remote: remote[field], resolution: 'remote' });
+    }
+
+    if (remote[field] === undefined) {
+      delete merged[field];
+    } else {
+      merged[field] = remote[field];
+    }
+    changedFields.push(field);
+  });
+
+  return { reminder: merged, changedFields, conflicts };
+}
+
+export default { SYSTEM_FIELDS, diffFields, mergeReminder, toTime };
@@ -4,28 +4,87 @@
  */
 
 import { NotificationService } from '../core/services/NotificationService.js';
+import { AuthService } from '../core/services/AuthService.js';
+import { CommandHistory, COMMAND_TYPES, CHANGE_KINDS } from '../core/services/CommandHistory.js';
+import { AuditLog, AUDIT_ACTIONS } from '../core/services/AuditLog.js';
+import { AlertQueue } from '../core/services/AlertQueue.js';
+import { DigestService } from '../core/services/DigestService.js';
+import { ReminderService } from '../core/services/ReminderService.js';
 import { StorageFactory } from '../core/storage/StorageFactory.js';
+import { CHANGE_TYPES } from '../core/storage/ChangeFeed.js';
+import { SyncEngine, SYNC_STATES } from '../core/sync/SyncEngine.js';
+import { OPERATION_TYPES } from '../core/sync/OperationLog.js';
 import { DateUtils, StringUtils, AsyncUtils, BrowserUtils } from '../utils/helpers.js';
+import { RecurrenceUtils } from '../utils/recurrence.js';
+import { ChecklistUtils } from '../utils/checklist.js';
+import { DependencyUtils } from '../utils/dependencies.js';
+import { QuietHoursUtils } from '../utils/quietHours.js';
+import { DigestUtils } from '../utils/digest.js';
+import { ICalendarUtils } from '../utils/icalendar.js';
+import { CsvUtils } from '../utils/csv.js';
+import { RouteUtils } from '../app/routes.js';
+import { LocalStorage } from '../utils/storage.js';
+import { APP_CONFIG } from '../config/constants.js';
+import { Environment } from '../config/environment.js';
+import { parseQuery, evaluateQuery } from '../core/storage/ReminderQuery.js';
+import { showNotification as showToast } from '../components/ui/Notification.js';
+import {
+    createRecurrenceRule,
+    createSubtask,
+    validateRecurrenceRule,
+    validateSubtasks,
+    validateTags,
+    normalizeTagName,
+    getDefaultTagColor,
+    DEFAULT_CATEGORIES,
+    REMINDER_CATEGORIES,
+    WEEKDAY_CODES,
+    createQuietHours,
+    createDigestSchedule,
+    CHANNEL_TYPES,
+    CHANNEL_LIMITS,
+    DEFAULT_CHANNELS,
+    PERMISSIONS,
+    ERROR_CODES,
+    hasPermission,
+    assertPermission
+} from '../types/interfaces.js';
 
 export class DashboardController {
     // Core data state
     #reminders = [];
     #schedule = [];
+    #smartLists = [];
+    #trash = [];
+    #tags = []; // The user's tag list (names and colors); usage counts come from #reminders
+    #categories = DEFAULT_CATEGORIES.map(category => ({ ...category })); // Replaced by the user's own on load
+    #quietHours = createQuietHours(); // Off until the user's settings load
+    #channels = DEFAULT_CHANNELS.map(channel => ({ ...channel, categories: [] })); // Where alerts go, with routing rules
+    #blockedIds = null; // Reminders held back by open blockers, as of the last refresh
     #currentUser = null;
 
     // Service instances
     #notificationService = null;
     #storageService = null;
+    #authService = null; // Account changes (password, deletion) for the signed-in user
+    #syncEngine = null;
+    #history = null;
+    #auditLog = null;
+    #digest = null; // DigestService delivering the user's scheduled digest
+    #undoToast = null; // Only the latest toast offers Undo, so its button always matches the top of the stack
 
     // Application state
     #state = {
         currentFilter: 'all',
+        currentQuery: '',
+        activeSmartListId: null,
         currentPage: 1,
         sortBy: 'datetime',
         filteredReminders: [],
         isLoading: false,
         lastSync: null,
-        storageType: 'detecting'
+        storageType: 'detecting',
+        syncStatus: null
     };
 
     // Event management and cleanup tracking
@@ -90,14 +149,29 @@ export class DashboardController {
             this.#setLoadingState(true);
 
             if (!this.#checkAuthentication()) return false;
+            this.#applyPermissions();
 
             await this.#initializeStorage();
+            if (!await this.#ensureStorageUnlocked()) return false;
+
             await this.#notificationService.initialize();
+            await this.#purgeExpiredTrash();
             await this.#loadData();
+            await this.#loadSmartLists();
+            await this.#loadHistory();
+            await this.#loadAlertQueue();
+            await this.#startDigest();
+            this.#applyUrlState();
 
             this.#setupEventHandlers();
+            this.#subscribeToStorageChanges();
+            await this.#startSync();
             this.#startAutoRefresh();
             this.#render();
+            this.#notificationService.processBackgroundActions();
+            if (hasPermission(this.#currentUser, PERMISSIONS.AUDIT_READ)) {
+                await this.loadAuditLog();
+            }
 
             this.#setLoadingState(false);
             console.log(`✅ Dashboard initialized with ${this.#state.storageType} storage`);
@@ -146,11 +220,12 @@ export class DashboardController {
     }
 
     showAlertPreferencesModal() {
-        this.#showNotification('Alert preferences modal will be implemented in the next update', 'info');
+        this.#showAlertSettingsModal();
     }
 
     async createReminder(reminderData) {
         try {
+            assertPermission(this.#currentUser, PERMISSIONS.REMINDERS_CREATE);
             this.#validateReminderData(reminderData);
 
             const processedReminder = this.#processReminderData(reminderData);
@@ -166,10 +241,14 @@ export class DashboardController {
             }
 
             this.#reminders = [...this.#reminders, savedReminder];
+            this.#recordSyncChange(OPERATION_TYPES.CREATE, savedReminder);
             this.#scheduleNotificationForReminder(savedReminder);
 
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_CREATED, { reminder: savedReminder });
+
             this.#refreshView();
-            this.#showNotification('Reminder saved successfully!', 'success');
+            this.#showNotification('Reminder saved successfully!', 'success',
+                this.#recordHistory(COMMAND_TYPES.CREATE, [CommandHistory.created(savedReminder)]));
             return savedReminder;
         } catch (error) {
             console.error('Failed to create reminder:', error);
@@ -186,15 +265,89 @@ export class DashboardController {
                 return;
             }
 
+            if (reminder.recurrence && await this.#advanceRecurringReminder(reminder)) return;
+
+            const before = { ...reminder };
             await this.#updateReminderStatus(reminder, DashboardController.CONFIG.REMINDER_STATUS.COMPLETED);
             this.#notificationService.cancelNotification(reminderId);
-            this.#showNotification(`"${reminder.title}" completed!`, 'success');
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_COMPLETED, { reminder, previous: before });
+            this.#showNotification(`"${reminder.title}" completed!`, 'success',
+                this.#recordHistory(COMMAND_TYPES.COMPLETE, [CommandHistory.updated(before, reminder)]));
         } catch (error) {
             console.error('Failed to complete reminder:', error);
             this.#showNotification('Failed to complete reminder', 'error');
         }
     }
 
+    // Open reminders a new reminder can be blocked by, soonest first
+    getBlockerOptions() {
+        return this.#reminders
+            .filter(DependencyUtils.isOpen)
+            .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
+            .map(({ id, title }) => ({ id, title }));
+    }
+
+    async removeDependency(reminderId, blockerId) {
+        try {
+            const reminder = this.#findReminder(reminderId);
+            if (!reminder?.dependsOn?.includes(blockerId)) {
+                this.#showNotification('Dependency not found', 'error');
+                return;
+            }
+
+            const before = { ...reminder };
+            await this.#updateReminderWithChanges(reminder, {
+                dependsOn: reminder.dependsOn.filter(id => id !== blockerId),
+                updatedAt: new Date().toISOString()
+            });
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_UPDATED, { reminder, previous: before });
+            this.#showNotification(`"${reminder.title}" no longer waits for that reminder`, 'success',
+                this.#recordHistory(COMMAND_TYPES.UPDATE, [CommandHistory.updated(before, reminder)]));
+        } catch (error) {
+            console.error('Failed to remove dependency:', error);
+            this.#showNotification('Failed to remove dependency', 'error');
+        }
+    }
+
+    // Tick or untick a checklist item; ticking the last open one completes the reminder
+    async toggleSubtask(reminderId, subtaskId) {
+        try {
+            const reminder = this.#findReminder(reminderId);
+            const subtask = reminder?.subtasks?.find(item => item.id === subtaskId);
+            if (!subtask) {
+                this.#showNotification('Subtask not found', 'error');
+                return;
+            }
+
+            const { COMPLETED } = DashboardController.CONFIG.REMINDER_STATUS;
+            const subtasks = ChecklistUtils.setDone(reminder.subtasks, subtaskId, !subtask.done);
+            const completes = ChecklistUtils.isComplete(subtasks) && reminder.status !== COMPLETED;
+
+            // Recurring reminders roll forward with a fresh checklist
+            if (completes && reminder.recurrence && await this.#advanceRecurringReminder(reminder)) return;
+
+            const before = { ...reminder };
+            const now = new Date().toISOString();
+            await this.#updateReminderWithChanges(reminder, completes
+                ? { subtasks, status: COMPLETED, completedAt: now, updatedAt: now }
+                : { subtasks, updatedAt: now });
+
+            if (!completes) {
+                this.#recordAudit(AUDIT_ACTIONS.REMINDER_UPDATED, { reminder, previous: before });
+                this.#recordHistory(COMMAND_TYPES.UPDATE, [CommandHistory.updated(before, reminder)]);
+                return;
+            }
+
+            this.#notificationService.cancelNotification(reminderId);
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_COMPLETED, { reminder, previous: before });
+            this.#showNotification(`"${reminder.title}" completed - every item is done!`, 'success',
+                this.#recordHistory(COMMAND_TYPES.COMPLETE, [CommandHistory.updated(before, reminder)]));
+        } catch (error) {
+            console.error('Failed to update subtask:', error);
+            this.#showNotification('Failed to update subtask', 'error');
+        }
+    }
+
     async snoozeReminder(reminderId, minutes) {
         try {
             const reminder = this.#findReminder(reminderId);
@@ -210,18 +363,23 @@ export class DashboardController {
                 updatedAt: new Date().toISOString()
             };
 
+            const before = { ...reminder };
             await this.#updateReminderWithChanges(reminder, updates);
             this.#rescheduleNotifications(reminder);
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_SNOOZED, { reminder, previous: before, details: { minutes } });
 
             const timeText = this.#formatDuration(minutes);
-            this.#showNotification(`"${reminder.title}" snoozed for ${timeText}`, 'success');
+            this.#showNotification(`"${reminder.title}" snoozed for ${timeText}`, 'success',
+                this.#recordHistory(COMMAND_TYPES.SNOOZE, [CommandHistory.updated(before, reminder)]));
         } catch (error) {
             console.error('Failed to snooze reminder:', error);
             this.#showNotification('Failed to snooze reminder', 'error');
         }
     }
 
-    async exportData() {
+    async exportData(format = 'json') {
+        assertPermission(this.#currentUser, PERMISSIONS.DATA_EXPORT);
+
         try {
             const userId = this.#getCurrentUserId();
             let exportData;
@@ -239,7 +397,8 @@ export class DashboardController {
             }
 
             this.#enhanceExportData(exportData);
-            this.#downloadAsFile(exportData, 'json');
+            this.#downloadAsFile(exportData, format);
+            this.#recordAudit(AUDIT_ACTIONS.DATA_EXPORTED, { details: { format } });
 
             this.#showNotification(`Data exported from ${this.#state.storageType}!`, 'success');
         } catch (error) {
@@ -250,28 +409,28 @@ export class DashboardController {
 
     async importData() {
         try {
+            assertPermission(this.#currentUser, PERMISSIONS.DATA_IMPORT);
+
             const file = await this.#selectImportFile();
             if (!file) return;
 
+            // CSV rows are mapped and validated individually instead of all-or-nothing
+            if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+                await this.#importCsvFile(file);
+                return;
+            }
+
             const importData = await this.#parseImportFile(file);
             this.#validateImportData(importData);
 
-            const userId = this.#getCurrentUserId();
-            let results = 0;
-
-            // Try to import via storage service, fallback to local import
-            if (this.#storageService && typeof this.#storageService.importData === 'function') {
-                try {
-                    results = await this.#storageService.importData(importData, userId);
-                } catch (error) {
-                    console.warn('Storage import failed, importing locally:', error);
-                    results = await this.#importDataLocally(importData, userId);
-                }
-            } else {
-                results = await this.#importDataLocally(importData, userId);
-            }
+            const knownIds = new Set(this.#reminders.map(reminder => reminder.id));
+            const results = await this.#importIntoStorage(importData);
 
             await this.#loadData();
+            this.#reminders
+                .filter(reminder => !knownIds.has(reminder.id))
+                .forEach(reminder => this.#recordSyncChange(OPERATION_TYPES.CREATE, reminder));
+            this.#recordAudit(AUDIT_ACTIONS.DATA_IMPORTED, { details: { imported: results, file: file.name } });
             this.#refreshView();
 
             this.#showNotification(
@@ -287,9 +446,10 @@ export class DashboardController {
     async clearAllData() {
         const confirmMessage = `⚠️ This will permanently delete ALL your reminders from ${this.#state.storageType}. This cannot be undone!\n\nAre you absolutely sure?`;
 
-        if (!confirm(confirmMessage)) return;
-
         try {
+            assertPermission(this.#currentUser, PERMISSIONS.DATA_CLEAR);
+            if (!confirm(confirmMessage)) return;
+
             const userId = this.#getCurrentUserId();
             let deletedCount = 0;
 
@@ -305,14 +465,19 @@ export class DashboardController {
                 deletedCount = this.#reminders.length;
             }
 
+            this.#reminders.forEach(reminder => this.#recordSyncChange(OPERATION_TYPES.DELETE, reminder));
             this.#reminders = [];
+            this.#trash = [];
             this.#notificationService?.cleanup();
+            this.#notificationService?.clearBackgroundAlerts();
+            await this.#history?.clear();
+            this.#recordAudit(AUDIT_ACTIONS.DATA_CLEARED, { details: { deleted: deletedCount } });
             this.#refreshView();
 
             this.#showNotification(`Cleared ${deletedCount} reminders from ${this.#state.storageType}`, 'success');
         } catch (error) {
             console.error('Failed to clear data:', error);
-            this.#showNotification('Failed to clear data', 'error');
+            this.#showNotification(`Failed to clear data: ${error.message}`, 'error');
         }
     }
 
@@ -329,9 +494,122 @@ export class DashboardController {
 
     setFilter(filter) {
         this.#state.currentFilter = filter;
+        this.#state.currentQuery = '';
+        this.#state.activeSmartListId = null;
+        this.#state.currentPage = 1;
+        this.#applyFilters();
+        this.#syncUrl();
+        this.#render();
+    }
+
+    setQuery(query) {
+        const trimmed = String(query || '').trim();
+
+        try {
+            parseQuery(trimmed);
+        } catch (error) {
+            this.#showNotification(`Invalid query: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.#state.currentFilter = 'all';
+        this.#state.currentQuery = trimmed;
+        this.#state.activeSmartListId = null;
+        this.#state.currentPage = 1;
+        this.#applyFilters();
+        this.#syncUrl();
+        this.#render();
+        return true;
+    }
+
+    // === SMART LISTS ===
+
+    async saveSmartList(name) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName || !this.#canSaveSmartList()) return null;
+
+        const smartList = {
+            id: this.#generateId(),
+            name: trimmedName.substring(0, 50),
+            // Status shortcuts from the stat cards are saved as queries too
+            query: this.#state.currentQuery || `status:${this.#state.currentFilter}`,
+            sortBy: this.#state.sortBy,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            this.#smartLists = [...this.#smartLists, smartList];
+            await this.#persistSmartLists();
+            this.selectSmartList(smartList.id);
+            this.#showNotification(`Smart list "${smartList.name}" saved`, 'success');
+            return smartList;
+        } catch (error) {
+            console.error('Failed to save smart list:', error);
+            this.#smartLists = this.#smartLists.filter(list => list.id !== smartList.id);
+            this.#showNotification('Failed to save smart list', 'error');
+            return null;
+        }
+    }
+
+    // Smart lists are queries over live reminders, so the trash (which no query matches) can't be one
+    #canSaveSmartList() {
+        if (this.#isTrashView()) {
+            this.#showNotification("The trash can't be saved as a smart list", 'info');
+            return false;
+        }
+
+        if (!this.#state.currentQuery && this.#state.currentFilter === 'all') {
+            this.#showNotification('Enter a query before saving a smart list', 'info');
+            return false;
+        }
+
+        return true;
+    }
+
+    selectSmartList(id) {
+        const smartList = this.#smartLists.find(list => list.id === id);
+        if (!smartList) {
+            this.#showNotification('Smart list not found', 'error');
+            return false;
+        }
+
+        this.#state.currentFilter = 'all';
+        this.#state.currentQuery = smartList.query;
+        this.#state.activeSmartListId = smartList.id;
+        this.#state.sortBy = smartList.sortBy || 'datetime';
         this.#state.currentPage = 1;
+
+        const sortSelect = document.getElementById('sortBy');
+        if (sortSelect) sortSelect.value = this.#state.sortBy;
+
         this.#applyFilters();
+        this.#syncUrl();
         this.#render();
+        return true;
+    }
+
+    async deleteSmartList(id) {
+        const smartList = this.#smartLists.find(list => list.id === id);
+        if (!smartList || !confirm(`Delete smart list "${smartList.name}"?`)) return false;
+
+        const previous = this.#smartLists;
+
+        try {
+            this.#smartLists = this.#smartLists.filter(list => list.id !== id);
+            await this.#persistSmartLists();
+
+            if (this.#state.activeSmartListId === id) {
+                this.setFilter('all');
+            } else {
+                this.#renderSmartLists();
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to delete smart list:', error);
+            this.#smartLists = previous;
+            this.#showNotification('Failed to delete smart list', 'error');
+            return false;
+        }
     }
 
     refresh() {
@@ -346,6 +624,9 @@ export class DashboardController {
     logout() {
         if (!confirm('Are you sure you want to logout?')) return;
 
+        this.#recordAudit(AUDIT_ACTIONS.ACCOUNT_LOGOUT);
+        this.#storageService?.lock?.(this.#getCurrentUserId());
+        this.#notificationService?.clearBackgroundAlerts();
         this.#cleanup();
         this.#clearSessionData();
         this.#showNotification('Logged out successfully', 'success');
@@ -353,6 +634,64 @@ export class DashboardController {
         setTimeout(() => window.location.href = 'login.html', 1000);
     }
 
+    // Ask for the current and new password; the encryption keys are re-wrapped under the new one
+    async changePassword() {
+        if (!this.#authService) {
+            this.#showNotification('Account settings need persistent storage', 'error');
+            return false;
+        }
+
+        const changed = await this.#promptAccountAction('🔑 Change Password', `
+            <div class="form-group">
+                <label for="currentPassword" class="form-label">Current password</label>
+                <input type="password" id="currentPassword" class="form-input" autocomplete="current-password">
+            </div>
+            <div class="form-group">
+                <label for="newPassword" class="form-label">New password</label>
+                <input type="password" id="newPassword" class="form-input" autocomplete="new-password">
+            </div>
+            <div class="form-group">
+                <label for="confirmNewPassword" class="form-label">Confirm new password</label>
+                <input type="password" id="confirmNewPassword" class="form-input" autocomplete="new-password">
+            </div>
+        `, 'Change Password', (modal) => {
+            const [current, next, confirmed] = ['#currentPassword', '#newPassword', '#confirmNewPassword']
+                .map(selector => modal.querySelector(selector).value);
+
+            if (next !== confirmed) throw new Error('New passwords do not match');
+            return this.#authService.changePassword(current, next);
+        });
+
+        if (changed) this.#showNotification('Password changed', 'success');
+        return Boolean(changed);
+    }
+
+    // Delete the account and everything stored for it, then return to the login page
+    async deleteAccount() {
+        if (!this.#authService) {
+            this.#showNotification('Account settings need persistent storage', 'error');
+            return false;
+        }
+
+        const result = await this.#promptAccountAction('⚠️ Delete Account', `
+            <p>This permanently deletes your account, your reminders and your settings. It cannot be undone.</p>
+            <div class="form-group">
+                <label for="deleteAccountPassword" class="form-label">Password</label>
+                <input type="password" id="deleteAccountPassword" class="form-input" autocomplete="current-password">
+            </div>
+        `, 'Delete Account', (modal) => this.#authService.deleteAccount(modal.querySelector('#deleteAccountPassword').value));
+
+        if (!result) return false;
+
+        this.#notificationService?.clearBackgroundAlerts();
+        this.#cleanup();
+        this.#clearSessionData();
+        this.#showNotification(`Account deleted with ${result.remindersDeleted} reminders`, 'success');
+
+        setTimeout(() => window.location.href = 'login.html', 1000);
+        return true;
+    }
+
     async deleteReminder(id) {
         try {
             const reminder = this.#findReminder(id);
@@ -361,7 +700,7 @@ export class DashboardController {
                 return;
             }
 
-            if (!confirm(`Delete "${reminder.title}"?`)) return;
+            if (!confirm(`Move "${reminder.title}" to the trash?`)) return;
 
             // Try to delete from storage service
             if (this.#storageService && typeof this.#storageService.deleteReminder === 'function') {
@@ -372,175 +711,772 @@ export class DashboardController {
                 }
             }
 
-            // Remove from local array
+            // Move from the list to the trash
             this.#reminders = this.#reminders.filter(r => r.id !== id);
+            this.#trash = [{ ...reminder, deletedAt: new Date().toISOString() }, ...this.#trash];
+            this.#recordSyncChange(OPERATION_TYPES.DELETE, reminder);
 
             // Cancel notifications
             this.#notificationService.cancelNotification(id);
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_DELETED, { previous: reminder });
 
             this.#refreshView();
-            this.#showNotification('Reminder deleted successfully', 'success');
+            this.#showNotification(`"${reminder.title}" moved to trash`, 'success',
+                this.#recordHistory(COMMAND_TYPES.DELETE, [CommandHistory.deleted(reminder)]));
         } catch (error) {
             console.error('Failed to delete reminder:', error);
             this.#showNotification('Failed to delete reminder', 'error');
         }
     }
 
-    // === PRIVATE IMPLEMENTATION METHODS ===
+    // === TRASH ===
+
+    async restoreReminder(id) {
+        const trashed = this.#trash.find(r => r.id === id);
+        if (!trashed || !this.#storageService) {
+            this.#showNotification('Reminder not found in trash', 'error');
+            return null;
+        }
 
-    async #initializeStorage() {
         try {
-            const userId = this.#getCurrentUserId();
+            const restored = await this.#storageService.restoreReminder(id);
 
-            // Get storage service with error handling
-            this.#storageService = await StorageFactory.getInstance(userId);
-            this.#state.storageType = await this.#detectStorageType();
+            this.#trash = this.#trash.filter(r => r.id !== id);
+            this.#reminders = [...this.#reminders.filter(r => r.id !== id), restored];
+            // The server only keeps a tombstone for deleted reminders, so send the whole reminder again
+            this.#recordSyncChange(OPERATION_TYPES.CREATE, restored);
+            this.#scheduleNotificationForReminder(restored);
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_RESTORED, { reminder: restored, fields: ['deletedAt'] });
 
-            console.log(`📦 Storage initialized: ${this.#state.storageType}`);
-            this.#updateStorageIndicator();
+            this.#refreshView();
+            this.#showNotification(`"${restored.title}" restored`, 'success',
+                this.#recordHistory(COMMAND_TYPES.RESTORE, [CommandHistory.updated(trashed, restored)]));
+            return restored;
         } catch (error) {
-            console.error('Storage initialization failed:', error);
-            // Continue without storage service - app will work with local data
-            this.#state.storageType = 'Memory (Fallback)';
-            this.#updateStorageIndicator();
-            console.warn('⚠️ Continuing without persistent storage');
+            console.error('Failed to restore reminder:', error);
+            this.#showNotification('Failed to restore reminder', 'error');
+            return null;
         }
     }
 
-    async #detectStorageType() {
+    async purgeReminder(id) {
+        const trashed = this.#trash.find(r => r.id === id);
+        if (!trashed || !this.#storageService) return false;
+
+        if (!confirm(`Permanently delete "${trashed.title}"? This cannot be undone.`)) return false;
+
         try {
-            if (this.#storageService && typeof this.#storageService.getDatabaseInfo === 'function') {
-                const dbInfo = await this.#storageService.getDatabaseInfo();
+            await this.#storageService.purgeReminder(id);
+            this.#trash = this.#trash.filter(r => r.id !== id);
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_PURGED, { previous: trashed });
+            this.#refreshView();
+            this.#showNotification(`"${trashed.title}" permanently deleted`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to purge reminder:', error);
+            this.#showNotification('Failed to delete reminder', 'error');
+            return false;
+        }
+    }
 
-                const typeMapping = {
-                    'RemindersVaultDB': 'IndexedDB',
-                    'localStorage': 'localStorage',
-                    'Memory Storage': 'Memory'
-                };
+    async emptyTrash() {
+        if (this.#trash.length === 0 || !this.#storageService) return 0;
 
-                return typeMapping[dbInfo.name] ||
-                    this.#inferTypeFromConstructor() ||
-                    'Unknown';
-            }
+        if (!confirm(`Permanently delete ${this.#trash.length} reminders in the trash? This cannot be undone.`)) return 0;
 
-            return this.#inferTypeFromConstructor() || 'Memory (Fallback)';
+        try {
+            const purged = await this.#storageService.emptyTrash(this.#getCurrentUserId());
+            this.#recordAudit(AUDIT_ACTIONS.TRASH_EMPTIED, { details: { purged } });
+            await this.#loadTrash();
+            this.#refreshView();
+            this.#showNotification(`Permanently deleted ${purged} reminders`, 'success');
+            return purged;
         } catch (error) {
-            console.warn('Storage type detection failed:', error);
-            return 'Unknown';
+            console.error('Failed to empty trash:', error);
+            this.#showNotification('Failed to empty trash', 'error');
+            return 0;
         }
     }
 
-    #inferTypeFromConstructor() {
-        if (!this.#storageService) return null;
+    // === TAGS ===
 
-        const constructorName = this.#storageService.constructor.name;
-        if (constructorName.includes('IndexedDB')) return 'IndexedDB';
-        if (constructorName.includes('LocalStorage')) return 'localStorage';
-        if (constructorName.includes('Memory')) return 'Memory';
-        return null;
+    filterByTag(name) {
+        return this.setQuery(`tag:${name}`);
     }
 
-    #setupNotificationHandlers() {
-        this.#cleanupNotificationHandlers();
-
-        const handlers = new Map([
-            ['notification:check-due-reminders', () => this.#notificationService.checkDueReminders(this.#reminders)],
-            ['notification:reminder-complete', (e) => this.completeReminder(e.detail.reminderId)],
-            ['notification:reminder-snooze', (e) => this.snoozeReminder(e.detail.reminderId, e.detail.minutes)]
-        ]);
+    async setTagColor(name, color) {
+        try {
+            const existing = this.#tags.find(tag => tag.name === name);
+            const saved = await this.#storageService.saveTag({ ...existing, userId: this.#getCurrentUserId(), name, color });
 
-        handlers.forEach((handler, event) => {
-            document.addEventListener(event, handler);
-            this.#eventCleanupFunctions.add(() => document.removeEventListener(event, handler));
-        });
+            this.#tags = [...this.#tags.filter(tag => tag.name !== name), saved];
+            this.#recordAudit(AUDIT_ACTIONS.TAG_UPDATED, { details: { names: [name], target: null, color } });
+            this.#render();
+            return saved;
+        } catch (error) {
+            console.error('Failed to save tag color:', error);
+            this.#showNotification(`Failed to save tag color: ${error.message}`, 'error');
+            return null;
+        }
     }
 
-    #cleanupNotificationHandlers() {
-        this.#eventCleanupFunctions.forEach(cleanup => {
-            try {
-                cleanup();
-            } catch (error) {
-                console.warn('Event cleanup error:', error);
-            }
-        });
-        this.#eventCleanupFunctions.clear();
+    // Renames, merges and deletes rewrite every reminder carrying the tag, trashed ones included, in one write
+    async renameTag(name) {
+        const newName = prompt(`Rename tag "${name}" to:`, name);
+        if (!newName || normalizeTagName(newName) === name) return false;
+
+        const target = normalizeTagName(newName);
+        return this.#changeTags(AUDIT_ACTIONS.TAG_RENAMED, { names: [name], target },
+            () => this.#storageService.renameTag(this.#getCurrentUserId(), name, newName),
+            `Tag "${name}" renamed to "${target}"`);
     }
 
-    async #loadData() {
-        try {
-            const userId = this.#getCurrentUserId();
+    async mergeTag(name) {
+        const others = this.#getTagUsage().filter(tag => tag.name !== name).map(tag => tag.name);
+        const targetName = prompt(`Merge "${name}" into which tag?${others.length ? ` (${others.join(', ')})` : ''}`);
+        if (!targetName || normalizeTagName(targetName) === name) return false;
 
-            // Try to load reminders from storage service
-            if (this.#storageService && typeof this.#storageService.getReminders === 'function') {
-                try {
-                    const result = await this.#storageService.getReminders(userId);
-                    this.#reminders = Array.isArray(result) ? result : result.reminders || [];
-                } catch (error) {
-                    console.warn('Storage load failed, keeping existing data:', error);
-                }
-            }
+        const target = normalizeTagName(targetName);
+        return this.#changeTags(AUDIT_ACTIONS.TAG_MERGED, { names: [name], target },
+            () => this.#storageService.mergeTags(this.#getCurrentUserId(), [name], targetName),
+            `Tag "${name}" merged into "${target}"`);
+    }
 
-            // If no data exists, load sample data
-            if (this.#reminders.length === 0) {
-                await this.#loadSampleData(userId);
-            }
+    async deleteTag(name) {
+        const count = this.#getTagUsage().find(tag => tag.name === name)?.count || 0;
+        if (!confirm(`Delete tag "${name}"? It will be removed from ${count} reminders.`)) return false;
 
-            // Load schedule
-            this.#schedule = [...DashboardController.SAMPLE_DATA.schedule];
+        return this.#changeTags(AUDIT_ACTIONS.TAG_DELETED, { names: [name], target: null },
+            () => this.#storageService.deleteTag(this.#getCurrentUserId(), name),
+            `Tag "${name}" deleted`);
+    }
 
-            // Apply current filters
-            this.#applyFilters();
+    // === CATEGORIES ===
 
-            // Schedule notifications for active reminders
-            this.#scheduleAllNotifications();
+    getCategories() {
+        return this.#categories.map(category => ({ ...category }));
+    }
 
-            this.#state.lastSync = new Date();
-            console.log(`📊 Loaded ${this.#reminders.length} reminders from ${this.#state.storageType}`);
+    async addCategory() {
+        const label = prompt('Name of the new category:')?.trim();
+        if (!label) return null;
 
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            this.#showNotification('Failed to load reminders', 'error');
+        if (this.#getCategory(normalizeTagName(label))) {
+            this.#showNotification(`A category called "${label}" already exists`, 'info');
+            return null;
         }
+
+        const icon = prompt(`Icon for "${label}" (an emoji):`, '📁')?.trim();
+        return this.#saveCategory({ label, icon: icon || '📁' }, `Category "${label}" added`);
     }
 
-    async #loadSampleData(userId) {
-        try {
-            const sampleReminders = DashboardController.SAMPLE_DATA.reminders.map(template => ({
-                ...template,
-                id: this.#generateId(),
-                datetime: typeof template.datetime === 'function' ? template.datetime() : template.datetime,
-                userId,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            }));
+    async editCategory(id) {
+        const category = this.#getCategory(id);
+        if (!category) return null;
 
-            for (const reminder of sampleReminders) {
-                if (this.#storageService && typeof this.#storageService.saveReminder === 'function') {
-                    try {
-                        await this.#storageService.saveReminder(reminder);
-                    } catch (error) {
-                        console.warn('Failed to save sample reminder to storage:', error);
-                    }
-                }
-                this.#reminders.push(reminder);
-            }
+        const label = prompt('Category name:', category.label)?.trim();
+        if (!label) return null;
 
-            console.log(`📝 Loaded ${sampleReminders.length} sample reminders`);
-        } catch (error) {
-            console.warn('Failed to load sample data:', error);
-        }
+        const icon = prompt(`Icon for "${label}":`, category.icon)?.trim();
+        return this.#saveCategory({ ...category, label, icon: icon || category.icon }, `Category "${label}" updated`);
     }
 
-    #scheduleAllNotifications() {
-        this.#reminders
-            .filter(r => r.notification && r.status === DashboardController.CONFIG.REMINDER_STATUS.ACTIVE)
-            .forEach(reminder => {
-                this.#scheduleNotificationForReminder(reminder);
+    async setCategoryColor(id, color) {
+        const category = this.#getCategory(id);
+        return category ? this.#saveCategory({ ...category, color }) : null;
+    }
+
+    // Reminders in the category, trashed ones included, move to one the user picks
+    async deleteCategory(id) {
+        const category = this.#getCategory(id);
+        const others = this.#categories.filter(c => c.id !== id);
+        if (!category) return false;
+        if (others.length === 0) {
+            this.#showNotification('Keep at least one category', 'info');
+            return false;
+        }
+
+        const count = [...this.#reminders, ...this.#trash].filter(r => r.category === id).length;
+        let replacement = others[0];
+        if (count > 0) {
+            const answer = prompt(
+                `Move the ${count} reminders in "${category.label}" to which category? (${others.map(c => c.label).join(', ')})`,
+                others[0].label
+            )?.trim().toLowerCase();
+            if (!answer) return false;
+
+            replacement = others.find(c => c.label.toLowerCase() === answer || c.id === normalizeTagName(answer));
+            if (!replacement) {
+                this.#showNotification(`Category "${answer}" not found`, 'error');
+                return false;
+            }
+        } else if (!confirm(`Delete category "${category.label}"?`)) {
+            return false;
+        }
+
+        try {
+            const userId = this.#getCurrentUserId();
+            const moved = await this.#storageService.deleteCategory(userId, id, replacement.id);
+            const byId = new Map(moved.map(reminder => [reminder.id, reminder]));
+
+            this.#reminders = this.#reminders.map(reminder => byId.get(reminder.id) || reminder);
+            this.#trash = this.#trash.map(reminder => byId.get(reminder.id) || reminder);
+            moved.forEach(reminder => this.#recordSyncChange(OPERATION_TYPES.UPDATE, reminder, ['category']));
+            this.#recordAudit(AUDIT_ACTIONS.CATEGORY_DELETED, {
+                details: { category, replacement: replacement.id, reminders: moved.length }
+            });
+
+            await this.#loadCategories();
+            this.#refreshView();
+            this.#showNotification(`Category "${category.label}" deleted (${moved.length} reminders moved to ${replacement.label})`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to delete category:', error);
+            this.#showNotification(`Failed to delete category: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // === QUIET HOURS ===
+
+    getQuietHours() {
+        return createQuietHours(this.#quietHours);
+    }
+
+    async saveQuietHours(settings) {
+        return this.#saveQuietHours(settings, 'Alert settings saved');
+    }
+
+    // Hold alerts for the next `minutes`, or stop holding them with null
+    async setDoNotDisturb(minutes) {
+        const dndUntil = minutes ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null;
+        return this.#saveQuietHours({ ...this.#quietHours, dndUntil },
+            dndUntil ? `Do not disturb until ${DateUtils.formatDate(dndUntil)}` : 'Do not disturb is off');
+    }
+
+    // === NOTIFICATION CHANNELS ===
+
+    getNotificationChannels() {
+        return this.#channels.map(channel => ({ ...channel, categories: [...channel.categories] }));
+    }
+
+    // Quiet hours, channels and the digest schedule from the Alert Settings modal; quiet hours are saved last
+    async saveAlertSettings({ quietHours, channels, digest }) {
+        try {
+            const userId = this.#getCurrentUserId();
+            this.#channels = await this.#storageService.saveNotificationChannels(userId, channels);
+            this.#notificationService.setChannels(this.#channels);
+            if (digest) {
+                await this.#digest?.setSchedule(await this.#storageService.saveDigestSchedule(userId, digest));
+            }
+        } catch (error) {
+            console.error('Failed to save notification channels:', error);
+            this.#showNotification(`Failed to save alert settings: ${error.message}`, 'error');
+            return false;
+        }
+
+        return this.#saveQuietHours(quietHours, 'Alert settings saved');
+    }
+
+    // === DIGEST ===
+
+    getDigestSchedule() {
+        return this.#digest?.schedule || createDigestSchedule();
+    }
+
+    // Show the digest as it stands now, in this tab and whatever the schedule
+    async previewDigest() {
+        try {
+            this.#notificationService.showDigest(await this.#digest.generate(), { preview: true });
+        } catch (error) {
+            console.error('Failed to build digest:', error);
+            this.#showNotification(`Failed to build digest: ${error.message}`, 'error');
+        }
+    }
+
+    // Download the digest as Markdown or HTML, for pasting into team chats
+    async exportDigest(format = 'markdown') {
+        const { extension, mimeType } = DigestUtils.FORMATS[format] || DigestUtils.FORMATS.markdown;
+
+        try {
+            const content = await this.#digest.export(format);
+            const timestamp = new Date().toISOString().split('T')[0];
+            BrowserUtils.downloadFile(content, `reminders-digest-${timestamp}.${extension}`, mimeType);
+            this.#showNotification('Digest exported', 'success');
+        } catch (error) {
+            console.error('Failed to export digest:', error);
+            this.#showNotification(`Failed to export digest: ${error.message}`, 'error');
+        }
+    }
+
+    // === AUDIT LOG ===
+
+    // Newest entries matching the panel's filters; administrators only
+    async loadAuditLog() {
+        assertPermission(this.#currentUser, PERMISSIONS.AUDIT_READ);
+        if (!this.#auditLog) return [];
+
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const from = value('auditFrom');
+        const to = value('auditTo');
+
+        try {
+            const entries = await this.#auditLog.query({
+                userId: value('auditUser') || null,
+                action: value('auditAction') || null,
+                from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+                to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+                limit: APP_CONFIG.audit.pageSize
+            });
+            this.#renderAuditLog(entries);
+            return entries;
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.#showNotification('Failed to load audit log', 'error');
+            return [];
+        }
+    }
+
+    // Revert the latest create, delete, complete or snooze (Ctrl+Z)
+    async undo() {
+        return this.#stepHistory('undo');
+    }
+
+    // Re-apply the latest undone change (Ctrl+Shift+Z)
+    async redo() {
+        return this.#stepHistory('redo');
+    }
+
+    // === PRIVATE IMPLEMENTATION METHODS ===
+
+    async #initializeStorage() {
+        try {
+            const userId = this.#getCurrentUserId();
+
+            // Get storage service with error handling
+            this.#storageService = await StorageFactory.getInstance(userId);
+            this.#auditLog = new AuditLog(this.#storageService);
+            this.#authService = new AuthService(this.#storageService);
+            this.#auditLog.attachAuth(this.#authService);
+            this.#state.storageType = await this.#detectStorageType();
+
+            console.log(`📦 Storage initialized: ${this.#state.storageType}`);
+            this.#updateStorageIndicator();
+        } catch (error) {
+            console.error('Storage initialization failed:', error);
+            // Continue without storage service - app will work with local data
+            this.#state.storageType = 'Memory (Fallback)';
+            this.#updateStorageIndicator();
+            console.warn('⚠️ Continuing without persistent storage');
+        }
+    }
+
+    // Encrypted storage opened on a fresh page needs the keys from login or the passphrase again
+    async #ensureStorageUnlocked() {
+        const storage = this.#storageService;
+        const userId = this.#getCurrentUserId();
+
+        if (typeof storage?.isLocked !== 'function' || !await storage.isLocked(userId)) return true;
+        if (await storage.resume(userId)) return true;
+
+        this.#setLoadingState(false);
+        const unlocked = await this.#promptUnlock(userId);
+
+        if (!unlocked) {
+            this.#clearSessionData();
+            window.location.href = 'login.html';
+            return false;
+        }
+
+        this.#setLoadingState(true);
+        return true;
+    }
+
+    #promptUnlock(userId) {
+        const modal = this.#createDialog('🔒 Unlock Your Reminders', `
+            <p>Your reminders are encrypted. Enter your password to unlock them for this session.</p>
+            <div class="form-group">
+                <label for="unlockPassphrase" class="form-label">Password</label>
+                <input type="password" id="unlockPassphrase" class="form-input" autocomplete="current-password">
+            </div>
+            <p class="unlock-error" role="alert"></p>
+        `, [
+            { id: 'cancel', label: 'Sign Out', className: 'btn btn-secondary' },
+            { id: 'confirm', label: 'Unlock', className: 'btn btn-primary' }
+        ]);
+
+        const input = modal.querySelector('#unlockPassphrase');
+        const errorElement = modal.querySelector('.unlock-error');
+        setTimeout(() => input.focus(), 0);
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+
+            const submit = async () => {
+                errorElement.textContent = '';
+                try {
+                    await this.#storageService.unlock(userId, input.value);
+                    close(true);
+                } catch (error) {
+                    errorElement.textContent = error.code === ERROR_CODES.AUTHENTICATION_FAILED
+                        ? 'Incorrect password. Please try again.'
+                        : `Unlock failed: ${error.message}`;
+                    input.select();
+                }
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(false));
+            modal.querySelector('.modal-close').addEventListener('click', () => close(false));
+            modal.querySelector('[data-action="confirm"]').addEventListener('click', submit);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') submit();
+            });
+        });
+    }
+
+    // Password dialog for account changes; `action` errors are shown in the dialog so the user can retry
+    #promptAccountAction(title, bodyHtml, confirmLabel, action) {
+        const modal = this.#createDialog(title, `
+            ${bodyHtml}
+            <p class="unlock-error" role="alert"></p>
+        `, [
+            { id: 'cancel', label: 'Cancel', className: 'btn btn-secondary' },
+            { id: 'confirm', label: confirmLabel, className: 'btn btn-primary' }
+        ]);
+
+        const errorElement = modal.querySelector('.unlock-error');
+        setTimeout(() => modal.querySelector('input')?.focus(), 0);
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+
+            const submit = async () => {
+                errorElement.textContent = '';
+                try {
+                    close(await action(modal));
+                } catch (error) {
+                    errorElement.textContent = error.message;
+                }
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+            modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('[data-action="confirm"]').addEventListener('click', submit);
+            modal.querySelectorAll('input').forEach(input => input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') submit();
+            }));
+        });
+    }
+
+    async #detectStorageType() {
+        try {
+            if (this.#storageService && typeof this.#storageService.getDatabaseInfo === 'function') {
+                const dbInfo = await this.#storageService.getDatabaseInfo();
+
+                const typeMapping = {
+                    'RemindersVaultDB': 'IndexedDB',
+                    'localStorage': 'localStorage',
+                    'Memory Storage': 'Memory'
+                };
+
+                return typeMapping[dbInfo.name] ||
+                    this.#inferTypeFromConstructor() ||
+                    'Unknown';
+            }
+
+            return this.#inferTypeFromConstructor() || 'Memory (Fallback)';
+        } catch (error) {
+            console.warn('Storage type detection failed:', error);
+            return 'Unknown';
+        }
+    }
+
+    #inferTypeFromConstructor() {
+        if (!this.#storageService) return null;
+
+        const storage = this.#storageService.getInnerStorage?.() || this.#storageService;
+        const constructorName = storage.constructor.name;
+        if (constructorName.includes('IndexedDB')) return 'IndexedDB';
+        if (constructorName.includes('LocalStorage')) return 'localStorage';
+        if (constructorName.includes('Memory')) return 'Memory';
+        return null;
+    }
+
+    #setupNotificationHandlers() {
+        this.#cleanupNotificationHandlers();
+
+        const handlers = new Map([
+            ['notification:check-due-reminders', () => this.#notificationService.checkDueReminders(this.#reminders)],
+            ['notification:reminder-complete', (e) => this.completeReminder(e.detail.reminderId)],
+            ['notification:reminder-snooze', (e) => this.snoozeReminder(e.detail.reminderId, e.detail.minutes)]
+        ]);
+
+        handlers.forEach((handler, event) => {
+            document.addEventListener(event, handler);
+            this.#eventCleanupFunctions.add(() => document.removeEventListener(event, handler));
+        });
+
+        // Buttons on service worker notifications
+        this.#eventCleanupFunctions.add(this.#notificationService.on('notification-action', ({ action, reminderId, minutes }) => {
+            if (action === 'complete') this.completeReminder(reminderId);
+            if (action === 'snooze') this.snoozeReminder(reminderId, minutes);
+        }));
+
+        this.#eventCleanupFunctions.add(this.#notificationService.on('missed-alerts', ({ alerts }) => {
+            this.#showNotification(`📭 ${NotificationService.formatMissedAlerts(alerts)}`, 'info');
+        }));
+
+        // Only escalated alerts are worth a toast; a single unanswered one just timed out
+        this.#eventCleanupFunctions.add(this.#notificationService.on('alert-missed', ({ reminder, attempts }) => {
+            if (attempts > 1) this.#showNotification(`📵 "${reminder.title}" went unanswered after ${attempts} alerts`, 'warning');
+        }));
+
+        this.#eventCleanupFunctions.add(this.#notificationService.on('channel-failed', ({ channelId, reminder, attempts }) => {
+            this.#showNotification(`🌐 Couldn't send "${reminder.title}" to ${channelId} after ${attempts} attempt(s)`, 'warning');
+        }));
+
+        this.#eventCleanupFunctions.add(this.#notificationService.on('quiet-hours-ended', ({ alerts }) => {
+            this.#showNotification(`🌅 ${NotificationService.formatHeldAlerts(alerts)}`, 'info');
+            this.#renderQuietHoursStatus();
+        }));
+    }
+
+    #cleanupNotificationHandlers() {
+        this.#eventCleanupFunctions.forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.warn('Event cleanup error:', error);
+            }
+        });
+        this.#eventCleanupFunctions.clear();
+    }
+
+    async #loadData() {
+        try {
+            const userId = this.#getCurrentUserId();
+
+            // Try to load reminders from storage service
+            if (this.#storageService && typeof this.#storageService.getReminders === 'function') {
+                try {
+                    const result = await this.#storageService.getReminders(userId);
+                    this.#reminders = Array.isArray(result) ? result : result.reminders || [];
+                } catch (error) {
+                    console.warn('Storage load failed, keeping existing data:', error);
+                }
+            }
+
+            await this.#loadTrash();
+            await this.#loadTags();
+            await this.#loadCategories();
+            await this.#loadQuietHours();
+            await this.#loadNotificationChannels();
+
+            // If no data exists, load sample data
+            if (this.#reminders.length === 0) {
+                await this.#loadSampleData(userId);
+            }
+
+            // Load schedule
+            this.#schedule = [...DashboardController.SAMPLE_DATA.schedule];
+
+            // Apply current filters
+            this.#applyFilters();
+
+            // Schedule notifications for active reminders, holding back blocked ones
+            this.#updateBlockedState();
+            this.#scheduleAllNotifications();
+
+            this.#state.lastSync = new Date();
+            console.log(`📊 Loaded ${this.#reminders.length} reminders from ${this.#state.storageType}`);
+
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            this.#showNotification('Failed to load reminders', 'error');
+        }
+    }
+
+    async #loadTrash() {
+        if (!this.#storageService || typeof this.#storageService.getTrash !== 'function') return;
+
+        try {
+            const result = await this.#storageService.getTrash(this.#getCurrentUserId());
+            this.#trash = Array.isArray(result) ? result : result.reminders || [];
+        } catch (error) {
+            console.warn('Failed to load trash:', error);
+        }
+    }
+
+    // Maintenance pass on load; anything left in the trash past the retention period is purged
+    async #loadTags() {
+        if (!this.#storageService || typeof this.#storageService.getTags !== 'function') return;
+
+        try {
+            this.#tags = await this.#storageService.getTags(this.#getCurrentUserId());
+        } catch (error) {
+            console.warn('Failed to load tags:', error);
+        }
+    }
+
+    async #loadCategories() {
+        if (!this.#storageService || typeof this.#storageService.getCategories !== 'function') return;
+
+        try {
+            this.#categories = await this.#storageService.getCategories(this.#getCurrentUserId());
+        } catch (error) {
+            console.warn('Failed to load categories:', error);
+        }
+    }
+
+    async #loadQuietHours() {
+        if (!this.#storageService || typeof this.#storageService.getQuietHours !== 'function') return;
+
+        try {
+            this.#quietHours = await this.#storageService.getQuietHours(this.#getCurrentUserId());
+            this.#notificationService.setQuietHours(this.#quietHours);
+        } catch (error) {
+            console.warn('Failed to load quiet hours:', error);
+        }
+    }
+
+    async #loadNotificationChannels() {
+        if (!this.#storageService || typeof this.#storageService.getNotificationChannels !== 'function') return;
+
+        try {
+            this.#channels = await this.#storageService.getNotificationChannels(this.#getCurrentUserId());
+            this.#notificationService.setChannels(this.#channels);
+        } catch (error) {
+            console.warn('Failed to load notification channels:', error);
+        }
+    }
+
+    async #saveQuietHours(settings, message) {
+        try {
+            this.#quietHours = await this.#storageService.saveQuietHours(this.#getCurrentUserId(), settings);
+            this.#notificationService.setQuietHours(this.#quietHours);
+            this.#renderQuietHoursStatus();
+            this.#showNotification(message, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to save quiet hours:', error);
+            this.#showNotification(`Failed to save alert settings: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // Adds the category, or replaces the one with the same id
+    async #saveCategory(category, message = null) {
+        const id = category.id || normalizeTagName(category.label);
+        const categories = this.#getCategory(id)
+            ? this.#categories.map(c => (c.id === id ? { ...category, id } : c))
+            : [...this.#categories, { ...category, id }];
+
+        try {
+            this.#categories = await this.#storageService.saveCategories(this.#getCurrentUserId(), categories);
+
+            const saved = this.#getCategory(id);
+            this.#recordAudit(AUDIT_ACTIONS.CATEGORY_UPDATED, { details: { category: saved, replacement: null, reminders: 0 } });
+            this.#render();
+            if (message) this.#showNotification(message, 'success');
+            return saved;
+        } catch (error) {
+            console.error('Failed to save category:', error);
+            this.#showNotification(`Failed to save category: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    #getCategory(id) {
+        return this.#categories.find(category => category.id === id) || null;
+    }
+
+    // Personal if the user still has it, otherwise their first category
+    #getDefaultCategory() {
+        return this.#getCategory(REMINDER_CATEGORIES.PERSONAL) || this.#categories[0];
+    }
+
+    async #changeTags(action, details, change, message) {
+        try {
+            const updated = await change();
+            const byId = new Map(updated.map(reminder => [reminder.id, reminder]));
+
+            this.#reminders = this.#reminders.map(reminder => byId.get(reminder.id) || reminder);
+            this.#trash = this.#trash.map(reminder => byId.get(reminder.id) || reminder);
+            updated.forEach(reminder => this.#recordSyncChange(OPERATION_TYPES.UPDATE, reminder, ['tags']));
+            this.#recordAudit(action, { details: { ...details, reminders: updated.length } });
+
+            await this.#loadTags();
+            this.#refreshView();
+            this.#showNotification(`${message} (${updated.length} reminders updated)`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to update tags:', error);
+            this.#showNotification(`Failed to update tags: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    async #purgeExpiredTrash() {
+        if (typeof this.#storageService?.optimizeStorage !== 'function') return;
+
+        try {
+            const result = await this.#storageService.optimizeStorage();
+            if (result?.purgedReminders) {
+                console.log(`🗑️ Purged ${result.purgedReminders} reminders past the trash retention period`);
+            }
+        } catch (error) {
+            console.warn('Storage maintenance failed:', error);
+        }
+    }
+
+    async #loadSampleData(userId) {
+        try {
+            const sampleReminders = DashboardController.SAMPLE_DATA.reminders.map(template => ({
+                ...template,
+                id: this.#generateId(),
+                datetime: typeof template.datetime === 'function' ? template.datetime() : template.datetime,
+                userId,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }));
+
+            for (const reminder of sampleReminders) {
+                if (this.#storageService && typeof this.#storageService.saveReminder === 'function') {
+                    try {
+                        await this.#storageService.saveReminder(reminder);
+                    } catch (error) {
+                        console.warn('Failed to save sample reminder to storage:', error);
+                    }
+                }
+                this.#reminders.push(reminder);
+            }
+
+            console.log(`📝 Loaded ${sampleReminders.length} sample reminders`);
+        } catch (error) {
+            console.warn('Failed to load sample data:', error);
+        }
+    }
+
+    #scheduleAllNotifications() {
+        this.#reminders
+            .filter(r => r.notification && r.status === DashboardController.CONFIG.REMINDER_STATUS.ACTIVE)
+            .forEach(reminder => {
+                this.#scheduleNotificationForReminder(reminder);
             });
     }
 
     #processReminderData(reminderData) {
-        const alertTimings = this.#processAlertTimings(reminderData.alertTimings);
+        const category = reminderData.category || this.#getDefaultCategory().id;
+        // No alerts picked means the category's defaults
+        const alertTimings = this.#processAlertTimings(reminderData.alertTimings?.length
+            ? reminderData.alertTimings
+            : this.#getCategory(category)?.alertTimings);
         const userId = this.#getCurrentUserId();
 
         return {
@@ -548,11 +1484,15 @@ export class DashboardController {
             title: reminderData.title.trim(),
             description: reminderData.description?.trim() || '',
             datetime: reminderData.datetime,
-            category: reminderData.category || 'personal',
+            category,
             priority: parseInt(reminderData.priority) || 2,
             notification: reminderData.notification !== false,
             alertTimings,
             status: this.#calculateStatus(reminderData.datetime),
+            recurrence: createRecurrenceRule(reminderData.recurrence, reminderData.datetime),
+            subtasks: Array.isArray(reminderData.subtasks) ? reminderData.subtasks.map(createSubtask) : [],
+            dependsOn: Array.isArray(reminderData.dependsOn) ? [...new Set(reminderData.dependsOn)] : [],
+            tags: Array.isArray(reminderData.tags) ? [...new Set(reminderData.tags.map(normalizeTagName).filter(Boolean))] : [],
             userId,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
@@ -600,6 +1540,7 @@ export class DashboardController {
                     updatedAt: reminder.updatedAt
                 });
             }
+            this.#recordSyncChange(OPERATION_TYPES.UPDATE, reminder, ['status']);
         } catch (error) {
             // Rollback on failure
             reminder.status = originalStatus;
@@ -617,9 +1558,285 @@ export class DashboardController {
             }
         }
         Object.assign(reminder, updates);
+        this.#recordSyncChange(OPERATION_TYPES.UPDATE, reminder, Object.keys(updates));
+        this.#refreshView();
+    }
+
+    async #advanceRecurringReminder(reminder) {
+        const after = new Date(Math.max(new Date(reminder.datetime).getTime(), Date.now()));
+        const nextOccurrence = RecurrenceUtils.getNextOccurrence(reminder.recurrence, after);
+        if (!nextOccurrence) return false;
+
+        const before = { ...reminder };
+        await this.#updateReminderWithChanges(reminder, {
+            datetime: nextOccurrence.toISOString(),
+            status: DashboardController.CONFIG.REMINDER_STATUS.ACTIVE,
+            lastCompletedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            ...(reminder.subtasks?.length > 0 && { subtasks: ChecklistUtils.reset(reminder.subtasks) })
+        });
+        this.#rescheduleNotifications(reminder);
+        this.#recordAudit(AUDIT_ACTIONS.REMINDER_COMPLETED, { reminder, previous: before });
+        const released = await this.#releaseDependents(reminder);
+
+        this.#showNotification(
+            `"${reminder.title}" completed! Next occurrence: ${this.#formatDateTime(reminder.datetime)}`,
+            'success',
+            this.#recordHistory(COMMAND_TYPES.COMPLETE, [CommandHistory.updated(before, reminder), ...released])
+        );
+        return true;
+    }
+
+    // The recurring reminder stays open, so the reminders waiting on it stop listing it; returns their history changes
+    async #releaseDependents(blocker) {
+        const dependents = DependencyUtils.getDependents(this.#reminders, blocker.id).filter(DependencyUtils.isOpen);
+        const changes = [];
+
+        for (const dependent of dependents) {
+            const before = { ...dependent };
+            await this.#updateReminderWithChanges(dependent, {
+                dependsOn: dependent.dependsOn.filter(id => id !== blocker.id),
+                updatedAt: new Date().toISOString()
+            });
+            this.#recordAudit(AUDIT_ACTIONS.REMINDER_UPDATED, { reminder: dependent, previous: before });
+            changes.push(CommandHistory.updated(before, dependent));
+        }
+
+        return changes;
+    }
+
+    // Other tabs announce their writes; re-read what changed instead of trusting the message
+    #subscribeToStorageChanges() {
+        const unsubscribe = StorageFactory.getChangeFeed().subscribe(change => {
+            this.#applyRemoteChange(change).catch(error => {
+                console.warn('Failed to apply change from another tab:', error);
+            });
+        });
+
+        this.#eventCleanupFunctions.add(unsubscribe);
+    }
+
+    async #applyRemoteChange(change) {
+        const userId = this.#getCurrentUserId();
+        if (!this.#storageService || (change.userId && change.userId !== userId)) return;
+
+        if (change.type === CHANGE_TYPES.RESET) {
+            const result = await this.#storageService.getReminders(userId);
+            this.#reminders.forEach(reminder => this.#notificationService.cancelNotification(reminder.id));
+            this.#reminders = Array.isArray(result) ? result : result.reminders || [];
+            await this.#loadTrash();
+            await this.#loadTags();
+            await this.#loadCategories();
+            await this.#loadQuietHours();
+            await this.#loadNotificationChannels();
+            await this.#loadDigestSchedule();
+            this.#scheduleAllNotifications();
+        } else {
+            // Deletes only move reminders to the trash, so even those are re-read
+            const reminder = await this.#storageService.getReminderById(change.reminderId);
+            const owned = reminder?.userId === userId;
+
+            this.#notificationService.cancelNotification(change.reminderId);
+            this.#reminders = this.#reminders.filter(r => r.id !== change.reminderId);
+            this.#trash = this.#trash.filter(r => r.id !== change.reminderId);
+
+            if (owned && reminder.deletedAt) {
+                this.#trash = [reminder, ...this.#trash];
+            } else if (owned) {
+                this.#reminders.push(reminder);
+                this.#scheduleNotificationForReminder(reminder);
+            }
+        }
+
+        this.#state.lastSync = new Date();
         this.#refreshView();
     }
 
+    // Sync is opt-in; remote changes arrive in the same shape as cross-tab ones
+    async #startSync() {
+        if (!Environment.getFeatureFlags().enableDataSync || !this.#storageService) return;
+
+        try {
+            const engine = new SyncEngine({
+                storage: this.#storageService,
+                transport: SyncEngine.createTransport(),
+                userId: this.#getCurrentUserId()
+            });
+
+            engine.on('status-changed', status => {
+                this.#state.syncStatus = status;
+                this.#updateStorageIndicator();
+            });
+            engine.on('remote-change', change => {
+                this.#applyRemoteChange(change).catch(error => {
+                    console.warn('Failed to apply synced change:', error);
+                });
+            });
+
+            await engine.initialize();
+            engine.start();
+
+            this.#syncEngine = engine;
+            this.#eventCleanupFunctions.add(() => engine.stop());
+        } catch (error) {
+            console.warn('⚠️ Sync unavailable, continuing offline:', error);
+        }
+    }
+
+    #recordSyncChange(type, reminder, fields = null) {
+        this.#syncEngine?.recordChange(type, reminder, fields);
+    }
+
+    // Fire and forget: AuditLog.record logs its own failures
+    #recordAudit(action, { reminder = null, previous = null, fields = null, details = null } = {}) {
+        this.#auditLog?.record({ action, userId: this.#getCurrentUserId(), reminder, previous, fields, details });
+    }
+
+    async #loadHistory() {
+        if (!this.#storageService) return;
+
+        try {
+            const history = new CommandHistory(this.#storageService, this.#getCurrentUserId());
+            await history.load();
+            this.#history = history;
+        } catch (error) {
+            console.warn('⚠️ Undo history unavailable:', error);
+        }
+    }
+
+    // Queue alerts past the timer window and report those that came due while the app was closed.
+    // Runs after loadData so the reminders are scheduled and the summary can name them
+    async #loadAlertQueue() {
+        if (!this.#storageService) return;
+
+        try {
+            await this.#notificationService.setAlertQueue(new AlertQueue(this.#storageService, this.#getCurrentUserId()));
+        } catch (error) {
+            console.warn('⚠️ Alert queue unavailable, alerts are only kept while the page is open:', error);
+        }
+    }
+
+    // Reads reminders through a ReminderService of its own, since the dashboard otherwise works on storage directly
+    async #startDigest() {
+        if (!this.#storageService) return;
+
+        try {
+            this.#digest = new DigestService({
+                reminderService: new ReminderService(this.#storageService, null),
+                notificationService: this.#notificationService,
+                storage: this.#storageService,
+                userId: this.#getCurrentUserId()
+            });
+            await this.#digest.start();
+        } catch (error) {
+            console.warn('⚠️ Digest unavailable:', error);
+        }
+    }
+
+    async #loadDigestSchedule() {
+        if (!this.#digest) return;
+
+        try {
+            await this.#digest.setSchedule(await this.#storageService.getDigestSchedule(this.#getCurrentUserId()));
+        } catch (error) {
+            console.warn('Failed to load digest schedule:', error);
+        }
+    }
+
+    /**
+     * Record an undoable command
+     * @returns {Object} Toast options offering Undo, or {} without a history
+     */
+    #recordHistory(type, changes) {
+        if (!this.#history) return {};
+
+        this.#history.record(type, changes).catch(error => {
+            console.warn('Failed to record undo history:', error);
+        });
+        return this.#historyToastOptions('Undo', () => this.undo());
+    }
+
+    #historyToastOptions(text, handler) {
+        return {
+            undoable: true,
+            duration: 8000,
+            actions: [{ text, handler }]
+        };
+    }
+
+    // The history writes storage directly; re-read each touched reminder the same way as a change from another tab
+    async #stepHistory(direction) {
+        if (!this.#history) return null;
+
+        try {
+            const result = await this.#history[direction]();
+            if (!result) {
+                this.#showNotification(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo', 'info');
+                return null;
+            }
+
+            const operations = {
+                [CHANGE_KINDS.CREATED]: OPERATION_TYPES.CREATE,
+                [CHANGE_KINDS.UPDATED]: OPERATION_TYPES.UPDATE,
+                [CHANGE_KINDS.DELETED]: OPERATION_TYPES.DELETE
+            };
+
+            const auditActions = {
+                [CHANGE_KINDS.CREATED]: AUDIT_ACTIONS.REMINDER_CREATED,
+                [CHANGE_KINDS.UPDATED]: AUDIT_ACTIONS.REMINDER_UPDATED,
+                [CHANGE_KINDS.DELETED]: AUDIT_ACTIONS.REMINDER_DELETED
+            };
+
+            for (const { kind, reminderId, reminder, fields } of result.changes) {
+                this.#recordSyncChange(operations[kind], reminder, fields);
+                this.#recordAudit(auditActions[kind], {
+                    reminder: kind === CHANGE_KINDS.DELETED ? null : reminder,
+                    previous: kind === CHANGE_KINDS.DELETED ? reminder : null,
+                    fields,
+                    details: { via: direction, command: result.command.label }
+                });
+                await this.#applyRemoteChange({
+                    type: kind === CHANGE_KINDS.DELETED ? CHANGE_TYPES.DELETED : CHANGE_TYPES.UPDATED,
+                    userId: this.#getCurrentUserId(),
+                    reminderId
+                });
+            }
+
+            const { label } = result.command;
+            this.#showNotification(
+                direction === 'undo' ? `Undone: ${label}` : `Redone: ${label}`,
+                'info',
+                direction === 'undo'
+                    ? this.#historyToastOptions('Redo', () => this.redo())
+                    : this.#historyToastOptions('Undo', () => this.undo())
+            );
+            return result;
+        } catch (error) {
+            console.error(`Failed to ${direction}:`, error);
+            this.#showNotification(`Failed to ${direction}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+    #handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+        const target = event.target;
+        if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+        const key = event.key.toLowerCase();
+        const redo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        if (key !== 'z' && !redo) return;
+
+        event.preventDefault();
+        if (redo) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
     #rescheduleNotifications(reminder) {
         this.#notificationService.cancelNotification(reminder.id);
         this.#notificationService.scheduleNotification(reminder, reminder.alertTimings);
@@ -627,6 +1844,11 @@ export class DashboardController {
 
     #render() {
         this.#renderStatistics();
+        this.#renderSmartLists();
+        this.#renderCategoryList();
+        this.#renderTagList();
+        this.#renderTrashCount();
+        this.#renderQuietHoursStatus();
         this.#renderReminders();
         this.#renderSchedule();
         this.#updateCurrentDateTime();
@@ -672,28 +1894,130 @@ export class DashboardController {
     }
 
     #createReminderElement(reminder) {
+        if (reminder.deletedAt) return this.#createTrashElement(reminder);
+
         const priorityIcon = this.#getPriorityIcon(reminder.priority);
         const statusClass = this.#getStatusClass(reminder.status);
         const formattedTime = this.#formatDateTime(reminder.datetime);
+        const isBlocked = this.#blockedIds?.has(reminder.id);
+
+        return `
+            <div class="reminder-item ${statusClass} ${isBlocked ? 'blocked' : ''}" data-id="${reminder.id}">
+                <div class="reminder-status ${reminder.status}"></div>
+                <div class="reminder-content">
+                    <div class="reminder-title">
+                        ${priorityIcon} ${StringUtils.escapeHtml(reminder.title)}
+                    </div>
+                    <div class="reminder-time">${formattedTime} ${this.#createCategoryElement(reminder)}</div>
+                    ${reminder.recurrence ? `<div class="reminder-recurrence">🔁 ${StringUtils.escapeHtml(RecurrenceUtils.describe(reminder.recurrence))}</div>` : ''}
+                    ${reminder.description ? `<div class="reminder-description">${StringUtils.escapeHtml(reminder.description)}</div>` : ''}
+                    ${reminder.tags?.length ? this.#createTagsElement(reminder) : ''}
+                    ${isBlocked ? this.#createBlockersElement(reminder) : ''}
+                    ${reminder.subtasks?.length ? this.#createChecklistElement(reminder) : ''}
+                </div>
+                <div class="reminder-actions">
+                    ${reminder.status === DashboardController.CONFIG.REMINDER_STATUS.ACTIVE ? `
+                        <button class="action-btn-small action-btn-complete" onclick="dashboard.completeReminder('${reminder.id}')" title="Complete">
+                            ✅
+                        </button>
+                    ` : ''}
+                    <button class="action-btn-small action-btn-delete" onclick="dashboard.deleteReminder('${reminder.id}')" title="Delete">
+                        🗑️
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // A category defined on another device shows by its id until it's defined here
+    #createCategoryElement(reminder) {
+        const category = this.#getCategory(reminder.category) || { label: reminder.category || '', icon: '📁', color: '#7f8c8d' };
+
+        return `
+            <span class="reminder-category" style="--category-color: ${category.color}">
+                ${StringUtils.escapeHtml(category.icon)} ${StringUtils.escapeHtml(category.label)}
+            </span>
+        `;
+    }
+
+    // Tag names are limited to letters, numbers, "-" and "_", so they're safe in the onclick argument
+    #createTagsElement(reminder) {
+        return `
+            <div class="reminder-tags">
+                ${reminder.tags.map(name => `
+                    <button class="tag-chip" style="--tag-color: ${this.#getTagColor(name)}"
+                            onclick="dashboard.filterByTag('${name}')" title="Show reminders tagged ${name}">
+                        #${StringUtils.escapeHtml(name)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    #createBlockersElement(reminder) {
+        const blockers = DependencyUtils.getOpenBlockers(reminder, this.#reminders).map(id => this.#findReminder(id));
+
+        return `
+            <div class="reminder-blocked">
+                <span class="blocked-label">⛔ Blocked by</span>
+                ${blockers.map(blocker => `
+                    <span class="blocker-chip">
+                        ${StringUtils.escapeHtml(blocker.title)}
+                        <button class="blocker-unlink" onclick="dashboard.removeDependency('${reminder.id}', '${blocker.id}')"
+                                title="Remove dependency" aria-label="Stop waiting for ${StringUtils.escapeHtml(blocker.title)}">✕</button>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    #createChecklistElement(reminder) {
+        const progress = ChecklistUtils.getProgress(reminder.subtasks);
+
+        return `
+            <div class="reminder-checklist">
+                <div class="checklist-progress" title="${progress.done} of ${progress.total} done">
+                    <div class="checklist-progress-bar" style="width: ${progress.percent}%"></div>
+                    <span class="checklist-progress-text">☑️ ${progress.done}/${progress.total}</span>
+                </div>
+                <ul class="checklist-items">
+                    ${reminder.subtasks.map(item => `
+                        <li class="checklist-item ${item.done ? 'done' : ''}">
+                            <label>
+                                <input type="checkbox" ${item.done ? 'checked' : ''}
+                                       data-subtask-id="${StringUtils.escapeHtml(item.id)}">
+                                <span>${StringUtils.escapeHtml(item.title)}</span>
+                            </label>
+                            ${item.dueAt ? `<span class="checklist-due">${this.#formatDateTime(item.dueAt)}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    #createTrashElement(reminder) {
+        const { retentionDays } = APP_CONFIG.storage.trash;
+        const daysLeft = retentionDays > 0
+            ? Math.max(0, retentionDays - Math.floor((Date.now() - new Date(reminder.deletedAt)) / 86400000))
+            : null;
 
         return `
-            <div class="reminder-item ${statusClass}" data-id="${reminder.id}">
+            <div class="reminder-item trashed" data-id="${reminder.id}">
                 <div class="reminder-status ${reminder.status}"></div>
                 <div class="reminder-content">
                     <div class="reminder-title">
-                        ${priorityIcon} ${StringUtils.escapeHtml(reminder.title)}
+                        ${this.#getPriorityIcon(reminder.priority)} ${StringUtils.escapeHtml(reminder.title)}
                     </div>
-                    <div class="reminder-time">${formattedTime}</div>
-                    ${reminder.description ? `<div class="reminder-description">${StringUtils.escapeHtml(reminder.description)}</div>` : ''}
+                    <div class="reminder-time">Deleted ${this.#formatDateTime(reminder.deletedAt)}</div>
+                    ${daysLeft !== null ? `<div class="reminder-trash-expiry">Permanently deleted in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}</div>` : ''}
                 </div>
                 <div class="reminder-actions">
-                    ${reminder.status === DashboardController.CONFIG.REMINDER_STATUS.ACTIVE ? `
-                        <button class="action-btn-small action-btn-complete" onclick="dashboard.completeReminder('${reminder.id}')" title="Complete">
-                            ✅
-                        </button>
-                    ` : ''}
-                    <button class="action-btn-small action-btn-delete" onclick="dashboard.deleteReminder('${reminder.id}')" title="Delete">
-                        🗑️
+                    <button class="action-btn-small action-btn-restore" onclick="dashboard.restoreReminder('${reminder.id}')" title="Restore">
+                        ♻️
+                    </button>
+                    <button class="action-btn-small action-btn-delete" onclick="dashboard.purgeReminder('${reminder.id}')" title="Delete forever">
+                        ✖️
                     </button>
                 </div>
             </div>
@@ -701,6 +2025,16 @@ export class DashboardController {
     }
 
     #createEmptyState() {
+        if (this.#isTrashView()) {
+            return `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🗑️</div>
+                    <h3>Trash is empty</h3>
+                    <p>Deleted reminders stay here until you restore them or they expire.</p>
+                </div>
+            `;
+        }
+
         return `
             <div class="empty-state">
                 <div class="empty-state-icon">📝</div>
@@ -733,6 +2067,13 @@ export class DashboardController {
     }
 
     #applyFilters() {
+        if (this.#isTrashView()) {
+            this.#state.filteredReminders = [...this.#trash]
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+            this.#updateFilterDisplay();
+            return;
+        }
+
         let filtered = [...this.#reminders];
 
         // Apply status filter
@@ -740,6 +2081,11 @@ export class DashboardController {
             filtered = filtered.filter(r => r.status === this.#state.currentFilter);
         }
 
+        // Apply query / smart list filter
+        if (this.#state.currentQuery) {
+            filtered = this.#filterByQuery(filtered, this.#state.currentQuery);
+        }
+
         // Apply sorting
         filtered.sort((a, b) => {
             switch (this.#state.sortBy) {
@@ -763,8 +2109,39 @@ export class DashboardController {
         const filterInfo = document.getElementById('filterInfo');
         const filterText = document.getElementById('filterText');
         const remindersTitle = document.getElementById('remindersTitle');
+        const queryInput = document.getElementById('reminderQuery');
+
+        if (queryInput && document.activeElement !== queryInput) {
+            queryInput.value = this.#state.currentQuery;
+        }
+
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.style.display = this.#isTrashView() && this.#trash.length > 0 ? '' : 'none';
+        }
+
+        if (this.#isTrashView()) {
+            const { retentionDays } = APP_CONFIG.storage.trash;
 
-        if (this.#state.currentFilter === 'all') {
+            filterInfo?.style.setProperty('display', 'flex');
+            if (filterText) {
+                filterText.textContent = retentionDays > 0
+                    ? `${this.#trash.length} reminders in trash · removed for good after ${retentionDays} days`
+                    : `${this.#trash.length} reminders in trash`;
+            }
+            if (remindersTitle) remindersTitle.textContent = '🗑️ Trash';
+        } else if (this.#state.currentQuery) {
+            const smartList = this.#smartLists.find(list => list.id === this.#state.activeSmartListId);
+            const count = this.#state.filteredReminders.length;
+
+            filterInfo?.style.setProperty('display', 'flex');
+            if (filterText) {
+                filterText.textContent = `Showing ${count} reminders matching "${this.#state.currentQuery}"`;
+            }
+            if (remindersTitle) {
+                remindersTitle.textContent = smartList ? smartList.name : 'Query Results';
+            }
+        } else if (this.#state.currentFilter === 'all') {
             filterInfo?.style.setProperty('display', 'none');
             if (remindersTitle) remindersTitle.textContent = 'All Reminders';
         } else {
@@ -778,7 +2155,237 @@ export class DashboardController {
         }
     }
 
+    #isTrashView() {
+        return this.#state.currentFilter === 'trash' && !this.#state.currentQuery;
+    }
+
+    #renderAuditLog(entries) {
+        const body = document.getElementById('auditLogBody');
+        if (!body) return;
+
+        this.#updateElementText('auditSummary', entries.length === APP_CONFIG.audit.pageSize
+            ? `Showing the latest ${entries.length} entries`
+            : `${entries.length} entries`);
+
+        body.innerHTML = entries.length === 0
+            ? '<tr><td colspan="5" class="audit-changes">No matching entries</td></tr>'
+            : entries.map(entry => `
+                <tr>
+                    <td>${this.#formatDateTime(entry.timestamp)}</td>
+                    <td>${StringUtils.escapeHtml(entry.userId || '—')}</td>
+                    <td class="audit-action">${StringUtils.escapeHtml(entry.action)}</td>
+                    <td>${StringUtils.escapeHtml(entry.reminderId || '—')}</td>
+                    <td class="audit-changes">${StringUtils.escapeHtml(this.#describeAuditChanges(entry))}</td>
+                </tr>
+            `).join('');
+    }
+
+    // "field: before → after" per changed field; sealed entries couldn't be decrypted with the current key
+    #describeAuditChanges(entry) {
+        if (entry.sealed) return '🔒 Encrypted';
+
+        const { before, after } = entry.diff || {};
+        const format = (value) => value === null || value === undefined ? '∅' : JSON.stringify(value);
+        const fields = Object.keys(after || before || {});
+        const changes = fields.map(field => `${field}: ${format(before?.[field])} → ${format(after?.[field])}`);
+        const details = entry.details ? Object.entries(entry.details).map(([key, value]) => `${key}: ${format(value)}`) : [];
+
+        return [...changes, ...details].join('; ') || '—';
+    }
+
+    #renderTrashCount() {
+        this.#updateElementText('trashCount', this.#trash.length);
+        document.getElementById('trashListItem')?.classList.toggle('active', this.#isTrashView());
+    }
+
+    #filterByQuery(reminders, query) {
+        try {
+            const ast = parseQuery(query);
+            const now = new Date();
+            return reminders.filter(r => evaluateQuery(ast, r, now));
+        } catch (error) {
+            console.warn('Invalid smart list query:', error.message);
+            return [];
+        }
+    }
+
+    async #loadSmartLists() {
+        if (!this.#storageService || typeof this.#storageService.getUserPreferences !== 'function') return;
+
+        try {
+            const preferences = await this.#storageService.getUserPreferences(this.#getCurrentUserId());
+            this.#smartLists = Array.isArray(preferences?.smartLists) ? preferences.smartLists : [];
+        } catch (error) {
+            console.warn('Failed to load smart lists:', error);
+        }
+    }
+
+    async #persistSmartLists() {
+        if (!this.#storageService || typeof this.#storageService.saveUserPreferences !== 'function') return;
+
+        // saveUserPreferences replaces the record, so keep the other preferences
+        const userId = this.#getCurrentUserId();
+        const preferences = await this.#storageService.getUserPreferences(userId) || {};
+        await this.#storageService.saveUserPreferences(userId, {
+            ...preferences,
+            smartLists: this.#smartLists
+        });
+    }
+
+    #renderSmartLists() {
+        const container = document.getElementById('smartLists');
+        if (!container) return;
+
+        if (this.#smartLists.length === 0) {
+            container.innerHTML = '<li class="smart-list-empty">Type a query and press ⭐ Save to create a smart list.</li>';
+            return;
+        }
+
+        // Counts are recomputed from the loaded reminders on every render
+        container.innerHTML = this.#smartLists.map(list => {
+            const count = this.#filterByQuery(this.#reminders, list.query).length;
+            const isActive = list.id === this.#state.activeSmartListId;
+            const url = RouteUtils.buildUrl(window.location.pathname, { list: list.id });
+
+            return `
+                <li class="smart-list-item ${isActive ? 'active' : ''}" data-list-id="${list.id}" title="${StringUtils.escapeHtml(list.query)}">
+                    <a href="${url}" class="smart-list-link">${StringUtils.escapeHtml(list.name)}</a>
+                    <span class="smart-list-count">${count}</span>
+                    <button class="smart-list-delete" data-delete-list="${list.id}" aria-label="Delete ${StringUtils.escapeHtml(list.name)}">✕</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // The header's alerts button shows when alerts are being held
+    #renderQuietHoursStatus() {
+        const button = document.getElementById('alertPrefsBtn');
+        if (!button) return;
+
+        const quietEnd = QuietHoursUtils.getQuietEnd(this.#quietHours);
+        button.textContent = quietEnd ? '🌙 Quiet' : '🔔 Alerts';
+        button.title = quietEnd ? `Alerts are held until ${DateUtils.formatDate(quietEnd)}` : 'Alert Preferences';
+        button.classList.toggle('quiet', Boolean(quietEnd));
+    }
+
+    #renderCategoryList() {
+        const container = document.getElementById('categoryList');
+        if (!container) return;
+
+        const counts = new Map();
+        this.#reminders.forEach(reminder => counts.set(reminder.category, (counts.get(reminder.category) || 0) + 1));
+
+        const activeCategory = this.#state.currentQuery.match(/^category:([^\s,]+)$/)?.[1];
+        container.innerHTML = this.#categories.map(category => {
+            const label = StringUtils.escapeHtml(category.label);
+
+            return `
+                <li class="smart-list-item category-list-item ${category.id === activeCategory ? 'active' : ''}" data-category="${category.id}">
+                    <input type="color" class="tag-color-input" value="${category.color}" data-category-color="${category.id}" aria-label="Color of ${label}">
+                    <a href="${RouteUtils.buildUrl(window.location.pathname, { q: `category:${category.id}` })}" class="smart-list-link">${StringUtils.escapeHtml(category.icon)} ${label}</a>
+                    <span class="smart-list-count">${counts.get(category.id) || 0}</span>
+                    <span class="tag-actions">
+                        <button class="tag-action" data-category-action="edit" title="Rename" aria-label="Rename ${label}">✏️</button>
+                        <button class="tag-action" data-category-action="delete" title="Delete" aria-label="Delete ${label}">✕</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Every tag on the list or on a loaded reminder, with live counts; names and colors also feed the form's suggestions
+    #getTagUsage() {
+        const counts = new Map();
+        this.#reminders.forEach(reminder => (reminder.tags || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+
+        const names = new Set([...this.#tags.map(tag => tag.name), ...counts.keys()]);
+        return Array.from(names)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name, color: this.#getTagColor(name), count: counts.get(name) || 0 }));
+    }
+
+    #getTagColor(name) {
+        return this.#tags.find(tag => tag.name === name)?.color || getDefaultTagColor(name);
+    }
+
+    #renderTagList() {
+        const container = document.getElementById('tagList');
+        if (!container) return;
+
+        const tags = this.#getTagUsage();
+        const options = document.getElementById('reminderTagOptions');
+        if (options) {
+            options.innerHTML = tags.map(tag => `<option value="${StringUtils.escapeHtml(tag.name)}"></option>`).join('');
+        }
+
+        if (tags.length === 0) {
+            container.innerHTML = '<li class="smart-list-empty">Add tags to a reminder to see them here.</li>';
+            return;
+        }
+
+        const activeTag = this.#state.currentQuery.match(/^tag:([^\s,]+)$/)?.[1];
+        container.innerHTML = tags.map(tag => {
+            const name = StringUtils.escapeHtml(tag.name);
+
+            return `
+                <li class="smart-list-item tag-list-item ${tag.name === activeTag ? 'active' : ''}" data-tag="${name}">
+                    <input type="color" class="tag-color-input" value="${tag.color}" data-tag-color="${name}" aria-label="Color of ${name}">
+                    <a href="${RouteUtils.buildUrl(window.location.pathname, { q: `tag:${tag.name}` })}" class="smart-list-link">#${name}</a>
+                    <span class="smart-list-count">${tag.count}</span>
+                    <span class="tag-actions">
+                        <button class="tag-action" data-tag-action="rename" title="Rename" aria-label="Rename ${name}">✏️</button>
+                        <button class="tag-action" data-tag-action="merge" title="Merge into another tag" aria-label="Merge ${name}">🔀</button>
+                        <button class="tag-action" data-tag-action="delete" title="Delete" aria-label="Delete ${name}">✕</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Restore the view from ?list=, ?q=, ?filter= and ?sort= so smart lists are bookmarkable
+    #applyUrlState() {
+        const { list, q, filter, sort } = RouteUtils.getUrlParams();
+
+        if (sort) this.#state.sortBy = sort;
+
+        if (list && this.#smartLists.some(smartList => smartList.id === list)) {
+            const smartList = this.#smartLists.find(item => item.id === list);
+            this.#state.currentQuery = smartList.query;
+            this.#state.activeSmartListId = smartList.id;
+            this.#state.sortBy = sort || smartList.sortBy || this.#state.sortBy;
+        } else if (q) {
+            this.#state.currentQuery = q;
+        } else if (filter) {
+            this.#state.currentFilter = filter;
+        }
+
+        this.#applyFilters();
+    }
+
+    #syncUrl() {
+        const { activeSmartListId, currentQuery, currentFilter, sortBy } = this.#state;
+
+        const url = RouteUtils.buildUrl(window.location.pathname, {
+            list: activeSmartListId,
+            q: activeSmartListId ? null : currentQuery || null,
+            filter: currentFilter !== 'all' ? currentFilter : null,
+            sort: sortBy !== 'datetime' ? sortBy : null
+        });
+
+        window.history.replaceState(window.history.state, '', url);
+    }
+
     #setupEventHandlers() {
+        // Checklist items, toggled by id from the item's data attribute rather than an inline handler
+        const remindersList = document.getElementById('remindersList');
+        if (remindersList) {
+            remindersList.addEventListener('change', (e) => {
+                const checkbox = e.target.closest('[data-subtask-id]');
+                const reminderId = checkbox?.closest('.reminder-item')?.dataset.id;
+                if (reminderId) this.toggleSubtask(reminderId, checkbox.dataset.subtaskId);
+            });
+        }
+
         // Clear filter button
         const clearFilterBtn = document.getElementById('clearFilterBtn');
         if (clearFilterBtn) {
@@ -788,18 +2395,135 @@ export class DashboardController {
         // Sort selector
         const sortSelect = document.getElementById('sortBy');
         if (sortSelect) {
+            sortSelect.value = this.#state.sortBy;
             sortSelect.addEventListener('change', (e) => {
                 this.#state.sortBy = e.target.value;
                 this.#applyFilters();
+                this.#syncUrl();
                 this.#render();
             });
         }
 
+        // Query input
+        const queryInput = document.getElementById('reminderQuery');
+        if (queryInput) {
+            queryInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.setQuery(queryInput.value);
+                }
+            });
+        }
+
+        // Save current view as a smart list
+        const saveSmartListBtn = document.getElementById('saveSmartListBtn');
+        if (saveSmartListBtn) {
+            saveSmartListBtn.addEventListener('click', () => {
+                if (!this.#canSaveSmartList()) return;
+                const name = prompt('Name this smart list (e.g. "Urgent work this week"):');
+                if (name) this.saveSmartList(name);
+            });
+        }
+
+        // Smart list selection and deletion
+        const smartListsContainer = document.getElementById('smartLists');
+        if (smartListsContainer) {
+            smartListsContainer.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('[data-delete-list]');
+                if (deleteBtn) {
+                    e.stopPropagation();
+                    this.deleteSmartList(deleteBtn.dataset.deleteList);
+                    return;
+                }
+
+                const item = e.target.closest('[data-list-id]');
+                if (item) {
+                    e.preventDefault();
+                    this.selectSmartList(item.dataset.listId);
+                }
+            });
+        }
+
+        // Tag filtering and management
+        const tagList = document.getElementById('tagList');
+        if (tagList) {
+            tagList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-tag]');
+                if (!item || e.target.closest('.tag-color-input')) return;
+
+                e.preventDefault();
+                const action = e.target.closest('[data-tag-action]')?.dataset.tagAction;
+                if (action === 'rename') this.renameTag(item.dataset.tag);
+                else if (action === 'merge') this.mergeTag(item.dataset.tag);
+                else if (action === 'delete') this.deleteTag(item.dataset.tag);
+                else this.filterByTag(item.dataset.tag);
+            });
+            tagList.addEventListener('change', (e) => {
+                const input = e.target.closest('[data-tag-color]');
+                if (input) this.setTagColor(input.dataset.tagColor, input.value);
+            });
+        }
+
+        // Category filtering and management
+        const categoryList = document.getElementById('categoryList');
+        if (categoryList) {
+            categoryList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-category]');
+                if (!item || e.target.closest('.tag-color-input')) return;
+
+                e.preventDefault();
+                const action = e.target.closest('[data-category-action]')?.dataset.categoryAction;
+                if (action === 'edit') this.editCategory(item.dataset.category);
+                else if (action === 'delete') this.deleteCategory(item.dataset.category);
+                else this.setQuery(`category:${item.dataset.category}`);
+            });
+            categoryList.addEventListener('change', (e) => {
+                const input = e.target.closest('[data-category-color]');
+                if (input) this.setCategoryColor(input.dataset.categoryColor, input.value);
+            });
+        }
+
+        const addCategoryBtn = document.getElementById('addCategoryBtn');
+        if (addCategoryBtn) {
+            addCategoryBtn.addEventListener('click', () => this.addCategory());
+        }
+
+        // Trash view
+        const trashListItem = document.getElementById('trashListItem');
+        if (trashListItem) {
+            trashListItem.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setFilter('trash');
+            });
+        }
+
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        }
+
+        // Audit log filters
+        const auditAction = document.getElementById('auditAction');
+        if (auditAction) {
+            Object.values(AUDIT_ACTIONS).forEach(action => auditAction.add(new Option(action, action)));
+            auditAction.addEventListener('change', () => this.loadAuditLog());
+        }
+
+        const auditRefreshBtn = document.getElementById('auditRefreshBtn');
+        if (auditRefreshBtn) {
+            auditRefreshBtn.addEventListener('click', () => this.loadAuditLog());
+        }
+
         // Refresh button
         const refreshRemindersBtn = document.getElementById('refreshRemindersBtn');
         if (refreshRemindersBtn) {
             refreshRemindersBtn.addEventListener('click', () => this.refresh());
         }
+
+        // Undo/redo shortcuts
+        const historyShortcuts = (e) => this.#handleHistoryShortcut(e);
+        document.addEventListener('keydown', historyShortcuts);
+        this.#eventCleanupFunctions.add(() => document.removeEventListener('keydown', historyShortcuts));
     }
 
     #startAutoRefresh() {
@@ -887,6 +2611,8 @@ export class DashboardController {
         } catch (error) {
             console.warn('Notification service cleanup error:', error);
         }
+        this.#digest?.stop();
+        this.#authService?.destroy();
 
         if (this.#storageService && typeof this.#storageService.close === 'function') {
             this.#storageService.close().catch(error => {
@@ -924,22 +2650,24 @@ export class DashboardController {
     }
 
     #checkAuthentication() {
-        const session = localStorage.getItem('user_session');
-        if (!session) {
+        // Sessions are written by AuthService through LocalStorage, which also handles expiry
+        const session = LocalStorage.get(APP_CONFIG.storage.keys.USER_SESSION);
+        if (!session?.username) {
             console.warn('No authentication session found');
-            window.location.href = 'login.html';
-            return false;
-        }
-
-        try {
-            this.#currentUser = JSON.parse(session);
-            return true;
-        } catch (error) {
-            console.error('Invalid session data:', error);
             localStorage.removeItem('user_session');
             window.location.href = 'login.html';
             return false;
         }
+
+        this.#currentUser = session;
+        return true;
+    }
+
+    // Hide controls marked with data-permission that the current role can't use
+    #applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !hasPermission(this.#currentUser, element.dataset.permission);
+        });
     }
 
     #getCurrentUserId() {
@@ -952,10 +2680,27 @@ export class DashboardController {
     }
 
     #refreshView() {
+        this.#updateBlockedState();
         this.#applyFilters();
         this.#render();
     }
 
+    // Hold back alerts of blocked reminders, and announce the ones whose last open blocker just closed
+    #updateBlockedState() {
+        const byId = new Map(this.#reminders.map(reminder => [reminder.id, reminder]));
+        const blocked = new Set(this.#reminders
+            .filter(reminder => DependencyUtils.isOpen(reminder) && DependencyUtils.isBlocked(reminder, byId))
+            .map(reminder => reminder.id));
+
+        const released = this.#blockedIds
+            ? Array.from(this.#blockedIds).filter(id => !blocked.has(id) && DependencyUtils.isOpen(byId.get(id)))
+            : [];
+
+        this.#blockedIds = blocked;
+        this.#reminders.forEach(reminder => this.#notificationService.setBlocked(reminder.id, blocked.has(reminder.id)));
+        released.forEach(id => this.#showNotification(`🔓 "${byId.get(id).title}" is no longer blocked`, 'info'));
+    }
+
     #findReminder(id) {
         return this.#reminders.find(r => r.id === id);
     }
@@ -970,29 +2715,69 @@ export class DashboardController {
         if (new Date(data.datetime) <= new Date()) {
             throw new Error('Date and time must be in the future');
         }
+        if (data.category && !this.#getCategory(data.category)) {
+            throw new Error('Invalid category');
+        }
+        if (data.recurrence) {
+            const [recurrenceError] = validateRecurrenceRule(data.recurrence);
+            if (recurrenceError) {
+                throw new Error(recurrenceError.message);
+            }
+        }
+        if (data.dependsOn?.some(id => !DependencyUtils.isOpen(this.#findReminder(id)))) {
+            throw new Error('A blocking reminder no longer exists or is already done');
+        }
+        if (data.subtasks) {
+            const [subtaskError] = validateSubtasks(data.subtasks);
+            if (subtaskError) {
+                throw new Error(subtaskError.message);
+            }
+        }
+        if (data.tags) {
+            const [tagError] = validateTags(data.tags);
+            if (tagError) {
+                throw new Error(tagError.message);
+            }
+        }
     }
 
     #generateId() {
         return StringUtils.generateUUID();
     }
 
-    #showNotification(message, type = 'info') {
-        // Use the notification system from components
-        if (window.showNotification) {
-            window.showNotification(message, type);
-        } else {
-            // Fallback to alert
-            alert(`${type.toUpperCase()}: ${message}`);
+    #showNotification(message, type = 'info', options = {}) {
+        // A page-provided handler wins; otherwise use the toast component
+        const toast = window.showNotification
+            ? window.showNotification(message, type, options)
+            : showToast(message, type, options);
+
+        if (options.undoable) {
+            this.#undoToast?.dismiss?.();
+            this.#undoToast = toast;
         }
+        return toast;
     }
 
     #updateStorageIndicator() {
         const indicator = document.getElementById('storageIndicator');
         if (!indicator) return;
 
-        indicator.textContent = `💾 ${this.#state.storageType}`;
+        indicator.textContent = `💾 ${this.#state.storageType}${this.#formatSyncStatus()}`;
         indicator.className = `storage-indicator ${this.#state.storageType.toLowerCase().replace(/[^a-z]/g, '')}`;
 
+        const syncStatus = this.#state.syncStatus;
+        if (syncStatus) {
+            indicator.dataset.sync = syncStatus.pendingOperations > 0 && syncStatus.state === SYNC_STATES.IDLE
+                ? 'pending'
+                : syncStatus.state;
+            indicator.title = syncStatus.lastSyncedAt
+                ? `Last synced ${this.#formatDateTime(syncStatus.lastSyncedAt)}`
+                : 'Not synced yet';
+        } else {
+            delete indicator.dataset.sync;
+            indicator.removeAttribute('title');
+        }
+
         // Update storage info section
         const storageTitle = document.getElementById('storageTitle');
         const storageDescription = document.getElementById('storageDescription');
@@ -1023,6 +2808,24 @@ export class DashboardController {
         }
     }
 
+    #formatSyncStatus() {
+        const status = this.#state.syncStatus;
+        if (!status) return '';
+
+        switch (status.state) {
+            case SYNC_STATES.SYNCING:
+                return ' · Syncing…';
+            case SYNC_STATES.OFFLINE:
+                return status.pendingOperations > 0 ? ` · Offline (${status.pendingOperations} pending)` : ' · Offline';
+            case SYNC_STATES.ERROR:
+                return ' · Sync error';
+            case SYNC_STATES.STOPPED:
+                return '';
+            default:
+                return status.pendingOperations > 0 ? ` · ${status.pendingOperations} pending` : ' · Synced';
+        }
+    }
+
     async #getNotificationStats() {
         try {
             return this.#notificationService?.getNotificationStats() || {
@@ -1062,6 +2865,16 @@ export class DashboardController {
         message += `• Scheduled Alerts: ${notificationStats.totalScheduled || 0}\n`;
         message += `• Active Reminders: ${notificationStats.activeReminders || 0}\n`;
         message += `• Permission: ${notificationStats.permissionState || 'unknown'}\n`;
+        message += `• Alerts Shown In: ${notificationStats.isLeader === false ? 'another tab' : 'this tab'}\n`;
+
+        const { acknowledgements } = notificationStats;
+        if (acknowledgements?.count) {
+            message += `• Responses: ${acknowledgements.count} (median ${Math.round(acknowledgements.medianLatencyMs / 1000)}s, average ${Math.round(acknowledgements.averageLatencyMs / 1000)}s)\n`;
+        }
+        message += `• Unanswered Alerts: ${notificationStats.missedAlerts || 0}\n`;
+        (notificationStats.channels || []).filter(channel => channel.delivered || channel.failed).forEach(channel => {
+            message += `• Channel ${channel.id}: ${channel.delivered} sent, ${channel.failed} failed\n`;
+        });
 
         message += `\n📈 Current Session:\n`;
         message += `• Total Reminders: ${this.#reminders.length}\n`;
@@ -1090,6 +2903,169 @@ export class DashboardController {
         };
     }
 
+    async #importIntoStorage(importData) {
+        const userId = this.#getCurrentUserId();
+
+        // Try to import via storage service, fallback to local import
+        if (this.#storageService && typeof this.#storageService.importData === 'function') {
+            try {
+                return await this.#storageService.importData(importData, userId);
+            } catch (error) {
+                console.warn('Storage import failed, importing locally:', error);
+                return this.#importDataLocally(importData, userId);
+            }
+        }
+
+        return this.#importDataLocally(importData, userId);
+    }
+
+    async #importCsvFile(file) {
+        const rows = CsvUtils.parse(await this.#readFileAsText(file));
+        if (rows.length < 2) {
+            throw new Error('CSV file must contain a header row and at least one data row');
+        }
+
+        const mapping = await this.#promptCsvMapping(rows[0], rows[1]);
+        if (!mapping) return;
+
+        const { importData, report } = CsvUtils.buildImport(rows, mapping);
+        const imported = importData.data.reminders.length > 0
+            ? await this.#importIntoStorage(importData)
+            : 0;
+
+        await this.#loadData();
+        this.#refreshView();
+
+        this.#showImportReport(report, imported);
+    }
+
+    /**
+     * Let the user confirm which reminder field each CSV column maps to.
+     * Resolves with one field name (or null) per column, or null when cancelled.
+     */
+    #promptCsvMapping(headers, sampleRow) {
+        const suggested = CsvUtils.suggestMapping(headers);
+        const fieldLabels = {
+            title: 'Title', description: 'Description', datetime: 'Date & time', date: 'Date only',
+            time: 'Time only', category: 'Category', priority: 'Priority', status: 'Status',
+            alertTimings: 'Alert timings (minutes)', notification: 'Notifications', subtasks: 'Checklist',
+            tags: 'Tags', createdAt: 'Created at'
+        };
+
+        const rowsHtml = headers.map((header, index) => `
+            <tr>
+                <td>${StringUtils.escapeHtml(header) || `Column ${index + 1}`}</td>
+                <td class="csv-sample">${StringUtils.escapeHtml(sampleRow[index] || '')}</td>
+                <td>
+                    <select class="form-select" data-column="${index}">
+                        <option value="">Ignore</option>
+                        ${CsvUtils.FIELDS.map(field => `
+                            <option value="${field}" ${suggested[index] === field ? 'selected' : ''}>${fieldLabels[field]}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+
+        const modal = this.#createDialog('📑 Map CSV Columns', `
+            <p>Choose which reminder field each column contains. Title and a date are required.</p>
+            <p class="csv-mapping-help">Dates can be written 2026-11-02, 11/02/2026 (month first) or 02.11.2026 (day first),
+                with an optional time such as 17:00 or 5:00 PM, and are read in your time zone.</p>
+            <table class="csv-mapping-table">
+                <thead><tr><th>Column</th><th>First row</th><th>Field</th></tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            <p class="csv-mapping-error" role="alert"></p>
+        `, [
+            { id: 'cancel', label: 'Cancel', className: 'btn btn-secondary' },
+            { id: 'confirm', label: 'Import', className: 'btn btn-primary' }
+        ]);
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                modal.remove();
+                resolve(result);
+            };
+
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+            modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+                const mapping = [...modal.querySelectorAll('select[data-column]')]
+                    .map(select => select.value || null);
+                const fields = mapping.filter(Boolean);
+
+                if (!fields.includes('title') || !(fields.includes('datetime') || fields.includes('date'))) {
+                    modal.querySelector('.csv-mapping-error').textContent = 'Map a Title column and a Date & time (or Date) column.';
+                    return;
+                }
+
+                if (new Set(fields).size !== fields.length) {
+                    modal.querySelector('.csv-mapping-error').textContent = 'Each field can only be mapped to one column.';
+                    return;
+                }
+
+                close(mapping);
+            });
+        });
+    }
+
+    #showImportReport(report, imported) {
+        const listItems = (entries, describe) => entries
+            .map(entry => `<li><strong>Row ${entry.row}</strong>: ${StringUtils.escapeHtml(describe(entry))}</li>`)
+            .join('');
+
+        const modal = this.#createDialog('📋 Import Report', `
+            <ul class="import-report-summary">
+                <li>✅ Accepted: <strong>${report.accepted.length}</strong> (${imported} saved to ${StringUtils.escapeHtml(this.#state.storageType)})</li>
+                <li>⏭️ Skipped: <strong>${report.skipped.length}</strong></li>
+                <li>❌ Invalid: <strong>${report.invalid.length}</strong></li>
+            </ul>
+            ${report.invalid.length > 0 ? `
+                <h4>Invalid rows</h4>
+                <ul class="import-report-list">${listItems(report.invalid, entry => entry.errors.join('; '))}</ul>
+            ` : ''}
+            ${report.skipped.length > 0 ? `
+                <h4>Skipped rows</h4>
+                <ul class="import-report-list">${listItems(report.skipped, entry => entry.reason)}</ul>
+            ` : ''}
+        `, [
+            { id: 'close', label: 'Close', className: 'btn btn-primary' }
+        ]);
+
+        const close = () => modal.remove();
+        modal.querySelector('[data-action="close"]').addEventListener('click', close);
+        modal.querySelector('.modal-close').addEventListener('click', close);
+
+        this.#showNotification(
+            `Imported ${imported} of ${report.total} rows (${report.invalid.length} invalid, ${report.skipped.length} skipped)`,
+            report.invalid.length > 0 ? 'warning' : 'success'
+        );
+    }
+
+    // Build a modal using the page's existing modal styles
+    #createDialog(title, bodyHtml, actions) {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">${title}</h2>
+                    <button class="modal-close" type="button" aria-label="Close dialog">&times;</button>
+                </div>
+                <div class="modal-body">${bodyHtml}</div>
+                <div class="modal-footer">
+                    ${actions.map(action => `
+                        <button type="button" class="${action.className}" data-action="${action.id}">${action.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
     async #importDataLocally(importData, userId) {
         const { reminders = [] } = importData.data;
         let imported = 0;
@@ -1140,6 +3116,9 @@ export class DashboardController {
         } else if (format === 'csv') {
             content = this.#convertToCSV(data.data.reminders);
             mimeType = 'text/csv';
+        } else if (format === ICalendarUtils.FILE_EXTENSION) {
+            content = ICalendarUtils.fromExportData(data);
+            mimeType = ICalendarUtils.MIME_TYPE;
         }
 
         BrowserUtils.downloadFile(content, filename, mimeType);
@@ -1148,7 +3127,7 @@ export class DashboardController {
     #convertToCSV(reminders) {
         if (!reminders || reminders.length === 0) return '';
 
-        const headers = ['Title', 'Description', 'DateTime', 'Category', 'Priority', 'Status', 'Created'];
+        const headers = ['Title', 'Description', 'DateTime', 'Category', 'Priority', 'Status', 'Subtasks', 'Tags', 'Created'];
         const rows = reminders.map(r => [
             r.title || '',
             r.description || '',
@@ -1156,6 +3135,8 @@ export class DashboardController {
             r.category || '',
             r.priority || '',
             r.status || '',
+            ChecklistUtils.format(r.subtasks),
+            (r.tags || []).join(', '),
             r.createdAt || ''
         ]);
 
@@ -1168,7 +3149,7 @@ export class DashboardController {
         return new Promise((resolve) => {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.json,.csv';
+            input.accept = '.json,.csv,.ics';
 
             input.onchange = (e) => {
                 const file = e.target.files[0];
@@ -1180,25 +3161,35 @@ export class DashboardController {
         });
     }
 
-    async #parseImportFile(file) {
+    #readFileAsText(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const content = e.target.result;
-                    const data = JSON.parse(content);
-                    resolve(data);
-                } catch (error) {
-                    reject(new Error(`Failed to parse import file: ${error.message}`));
-                }
-            };
-
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsText(file);
         });
     }
 
+    async #parseImportFile(file) {
+        const content = await this.#readFileAsText(file);
+
+        try {
+            // iCalendar files are mapped to the regular import payload
+            if (/\.ics$/i.test(file.name) || file.type === ICalendarUtils.MIME_TYPE) {
+                const data = ICalendarUtils.toImportData(content, { categories: this.#categories });
+                const { skipped } = data.data.metadata;
+                if (skipped.length > 0) {
+                    console.warn(`Skipped ${skipped.length} calendar entries:`, skipped);
+                }
+                return data;
+            }
+
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Failed to parse import file: ${error.message}`);
+        }
+    }
+
     #validateImportData(data) {
         if (!data || typeof data !== 'object') {
             throw new Error('Invalid import file format');
@@ -1216,6 +3207,18 @@ export class DashboardController {
             if (!reminder.datetime) {
                 throw new Error(`Reminder at index ${index} is missing datetime`);
             }
+            if (reminder.subtasks) {
+                const [subtaskError] = validateSubtasks(reminder.subtasks);
+                if (subtaskError) {
+                    throw new Error(`Reminder at index ${index}: ${subtaskError.message}`);
+                }
+            }
+            if (reminder.tags) {
+                const [tagError] = validateTags(reminder.tags);
+                if (tagError) {
+                    throw new Error(`Reminder at index ${index}: ${tagError.message}`);
+                }
+            }
         });
     }
 
@@ -1291,6 +3294,87 @@ export class DashboardController {
         }
     }
 
+    // One quiet hours row per weekday, Monday first; extra windows on a day aren't shown
+    #showAlertSettingsModal() {
+        const modal = document.getElementById('alertSettingsModal');
+        const days = document.getElementById('quietHoursDays');
+        if (!modal || !days) return;
+
+        const { enabled, windows, dndUntil, breakthroughPriority } = this.#quietHours;
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        days.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+            const quietWindow = windows.find(item => item.day === day);
+            return `
+                <div class="quiet-hours-day" data-day="${day}">
+                    <label class="checkbox-label">
+                        <input type="checkbox" name="quietDay" value="${day}" ${quietWindow ? 'checked' : ''}>
+                        <span title="${dayNames[day]}">${WEEKDAY_CODES[day]}</span>
+                    </label>
+                    <input type="time" name="quietStart" class="form-input" value="${quietWindow?.start || '22:00'}" aria-label="${dayNames[day]} quiet hours start">
+                    <span>to</span>
+                    <input type="time" name="quietEnd" class="form-input" value="${quietWindow?.end || '07:00'}" aria-label="${dayNames[day]} quiet hours end">
+                </div>
+            `;
+        }).join('');
+
+        const form = document.getElementById('alertSettingsForm');
+        form.elements.quietHoursEnabled.checked = enabled;
+        form.elements.breakthroughPriority.value = breakthroughPriority === null ? '' : String(breakthroughPriority);
+        form.elements.dnd.value = '';
+
+        const dndActive = QuietHoursUtils.isDndActive(this.#quietHours);
+        this.#updateElementText('dndStatus', dndActive ? `On until ${DateUtils.formatDate(dndUntil)}` : 'Off');
+
+        this.#renderChannelSettings();
+
+        const digest = this.getDigestSchedule();
+        form.elements.digestEnabled.checked = digest.enabled;
+        form.elements.digestFrequency.value = digest.frequency;
+        form.elements.digestDay.value = String(digest.day);
+        form.elements.digestTime.value = digest.time;
+
+        modal.classList.add('active');
+        modal.style.display = 'flex';
+    }
+
+    // One row per channel, plus an empty webhook row to add another; no categories selected means all of them
+    #renderChannelSettings() {
+        const container = document.getElementById('notificationChannels');
+        if (!container) return;
+
+        const labels = {
+            [CHANNEL_TYPES.POPUP]: '🪟 Popup',
+            [CHANNEL_TYPES.BROWSER]: '🔔 Browser notification',
+            [CHANNEL_TYPES.SOUND]: '🔊 Sound',
+            [CHANNEL_TYPES.WEBHOOK]: '🌐 Webhook'
+        };
+        const webhooks = this.#channels.filter(channel => channel.type === CHANNEL_TYPES.WEBHOOK);
+        const rows = webhooks.length < CHANNEL_LIMITS.MAX_WEBHOOKS
+            ? [...this.#channels, { id: '', type: CHANNEL_TYPES.WEBHOOK, enabled: true, categories: [], url: '' }]
+            : this.#channels;
+
+        container.innerHTML = rows.map(channel => `
+            <div class="notification-channel" data-channel-id="${StringUtils.escapeHtml(channel.id)}" data-channel-type="${channel.type}">
+                <label class="checkbox-label">
+                    <input type="checkbox" name="channelEnabled" ${channel.enabled ? 'checked' : ''}>
+                    ${labels[channel.type]}
+                </label>
+                ${channel.type === CHANNEL_TYPES.WEBHOOK ? `
+                    <input type="url" name="channelUrl" class="form-input" placeholder="https://example.com/hooks/reminders"
+                        value="${StringUtils.escapeHtml(channel.url || '')}" aria-label="Webhook URL">
+                ` : ''}
+                <select name="channelCategories" class="form-select" multiple size="3" aria-label="Categories sent to ${labels[channel.type]}">
+                    ${this.#categories.map(category => `
+                        <option value="${StringUtils.escapeHtml(category.id)}" ${channel.categories.includes(category.id) ? 'selected' : ''}>
+                            ${category.icon} ${StringUtils.escapeHtml(category.label)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+    }
+
     // Public method for debugging and testing
     debug() {
         return {
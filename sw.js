@@ -0,0 +1,367 @@
+/**
+ * Reminders Vault Service Worker
+ * - Precaches the app shell; pages add their lazily loaded route modules with a 'precache' message
+ * - Serves static assets cache-first with background refresh, pages network-first
+ * - Keeps the upcoming alert schedule the leader tab sends, and shows due alerts once that tab is gone;
+ *   entries carry ids, times and generic text, never reminder titles. What it showed is kept until the
+ *   user's next tab collects it, so those alerts aren't reported as missed
+ * - Queues Complete/Snooze clicks from notifications until a tab picks them up
+ *
+ * Classic script (not a module) so every browser with service workers can run it;
+ * it can't import app modules, so message types are spelled out here and in ServiceWorkerBridge.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `reminders-vault-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `reminders-vault-runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'pages/login.html',
+  'pages/dashboard.html',
+  'assets/css/styles.css',
+  'assets/css/login.css',
+  'assets/css/dashboard.css',
+  'assets/icons/icon.svg',
+  'app/bootstrap.js',
+  'app/routes.js',
+  'config/constants.js',
+  'config/environment.js'
+];
+
+// Request destinations worth caching; API calls (destination '') always go to the network
+const CACHEABLE_DESTINATIONS = ['document', 'script', 'style', 'image', 'font', 'manifest'];
+
+const DB_NAME = 'RemindersVaultWorker';
+const DB_VERSION = 2;
+const ALERTS_STORE = 'alerts'; // Upcoming alerts, keyed by notification tag and time
+const ACTIONS_STORE = 'actions'; // Notification button clicks waiting for a tab
+const DELIVERED_STORE = 'delivered'; // Alert queue ids of alerts shown here, until the user's tab takes them
+
+const PERIODIC_SYNC_TAG = 'check-due-reminders';
+const MAX_ALERT_DELAY = 60 * 60 * 1000; // Alerts later than this after their time are dropped, not shown
+
+const NOTIFICATION_ACTIONS = [
+  { action: 'complete', title: '✅ Complete' },
+  { action: 'snooze', title: '😴 Snooze' }
+];
+
+let nextCheckTimer = null;
+let alertOwnerId = null; // Client id of the tab currently showing alerts itself
+let databasePromise = null;
+
+// === Lifecycle ===
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+      caches.open(SHELL_CACHE)
+          .then(cache => cache.addAll(APP_SHELL))
+          .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith('reminders-vault-') && !keep.includes(name))
+        .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+    await showDueAlerts();
+  })());
+});
+
+// === Caching ===
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (!CACHEABLE_DESTINATIONS.includes(request.destination)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request)) || (await caches.match('index.html')) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cached = await caches.match(request);
+
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// === Messages from pages ===
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  const reply = (data) => event.ports[0]?.postMessage(data);
+
+  const handlers = {
+    'precache': () => caches.open(SHELL_CACHE).then(cache => cache.addAll(message.urls || [])),
+    'claim-alerts': async () => {
+      alertOwnerId = event.source?.id || null;
+    },
+    'schedule-alerts': () => replaceAlerts(message.reminderId, message.alerts || []),
+    'cancel-alerts': () => replaceAlerts(message.reminderId, []),
+    'clear-alerts': () => clearStore(ALERTS_STORE),
+    'check-due': () => showDueAlerts(),
+    'take-actions': () => takeQueuedActions().then(reply),
+    'take-delivered': () => takeDeliveredAlerts(message.userId).then(reply)
+  };
+
+  const handler = handlers[message.type];
+  if (!handler) return;
+
+  event.waitUntil(handler().catch(error => {
+    console.warn(`Service Worker failed to handle "${message.type}":`, error);
+    reply(null);
+  }));
+});
+
+// === Background alerts ===
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(showDueAlerts());
+  }
+});
+
+/**
+ * Show alerts whose time has come
+ * While the owning tab is open it shows its own alerts, so due entries are just dropped.
+ * The owner is forgotten when the worker restarts; notifications share the page's tags, so a repeat replaces rather than stacks.
+ */
+async function showDueAlerts() {
+  const now = Date.now();
+  const alerts = await getAll(ALERTS_STORE);
+  const due = alerts.filter(alert => alert.fireAt <= now);
+
+  if (due.length > 0) {
+    const owner = alertOwnerId ? await self.clients.get(alertOwnerId) : null;
+
+    for (const alert of due) {
+      if (!owner && now - alert.fireAt <= MAX_ALERT_DELAY) {
+        await self.registration.showNotification(alert.title, {
+          ...alert.options,
+          actions: NOTIFICATION_ACTIONS
+        });
+        if (alert.queueId) await recordDelivered(alert);
+      }
+      await deleteRecord(ALERTS_STORE, alert.id);
+    }
+  }
+
+  scheduleNextCheck(alerts.filter(alert => alert.fireAt > now));
+}
+
+// Best effort: the browser may stop an idle worker before this fires; periodic sync and pages cover the gap
+function scheduleNextCheck(pending) {
+  clearTimeout(nextCheckTimer);
+  if (pending.length === 0) return;
+
+  const next = Math.min(...pending.map(alert => alert.fireAt));
+  nextCheckTimer = setTimeout(() => showDueAlerts(), Math.max(0, next - Date.now()));
+}
+
+async function replaceAlerts(reminderId, alerts) {
+  const db = await openDatabase();
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(ALERTS_STORE, 'readwrite');
+    const store = transaction.objectStore(ALERTS_STORE);
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        if (cursor.value.reminderId === reminderId) cursor.delete();
+        cursor.continue();
+        return;
+      }
+      alerts.forEach(alert => store.put({ ...alert, reminderId }));
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+  scheduleNextCheck((await getAll(ALERTS_STORE)).filter(alert => alert.fireAt > Date.now()));
+}
+
+async function recordDelivered(alert) {
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(DELIVERED_STORE, 'readwrite');
+    transaction.objectStore(DELIVERED_STORE).put({ queueId: alert.queueId, userId: alert.options?.data?.userId ?? null });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Read and remove one user's records in one transaction; other users' wait for their own tabs
+async function takeDeliveredAlerts(userId) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DELIVERED_STORE, 'readwrite');
+    const request = transaction.objectStore(DELIVERED_STORE).openCursor();
+    const taken = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.userId === userId) {
+        taken.push(cursor.value.queueId);
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(taken);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// === Notification clicks ===
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event;
+  const data = notification.data || {};
+  notification.close();
+
+  if (NOTIFICATION_ACTIONS.some(({ action }) => action === event.action) && data.reminderId) {
+    event.waitUntil(queueAction({
+      action: event.action,
+      reminderId: data.reminderId,
+      userId: data.userId,
+      clickedAt: new Date().toISOString()
+    }));
+    return;
+  }
+
+  event.waitUntil(focusApp());
+});
+
+// Queue first so the click survives even if no tab is open; the leader tab drains the queue
+async function queueAction(action) {
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(ACTIONS_STORE, 'readwrite');
+    transaction.objectStore(ACTIONS_STORE).add(action);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'actions-queued' }));
+}
+
+// Read and clear in one transaction so a click arriving meanwhile isn't lost
+async function takeQueuedActions() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ACTIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(ACTIONS_STORE);
+    const request = store.getAll();
+
+    request.onsuccess = () => store.clear();
+    transaction.oncomplete = () => resolve(request.result || []);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function focusApp() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find(client => new URL(client.url).pathname.endsWith('/dashboard.html')) || windows[0];
+
+  if (existing) return existing.focus();
+  return self.clients.openWindow('pages/dashboard.html');
+}
+
+// === IndexedDB helpers ===
+
+function openDatabase() {
+  databasePromise ||= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ALERTS_STORE)) {
+        db.createObjectStore(ALERTS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(ACTIONS_STORE)) {
+        db.createObjectStore(ACTIONS_STORE, { autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(DELIVERED_STORE)) {
+        db.createObjectStore(DELIVERED_STORE, { keyPath: 'queueId' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+  });
+  return databasePromise;
+}
+
+async function getAll(storeName) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function deleteRecord(storeName, key) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).delete(key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function clearStore(storeName) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).clear();
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
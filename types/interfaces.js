@@ -14,7 +14,8 @@ export const ERROR_CODES = Object.freeze({
     DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
     TIMEOUT: 'TIMEOUT',
     INITIALIZATION_FAILED: 'INITIALIZATION_FAILED',
-    AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED'
+    AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+    STORAGE_LOCKED: 'STORAGE_LOCKED'
 });
 
 // Custom error classes
@@ -68,6 +69,112 @@ export class AuthenticationError extends Error {
     }
 }
 
+export class PermissionError extends Error {
+    constructor(permission, message = `You do not have permission to perform this action (${permission})`) {
+        super(message);
+        this.name = 'PermissionError';
+        this.permission = permission;
+        this.code = ERROR_CODES.PERMISSION_DENIED;
+        this.timestamp = new Date().toISOString();
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            permission: this.permission,
+            code: this.code,
+            timestamp: this.timestamp
+        };
+    }
+}
+
+// Raised by notification channels that couldn't deliver an alert; details.retryable says whether trying again may help
+export class ChannelError extends Error {
+    constructor(message, code = ERROR_CODES.NETWORK_ERROR, details = null) {
+        super(message);
+        this.name = 'ChannelError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            code: this.code,
+            details: this.details,
+            timestamp: this.timestamp
+        };
+    }
+}
+
+// Raised by sync transports when the remote backend can't be reached or rejects a request
+export class SyncError extends Error {
+    constructor(message, code = ERROR_CODES.NETWORK_ERROR, details = null) {
+        super(message);
+        this.name = 'SyncError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            code: this.code,
+            details: this.details,
+            timestamp: this.timestamp
+        };
+    }
+}
+
+// User roles carried on sessions
+export const USER_ROLES = Object.freeze({
+    ADMINISTRATOR: 'administrator',
+    MANAGER: 'manager',
+    USER: 'user'
+});
+
+// Permissions, named resource:action
+export const PERMISSIONS = Object.freeze({
+    REMINDERS_READ: 'reminders:read',
+    REMINDERS_CREATE: 'reminders:create',
+    REMINDERS_CREATE_ANY: 'reminders:create-any',
+    REMINDERS_READ_ANY: 'reminders:read-any',
+    REMINDERS_UPDATE_ANY: 'reminders:update-any',
+    REMINDERS_DELETE_ANY: 'reminders:delete-any',
+    DATA_EXPORT: 'data:export',
+    DATA_IMPORT: 'data:import',
+    DATA_CLEAR: 'data:clear',
+    AUDIT_READ: 'audit:read'
+});
+
+// Everyone works with their own reminders; "-any" permissions reach other users' reminders
+export const ROLE_PERMISSIONS = Object.freeze({
+    [USER_ROLES.ADMINISTRATOR]: Object.freeze(Object.values(PERMISSIONS)),
+    [USER_ROLES.MANAGER]: Object.freeze([
+        PERMISSIONS.REMINDERS_READ,
+        PERMISSIONS.REMINDERS_CREATE,
+        PERMISSIONS.REMINDERS_CREATE_ANY,
+        PERMISSIONS.REMINDERS_READ_ANY,
+        PERMISSIONS.REMINDERS_UPDATE_ANY,
+        PERMISSIONS.DATA_EXPORT,
+        PERMISSIONS.DATA_IMPORT,
+        PERMISSIONS.DATA_CLEAR
+    ]),
+    // Import and clear only ever touch the signed-in user's own reminders
+    [USER_ROLES.USER]: Object.freeze([
+        PERMISSIONS.REMINDERS_READ,
+        PERMISSIONS.REMINDERS_CREATE,
+        PERMISSIONS.DATA_EXPORT,
+        PERMISSIONS.DATA_IMPORT,
+        PERMISSIONS.DATA_CLEAR
+    ])
+});
+
 // Reminder status enumeration
 export const REMINDER_STATUS = Object.freeze({
     ACTIVE: 'active',
@@ -85,7 +192,7 @@ export const PRIORITY_LEVELS = Object.freeze({
     URGENT: { value: 4, label: 'Urgent', icon: '🔴', color: '#e74c3c' }
 });
 
-// Categories
+// Built-in category ids; each user's own definitions start from DEFAULT_CATEGORIES
 export const REMINDER_CATEGORIES = Object.freeze({
     PERSONAL: 'personal',
     WORK: 'work',
@@ -96,6 +203,105 @@ export const REMINDER_CATEGORIES = Object.freeze({
     OTHER: 'other'
 });
 
+// What a user gets until they edit their categories. Ids are stored on reminders, so editing a label doesn't touch them
+export const DEFAULT_CATEGORIES = Object.freeze([
+    { id: REMINDER_CATEGORIES.PERSONAL, label: 'Personal', icon: '👤', color: '#3498db', alertTimings: [5, 15] },
+    { id: REMINDER_CATEGORIES.WORK, label: 'Work', icon: '💼', color: '#e67e22', alertTimings: [15, 60] },
+    { id: REMINDER_CATEGORIES.HEALTH, label: 'Health', icon: '🩺', color: '#2ecc71', alertTimings: [30, 1440] },
+    { id: REMINDER_CATEGORIES.FINANCE, label: 'Finance', icon: '💰', color: '#f1c40f', alertTimings: [60, 1440] },
+    { id: REMINDER_CATEGORIES.EDUCATION, label: 'Education', icon: '🎓', color: '#9b59b6', alertTimings: [15, 60] },
+    { id: REMINDER_CATEGORIES.SOCIAL, label: 'Social', icon: '🎉', color: '#e74c3c', alertTimings: [60, 1440] },
+    { id: REMINDER_CATEGORIES.OTHER, label: 'Other', icon: '📌', color: '#7f8c8d', alertTimings: [5, 15] }
+].map(category => Object.freeze(category)));
+
+export const CATEGORY_LIMITS = Object.freeze({
+    MAX_CATEGORIES: 30,
+    LABEL_MAX_LENGTH: 30,
+    ICON_MAX_LENGTH: 8
+});
+
+// Until a user sets quiet hours alerts are never held back. Windows are { day, start, end }: day as Date#getDay(),
+// times as "HH:MM" local time; a window whose end is earlier than its start runs past midnight into the next day
+export const DEFAULT_QUIET_HOURS = Object.freeze({
+    enabled: false,
+    windows: Object.freeze([]),
+    dndUntil: null, // Do not disturb, on until this ISO time
+    breakthroughPriority: PRIORITY_LEVELS.URGENT.value // Reminders at least this urgent alert anyway; null holds every alert
+});
+
+export const QUIET_HOURS_LIMITS = Object.freeze({
+    MAX_WINDOWS: 21
+});
+
+// How often the digest of today's agenda, overdue items and the coming week is delivered
+export const DIGEST_FREQUENCIES = Object.freeze({
+    DAILY: 'daily',
+    WEEKLY: 'weekly'
+});
+
+// Off until the user picks a time; weekly digests go out on `day` (as Date#getDay()), both at `time` local time
+export const DEFAULT_DIGEST = Object.freeze({
+    enabled: false,
+    frequency: DIGEST_FREQUENCIES.DAILY,
+    time: '08:00',
+    day: 1
+});
+
+// Where alerts go. Built-in channels stay on the page; webhooks POST each alert as JSON to the user's URL
+export const CHANNEL_TYPES = Object.freeze({
+    POPUP: 'popup',
+    BROWSER: 'browser',
+    SOUND: 'sound',
+    WEBHOOK: 'webhook'
+});
+
+// Each channel routes alerts for the listed category ids, or for every category when the list is empty
+export const DEFAULT_CHANNELS = Object.freeze([
+    { id: CHANNEL_TYPES.POPUP, type: CHANNEL_TYPES.POPUP, enabled: true, categories: [] },
+    { id: CHANNEL_TYPES.BROWSER, type: CHANNEL_TYPES.BROWSER, enabled: true, categories: [] },
+    { id: CHANNEL_TYPES.SOUND, type: CHANNEL_TYPES.SOUND, enabled: true, categories: [] }
+].map(channel => Object.freeze(channel)));
+
+export const CHANNEL_LIMITS = Object.freeze({
+    MAX_WEBHOOKS: 5
+});
+
+// Recurrence frequencies (RRULE FREQ values)
+export const RECURRENCE_FREQUENCIES = Object.freeze({
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+    YEARLY: 'yearly'
+});
+
+// RRULE BYDAY codes, indexed by Date#getDay()
+export const WEEKDAY_CODES = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+// Checklist limits per reminder
+export const SUBTASK_LIMITS = Object.freeze({
+    MAX_ITEMS: 50,
+    TITLE_MAX_LENGTH: 100
+});
+
+// Most reminders one reminder can wait for
+export const MAX_DEPENDENCIES = 20;
+
+// Free-form tags; reminders carry normalized names, colors live in the owner's tag list
+export const TAG_LIMITS = Object.freeze({
+    MAX_PER_REMINDER: 10,
+    NAME_MAX_LENGTH: 30
+});
+
+// Tags without a chosen color get one of these, picked from the name so it stays the same
+export const TAG_COLORS = Object.freeze([
+    '#3498db', '#2ecc71', '#9b59b6', '#e67e22', '#e74c3c', '#1abc9c', '#f1c40f', '#7f8c8d'
+]);
+
+const TAG_NAME_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const SUBTASK_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Ids from generateId; nothing that needs escaping in markup
+
 // Data factory functions
 export function createReminder(data, userId) {
     const now = new Date().toISOString();
@@ -115,7 +321,120 @@ export function createReminder(data, userId) {
         updatedAt: now,
         completedAt: data.completedAt || null,
         snoozedAt: data.snoozedAt || null,
-        snoozeCount: Number(data.snoozeCount) || 0
+        snoozeCount: Number(data.snoozeCount) || 0,
+        recurrence: createRecurrenceRule(data.recurrence, data.datetime),
+        subtasks: Array.isArray(data.subtasks) ? data.subtasks.map(createSubtask) : [],
+        dependsOn: Array.isArray(data.dependsOn) ? [...new Set(data.dependsOn.map(String))] : [],
+        tags: Array.isArray(data.tags) ? [...new Set(data.tags.map(normalizeTagName).filter(Boolean))] : []
+    };
+}
+
+// "#Work Trip" and "work-trip" are the same tag
+export function normalizeTagName(name) {
+    return String(name ?? '').trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+export function getDefaultTagColor(name) {
+    const hash = Array.from(String(name)).reduce((sum, char) => (sum * 31 + char.codePointAt(0)) >>> 0, 0);
+    return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+export function createTag(data, userId) {
+    const name = normalizeTagName(data.name);
+    const now = new Date().toISOString();
+
+    return {
+        userId: userId || data.userId,
+        name,
+        color: data.color || getDefaultTagColor(name),
+        createdAt: data.createdAt || now,
+        updatedAt: now
+    };
+}
+
+// A user-defined category; the id is derived from the label when it isn't given, the same way tag names are
+export function createCategory(data) {
+    const label = String(data.label || '').trim();
+
+    return {
+        id: normalizeTagName(data.id || label),
+        label,
+        icon: String(data.icon || '📁').trim(),
+        color: data.color || getDefaultTagColor(normalizeTagName(data.id || label)),
+        alertTimings: Array.isArray(data.alertTimings) ? data.alertTimings.map(Number) : [5, 15]
+    };
+}
+
+// A user's quiet hours settings, filled in from DEFAULT_QUIET_HOURS
+export function createQuietHours(data = {}) {
+    const dndUntil = data.dndUntil ? new Date(data.dndUntil) : null;
+
+    return {
+        enabled: Boolean(data.enabled),
+        windows: Array.isArray(data.windows)
+            ? data.windows.map(item => ({
+                day: Number(item.day),
+                start: String(item.start || '').trim(),
+                end: String(item.end || '').trim()
+            }))
+            : [],
+        // An unreadable time is kept as given for validation to report
+        dndUntil: dndUntil && !isNaN(dndUntil.getTime()) ? dndUntil.toISOString() : (data.dndUntil || null),
+        breakthroughPriority: data.breakthroughPriority === undefined
+            ? DEFAULT_QUIET_HOURS.breakthroughPriority
+            : (data.breakthroughPriority === null ? null : Number(data.breakthroughPriority))
+    };
+}
+
+// A user's digest schedule, filled in from DEFAULT_DIGEST
+export function createDigestSchedule(data = {}) {
+    return {
+        enabled: Boolean(data.enabled),
+        frequency: data.frequency || DEFAULT_DIGEST.frequency,
+        time: String(data.time || DEFAULT_DIGEST.time).trim(),
+        day: data.day === undefined || data.day === null ? DEFAULT_DIGEST.day : Number(data.day)
+    };
+}
+
+// A channel's routing settings; webhooks also carry their URL
+export function createNotificationChannel(data) {
+    const type = String(data.type || '').trim();
+    const channel = {
+        id: String(data.id || type).trim(),
+        type,
+        enabled: data.enabled !== false,
+        categories: Array.isArray(data.categories) ? [...new Set(data.categories.map(String))] : []
+    };
+
+    return type === CHANNEL_TYPES.WEBHOOK ? { ...channel, url: String(data.url || '').trim() } : channel;
+}
+
+// Checklist item under a reminder; dueAt is optional and independent of the reminder's datetime
+export function createSubtask(data) {
+    const done = Boolean(data.done);
+
+    return {
+        id: typeof data.id === 'string' && SUBTASK_ID_PATTERN.test(data.id) ? data.id : generateId(),
+        title: String(data.title || '').trim(),
+        done,
+        dueAt: data.dueAt || null,
+        completedAt: done ? (data.completedAt || new Date().toISOString()) : null
+    };
+}
+
+export function createRecurrenceRule(data, datetime) {
+    if (!data || !data.frequency) return null;
+
+    return {
+        frequency: String(data.frequency).toLowerCase(),
+        interval: Math.max(1, parseInt(data.interval, 10) || 1),
+        byWeekday: Array.isArray(data.byWeekday)
+            ? [...new Set(data.byWeekday.map(code => String(code).toUpperCase()))]
+            : [],
+        until: data.until || null,
+        count: data.count ? Number(data.count) : null,
+        exceptions: Array.isArray(data.exceptions) ? [...data.exceptions] : [],
+        startDate: data.startDate || datetime || null
     };
 }
 
@@ -136,7 +455,10 @@ export function createUserSession(user, rememberMe = false) {
 }
 
 // Validation functions
-export function validateReminder(data) {
+// Imports pass { allowPastDates: true } so historical reminders are accepted;
+// `categories` is the owner's category list when it's known, the built-in one otherwise
+export function validateReminder(data, options = {}) {
+    const { allowPastDates = false, categories = DEFAULT_CATEGORIES } = options;
     const errors = [];
 
     // Title validation
@@ -158,7 +480,7 @@ export function validateReminder(data) {
         const date = new Date(data.datetime);
         if (isNaN(date.getTime())) {
             errors.push(new ValidationError('datetime', 'Invalid date and time format'));
-        } else if (date <= new Date()) {
+        } else if (!allowPastDates && date <= new Date()) {
             errors.push(new ValidationError('datetime', 'Date and time must be in the future'));
         }
     }
@@ -172,7 +494,7 @@ export function validateReminder(data) {
     }
 
     // Category validation
-    if (data.category && !Object.values(REMINDER_CATEGORIES).includes(data.category)) {
+    if (data.category && !categories.some(category => category.id === data.category)) {
         errors.push(new ValidationError('category', 'Invalid category'));
     }
 
@@ -188,6 +510,32 @@ export function validateReminder(data) {
         }
     }
 
+    // Recurrence validation
+    if (data.recurrence) {
+        errors.push(...validateRecurrenceRule(data.recurrence));
+    }
+
+    // Checklist validation
+    if (data.subtasks !== undefined && data.subtasks !== null) {
+        errors.push(...validateSubtasks(data.subtasks));
+    }
+
+    // Dependency validation; cycles need the other reminders, see DependencyUtils.findCycle
+    if (data.dependsOn !== undefined && data.dependsOn !== null) {
+        if (!Array.isArray(data.dependsOn) || data.dependsOn.some(id => typeof id !== 'string' || id === '')) {
+            errors.push(new ValidationError('dependsOn', 'Dependencies must be a list of reminder ids'));
+        } else if (data.dependsOn.length > MAX_DEPENDENCIES) {
+            errors.push(new ValidationError('dependsOn', `A reminder can depend on at most ${MAX_DEPENDENCIES} others`));
+        } else if (data.id && data.dependsOn.includes(data.id)) {
+            errors.push(new ValidationError('dependsOn', 'A reminder cannot depend on itself'));
+        }
+    }
+
+    // Tag validation
+    if (data.tags !== undefined && data.tags !== null) {
+        errors.push(...validateTags(data.tags));
+    }
+
     return {
         isValid: errors.length === 0,
         errors,
@@ -195,6 +543,293 @@ export function validateReminder(data) {
     };
 }
 
+export function validateRecurrenceRule(rule) {
+    const errors = [];
+    const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        return [new ValidationError('recurrence', 'Recurrence must be an object')];
+    }
+
+    const frequency = String(rule.frequency || '').toLowerCase();
+    if (!Object.values(RECURRENCE_FREQUENCIES).includes(frequency)) {
+        errors.push(new ValidationError('recurrence', 'Recurrence frequency must be daily, weekly, monthly or yearly'));
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1)) {
+        errors.push(new ValidationError('recurrence', 'Recurrence interval must be a positive integer'));
+    }
+
+    if (rule.byWeekday !== undefined && rule.byWeekday !== null) {
+        if (!Array.isArray(rule.byWeekday) ||
+            rule.byWeekday.some(code => !WEEKDAY_CODES.includes(String(code).toUpperCase()))) {
+            errors.push(new ValidationError('recurrence', 'Recurrence weekdays must be RRULE codes (MO, TU, ...)'));
+        } else if (rule.byWeekday.length > 0 &&
+            frequency !== RECURRENCE_FREQUENCIES.DAILY && frequency !== RECURRENCE_FREQUENCIES.WEEKLY) {
+            errors.push(new ValidationError('recurrence', 'Weekdays can only be used with daily or weekly recurrence'));
+        }
+    }
+
+    if (rule.until && rule.count) {
+        errors.push(new ValidationError('recurrence', 'Recurrence cannot have both an end date and a count'));
+    }
+
+    if (rule.until && !isValidDate(rule.until)) {
+        errors.push(new ValidationError('recurrence', 'Recurrence end date is invalid'));
+    }
+
+    if (rule.count !== undefined && rule.count !== null &&
+        (!Number.isInteger(Number(rule.count)) || Number(rule.count) < 1)) {
+        errors.push(new ValidationError('recurrence', 'Recurrence count must be a positive integer'));
+    }
+
+    if (rule.exceptions !== undefined && rule.exceptions !== null &&
+        (!Array.isArray(rule.exceptions) || !rule.exceptions.every(isValidDate))) {
+        errors.push(new ValidationError('recurrence', 'Recurrence exceptions must be valid dates'));
+    }
+
+    return errors;
+}
+
+export function validateSubtasks(subtasks) {
+    if (!Array.isArray(subtasks)) {
+        return [new ValidationError('subtasks', 'Subtasks must be an array')];
+    }
+
+    if (subtasks.length > SUBTASK_LIMITS.MAX_ITEMS) {
+        return [new ValidationError('subtasks', `A reminder can have at most ${SUBTASK_LIMITS.MAX_ITEMS} subtasks`)];
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    subtasks.forEach((subtask, index) => {
+        const label = `Subtask ${index + 1}`;
+
+        if (!subtask || typeof subtask !== 'object' || Array.isArray(subtask)) {
+            errors.push(new ValidationError('subtasks', `${label} must be an object`));
+            return;
+        }
+
+        if (typeof subtask.title !== 'string' || subtask.title.trim().length === 0) {
+            errors.push(new ValidationError('subtasks', `${label} needs a title`));
+        } else if (subtask.title.length > SUBTASK_LIMITS.TITLE_MAX_LENGTH) {
+            errors.push(new ValidationError('subtasks', `${label} title must be ${SUBTASK_LIMITS.TITLE_MAX_LENGTH} characters or less`));
+        }
+
+        if (subtask.done !== undefined && typeof subtask.done !== 'boolean') {
+            errors.push(new ValidationError('subtasks', `${label} done flag must be true or false`));
+        }
+
+        if (subtask.dueAt && isNaN(new Date(subtask.dueAt).getTime())) {
+            errors.push(new ValidationError('subtasks', `${label} due time is invalid`));
+        }
+
+        if (subtask.id) {
+            if (typeof subtask.id !== 'string' || !SUBTASK_ID_PATTERN.test(subtask.id)) {
+                errors.push(new ValidationError('subtasks', `${label} has an invalid id`));
+            } else if (ids.has(subtask.id)) {
+                errors.push(new ValidationError('subtasks', `${label} has a duplicate id`));
+            }
+            ids.add(subtask.id);
+        }
+    });
+
+    return errors;
+}
+
+export function validateTagName(name) {
+    const normalized = normalizeTagName(name);
+
+    if (!normalized) {
+        return new ValidationError('tags', 'Tag name is required');
+    }
+    if (normalized.length > TAG_LIMITS.NAME_MAX_LENGTH) {
+        return new ValidationError('tags', `Tag "${normalized}" must be ${TAG_LIMITS.NAME_MAX_LENGTH} characters or less`);
+    }
+    if (!TAG_NAME_PATTERN.test(normalized)) {
+        return new ValidationError('tags', `Tag "${normalized}" can only contain letters, numbers, "-" and "_"`);
+    }
+    return null;
+}
+
+export function validateTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return [new ValidationError('tags', 'Tags must be a list of names')];
+    }
+
+    if (new Set(tags.map(normalizeTagName)).size > TAG_LIMITS.MAX_PER_REMINDER) {
+        return [new ValidationError('tags', `A reminder can have at most ${TAG_LIMITS.MAX_PER_REMINDER} tags`)];
+    }
+
+    return tags.map(validateTagName).filter(Boolean);
+}
+
+// A tag list entry: { userId, name, color }
+export function validateTag(tag) {
+    const errors = [];
+
+    if (!tag || typeof tag !== 'object') {
+        return [new ValidationError('tag', 'Invalid tag data')];
+    }
+
+    const nameError = validateTagName(tag.name);
+    if (nameError) {
+        errors.push(new ValidationError('name', nameError.message));
+    }
+
+    if (tag.color && !TAG_COLOR_PATTERN.test(tag.color)) {
+        errors.push(new ValidationError('color', 'Tag color must be a hex color like #3498db'));
+    }
+
+    return errors;
+}
+
+// A category definition: { id, label, icon, color, alertTimings }
+export function validateCategory(category) {
+    const errors = [];
+
+    if (!category || typeof category !== 'object') {
+        return [new ValidationError('category', 'Invalid category data')];
+    }
+
+    if (!category.id || !TAG_NAME_PATTERN.test(category.id)) {
+        errors.push(new ValidationError('id', 'Category id can only contain letters, numbers, "-" and "_"'));
+    }
+
+    if (typeof category.label !== 'string' || category.label.trim().length === 0) {
+        errors.push(new ValidationError('label', 'Category name is required'));
+    } else if (category.label.length > CATEGORY_LIMITS.LABEL_MAX_LENGTH) {
+        errors.push(new ValidationError('label', `Category name must be ${CATEGORY_LIMITS.LABEL_MAX_LENGTH} characters or less`));
+    }
+
+    if (category.icon && (typeof category.icon !== 'string' || category.icon.length > CATEGORY_LIMITS.ICON_MAX_LENGTH)) {
+        errors.push(new ValidationError('icon', 'Category icon must be a short piece of text, such as an emoji'));
+    }
+
+    if (category.color && !TAG_COLOR_PATTERN.test(category.color)) {
+        errors.push(new ValidationError('color', 'Category color must be a hex color like #3498db'));
+    }
+
+    if (category.alertTimings !== undefined &&
+        (!Array.isArray(category.alertTimings) ||
+            category.alertTimings.some(t => !Number.isInteger(Number(t)) || Number(t) <= 0))) {
+        errors.push(new ValidationError('alertTimings', 'Category alert timings must be positive integers'));
+    }
+
+    return errors;
+}
+
+// A user's whole category list: at least one, ids unique
+export function validateCategories(categories) {
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return [new ValidationError('categories', 'At least one category is required')];
+    }
+
+    if (categories.length > CATEGORY_LIMITS.MAX_CATEGORIES) {
+        return [new ValidationError('categories', `A user can have at most ${CATEGORY_LIMITS.MAX_CATEGORIES} categories`)];
+    }
+
+    const errors = categories.flatMap(validateCategory);
+    const ids = categories.map(category => category?.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        errors.push(new ValidationError('categories', `Category "${duplicate}" is defined more than once`));
+    }
+
+    return errors;
+}
+
+export function validateQuietHours(settings) {
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object') {
+        return [new ValidationError('quietHours', 'Invalid quiet hours settings')];
+    }
+
+    if (!Array.isArray(settings.windows)) {
+        errors.push(new ValidationError('windows', 'Quiet hours must be a list'));
+    } else if (settings.windows.length > QUIET_HOURS_LIMITS.MAX_WINDOWS) {
+        errors.push(new ValidationError('windows', `At most ${QUIET_HOURS_LIMITS.MAX_WINDOWS} quiet hours windows are allowed`));
+    } else {
+        settings.windows.forEach((item, index) => {
+            if (!Number.isInteger(item?.day) || item.day < 0 || item.day > 6) {
+                errors.push(new ValidationError(`windows[${index}].day`, 'Quiet hours day must be between 0 (Sunday) and 6 (Saturday)'));
+            }
+            if (!CLOCK_TIME_PATTERN.test(item?.start) || !CLOCK_TIME_PATTERN.test(item?.end)) {
+                errors.push(new ValidationError(`windows[${index}]`, 'Quiet hours must start and end at a time like 22:00'));
+            } else if (item.start === item.end) {
+                errors.push(new ValidationError(`windows[${index}]`, 'Quiet hours must end at a different time than they start'));
+            }
+        });
+    }
+
+    if (settings.dndUntil !== null && settings.dndUntil !== undefined && isNaN(new Date(settings.dndUntil).getTime())) {
+        errors.push(new ValidationError('dndUntil', 'Do not disturb must end at a valid date and time'));
+    }
+
+    const priority = settings.breakthroughPriority;
+    if (priority !== null && priority !== undefined && (!Number.isInteger(priority) || priority < 1 || priority > 4)) {
+        errors.push(new ValidationError('breakthroughPriority', 'Breakthrough priority must be between 1 and 4'));
+    }
+
+    return errors;
+}
+
+export function validateDigestSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        return [new ValidationError('digest', 'Invalid digest schedule')];
+    }
+
+    const errors = [];
+    if (!Object.values(DIGEST_FREQUENCIES).includes(schedule.frequency)) {
+        errors.push(new ValidationError('frequency', 'Digest must be daily or weekly'));
+    }
+    if (!CLOCK_TIME_PATTERN.test(schedule.time)) {
+        errors.push(new ValidationError('time', 'Digest time must look like 08:00'));
+    }
+    if (!Number.isInteger(schedule.day) || schedule.day < 0 || schedule.day > 6) {
+        errors.push(new ValidationError('day', 'Digest day must be between 0 (Sunday) and 6 (Saturday)'));
+    }
+
+    return errors;
+}
+
+export function validateNotificationChannels(channels) {
+    if (!Array.isArray(channels)) {
+        return [new ValidationError('channels', 'Notification channels must be a list')];
+    }
+
+    const errors = [];
+    channels.forEach((channel, index) => {
+        if (!Object.values(CHANNEL_TYPES).includes(channel?.type)) {
+            errors.push(new ValidationError(`channels[${index}].type`, `Unknown notification channel "${channel?.type}"`));
+            return;
+        }
+        if (!channel.id || !TAG_NAME_PATTERN.test(channel.id)) {
+            errors.push(new ValidationError(`channels[${index}].id`, 'Channel id can only contain letters, numbers, "-" and "_"'));
+        }
+        if (!Array.isArray(channel.categories) || channel.categories.some(id => typeof id !== 'string')) {
+            errors.push(new ValidationError(`channels[${index}].categories`, 'Channel categories must be a list of category ids'));
+        }
+        if (channel.type === CHANNEL_TYPES.WEBHOOK && !/^https?:\/\/[^\s/]+/i.test(channel.url || '')) {
+            errors.push(new ValidationError(`channels[${index}].url`, 'Webhook URL must start with http:// or https://'));
+        }
+    });
+
+    const ids = channels.map(channel => channel?.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        errors.push(new ValidationError('channels', `Channel "${duplicate}" is defined more than once`));
+    }
+
+    if (channels.filter(channel => channel?.type === CHANNEL_TYPES.WEBHOOK).length > CHANNEL_LIMITS.MAX_WEBHOOKS) {
+        errors.push(new ValidationError('channels', `At most ${CHANNEL_LIMITS.MAX_WEBHOOKS} webhooks are allowed`));
+    }
+
+    return errors;
+}
+
 export function validateUserSession(session) {
     const errors = [];
 
@@ -220,6 +855,18 @@ export function validateUserSession(session) {
     };
 }
 
+// Permission checks accept a session, a user record or a bare role name
+export function hasPermission(userOrRole, permission) {
+    const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+export function assertPermission(userOrRole, permission) {
+    if (!hasPermission(userOrRole, permission)) {
+        throw new PermissionError(permission);
+    }
+}
+
 // Utility functions
 export function generateId() {
     if (crypto && crypto.randomUUID) {
@@ -318,13 +965,40 @@ export default {
     REMINDER_STATUS,
     PRIORITY_LEVELS,
     REMINDER_CATEGORIES,
+    DEFAULT_CATEGORIES,
+    DEFAULT_QUIET_HOURS,
+    RECURRENCE_FREQUENCIES,
+    WEEKDAY_CODES,
     StorageError,
     ValidationError,
     AuthenticationError,
+    PermissionError,
+    SyncError,
+    ChannelError,
+    CHANNEL_TYPES,
+    DEFAULT_CHANNELS,
+    CHANNEL_LIMITS,
+    DIGEST_FREQUENCIES,
+    DEFAULT_DIGEST,
+    USER_ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
     createReminder,
+    createCategory,
+    createQuietHours,
+    createNotificationChannel,
+    createDigestSchedule,
     createUserSession,
+    createRecurrenceRule,
     validateReminder,
+    validateCategories,
+    validateQuietHours,
+    validateNotificationChannels,
+    validateDigestSchedule,
+    validateRecurrenceRule,
     validateUserSession,
+    hasPermission,
+    assertPermission,
     generateId,
     sanitizeInput,
     formatError,
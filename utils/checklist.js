@@ -0,0 +1,59 @@
+/**
+ * Checklist Utilities - Progress, toggling and a plain-text format for reminder subtasks
+ * The text format is one item per line, "[x] Title @ 2026-10-20 17:00"; the box and due time are optional.
+ * The add-reminder form and CSV import/export both use it.
+ */
+
+import { createSubtask } from '../types/interfaces.js';
+
+const ITEM_PATTERN = /^(?:\[([ xX]?)\]\s*)?(.*?)(?:\s+@\s*(\S.*))?$/;
+
+// Accept "YYYY-MM-DD HH:MM" as well as full ISO strings; anything else is kept for validation to report
+const parseDueAt = (value) => {
+  if (!value) return null;
+
+  const parsed = new Date(/^\d{4}-\d{2}-\d{2} \d/.test(value) ? value.replace(' ', 'T') : value);
+  return isNaN(parsed.getTime()) ? value : parsed.toISOString();
+};
+
+export const ChecklistUtils = {
+  /**
+   * @param {Array<Object>} subtasks
+   * @returns {Object} { total, done, percent, complete } - complete is false for an empty checklist
+   */
+  getProgress: (subtasks = []) => {
+    const total = subtasks?.length || 0;
+    const done = total > 0 ? subtasks.filter(item => item.done).length : 0;
+
+    return {
+      total,
+      done,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0,
+      complete: total > 0 && done === total
+    };
+  },
+
+  isComplete: (subtasks) => ChecklistUtils.getProgress(subtasks).complete,
+
+  // New array with one item checked or unchecked; other items are left as they are
+  setDone: (subtasks = [], id, done, now = new Date().toISOString()) =>
+    subtasks.map(item => (item.id === id ? { ...item, done, completedAt: done ? now : null } : item)),
+
+  // Every item unchecked, for the next occurrence of a recurring reminder
+  reset: (subtasks = []) => subtasks.map(item => ({ ...item, done: false, completedAt: null })),
+
+  format: (subtasks = []) => (subtasks || [])
+    .map(item => `[${item.done ? 'x' : ' '}] ${item.title}${item.dueAt ? ` @ ${item.dueAt}` : ''}`)
+    .join('\n'),
+
+  parse: (text) => String(text ?? '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [, mark = '', title, dueAt] = line.match(ITEM_PATTERN);
+      return createSubtask({ title, done: mark.toLowerCase() === 'x', dueAt: parseDueAt(dueAt) });
+    })
+};
+
+export default ChecklistUtils;
@@ -0,0 +1,181 @@
+/**
+ * Crypto Utilities - WebCrypto helpers for password hashing, AES-GCM encryption and encoding
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const getSubtle = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('WebCrypto is not available in this environment');
+  }
+  return globalThis.crypto.subtle;
+};
+
+export const CryptoUtils = {
+  PASSWORD_ALGORITHM: 'PBKDF2',
+  PASSWORD_DIGEST: 'SHA-256',
+  PASSWORD_ITERATIONS: 310000,
+  SALT_BYTES: 16,
+  KEY_BITS: 256,
+  CIPHER: 'AES-GCM',
+  IV_BYTES: 12,
+
+  randomBytes: (length) => globalThis.crypto.getRandomValues(new Uint8Array(length)),
+
+  toBase64: (bytes) => {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  fromBase64: (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0)),
+
+  // Compare without bailing out on the first differing byte
+  timingSafeEqual: (a, b) => {
+    if (a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+  },
+
+  /**
+   * Derive a PBKDF2 hash for a password
+   * @param {string} password - Plaintext password
+   * @param {Object} options - { salt (base64), iterations }; a new salt is generated when omitted
+   * @returns {Promise<Object>} Credential record safe to persist
+   */
+  hashPassword: async (password, options = {}) => {
+    const {
+      salt = CryptoUtils.toBase64(CryptoUtils.randomBytes(CryptoUtils.SALT_BYTES)),
+      iterations = CryptoUtils.PASSWORD_ITERATIONS
+    } = options;
+
+    const subtle = getSubtle();
+    const baseKey = await subtle.importKey('raw', encoder.encode(password), CryptoUtils.PASSWORD_ALGORITHM, false, ['deriveBits']);
+    const bits = await subtle.deriveBits(
+      {
+        name: CryptoUtils.PASSWORD_ALGORITHM,
+        hash: CryptoUtils.PASSWORD_DIGEST,
+        salt: CryptoUtils.fromBase64(salt),
+        iterations
+      },
+      baseKey,
+      CryptoUtils.KEY_BITS
+    );
+
+    return {
+      algorithm: CryptoUtils.PASSWORD_ALGORITHM,
+      digest: CryptoUtils.PASSWORD_DIGEST,
+      iterations,
+      salt,
+      hash: CryptoUtils.toBase64(bits)
+    };
+  },
+
+  // Re-derive with the stored salt and iteration count and compare
+  verifyPassword: async (password, credential) => {
+    if (!credential?.salt || !credential?.hash) return false;
+
+    const { hash } = await CryptoUtils.hashPassword(password, {
+      salt: credential.salt,
+      iterations: credential.iterations
+    });
+
+    return CryptoUtils.timingSafeEqual(CryptoUtils.fromBase64(hash), CryptoUtils.fromBase64(credential.hash));
+  },
+
+  // Random AES-GCM data key; extractable so it can be wrapped under a passphrase key
+  generateKey: () => getSubtle().generateKey(
+    { name: CryptoUtils.CIPHER, length: CryptoUtils.KEY_BITS },
+    true,
+    ['encrypt', 'decrypt']
+  ),
+
+  // Key-encryption key derived from a passphrase; only used to wrap and unwrap data keys
+  deriveWrappingKey: async (passphrase, salt, iterations = CryptoUtils.PASSWORD_ITERATIONS) => {
+    const subtle = getSubtle();
+    const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), CryptoUtils.PASSWORD_ALGORITHM, false, ['deriveKey']);
+
+    return subtle.deriveKey(
+      {
+        name: CryptoUtils.PASSWORD_ALGORITHM,
+        hash: CryptoUtils.PASSWORD_DIGEST,
+        salt: CryptoUtils.fromBase64(salt),
+        iterations
+      },
+      baseKey,
+      { name: CryptoUtils.CIPHER, length: CryptoUtils.KEY_BITS },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  },
+
+  wrapKey: async (key, wrappingKey) => {
+    const iv = CryptoUtils.randomBytes(CryptoUtils.IV_BYTES);
+    const wrapped = await getSubtle().wrapKey('raw', key, wrappingKey, { name: CryptoUtils.CIPHER, iv });
+
+    return { iv: CryptoUtils.toBase64(iv), wrappedKey: CryptoUtils.toBase64(wrapped) };
+  },
+
+  // Rejects when the wrapping key is wrong, since the GCM tag won't verify
+  unwrapKey: ({ iv, wrappedKey }, wrappingKey) => getSubtle().unwrapKey(
+    'raw',
+    CryptoUtils.fromBase64(wrappedKey),
+    wrappingKey,
+    { name: CryptoUtils.CIPHER, iv: CryptoUtils.fromBase64(iv) },
+    { name: CryptoUtils.CIPHER, length: CryptoUtils.KEY_BITS },
+    true,
+    ['encrypt', 'decrypt']
+  ),
+
+  exportKey: async (key) => CryptoUtils.toBase64(await getSubtle().exportKey('raw', key)),
+
+  importKey: (raw) => getSubtle().importKey(
+    'raw',
+    CryptoUtils.fromBase64(raw),
+    { name: CryptoUtils.CIPHER, length: CryptoUtils.KEY_BITS },
+    true,
+    ['encrypt', 'decrypt']
+  ),
+
+  /**
+   * Encrypt a string with AES-GCM
+   * @param {CryptoKey} key - Data key
+   * @param {string} text - Plaintext
+   * @param {string} additionalData - Context bound to the ciphertext (must match on decrypt)
+   * @returns {Promise<{iv: string, ciphertext: string}>} Base64 encoded parts
+   */
+  encryptText: async (key, text, additionalData = '') => {
+    const iv = CryptoUtils.randomBytes(CryptoUtils.IV_BYTES);
+    const ciphertext = await getSubtle().encrypt(
+      { name: CryptoUtils.CIPHER, iv, additionalData: encoder.encode(additionalData) },
+      key,
+      encoder.encode(text)
+    );
+
+    return { iv: CryptoUtils.toBase64(iv), ciphertext: CryptoUtils.toBase64(ciphertext) };
+  },
+
+  decryptText: async (key, { iv, ciphertext }, additionalData = '') => {
+    const plaintext = await getSubtle().decrypt(
+      { name: CryptoUtils.CIPHER, iv: CryptoUtils.fromBase64(iv), additionalData: encoder.encode(additionalData) },
+      key,
+      CryptoUtils.fromBase64(ciphertext)
+    );
+
+    return decoder.decode(plaintext);
+  },
+
+  // Stored hashes weaker than the current settings get upgraded on the next successful login
+  needsRehash: (credential) => (
+    credential?.algorithm !== CryptoUtils.PASSWORD_ALGORITHM ||
+    credential?.digest !== CryptoUtils.PASSWORD_DIGEST ||
+    (credential?.iterations || 0) < CryptoUtils.PASSWORD_ITERATIONS
+  )
+};
+
+export default CryptoUtils;
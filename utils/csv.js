@@ -0,0 +1,278 @@
+/**
+ * CSV Utilities - RFC 4180 parsing and column mapping for reminder imports
+ * Handles quoted fields, embedded newlines, BOMs and per-row validation reports
+ */
+
+import {
+  PRIORITY_LEVELS,
+  REMINDER_STATUS,
+  normalizeTagName,
+  validateReminder
+} from '../types/interfaces.js';
+import { ChecklistUtils } from './checklist.js';
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Reminder fields a CSV column can be mapped to, with header aliases used for suggestions
+const FIELD_ALIASES = Object.freeze({
+  title: ['title', 'name', 'subject', 'summary', 'task'],
+  description: ['description', 'notes', 'note', 'details', 'body'],
+  datetime: ['datetime', 'date time', 'due', 'due date', 'when', 'start'],
+  date: ['date', 'day'],
+  time: ['time', 'hour'],
+  category: ['category', 'list', 'type'],
+  priority: ['priority', 'importance'],
+  status: ['status', 'state'],
+  alertTimings: ['alerts', 'alert timings', 'alerttimings', 'reminders'],
+  notification: ['notification', 'notify'],
+  subtasks: ['subtasks', 'checklist', 'checklist items', 'items'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  createdAt: ['created', 'created at', 'createdat']
+});
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[_-]+/g, ' ');
+
+// Pick the delimiter that occurs most often outside quotes on the first line
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && char in counts) counts[char]++;
+  }
+
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+const parsePriority = (value) => {
+  const number = Number(value);
+  if (value !== '' && Number.isFinite(number)) return number;
+
+  const level = Object.values(PRIORITY_LEVELS)
+    .find(p => p.label.toLowerCase() === String(value).toLowerCase());
+  return level ? level.value : value; // Unknown labels are left for validation to report
+};
+
+// Dates spreadsheets commonly write: ISO, month-first with slashes (US) and day-first with dots (European)
+const DATE_FORMATS = [
+  { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] },
+  { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['month', 'day', 'year'] },
+  { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['day', 'month', 'year'] }
+];
+
+// "17:00", "17:00:30", "5:00 PM", "5:00pm", "5:00 p.m."
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?$/i;
+
+// A date with an optional time, in local time; null when the value isn't one of the formats above
+const parseLocalDateTime = (raw) => {
+  const [, datePart, timePart = ''] = raw.match(/^(\S+?)(?:[T\s]+(.+))?$/) || [];
+  const format = DATE_FORMATS.find(({ pattern }) => pattern.test(datePart || ''));
+  const timeMatch = timePart ? timePart.match(TIME_PATTERN) : [];
+  if (!format || !timeMatch) return null;
+
+  const values = datePart.match(format.pattern).slice(1).map(Number);
+  const { year, month, day } = Object.fromEntries(format.order.map((part, index) => [part, values[index]]));
+
+  const [, hourText = '0', minuteText = '0', secondText = '0', meridiem] = timeMatch;
+  let hours = Number(hourText);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  }
+
+  const parsed = new Date(year, month - 1, day, hours, Number(minuteText), Number(secondText));
+  // Rejects out-of-range parts such as 31/02 or 25:00, which Date would roll over
+  const matches = parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day &&
+    parsed.getHours() === hours && parsed.getMinutes() === Number(minuteText);
+  return matches ? parsed : null;
+};
+
+const parseDateTime = (datetime, date, time) => {
+  const raw = datetime || [date, time].filter(Boolean).join(' ');
+  if (!raw) return '';
+
+  // Anything else, such as ISO strings with an offset, is left to Date
+  const parsed = parseLocalDateTime(raw) || new Date(raw);
+  return isNaN(parsed.getTime()) ? raw : parsed.toISOString();
+};
+
+export const CsvUtils = {
+  FIELDS: Object.freeze(Object.keys(FIELD_ALIASES)),
+
+  /**
+   * Parse CSV text into an array of rows (arrays of strings)
+   * @param {string} text - Raw file contents
+   * @param {Object} options - { delimiter } (auto-detected when omitted)
+   */
+  parse: (text, options = {}) => {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = [];
+
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteLine = 0;
+    let line = 1;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        line++;
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+
+    // No trailing row for a final newline
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  },
+
+  /**
+   * Suggest a reminder field for each header (null = ignore the column)
+   */
+  suggestMapping: (headers) => {
+    const used = new Set();
+
+    return headers.map(header => {
+      const normalized = normalizeHeader(header);
+      const field = Object.keys(FIELD_ALIASES)
+        .find(key => !used.has(key) && FIELD_ALIASES[key].includes(normalized));
+
+      if (field) used.add(field);
+      return field || null;
+    });
+  },
+
+  /**
+   * Convert a parsed row into reminder data using a column mapping
+   * @param {Array<string>} row - Row values
+   * @param {Array<string|null>} mapping - Field name per column index
+   */
+  mapRow: (row, mapping) => {
+    const values = {};
+    mapping.forEach((field, index) => {
+      if (field && row[index] !== undefined) {
+        values[field] = String(row[index]).trim();
+      }
+    });
+
+    const reminder = {
+      title: values.title || '',
+      description: values.description || '',
+      datetime: parseDateTime(values.datetime, values.date, values.time),
+      category: values.category ? values.category.toLowerCase() : undefined,
+      priority: values.priority ? parsePriority(values.priority) : undefined,
+      status: values.status ? values.status.toLowerCase() : REMINDER_STATUS.ACTIVE,
+      notification: values.notification ? !/^(false|no|0|off)$/i.test(values.notification) : true
+    };
+
+    if (values.alertTimings) {
+      reminder.alertTimings = values.alertTimings
+        .split(/[;|\s]+/)
+        .filter(Boolean)
+        .map(Number);
+    }
+
+    if (values.subtasks) {
+      reminder.subtasks = ChecklistUtils.parse(values.subtasks);
+    }
+
+    if (values.tags) {
+      reminder.tags = values.tags.split(/[,;|]/).map(normalizeTagName).filter(Boolean);
+    }
+
+    if (values.createdAt && !isNaN(new Date(values.createdAt).getTime())) {
+      reminder.createdAt = new Date(values.createdAt).toISOString();
+    }
+
+    // Drop unmapped optional fields so defaults apply downstream
+    Object.keys(reminder).forEach(key => reminder[key] === undefined && delete reminder[key]);
+
+    return reminder;
+  },
+
+  /**
+   * Validate every data row and build an import payload plus a per-row report.
+   * Row numbers are 1-based and count the header row, as spreadsheets do.
+   */
+  buildImport: (rows, mapping) => {
+    const report = { total: 0, accepted: [], skipped: [], invalid: [] };
+    const reminders = [];
+
+    rows.slice(1).forEach((row, index) => {
+      const rowNumber = index + 2;
+      report.total++;
+
+      if (row.every(value => String(value).trim() === '')) {
+        report.skipped.push({ row: rowNumber, reason: 'Empty row' });
+        return;
+      }
+
+      const reminder = CsvUtils.mapRow(row, mapping);
+      const validStatuses = Object.values(REMINDER_STATUS);
+      const { isValid, errors } = validateReminder(reminder, { allowPastDates: true });
+      const messages = errors.map(error => `${error.field}: ${error.message}`);
+
+      if (!validStatuses.includes(reminder.status)) {
+        messages.push(`status: Unknown status "${reminder.status}"`);
+      }
+
+      if (!isValid || messages.length > 0) {
+        report.invalid.push({ row: rowNumber, title: reminder.title, errors: messages });
+        return;
+      }
+
+      reminders.push(reminder);
+      report.accepted.push({ row: rowNumber, title: reminder.title });
+    });
+
+    return {
+      importData: {
+        version: '2.0',
+        timestamp: new Date().toISOString(),
+        source: 'csv',
+        data: { reminders, preferences: null }
+      },
+      report
+    };
+  }
+};
+
+export default CsvUtils;
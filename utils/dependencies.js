@@ -0,0 +1,63 @@
+/**
+ * Dependency Utilities - "Blocked by" links between reminders
+ * A reminder lists the ids it waits for in `dependsOn`. It is blocked while any of them is still open;
+ * completed, cancelled, trashed or missing blockers no longer hold it back.
+ */
+
+import { REMINDER_STATUS } from '../types/interfaces.js';
+
+const CLOSED_STATUSES = [REMINDER_STATUS.COMPLETED, REMINDER_STATUS.CANCELLED];
+
+const toMap = (reminders) => (reminders instanceof Map ? reminders : new Map(reminders.map(r => [r.id, r])));
+
+export const DependencyUtils = {
+  isOpen: (reminder) => Boolean(reminder) && !reminder.deletedAt && !CLOSED_STATUSES.includes(reminder.status),
+
+  /**
+   * Ids of the reminder's blockers that are still open
+   * @param {Object} reminder
+   * @param {Map<string, Object>|Array<Object>} reminders - The owner's reminders, or a map of them by id
+   */
+  getOpenBlockers: (reminder, reminders) => {
+    if (!reminder?.dependsOn?.length) return [];
+
+    const byId = toMap(reminders);
+    return reminder.dependsOn.filter(id => DependencyUtils.isOpen(byId.get(id)));
+  },
+
+  isBlocked: (reminder, reminders) => DependencyUtils.getOpenBlockers(reminder, reminders).length > 0,
+
+  // Reminders that list `id` among their blockers
+  getDependents: (reminders, id) => Array.from(toMap(reminders).values())
+    .filter(reminder => reminder.dependsOn?.includes(id)),
+
+  /**
+   * Would giving `reminderId` these blockers close a loop?
+   * @returns {string[]|null} The loop as ids, starting and ending with reminderId, or null
+   */
+  findCycle: (reminders, reminderId, dependsOn = []) => {
+    const edges = new Map(Array.from(toMap(reminders).values()).map(r => [r.id, r.dependsOn || []]));
+    edges.set(reminderId, dependsOn);
+
+    const seen = new Set();
+    const visit = (id, path) => {
+      if (id === reminderId) return [...path, id];
+      if (seen.has(id)) return null;
+      seen.add(id);
+
+      for (const next of edges.get(id) || []) {
+        const cycle = visit(next, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    for (const id of dependsOn) {
+      const cycle = visit(id, [reminderId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+};
+
+export default DependencyUtils;
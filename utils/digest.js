@@ -0,0 +1,178 @@
+/**
+ * Digest Utilities - Summaries of a user's open reminders
+ * A digest has three sections: overdue items, today's agenda, and what's coming in the next seven days.
+ * It renders as Markdown or HTML for pasting into team chats. Schedules are createDigestSchedule objects,
+ * with times in local time.
+ */
+
+import { PRIORITY_LEVELS, DIGEST_FREQUENCIES } from '../types/interfaces.js';
+import { DependencyUtils } from './dependencies.js';
+import { DateUtils, StringUtils } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+
+// Overdue first, then the order they're listed in
+export const DIGEST_SECTIONS = Object.freeze([
+  Object.freeze({ key: 'overdue', icon: '⚠️', title: 'Overdue', empty: 'Nothing overdue' }),
+  Object.freeze({ key: 'today', icon: '📅', title: "Today's agenda", empty: 'Nothing else due today' }),
+  Object.freeze({ key: 'week', icon: '🗓️', title: 'Coming this week', empty: 'Nothing due in the next 7 days' })
+]);
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const atClock = (date, clock, dayOffset = 0) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+const priorityOf = (value) => Object.values(PRIORITY_LEVELS).find(level => level.value === value) || null;
+
+// When an item is due, as much as its section needs: the time today, the weekday this week, the date if overdue
+const formatDue = (item, section) => {
+  const options = {
+    overdue: { year: undefined, hour: undefined, minute: undefined },
+    today: { year: undefined, month: undefined, day: undefined },
+    week: { year: undefined, weekday: 'short' }
+  };
+  const due = DateUtils.formatDate(item.datetime, options[section]);
+  return section === 'overdue' ? `due ${due}` : due;
+};
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+export const DigestUtils = {
+  FORMATS: Object.freeze({
+    markdown: Object.freeze({ extension: 'md', mimeType: 'text/markdown' }),
+    html: Object.freeze({ extension: 'html', mimeType: 'text/html' })
+  }),
+
+  /**
+   * Sort a user's open reminders into the digest's sections
+   * @param {Object[]} reminders - As returned by ReminderService.getReminders
+   * @param {Object} options - { now, frequency, categories: the user's category definitions, for labels }
+   * @returns {Object} { generatedAt, frequency, overdue, today, week }; items are { id, title, datetime, priority, category }
+   */
+  build: (reminders, { now = new Date(), frequency = DIGEST_FREQUENCIES.DAILY, categories = [] } = {}) => {
+    const todayEnd = startOfDay(now).getTime() + DAY_MS;
+    const weekEnd = todayEnd + WEEK_DAYS * DAY_MS;
+    const labels = new Map(categories.map(category => [category.id, `${category.icon} ${category.label}`]));
+
+    const items = reminders
+        .filter(reminder => DependencyUtils.isOpen(reminder) && !isNaN(new Date(reminder.datetime).getTime()))
+        .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
+        .map(reminder => ({
+          id: reminder.id,
+          title: reminder.title,
+          datetime: reminder.datetime,
+          priority: reminder.priority ?? null,
+          category: labels.get(reminder.category) || reminder.category || null
+        }));
+
+    const due = (item) => new Date(item.datetime).getTime();
+    return {
+      generatedAt: now.toISOString(),
+      frequency,
+      overdue: items.filter(item => due(item) < now.getTime()),
+      today: items.filter(item => due(item) >= now.getTime() && due(item) < todayEnd),
+      week: items.filter(item => due(item) >= todayEnd && due(item) < weekEnd)
+    };
+  },
+
+  isEmpty: (digest) => DIGEST_SECTIONS.every(({ key }) => digest[key].length === 0),
+
+  getTitle: (digest) => `${digest.frequency === DIGEST_FREQUENCIES.WEEKLY ? 'Weekly' : 'Daily'} digest for ${
+    DateUtils.formatDate(digest.generatedAt, { weekday: 'long', hour: undefined, minute: undefined })}`,
+
+  // "2 overdue, 3 due today, 4 coming this week"
+  summarize: (digest) => {
+    if (DigestUtils.isEmpty(digest)) return 'Nothing due in the next 7 days';
+
+    return [
+      digest.overdue.length ? `${digest.overdue.length} overdue` : null,
+      digest.today.length ? `${digest.today.length} due today` : null,
+      digest.week.length ? `${digest.week.length} coming this week` : null
+    ].filter(Boolean).join(', ');
+  },
+
+  toMarkdown: (digest) => {
+    const lines = [`## 📋 ${DigestUtils.getTitle(digest)}`];
+
+    DIGEST_SECTIONS.forEach(({ key, icon, title, empty }) => {
+      const items = digest[key];
+      lines.push('', `### ${icon} ${title} (${items.length})`);
+      if (items.length === 0) {
+        lines.push(`_${empty}_`);
+        return;
+      }
+      items.forEach(item => {
+        const priority = priorityOf(item.priority);
+        const details = [
+          formatDue(item, key),
+          priority ? `${priority.icon} ${priority.label}` : null,
+          item.category ? escapeMarkdown(item.category) : null
+        ].filter(Boolean);
+        lines.push(`- **${escapeMarkdown(item.title)}** · ${details.join(' · ')}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  },
+
+  /**
+   * @param {Object} digest
+   * @param {Object} options - { heading: false leaves out the title, for showing inside a popup }
+   */
+  toHtml: (digest, { heading = true } = {}) => {
+    const escape = StringUtils.escapeHtml;
+    const sections = DIGEST_SECTIONS.map(({ key, icon, title, empty }) => {
+      const items = digest[key];
+      const list = items.length === 0
+        ? `<p><em>${empty}</em></p>`
+        : `<ul>${items.map(item => {
+          const priority = priorityOf(item.priority);
+          const details = [
+            formatDue(item, key),
+            priority ? `${priority.icon} ${priority.label}` : null,
+            item.category
+          ].filter(Boolean).map(escape);
+          return `<li><strong>${escape(item.title)}</strong> · ${details.join(' · ')}</li>`;
+        }).join('')}</ul>`;
+
+      return `<section class="digest-section digest-${key}"><h3>${icon} ${title} (${items.length})</h3>${list}</section>`;
+    });
+
+    return [heading ? `<h2>📋 ${escape(DigestUtils.getTitle(digest))}</h2>` : '', ...sections].join('\n');
+  },
+
+  // The first run strictly after `from`
+  getNextRun: (schedule, from = new Date()) => {
+    if (schedule.frequency === DIGEST_FREQUENCIES.WEEKLY) {
+      const next = atClock(from, schedule.time, (schedule.day - from.getDay() + WEEK_DAYS) % WEEK_DAYS);
+      return next > from ? next : atClock(next, schedule.time, WEEK_DAYS);
+    }
+
+    const next = atClock(from, schedule.time);
+    return next > from ? next : atClock(from, schedule.time, 1);
+  },
+
+  // The latest run at or before `from`
+  getPreviousRun: (schedule, from = new Date()) => {
+    if (schedule.frequency === DIGEST_FREQUENCIES.WEEKLY) {
+      const previous = atClock(from, schedule.time, -((from.getDay() - schedule.day + WEEK_DAYS) % WEEK_DAYS));
+      return previous <= from ? previous : atClock(previous, schedule.time, -WEEK_DAYS);
+    }
+
+    const previous = atClock(from, schedule.time);
+    return previous <= from ? previous : atClock(from, schedule.time, -1);
+  }
+};
+
+export default DigestUtils;
@@ -0,0 +1,449 @@
+/**
+ * iCalendar Utilities - RFC 5545 export and import for reminders
+ * Maps reminders to VTODO/VEVENT components (with VALARM alerts and RRULE recurrence) and back
+ */
+
+import {
+  REMINDER_CATEGORIES,
+  DEFAULT_CATEGORIES,
+  REMINDER_STATUS,
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_CODES
+} from '../types/interfaces.js';
+
+const CRLF = '\r\n';
+const PRODUCT_ID = '-//Reminders Vault//Reminders Vault 2.0//EN';
+const MAX_LINE_OCTETS = 75;
+
+// Reminder priority (1-4) <-> iCalendar PRIORITY (1 = highest, 9 = lowest, 0 = undefined)
+const PRIORITY_TO_ICAL = { 1: 9, 2: 5, 3: 3, 4: 1 };
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// === Text encoding ===
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => String(value ?? '')
+  .replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Split a comma-separated TEXT list on the commas that aren't escaped, then unescape each value
+const splitTextList = (value) => {
+  const items = [''];
+  const text = String(value ?? '');
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      items[items.length - 1] += text[i] + text[++i];
+    } else if (text[i] === ',') {
+      items.push('');
+    } else {
+      items[items.length - 1] += text[i];
+    }
+  }
+
+  return items.map(unescapeText);
+};
+
+// Fold content lines at 75 octets without splitting multi-byte characters
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const unfoldLines = (text) => String(text)
+  .replace(/^\uFEFF/, '')
+  .replace(/\r?\n[ \t]/g, '')
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '');
+
+// Split "NAME;PARAM=VALUE:content" honouring quoted parameter values
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// === Date and duration encoding ===
+
+const formatUtcDateTime = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const formatDateValue = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+};
+
+// Floating and TZID times are interpreted in the browser's local timezone
+const parseDateTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+  const date = utc
+    ? new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds))
+    : new Date(+year, +month - 1, +day, +hours, +minutes, +seconds);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const formatAlarmTrigger = (minutesBefore) => {
+  const minutes = Math.abs(Math.round(minutesBefore));
+  if (minutes === 0) return 'PT0M';
+  if (minutes % 1440 === 0) return `-P${minutes / 1440}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+};
+
+// Returns the offset in minutes (negative = before the anchor)
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = (+weeks * 10080) + (+days * 1440) + (+hours * 60) + (+minutes) + Math.round(+seconds / 60);
+  return sign === '-' ? -total : total;
+};
+
+// === Recurrence encoding ===
+
+const formatRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${String(rule.frequency).toUpperCase()}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length > 0) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  else if (rule.until) parts.push(`UNTIL=${formatUtcDateTime(rule.until)}`);
+
+  return parts.join(';');
+};
+
+const parseRecurrenceRule = (value, startDate) => {
+  const fields = Object.fromEntries(
+    value.split(';').map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=')];
+    })
+  );
+
+  const frequency = String(fields.FREQ || '').toLowerCase();
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(frequency)) return null;
+
+  const byWeekday = (fields.BYDAY || '')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(code => WEEKDAY_CODES.includes(code)); // Ordinal forms like 2TU are not supported
+
+  return {
+    frequency,
+    interval: Math.max(1, parseInt(fields.INTERVAL, 10) || 1),
+    byWeekday,
+    until: fields.UNTIL ? parseDateTime(fields.UNTIL)?.toISOString() || null : null,
+    count: fields.COUNT ? parseInt(fields.COUNT, 10) : null,
+    exceptions: [],
+    startDate
+  };
+};
+
+// === Field mapping ===
+
+const toIcalStatus = (status, component) => {
+  if (status === REMINDER_STATUS.COMPLETED) return component === 'VTODO' ? 'COMPLETED' : 'CONFIRMED';
+  if (status === REMINDER_STATUS.CANCELLED) return 'CANCELLED';
+  return component === 'VTODO' ? 'NEEDS-ACTION' : 'CONFIRMED';
+};
+
+const fromIcalStatus = (status) => {
+  if (status === 'COMPLETED') return REMINDER_STATUS.COMPLETED;
+  if (status === 'CANCELLED') return REMINDER_STATUS.CANCELLED;
+  return REMINDER_STATUS.ACTIVE;
+};
+
+const fromIcalPriority = (value) => {
+  const priority = parseInt(value, 10);
+  if (!priority) return 2; // 0 or missing means undefined
+  if (priority <= 2) return 4;
+  if (priority <= 4) return 3;
+  if (priority === 5) return 2;
+  return 1;
+};
+
+// The first name matching one of the owner's categories, by id or label; otherwise their "other" category
+const fromIcalCategories = (value, categories) => {
+  const names = splitTextList(value).map(name => name.trim().toLowerCase()).filter(Boolean);
+  const match = names
+    .map(name => categories.find(category => category.id.toLowerCase() === name || category.label.trim().toLowerCase() === name))
+    .find(Boolean);
+
+  return (match || categories.find(category => category.id === REMINDER_CATEGORIES.OTHER) || categories[0])?.id ||
+    REMINDER_CATEGORIES.OTHER;
+};
+
+const serializeReminder = (reminder, component, stamp) => {
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${reminder.icalUid || `${reminder.id}@reminders-vault`}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${formatUtcDateTime(reminder.createdAt || Date.now())}`,
+    `LAST-MODIFIED:${formatUtcDateTime(reminder.updatedAt || Date.now())}`,
+    `SUMMARY:${escapeText(reminder.title)}`
+  ];
+
+  if (reminder.description) {
+    lines.push(`DESCRIPTION:${escapeText(reminder.description)}`);
+  }
+
+  // A to-do is due at the reminder's time rather than starting then, which clients would read as
+  // "not started yet"; it only gets a DTSTART when recurring, since RRULE counts from DTSTART
+  const datetime = formatUtcDateTime(reminder.datetime);
+  const isTodo = component === 'VTODO';
+  if (!isTodo || reminder.recurrence?.frequency) {
+    lines.push(`DTSTART:${datetime}`);
+  }
+  if (isTodo) {
+    lines.push(`DUE:${datetime}`);
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[reminder.priority] || 0}`);
+  lines.push(`CATEGORIES:${escapeText(reminder.category || REMINDER_CATEGORIES.OTHER)}`);
+  lines.push(`STATUS:${toIcalStatus(reminder.status, component)}`);
+
+  if (component === 'VTODO' && reminder.status === REMINDER_STATUS.COMPLETED && reminder.completedAt) {
+    lines.push(`COMPLETED:${formatUtcDateTime(reminder.completedAt)}`);
+  }
+
+  if (reminder.recurrence?.frequency) {
+    lines.push(`RRULE:${formatRecurrenceRule(reminder.recurrence)}`);
+    (reminder.recurrence.exceptions || []).forEach(exception => {
+      lines.push(`EXDATE;VALUE=DATE:${formatDateValue(exception)}`);
+    });
+  }
+
+  if (reminder.notification === false) {
+    lines.push('X-REMINDERS-VAULT-NOTIFICATION:FALSE');
+  }
+
+  (reminder.alertTimings || []).forEach(minutesBefore => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(reminder.title)}`,
+      // Alarms on a to-do count back from DUE, which it always has
+      `TRIGGER${isTodo ? ';RELATED=END' : ''}:${formatAlarmTrigger(minutesBefore)}`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+const componentToReminder = (component, categories) => {
+  const props = component.properties;
+  const first = (name) => props.find(p => p.name === name);
+
+  const start = first('DTSTART');
+  const due = component.type === 'VTODO' ? first('DUE') || start : start;
+  const datetime = due ? parseDateTime(due.value) : null;
+  const title = unescapeText(first('SUMMARY')?.value || '').trim();
+
+  if (!title) return { error: 'Missing SUMMARY' };
+  if (!datetime) return { error: 'Missing or invalid DUE/DTSTART' };
+
+  const alertTimings = component.alarms
+    .map(alarm => {
+      const trigger = alarm.find(p => p.name === 'TRIGGER');
+      if (!trigger) return null;
+
+      if (trigger.params.VALUE === 'DATE-TIME') {
+        const triggerTime = parseDateTime(trigger.value);
+        return triggerTime ? Math.round((datetime - triggerTime) / 60000) : null;
+      }
+
+      const offset = parseDuration(trigger.value);
+      return offset === null ? null : -offset;
+    })
+    .filter(minutes => Number.isInteger(minutes) && minutes > 0);
+
+  const rrule = first('RRULE');
+  const recurrence = rrule ? parseRecurrenceRule(rrule.value, datetime.toISOString()) : null;
+  if (recurrence) {
+    recurrence.exceptions = props
+      .filter(p => p.name === 'EXDATE')
+      .flatMap(p => p.value.split(','))
+      .map(value => parseDateTime(value))
+      .filter(Boolean)
+      .map(date => date.toISOString());
+  }
+
+  const completed = first('COMPLETED');
+  const created = first('CREATED');
+
+  return {
+    reminder: {
+      title: title.substring(0, 100),
+      description: unescapeText(first('DESCRIPTION')?.value || '').trim().substring(0, 500),
+      datetime: datetime.toISOString(),
+      category: fromIcalCategories(first('CATEGORIES')?.value, categories),
+      priority: fromIcalPriority(first('PRIORITY')?.value),
+      status: fromIcalStatus(first('STATUS')?.value),
+      notification: first('X-REMINDERS-VAULT-NOTIFICATION')?.value !== 'FALSE',
+      alertTimings: [...new Set(alertTimings)].sort((a, b) => a - b),
+      recurrence,
+      completedAt: completed ? parseDateTime(completed.value)?.toISOString() || null : null,
+      createdAt: created ? parseDateTime(created.value)?.toISOString() : undefined,
+      icalUid: first('UID')?.value || null
+    }
+  };
+};
+
+export const ICalendarUtils = {
+  MIME_TYPE: 'text/calendar',
+  FILE_EXTENSION: 'ics',
+
+  /**
+   * Serialize reminders into a VCALENDAR document
+   * @param {Array} reminders - Reminders to export
+   * @param {Object} options - { component: 'VTODO' | 'VEVENT', calendarName }
+   */
+  serialize: (reminders, options = {}) => {
+    const { component = 'VTODO', calendarName = 'Reminders Vault' } = options;
+    const stamp = formatUtcDateTime(new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(calendarName)}`,
+      ...reminders.flatMap(reminder => serializeReminder(reminder, component, stamp)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+  },
+
+  /**
+   * Parse a VCALENDAR document into reminder data
+   * Returns { reminders, skipped } where skipped lists components that could not be mapped
+   * @param {string} text
+   * @param {Object} options - { categories: the importing user's category definitions, to match CATEGORIES against }
+   */
+  parse: (text, { categories = DEFAULT_CATEGORIES } = {}) => {
+    const lines = unfoldLines(text);
+    if (!lines[0] || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+      throw new Error('Not a valid iCalendar file (missing BEGIN:VCALENDAR)');
+    }
+
+    const components = [];
+    let current = null;
+    let alarm = null;
+
+    lines.forEach(line => {
+      const property = parseContentLine(line.trim());
+      if (!property) return;
+
+      const value = property.value.trim().toUpperCase();
+
+      if (property.name === 'BEGIN' && (value === 'VTODO' || value === 'VEVENT')) {
+        current = { type: value, properties: [], alarms: [] };
+      } else if (property.name === 'END' && current && value === current.type) {
+        components.push(current);
+        current = null;
+      } else if (property.name === 'BEGIN' && value === 'VALARM' && current) {
+        alarm = [];
+      } else if (property.name === 'END' && value === 'VALARM' && alarm) {
+        current.alarms.push(alarm);
+        alarm = null;
+      } else if (alarm) {
+        alarm.push(property);
+      } else if (current) {
+        current.properties.push(property);
+      }
+    });
+
+    const reminders = [];
+    const skipped = [];
+
+    components.forEach((component, index) => {
+      const result = componentToReminder(component, categories);
+      if (result.reminder) {
+        reminders.push(result.reminder);
+      } else {
+        skipped.push({ index, type: component.type, reason: result.error });
+      }
+    });
+
+    return { reminders, skipped };
+  },
+
+  // Build an .ics document from the payload returned by StorageInterface#exportAllData
+  fromExportData: (exportData, options = {}) => {
+    return ICalendarUtils.serialize(exportData?.data?.reminders || [], options);
+  },
+
+  // Build a payload accepted by StorageInterface#importData from an .ics document
+  toImportData: (text, options = {}) => {
+    const { reminders, skipped } = ICalendarUtils.parse(text, options);
+
+    return {
+      version: '2.0',
+      timestamp: new Date().toISOString(),
+      source: 'icalendar',
+      data: {
+        reminders,
+        preferences: null,
+        metadata: { skipped }
+      }
+    };
+  }
+};
+
+export default ICalendarUtils;
@@ -18,4 +18,12 @@ export {
   SessionStorage,
   StorageUtils
 } from './storage.js';
-export { ValidationUtils } from './validation.js';
\ No newline at end of file
+export { ValidationUtils } from './validation.js';
+export { RecurrenceUtils } from './recurrence.js';
+export { ICalendarUtils } from './icalendar.js';
+export { CsvUtils } from './csv.js';
+export { CryptoUtils } from './crypto.js';
+export { ChecklistUtils } from './checklist.js';
+export { DependencyUtils } from './dependencies.js';
+export { QuietHoursUtils } from './quietHours.js';
+export { DigestUtils } from './digest.js';
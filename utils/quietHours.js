@@ -0,0 +1,80 @@
+/**
+ * Quiet Hours Utilities - When a user's alerts should be held back
+ * Quiet time is any enabled weekday window, or do not disturb until its expiry. Windows are local time;
+ * one that ends earlier than it starts belongs to its start day and runs past midnight. A window that starts
+ * and ends at the same time is refused by validateQuietHours, and covers nothing if it gets here anyway.
+ */
+
+const toMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const atMinutes = (date, minutes, dayOffset = 0) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return result;
+};
+
+// When the window covering `date` ends, or null if it doesn't cover it
+const windowEnd = (quietWindow, date) => {
+  const start = toMinutes(quietWindow.start);
+  const end = toMinutes(quietWindow.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  if (start === end) return null;
+  if (start < end) {
+    return quietWindow.day === day && minutes >= start && minutes < end ? atMinutes(date, end) : null;
+  }
+  if (quietWindow.day === day && minutes >= start) return atMinutes(date, end, 1);
+  if (quietWindow.day === (day + 6) % 7 && minutes < end) return atMinutes(date, end);
+  return null;
+};
+
+// Chained windows (Mon 22:00-07:00 then Tue 07:00-09:00) are followed through a week at most
+const MAX_CHAINED_PERIODS = 7 * 3;
+
+export const QuietHoursUtils = {
+  isDndActive: (settings, date = new Date()) =>
+    Boolean(settings?.dndUntil) && date < new Date(settings.dndUntil),
+
+  isQuiet: (settings, date = new Date()) => QuietHoursUtils.getQuietEnd(settings, date) !== null,
+
+  /**
+   * When the quiet time covering `date` is over, following windows that run into each other and DND
+   * @returns {Date|null} null when `date` isn't quiet
+   */
+  getQuietEnd: (settings, date = new Date()) => {
+    if (!settings) return null;
+
+    let end = null;
+    let at = new Date(date);
+
+    for (let i = 0; i < MAX_CHAINED_PERIODS; i++) {
+      const ends = settings.enabled
+          ? settings.windows.map(quietWindow => windowEnd(quietWindow, at)).filter(Boolean)
+          : [];
+      if (QuietHoursUtils.isDndActive(settings, at)) ends.push(new Date(settings.dndUntil));
+      if (ends.length === 0) break;
+
+      end = new Date(Math.max(...ends.map(time => time.getTime())));
+      at = end;
+    }
+
+    return end;
+  },
+
+  // Reminders at least as urgent as the breakthrough priority alert during quiet time
+  breaksThrough: (settings, reminder) => {
+    const threshold = settings?.breakthroughPriority;
+    return threshold !== null && threshold !== undefined && (reminder?.priority ?? 0) >= threshold;
+  },
+
+  // Should this reminder's alert be held back at `date`?
+  isHeld: (settings, reminder, date = new Date()) =>
+    QuietHoursUtils.isQuiet(settings, date) && !QuietHoursUtils.breaksThrough(settings, reminder)
+};
+
+export default QuietHoursUtils;
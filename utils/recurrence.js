@@ -0,0 +1,164 @@
+/**
+ * Recurrence Utilities - RRULE-style occurrence expansion for repeating reminders
+ * Supports daily/weekly/monthly/yearly rules with interval, by-weekday, until/count and exceptions
+ */
+
+import { RECURRENCE_FREQUENCIES, WEEKDAY_CODES } from '../types/interfaces.js';
+
+// Safety cap for open-ended rules (≈27 years of daily occurrences)
+const MAX_STEPS = 10000;
+
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Month arithmetic that skips invalid dates (e.g. the 31st in a 30-day month), as RFC 5545 does
+const addMonthsStrict = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  d.setDate(day);
+  return d.getDate() === day ? d : null;
+};
+
+// Candidate dates produced by one step of the rule, in chronological order
+const candidatesForStep = (frequency, start, step, interval, weekdays) => {
+  switch (frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY: {
+      const date = addDays(start, step * interval);
+      return weekdays.length === 0 || weekdays.includes(date.getDay()) ? [date] : [];
+    }
+
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      // Weeks start on Monday (RRULE default WKST=MO)
+      const weekStart = addDays(start, -((start.getDay() + 6) % 7) + step * interval * 7);
+      const days = weekdays.length > 0 ? weekdays : [start.getDay()];
+      return days
+        .map(day => (day + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => addDays(weekStart, offset));
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const date = addMonthsStrict(start, step * interval);
+      return date ? [date] : [];
+    }
+
+    case RECURRENCE_FREQUENCIES.YEARLY: {
+      const date = addMonthsStrict(start, step * interval * 12);
+      return date ? [date] : [];
+    }
+
+    default:
+      return [];
+  }
+};
+
+export const RecurrenceUtils = {
+  /**
+   * Iterate the occurrences of a rule from its start date.
+   * Excluded dates still consume the count, matching RFC 5545 EXDATE semantics.
+   */
+  occurrences: function* (rule, startDate = rule?.startDate) {
+    if (!rule || !startDate) return;
+
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) return;
+
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    const weekdays = (rule.byWeekday || [])
+      .map(code => WEEKDAY_CODES.indexOf(String(code).toUpperCase()))
+      .filter(day => day >= 0);
+    const until = rule.until ? new Date(rule.until) : null;
+    const count = rule.count ? Number(rule.count) : Infinity;
+    const exceptions = new Set((rule.exceptions || []).map(toDateKey));
+
+    let index = 0;
+    for (let step = 0; step < MAX_STEPS; step++) {
+      const candidates = candidatesForStep(rule.frequency, start, step, interval, weekdays);
+
+      for (const date of candidates) {
+        if (date < start) continue;
+        if ((until && date > until) || index >= count) return;
+
+        if (!exceptions.has(toDateKey(date))) {
+          yield { date, index };
+        }
+        index++;
+      }
+    }
+  },
+
+  /**
+   * Get the first occurrence strictly after the given date, or null when the series has ended
+   */
+  getNextOccurrence: (rule, after = new Date(), startDate = rule?.startDate) => {
+    const threshold = new Date(after);
+
+    for (const { date } of RecurrenceUtils.occurrences(rule, startDate)) {
+      if (date > threshold) return date;
+    }
+
+    return null;
+  },
+
+  /**
+   * List occurrences falling within a date range
+   */
+  getOccurrences: (rule, from, to, limit = 100, startDate = rule?.startDate) => {
+    const rangeStart = new Date(from);
+    const rangeEnd = new Date(to);
+    const results = [];
+
+    for (const { date } of RecurrenceUtils.occurrences(rule, startDate)) {
+      if (date > rangeEnd || results.length >= limit) break;
+      if (date >= rangeStart) results.push(date);
+    }
+
+    return results;
+  },
+
+  isException: (rule, date) => {
+    return (rule?.exceptions || []).some(exception => toDateKey(exception) === toDateKey(date));
+  },
+
+  describe: (rule) => {
+    if (!rule?.frequency) return '';
+
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    const units = {
+      [RECURRENCE_FREQUENCIES.DAILY]: 'day',
+      [RECURRENCE_FREQUENCIES.WEEKLY]: 'week',
+      [RECURRENCE_FREQUENCIES.MONTHLY]: 'month',
+      [RECURRENCE_FREQUENCIES.YEARLY]: 'year'
+    };
+    const unit = units[rule.frequency] || rule.frequency;
+
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+    if (rule.byWeekday?.length > 0) {
+      const names = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+      text += ` on ${rule.byWeekday.map(code => names[code] || code).join(', ')}`;
+    }
+
+    if (rule.count) {
+      text += `, ${rule.count} times`;
+    } else if (rule.until) {
+      text += ` until ${new Date(rule.until).toLocaleDateString('en-US')}`;
+    }
+
+    return text;
+  }
+};
+
+export default RecurrenceUtils;
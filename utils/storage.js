@@ -251,6 +251,7 @@ export const LocalStorage = new SafeStorage('localStorage');
 export const SessionStorage = new SafeStorage('sessionStorage');
 
 // Enhanced storage with encryption (simple XOR for demo)
+// XOR obfuscation only, not encryption - reminder data is protected by core/storage/EncryptedStorage.js
 export class SecureStorage extends SafeStorage {
   constructor(storageType = 'localStorage', secretKey = 'default_key') {
     super(storageType);
@@ -3,6 +3,7 @@
  */
 
 import { VALIDATION_RULES } from '../config/constants.js';
+import { DEFAULT_CATEGORIES } from '../types/interfaces.js';
 
 export class ValidationUtils {
   // Core validation predicates
@@ -50,6 +51,20 @@ export class ValidationUtils {
     custom: (validatorFn) => validatorFn
   };
 
+  // Category rules for a user's definitions; schemas.reminder uses the built-in ones
+  static categoryRules(categories = DEFAULT_CATEGORIES) {
+    return [
+      {
+        validator: ValidationUtils.validators.required,
+        message: 'Category is required'
+      },
+      {
+        validator: ValidationUtils.validators.oneOf(categories.map(category => category.id)),
+        message: 'Invalid category'
+      }
+    ];
+  }
+
   // Validation rule builder
   static createRule(validatorType, ...args) {
     const validator = this.validators[validatorType];
@@ -166,18 +181,7 @@ export class ValidationUtils {
         }
       ],
 
-      category: [
-        {
-          validator: ValidationUtils.validators.required,
-          message: 'Category is required'
-        },
-        {
-          validator: ValidationUtils.validators.oneOf([
-            'personal', 'work', 'health', 'finance', 'education', 'social', 'other'
-          ]),
-          message: 'Invalid category'
-        }
-      ],
+      category: ValidationUtils.categoryRules(),
 
       alertTimings: [
         {
@@ -263,8 +267,13 @@ export class ValidationUtils {
   };
 
   // Convenience methods for common validations
-  static validateReminder(reminderData) {
-    return this.validateObject(reminderData, this.schemas.reminder);
+  // Pass { categories } to check against the owner's category definitions
+  static validateReminder(reminderData, options = {}) {
+    const schema = options.categories
+      ? { ...this.schemas.reminder, category: this.categoryRules(options.categories) }
+      : this.schemas.reminder;
+
+    return this.validateObject(reminderData, schema);
   }
 
   static validateUser(userData) {